@@ -10,8 +10,17 @@ const Queue = require("./structures/queue");
 const PriorityQueueMax = require("./structures/queue.priority.max");
 const PriorityQueueMin = require("./structures/queue.priority.min");
 const Stack = require("./structures/stack");
+const SuffixArray = require("./structures/suffix-array");
+const AVLTree = require("./structures/tree.avl");
+const BTree = require("./structures/tree.b-plus");
 const BinarySearchTree = require("./structures/tree.binary-search");
 const RedBlackTree = require("./structures/tree.red-black");
+const IntervalTree = require("./structures/tree.interval");
+const PersistentRedBlackTree = require("./structures/tree.red-black.persistent");
+const SplayTree = require("./structures/tree.splay");
+const SuffixTree = require("./structures/tree.suffix");
+const GeneralizedSuffixTree = require("./structures/tree.suffix.generalized");
+const Treap = require("./structures/tree.treap");
 const PrefixTrie = require("./structures/tree.trie.prefix");
 const SuffixTrie = require("./structures/tree.trie.suffix");
 
@@ -37,8 +46,17 @@ const dataStructures = {
   PriorityQueueMax,
   PriorityQueueMin,
   Stack,
+  SuffixArray,
+  AVLTree,
+  BTree,
   BinarySearchTree,
   RedBlackTree,
+  IntervalTree,
+  PersistentRedBlackTree,
+  SplayTree,
+  SuffixTree,
+  GeneralizedSuffixTree,
+  Treap,
   PrefixTrie,
   SuffixTrie
 };
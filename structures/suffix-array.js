@@ -0,0 +1,445 @@
+const { lettersOf, parseOptions } = require("./text.helpers");
+
+/**
+ * @description Private method that sorts suffixes by counting, keeping the
+ * order of suffixes whose ranks tie.
+ *
+ * Time complexity: O(c + r), where c is number of suffixes and r is number
+ * of ranks
+ * Space complexity: O(c + r)
+ *
+ * @param {Int32Array} order - suffixes in the order to keep among ties
+ * @param {Int32Array} rank - rank of each suffix
+ * @param {Number} ranks - number of distinct ranks
+ *
+ * @returns {Int32Array} - suffixes sorted by rank
+ *
+ * @private
+ */
+function countingSort(order, rank, ranks) {
+  const counts = new Int32Array(ranks + 1);
+  const sorted = new Int32Array(order.length);
+
+  order.forEach(suffix => counts[rank[suffix] + 1]++);
+  for (let i = 1; i < counts.length; i++) {
+    counts[i] += counts[i - 1];
+  }
+  order.forEach(suffix => {
+    sorted[counts[rank[suffix]]++] = suffix;
+  });
+
+  return sorted;
+}
+
+/**
+ * @description Private method that sorts every suffix of a text.
+ *
+ * Strategy: Prefix doubling. First rank suffixes by their first letter.
+ * Once suffixes are sorted by their first k letters, sort them by their
+ * first 2k letters using two ranks as keys: the rank of the suffix and the
+ * rank of the suffix k letters later, which is smallest when there is none.
+ * Counting sort by the second key, then stably by the first, sorts by both.
+ * Stop once every rank is different.
+ *
+ * Time complexity: O(c log c), where c is number of characters in text
+ * Space complexity: O(c)
+ *
+ * @param {Array} text - letters of string
+ *
+ * @returns {Int32Array} - start of each suffix, in sorted order
+ *
+ * @private
+ */
+function sortSuffixes(text) {
+  const n = text.length;
+  const alphabet = [...new Set(text)].sort();
+  const letterRanks = new Map(alphabet.map((letter, rank) => [letter, rank]));
+  let rank = Int32Array.from(text, letter => letterRanks.get(letter));
+  let suffixes = countingSort(
+    Int32Array.from(text, (letter, i) => i),
+    rank,
+    alphabet.length
+  );
+  let ranks = alphabet.length;
+
+  for (let k = 1; ranks < n; k *= 2) {
+    // Suffixes without a letter k later come first, then the rest in order
+    // of the suffix k letters later
+    const bySecond = new Int32Array(n);
+    let next = 0;
+    for (let i = n - k; i < n; i++) {
+      bySecond[next++] = i;
+    }
+    suffixes.forEach(suffix => {
+      if (suffix >= k) {
+        bySecond[next++] = suffix - k;
+      }
+    });
+
+    suffixes = countingSort(bySecond, rank, ranks);
+
+    const second = i => (i + k < n ? rank[i + k] : -1);
+    const nextRank = new Int32Array(n);
+    for (let i = 1; i < n; i++) {
+      const current = suffixes[i];
+      const previous = suffixes[i - 1];
+      const tied =
+        rank[current] === rank[previous] && second(current) === second(previous);
+      nextRank[current] = nextRank[previous] + (tied ? 0 : 1);
+    }
+
+    rank = nextRank;
+    ranks = rank[suffixes[n - 1]] + 1;
+  }
+
+  return suffixes;
+}
+
+/**
+ * @description Private method that finds how many letters each suffix
+ * shares with the suffix sorted before it, using Kasai's algorithm.
+ *
+ * Strategy: Visit suffixes in text order rather than sorted order. If the
+ * suffix at i shares h letters with its sorted neighbour, the suffix at i + 1
+ * shares at least h - 1 with its own, so comparison can resume from there.
+ * The shared count drops by at most one per step, so letters compared add up
+ * to linear time.
+ *
+ * Time complexity: O(c), where c is number of characters in text
+ * Space complexity: O(c)
+ *
+ * @param {Array} text - letters of string
+ * @param {Int32Array} suffixes - start of each suffix, in sorted order
+ *
+ * @returns {Int32Array} - shared prefix length with previous suffix, 0 for
+ * the first
+ *
+ * @private
+ */
+function longestCommonPrefixes(text, suffixes) {
+  const n = text.length;
+  const place = new Int32Array(n);
+  const lcp = new Int32Array(n);
+  let shared = 0;
+
+  suffixes.forEach((suffix, i) => {
+    place[suffix] = i;
+  });
+
+  for (let i = 0; i < n; i++) {
+    if (place[i] === 0) {
+      shared = 0;
+      continue;
+    }
+
+    const previous = suffixes[place[i] - 1];
+    while (
+      i + shared < n &&
+      previous + shared < n &&
+      text[i + shared] === text[previous + shared]
+    ) {
+      shared++;
+    }
+
+    lcp[place[i]] = shared;
+    if (shared > 0) {
+      shared--;
+    }
+  }
+
+  return lcp;
+}
+
+/**
+ * @description Private method that compares the start of a suffix with a
+ * query, reading no further than the query.
+ *
+ * Time complexity: O(c), where c is number of characters in query
+ * Space complexity: O(1)
+ *
+ * @param {Array} text - letters of string
+ * @param {Number} suffix - start of suffix
+ * @param {Array} query - letters of query
+ *
+ * @returns {Number} - negative if suffix sorts before query, positive if
+ * after, 0 if suffix starts with query
+ *
+ * @private
+ */
+function comparePrefix(text, suffix, query) {
+  for (let i = 0; i < query.length; i++) {
+    if (suffix + i >= text.length) {
+      return -1;
+    }
+    if (text[suffix + i] !== query[i]) {
+      return text[suffix + i] < query[i] ? -1 : 1;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * @description Private method that finds the range of sorted suffixes that
+ * start with a query.
+ *
+ * Strategy: Suffixes starting with query sit next to each other in sorted
+ * order. Binary search for the first suffix not before query, then for the
+ * first suffix after every match.
+ *
+ * Time complexity: O(c log n), where c is number of characters in query and
+ * n is number of characters in text
+ * Space complexity: O(c)
+ *
+ * @param {SuffixArray} array - suffix array to be searched
+ * @param {String} query - text to be searched
+ *
+ * @returns {Object} - { low, high, length } where suffixes[low] up to but not
+ * including suffixes[high] match, and length is number of letters in query
+ *
+ * @private
+ */
+function matchRange(array, query) {
+  if (typeof query !== "string") {
+    throw new Error("This array only stores strings");
+  }
+
+  const { text, suffixes } = array;
+  const letters = lettersOf(query, array.options).map(({ letter }) => letter);
+  const search = isBefore => {
+    let low = 0;
+    let high = suffixes.length;
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (isBefore(comparePrefix(text, suffixes[middle], letters))) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  };
+
+  return {
+    low: search(order => order < 0),
+    high: search(order => order <= 0),
+    length: letters.length
+  };
+}
+
+/** Class representing a suffix array with its longest common prefix array */
+class SuffixArray {
+  /**
+   * Track letters of string, every suffix in sorted order and how much each
+   * suffix shares with the one before it.
+   *
+   * Array answers the same questions as SuffixTrie, with the same options,
+   * using a few integers per letter instead of an object per node. Unlike
+   * SuffixTrie, matchesPattern takes no wildcards, so ? * and [ are plain
+   * letters. Letters are whole code points, and positions are UTF-16 offsets
+   * into the string, or into the normalized string when normalization is set.
+   *
+   * @constructor
+   *
+   * @param str - string used to build suffix array
+   * @param {Object=} options - how to split string into letters
+   * @param {Boolean=} options.caseSensitive - keep case, as for DNA or code
+   * @param {Boolean=} options.keepWhitespace - store whitespace as letters
+   * @param {String=} options.normalization - Unicode normalization form, such
+   * as "NFC" or "NFKD", applied before anything else
+   *
+   * @property {Object} options - options with defaults filled in
+   * @property {Array} text - letters of string
+   * @property {Int32Array} positions - position of each letter in the string
+   * @property {Int32Array} suffixes - start of each suffix, in sorted order
+   * @property {Int32Array} lcp - number of letters each sorted suffix shares
+   * with the one before it
+   */
+  constructor(str, options) {
+    if (str === "" || typeof str !== "string") {
+      throw new Error("Insert a non-empty string upon instantiation");
+    }
+
+    this.options = parseOptions(options);
+
+    const letters = lettersOf(str, this.options);
+    this.text = letters.map(({ letter }) => letter);
+    this.positions = Int32Array.from(letters, ({ index }) => index);
+    this.suffixes = sortSuffixes(this.text);
+    this.lcp = longestCommonPrefixes(this.text, this.suffixes);
+  }
+
+  /**
+   * @description Count how many times a pattern occurs in the indexed string.
+   * Overlapping matches are counted, so "aa" occurs twice in "aaa".
+   *
+   * Strategy: Use private matchRange function. Every suffix in the range is
+   * one match.
+   *
+   * Edge case: empty string occurs once at every letter
+   *
+   * Time complexity: O(c log n), where c is number of characters in pattern
+   * and n is number of characters in text
+   * Space complexity: O(c)
+   *
+   * @param {String} pattern - pattern to be counted
+   *
+   * @returns {Number} - number of matches
+   */
+  count(pattern) {
+    const { low, high } = matchRange(this, pattern);
+    return high - low;
+  }
+
+  /**
+   * @description Count the different strings of letters found in the
+   * indexed string, not counting the empty string.
+   *
+   * Strategy: Each suffix starts as many substrings as it has letters, its
+   * prefixes. The first lcp of them were already counted as prefixes of the
+   * suffix sorted before it, so only the rest are new.
+   *
+   * Time complexity: O(n), where n is number of characters in text
+   * Space complexity: O(1)
+   *
+   * @returns {Number} - number of distinct substrings
+   */
+  countDistinctSubstrings() {
+    const n = this.text.length;
+    return this.lcp.reduce((total, shared) => total - shared, (n * (n + 1)) / 2);
+  }
+
+  /**
+   * @description Find every position where a pattern starts. Positions are
+   * UTF-16 offsets into the indexed string, the same offsets indexOf and
+   * slice use, and count any whitespace that was skipped. With normalization,
+   * they are offsets into the normalized string.
+   *
+   * Strategy: Use private matchRange function, then map the start of each
+   * suffix in the range back to the original string.
+   *
+   * Edge case: returns empty array when pattern is not found
+   *
+   * Time complexity: O(c log n + k log k), where c is number of characters in
+   * pattern, n is number of characters in text and k is number of matches
+   * Space complexity: O(c + k)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Array} - starting positions, in ascending order
+   */
+  findAll(pattern) {
+    const { low, high } = matchRange(this, pattern);
+    return Array.from(
+      this.suffixes.subarray(low, high),
+      suffix => this.positions[suffix]
+    ).sort((a, b) => a - b);
+  }
+
+  /**
+   * @description Find the first position where a pattern starts, like
+   * String.prototype.indexOf.
+   *
+   * Strategy: Use private matchRange function, then take the smallest start
+   * of the suffixes in the range.
+   *
+   * Edge case: returns -1 when pattern is not found
+   *
+   * Time complexity: O(c log n + k), where c is number of characters in
+   * pattern, n is number of characters in text and k is number of matches
+   * Space complexity: O(c)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Number} - first starting position, or -1
+   */
+  firstIndexOf(pattern) {
+    const { low, high } = matchRange(this, pattern);
+    if (low === high) {
+      return -1;
+    }
+
+    return this.positions[
+      this.suffixes.subarray(low, high).reduce((a, b) => Math.min(a, b))
+    ];
+  }
+
+  /**
+   * @description Check if a suffix exists in the array.
+   *
+   * Strategy: Use private matchRange function. A shorter suffix sorts before
+   * every longer suffix it starts, so the suffix equal to the query, if any,
+   * is the first one in the range.
+   *
+   * Edge case: empty string returns false, as in SuffixTrie
+   *
+   * Time complexity: O(c log n), where c is number of characters in suffix
+   * and n is number of characters in text
+   * Space complexity: O(c)
+   *
+   * @param {String} suffix - suffix to be searched
+   *
+   * @returns {Boolean} - true if suffix exists, or false otherwise
+   */
+  hasSuffix(suffix) {
+    const { low, high, length } = matchRange(this, suffix);
+    return (
+      length > 0 &&
+      low < high &&
+      this.text.length - this.suffixes[low] === length
+    );
+  }
+
+  /**
+   * @description Find the longest string of letters that occurs at least
+   * twice, matches allowed to overlap. Letters are returned as stored, so
+   * lowercase unless the array is case sensitive.
+   *
+   * Strategy: Any two suffixes share no more than the suffixes sorted between
+   * them do, so the longest repeat is the largest value in the lcp array.
+   *
+   * Edge case: returns empty string when no letter repeats
+   *
+   * Time complexity: O(n), where n is number of characters in text
+   * Space complexity: O(n)
+   *
+   * @returns {String} - longest repeated substring
+   */
+  longestRepeatedSubstring() {
+    let best = 0;
+    this.lcp.forEach((shared, i) => {
+      if (shared > this.lcp[best]) {
+        best = i;
+      }
+    });
+
+    const start = this.suffixes[best];
+    return this.text.slice(start, start + this.lcp[best]).join("");
+  }
+
+  /**
+   * @description Check if a pattern exists in the array. Every letter of
+   * pattern is matched literally.
+   *
+   * Strategy: Use private matchRange function. Return true if any suffix
+   * starts with pattern.
+   *
+   * Edge case: empty string returns true
+   *
+   * Time complexity: O(c log n), where c is number of characters in pattern
+   * and n is number of characters in text
+   * Space complexity: O(c)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Boolean} - true if pattern exists, or false otherwise
+   */
+  matchesPattern(pattern) {
+    const { low, high } = matchRange(this, pattern);
+    return low < high;
+  }
+}
+
+module.exports = SuffixArray;
@@ -0,0 +1,282 @@
+/**
+ * Private helpers shared by the suffix structures and tries. They all split
+ * text into letters the same way, so one set of options means the same thing
+ * everywhere, and the tries read wildcard patterns with the same syntax.
+ * @private
+ */
+
+/**
+ * Unicode normalization forms accepted by String.prototype.normalize
+ * @private
+ */
+const NORMALIZATION_FORMS = ["NFC", "NFD", "NFKC", "NFKD"];
+
+/**
+ * @description Private method that fills in and checks options given to the
+ * constructor, so every tree carries a complete set.
+ *
+ * Edge case(s): non-object options, unknown normalization forms
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object=} options - options given to the constructor
+ *
+ * @returns {Object} - options with defaults filled in
+ *
+ * @private
+ */
+function parseOptions(options = {}) {
+  if (options === null || typeof options !== "object") {
+    throw new Error("Options must be an object");
+  }
+
+  const {
+    caseSensitive = false,
+    keepWhitespace = false,
+    normalization = null
+  } = options;
+  if (normalization !== null && !NORMALIZATION_FORMS.includes(normalization)) {
+    throw new Error(
+      `Normalization must be one of ${NORMALIZATION_FORMS.join(", ")} or null`
+    );
+  }
+
+  return {
+    caseSensitive: Boolean(caseSensitive),
+    keepWhitespace: Boolean(keepWhitespace),
+    normalization
+  };
+}
+
+/**
+ * @description Private method that splits a string into the letters stored
+ * in the tree. Both the indexed string and every query go through here, so
+ * they always agree.
+ *
+ * Strategy: Apply Unicode normalization first, then iterate by code point
+ * with for...of so surrogate pairs such as emoji stay whole. Unless options
+ * say otherwise, lowercase each code point and skip whitespace, splitting
+ * anything lowercasing expanded back into code points so every letter is
+ * exactly one. Each letter remembers the UTF-16 offset of the code point it
+ * came from, so positions agree with String.prototype.indexOf and skipped
+ * whitespace or expanded letters do not shift later positions.
+ *
+ * Time complexity: O(c), where c is number of characters in string
+ * Space complexity: O(c)
+ *
+ * @param {String} string - text to be split
+ * @param {Object} options - caseSensitive, keepWhitespace and normalization
+ *
+ * @returns {Array} - { letter, index } for each letter kept
+ *
+ * @private
+ */
+function lettersOf(string, options) {
+  const text =
+    options.normalization === null
+      ? string
+      : string.normalize(options.normalization);
+  const letters = [];
+  let index = 0;
+
+  for (const codePoint of text) {
+    if (options.keepWhitespace || !/\s/u.test(codePoint)) {
+      const folded = options.caseSensitive
+        ? codePoint
+        : codePoint.toLowerCase();
+
+      // Lowercasing can turn one code point into several, as "İ" becomes "i̇"
+      for (const letter of folded) {
+        letters.push({ letter, index });
+      }
+    }
+    index += codePoint.length;
+  }
+
+  return letters;
+}
+
+/**
+ * @description Private method that collects the start of every suffix
+ * passing through a node.
+ *
+ * Strategy: Depth-first traversal with an explicit stack, so long strings
+ * cannot overflow the call stack. Each index met is the start of one suffix
+ * that begins with the letters leading to node.
+ *
+ * Time complexity: O(N), where N is number of nodes below node
+ * Space complexity: O(N)
+ *
+ * @param {Object} node - node to collect indexes below
+ * @param {Function} childrenOf - returns array of children of a node
+ *
+ * @returns {Array} - suffix indexes, in no particular order
+ *
+ * @private
+ */
+function indexesBelow(node, childrenOf) {
+  const indexes = [];
+  const stack = [node];
+
+  while (stack.length > 0) {
+    const currentNode = stack.pop();
+
+    if (currentNode.hasOwnProperty("index")) {
+      indexes.push(currentNode.index);
+    }
+    childrenOf(currentNode).forEach(child => stack.push(child));
+  }
+
+  return indexes;
+}
+
+/**
+ * @description Private method that reads a character class such as [a-z] or
+ * [!0-9] from a pattern.
+ *
+ * Strategy: After the opening bracket, an optional ! or ^ negates the class.
+ * Each member is a letter, or a range when followed by a dash and another
+ * letter. Backslash escapes the next letter, so \] is a member rather than
+ * the end of the class.
+ *
+ * Edge case(s): unclosed classes, empty classes, backwards ranges
+ *
+ * Time complexity: O(p), where p is number of characters in class
+ * Space complexity: O(p)
+ *
+ * @param {Array} letters - letters of pattern
+ * @param {Number} start - position of the opening bracket
+ *
+ * @returns {Object} - { token, end } where end is position of closing bracket
+ *
+ * @private
+ */
+function parseClass(letters, start) {
+  const token = { type: "class", negated: false, ranges: [] };
+  let i = start + 1;
+
+  if (letters[i] === "!" || letters[i] === "^") {
+    token.negated = true;
+    i++;
+  }
+
+  const readLetter = () => {
+    if (letters[i] === "\\") {
+      i++;
+    }
+    if (i >= letters.length) {
+      throw new Error("Character class is not closed");
+    }
+    return letters[i++];
+  };
+
+  while (letters[i] !== "]") {
+    if (i >= letters.length) {
+      throw new Error("Character class is not closed");
+    }
+
+    const low = readLetter();
+    let high = low;
+    if (letters[i] === "-" && i + 1 < letters.length && letters[i + 1] !== "]") {
+      i++;
+      high = readLetter();
+    }
+    if (low.codePointAt(0) > high.codePointAt(0)) {
+      throw new Error(`Character class range ${low}-${high} is out of order`);
+    }
+
+    token.ranges.push([low, high]);
+  }
+
+  if (token.ranges.length === 0) {
+    throw new Error("Character class must not be empty");
+  }
+
+  return { token, end: i };
+}
+
+/**
+ * @description Private method that splits a pattern into tokens. Supported
+ * syntax is ? for any one letter, * for any run of letters including none,
+ * character classes such as [abc], [a-z] and [!abc], and backslash to match
+ * any of those symbols literally.
+ *
+ * Strategy: Read pattern one letter at a time. Runs of * collapse into one
+ * token, since they match the same strings.
+ *
+ * Time complexity: O(p), where p is number of characters in pattern
+ * Space complexity: O(p)
+ *
+ * @param {Array} letters - letters of pattern
+ *
+ * @returns {Array} - tokens with type letter, any, star or class
+ *
+ * @private
+ */
+function parsePattern(letters) {
+  const tokens = [];
+
+  for (let i = 0; i < letters.length; i++) {
+    const letter = letters[i];
+
+    if (letter === "\\") {
+      if (i + 1 === letters.length) {
+        throw new Error("Pattern must not end with an escape");
+      }
+      tokens.push({ type: "letter", letter: letters[++i] });
+    } else if (letter === "?") {
+      tokens.push({ type: "any" });
+    } else if (letter === "*") {
+      if (tokens.length === 0 || tokens[tokens.length - 1].type !== "star") {
+        tokens.push({ type: "star" });
+      }
+    } else if (letter === "[") {
+      const { token, end } = parseClass(letters, i);
+      tokens.push(token);
+      i = end;
+    } else {
+      tokens.push({ type: "letter", letter });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * @description Private method that checks if a letter satisfies a token
+ * that reads one letter.
+ *
+ * Time complexity: O(r), where r is number of ranges in a class
+ * Space complexity: O(1)
+ *
+ * @param {Object} token - letter, any or class token
+ * @param {String} letter - letter stored in trie
+ *
+ * @returns {Boolean} - true if letter satisfies token
+ *
+ * @private
+ */
+function matchesToken(token, letter) {
+  if (token.type === "any") {
+    return true;
+  }
+  if (token.type === "letter") {
+    return token.letter === letter;
+  }
+
+  const codePoint = letter.codePointAt(0);
+  const inClass = token.ranges.some(
+    ([low, high]) =>
+      low.codePointAt(0) <= codePoint && codePoint <= high.codePointAt(0)
+  );
+  return inClass !== token.negated;
+}
+
+module.exports = {
+  indexesBelow,
+  lettersOf,
+  matchesToken,
+  parseOptions,
+  parsePattern
+};
@@ -0,0 +1,1026 @@
+const {
+  defaultComparator,
+  findOrderViolation,
+  getNode,
+  inOrderNodes,
+  levelOrderNodes,
+  levelsOf,
+  maxNode,
+  minNode,
+  postOrderNodes,
+  preOrderNodes
+} = require("./tree.helpers");
+
+/**
+ * Class representing a node in the AVL tree
+ * @private
+ */
+class Node {
+  /**
+   * For quick node creation in tree
+   *
+   * @constructor
+   *
+   * @param {Number|String} key - key held by node
+   * @param {*} value - value held by node
+   *
+   * @property {Number|String} key - key held by node
+   * @property {*} value - value held by node
+   * @property {Object|Null} left - left child node
+   * @property {Object|Null} right - right child node
+   * @property {Number} height - number of nodes on longest path down to a leaf
+   * @property {Number} size - number of nodes in subtree rooted at this node
+   */
+  constructor(key, value) {
+    this.key = key;
+    this.value = value;
+    this.left = null;
+    this.right = null;
+    this.height = 1;
+    this.size = 1;
+  }
+}
+
+/**
+ * @description Get height of subtree.
+ *
+ * Strategy: Use height property. Null nodes have height 0.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - root of subtree
+ *
+ * @returns {Number} - height of subtree
+ *
+ * @private
+ */
+function height(node) {
+  return node === null ? 0 : node.height;
+}
+
+/**
+ * @description Count nodes in subtree.
+ *
+ * Strategy: Use size property. Null nodes have size 0.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - root of subtree being counted
+ *
+ * @returns {Number} - number of nodes in subtree
+ *
+ * @private
+ */
+function size(node) {
+  return node === null ? 0 : node.size;
+}
+
+/**
+ * @description Recompute cached height and size of a node from its children.
+ *
+ * Strategy: Children must already be up to date, so always update bottom-up.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node whose children changed
+ *
+ * @private
+ */
+function update(node) {
+  node.height = 1 + Math.max(height(node.left), height(node.right));
+  node.size = 1 + size(node.left) + size(node.right);
+}
+
+/**
+ * @description Measure how much taller the left subtree is than the right.
+ *
+ * Strategy: Subtract cached heights.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node being checked
+ *
+ * @returns {Number} - positive if left-heavy, negative if right-heavy
+ *
+ * @private
+ */
+function balanceFactor(node) {
+  return height(node.left) - height(node.right);
+}
+
+/**
+ * @description Rotate right child up to become root of subtree.
+ *
+ * Strategy: Triple swap! Right child becomes new root. Input node receives the
+ * new root's left subtree then becomes left child of new root. Update input
+ * node first since it is now below the new root.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node that rotates down to the left
+ *
+ * @returns {Object} - new root after rotation
+ *
+ * @private
+ */
+function rotateLeft(node) {
+  const newRoot = node.right;
+  node.right = newRoot.left;
+  newRoot.left = node;
+
+  update(node);
+  update(newRoot);
+  return newRoot;
+}
+
+/**
+ * @description Rotate left child up to become root of subtree.
+ *
+ * Strategy: Triple swap! Left child becomes new root. Input node receives the
+ * new root's right subtree then becomes right child of new root. Update input
+ * node first since it is now below the new root.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node that rotates down to the right
+ *
+ * @returns {Object} - new root after rotation
+ *
+ * @private
+ */
+function rotateRight(node) {
+  const newRoot = node.left;
+  node.left = newRoot.right;
+  newRoot.right = node;
+
+  update(node);
+  update(newRoot);
+  return newRoot;
+}
+
+/**
+ * @description Restore AVL property, where subtree heights of every node
+ * differ by at most one, on the way back up the tree after an update.
+ *
+ * Strategy: A left-heavy node rotates right. If its left child leans the other
+ * way, rotate that child left first (double rotation). Right-heavy nodes are a
+ * mirror image.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - root of subtree whose child changed
+ *
+ * @returns {Object} - new root of subtree
+ *
+ * @private
+ */
+function rebalance(node) {
+  update(node);
+  const factor = balanceFactor(node);
+
+  if (factor > 1) {
+    if (balanceFactor(node.left) < 0) {
+      node.left = rotateLeft(node.left);
+    }
+    return rotateRight(node);
+  }
+
+  if (factor < -1) {
+    if (balanceFactor(node.right) > 0) {
+      node.right = rotateRight(node.right);
+    }
+    return rotateLeft(node);
+  }
+
+  return node;
+}
+
+/**
+ * @description Find first broken invariant in tree, if any.
+ *
+ * Strategy: Use shared findOrderViolation function for key ordering. Then
+ * visit nodes post-order, so a wrong cached value is reported at the lowest
+ * node holding it, and check that subtree heights differ by at most one and
+ * that cached height and size match the children.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(log N)
+ *
+ * @param {Object|Null} root - root of tree to be checked
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {String|Null} - description of broken invariant, or null if valid
+ *
+ * @private
+ */
+function findViolation(root, comparator) {
+  const violation = findOrderViolation(root, comparator);
+  if (violation !== null) {
+    return violation;
+  }
+
+  for (const node of postOrderNodes(root)) {
+    const leftHeight = height(node.left);
+    const rightHeight = height(node.right);
+
+    if (Math.abs(leftHeight - rightHeight) > 1) {
+      return `AVL balance violated at key ${node.key}`;
+    }
+    if (node.height !== 1 + Math.max(leftHeight, rightHeight)) {
+      return `Cached height is wrong at key ${node.key}`;
+    }
+    if (node.size !== 1 + size(node.left) + size(node.right)) {
+      return `Cached size is wrong at key ${node.key}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @description Used by public insert method to update value or place node.
+ *
+ * Strategy: Recursively descend to the key's position. Null base case builds
+ * new node. Rebalance every node on the way back up the call stack.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - node for traversal and key comparison
+ * @param {Number|String} key - key that identifies node
+ * @param {*} value - updated value, or value of new node
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {Object} - new root of subtree
+ *
+ * @private
+ */
+function put(node, key, value, comparator) {
+  if (node === null) {
+    return new Node(key, value);
+  }
+
+  const comparison = comparator(key, node.key);
+  if (comparison < 0) {
+    node.left = put(node.left, key, value, comparator);
+  } else if (comparison > 0) {
+    node.right = put(node.right, key, value, comparator);
+  } else {
+    node.value = value;
+    return node;
+  }
+
+  return rebalance(node);
+}
+
+/**
+ * @description Used by public delete method to remove node with given key.
+ *
+ * Strategy: Recursively descend to the key. A matched node with at most one
+ * child is replaced by that child. Otherwise, its successor is removed from the
+ * right subtree and takes its place. Rebalance on the way back up.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node for traversal and key comparison
+ * @param {Number|String} key - key of node to be removed, which must exist
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {Object|Null} - new root of subtree
+ *
+ * @private
+ */
+function remove(node, key, comparator) {
+  const comparison = comparator(key, node.key);
+  if (comparison < 0) {
+    node.left = remove(node.left, key, comparator);
+    return rebalance(node);
+  }
+  if (comparison > 0) {
+    node.right = remove(node.right, key, comparator);
+    return rebalance(node);
+  }
+
+  if (node.left === null) {
+    return node.right;
+  }
+  if (node.right === null) {
+    return node.left;
+  }
+
+  const successor = minNode(node.right);
+  successor.right = removeMin(node.right);
+  successor.left = node.left;
+  return rebalance(successor);
+}
+
+/**
+ * @description Used by public deleteMax method to remove right-most node.
+ *
+ * Strategy: Descend right until there is no right child, then replace that
+ * node with its left subtree. Rebalance on the way back up.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - root of subtree whose maximum will be removed
+ *
+ * @returns {Object|Null} - new root of subtree
+ *
+ * @private
+ */
+function removeMax(node) {
+  if (node.right === null) {
+    return node.left;
+  }
+
+  node.right = removeMax(node.right);
+  return rebalance(node);
+}
+
+/**
+ * @description Used by public deleteMin and delete methods to remove
+ * left-most node.
+ *
+ * Strategy: Descend left until there is no left child, then replace that node
+ * with its right subtree. Rebalance on the way back up.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - root of subtree whose minimum will be removed
+ *
+ * @returns {Object|Null} - new root of subtree
+ *
+ * @private
+ */
+function removeMin(node) {
+  if (node.left === null) {
+    return node.right;
+  }
+
+  node.left = removeMin(node.left);
+  return rebalance(node);
+}
+
+/** Class representing an AVL tree */
+class AVLTree {
+  /**
+   * Track root of tree and how keys are ordered.
+   *
+   * Shares its public interface with RedBlackTree, so either can be used
+   * wherever an ordered map is needed. AVL trees are more strictly balanced,
+   * with height at most about 1.44 log N compared to 2 log N.
+   *
+   * @constructor
+   *
+   * @param {Function=} comparator - takes two keys and returns a negative
+   * number, zero or a positive number, like Array.prototype.sort comparators
+   *
+   * @property {Object|Null} root - top level node in tree
+   * @property {Function} comparator - decides the order of keys in tree
+   */
+  constructor(comparator = defaultComparator) {
+    if (typeof comparator !== "function") {
+      throw new Error("Comparator must be a function");
+    }
+
+    this.root = null;
+    this.comparator = comparator;
+  }
+
+  /**
+   * @description Throw an error describing the first broken invariant, if
+   * any. Useful for debugging code that edits nodes directly.
+   *
+   * Strategy: Use private findViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   */
+  assertInvariants() {
+    const violation = findViolation(this.root, this.comparator);
+    if (violation !== null) {
+      throw new Error(violation);
+    }
+  }
+
+  /**
+   * @description Apply a callback to the entire tree in level order.
+   *
+   * Strategy: Use level order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Function} callback - calls all nodes in breadth-first order
+   */
+  breadthFirstSearch(callback) {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const node of levelOrderNodes(this.root)) {
+      callback(node);
+    }
+  }
+
+  /**
+   * @description Find smallest key greater than or equal to given key.
+   *
+   * Strategy: Start at root. Smaller keys send us left. Larger keys send us
+   * right. A node whose key is larger than given key is the best candidate so
+   * far, but a closer one may exist in its left subtree.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be rounded up
+   *
+   * @returns {Number|String|Null} - null if every key is smaller than given key
+   */
+  ceiling(key) {
+    let node = this.root;
+    let candidate = null;
+
+    while (node !== null) {
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) {
+        return node.key;
+      }
+      if (comparison < 0) {
+        candidate = node.key;
+        node = node.left;
+      } else {
+        node = node.right;
+      }
+    }
+
+    return candidate;
+  }
+
+  /**
+   * @description Count keys between lo and hi, inclusive.
+   *
+   * Strategy: Difference of ranks counts keys in [lo, hi). Add one if hi
+   * itself is in the tree.
+   *
+   * Edge case(s): lo larger than hi
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} lo - smallest key in range
+   * @param {Number|String} hi - largest key in range
+   *
+   * @returns {Number} - number of keys in range
+   */
+  countInRange(lo, hi) {
+    if (this.comparator(lo, hi) > 0) {
+      return 0;
+    }
+
+    const hiInTree = getNode(this.root, hi, this.comparator) !== null;
+    return this.rank(hi) - this.rank(lo) + (hiInTree ? 1 : 0);
+  }
+
+  /**
+   * @description Remove node with given key from tree while keeping it
+   * balanced.
+   *
+   * Strategy: Confirm key exists, since the private remove function assumes
+   * it does, then remove it recursively.
+   *
+   * Edge case(s): empty tree, key not in tree, deleting last node
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key of node to be removed
+   *
+   * @returns {*} - value of removed node
+   */
+  delete(key) {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    const node = getNode(this.root, key, this.comparator);
+    if (node === null) {
+      throw new Error("No match found for deletion");
+    }
+
+    this.root = remove(this.root, key, this.comparator);
+    return node.value;
+  }
+
+  /**
+   * @description Remove node with largest key from tree while keeping it
+   * balanced.
+   *
+   * Strategy: Use private removeMax function.
+   *
+   * Edge case(s): empty tree, deleting last node
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @returns {*} - value of removed node
+   */
+  deleteMax() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    const value = maxNode(this.root).value;
+    this.root = removeMax(this.root);
+    return value;
+  }
+
+  /**
+   * @description Remove node with smallest key from tree while keeping it
+   * balanced.
+   *
+   * Strategy: Use private removeMin function.
+   *
+   * Edge case(s): empty tree, deleting last node
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @returns {*} - value of removed node
+   */
+  deleteMin() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    const value = minNode(this.root).value;
+    this.root = removeMin(this.root);
+    return value;
+  }
+
+  /**
+   * @description Depth-first in-order traversal that applies callback to
+   * all nodes in ascending order.
+   *
+   * Strategy: Use in-order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @param {Function} callback - invoked on every node
+   * @param {Object=} node - root of subtree to traverse
+   */
+  depthInOrder(callback, node = this.root) {
+    if (node === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const current of inOrderNodes(node)) {
+      callback(current);
+    }
+  }
+
+  /**
+   * @description Depth-first post-order traversal that applies callback to
+   * all nodes such that root is last.
+   *
+   * Strategy: Use post-order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @param {Function} callback - invoked on every node in post-order
+   * @param {Object=} node - root of subtree to traverse
+   */
+  depthPostOrder(callback, node = this.root) {
+    if (node === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const current of postOrderNodes(node)) {
+      callback(current);
+    }
+  }
+
+  /**
+   * @description Depth-first pre-order traversal that applies callback to
+   * all nodes such that root is always first.
+   *
+   * Strategy: Use pre-order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @param {Function} callback - invoked on every node in pre-order
+   * @param {Object=} node - root of subtree to traverse
+   */
+  depthPreOrder(callback, node = this.root) {
+    if (node === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const current of preOrderNodes(node)) {
+      callback(current);
+    }
+  }
+
+  /**
+   * @description Lazily iterate over [key, value] pairs in ascending order,
+   * mirroring Map.prototype.entries.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  *entries() {
+    for (const node of inOrderNodes(this.root)) {
+      yield [node.key, node.value];
+    }
+  }
+
+  /**
+   * @description Find largest key less than or equal to given key.
+   *
+   * Strategy: Start at root. Smaller keys send us left. Larger keys send us
+   * right. A node whose key is smaller than given key is the best candidate so
+   * far, but a closer one may exist in its right subtree.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be rounded down
+   *
+   * @returns {Number|String|Null} - null if every key is larger than given key
+   */
+  floor(key) {
+    let node = this.root;
+    let candidate = null;
+
+    while (node !== null) {
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) {
+        return node.key;
+      }
+      if (comparison > 0) {
+        candidate = node.key;
+        node = node.right;
+      } else {
+        node = node.left;
+      }
+    }
+
+    return candidate;
+  }
+
+  /**
+   * @description Find node with given key and return its value.
+   *
+   * Strategy: Use private getNode function.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - searching for this key in the tree
+   *
+   * @returns {*} - null if key is not found
+   */
+  get(key) {
+    const node = getNode(this.root, key, this.comparator);
+    return node === null ? null : node.value;
+  }
+
+  /**
+   * @description Count nodes on longest path from root down to a leaf.
+   *
+   * Strategy: Read cached height of root.
+   *
+   * Edge case(s): Empty tree has height 0
+   *
+   * Time complexity: O(1)
+   * Space complexity: O(1)
+   *
+   * @returns {Number} - height of tree
+   */
+  height() {
+    return height(this.root);
+  }
+
+  /**
+   * @description Lazily iterate over keys in ascending order. Empty trees
+   * yield nothing.
+   *
+   * Strategy: Generator version of depthInOrder method, so iteration can stop
+   * early with break.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Number|String} - next key in-order
+   */
+  *inOrder() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Insert new key-value pair into appropriate location in tree.
+   * If key already exists in tree, then overwrite the previous value with
+   * the new value.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - determines location to be inserted in tree
+   * @param {*} value - value associated with given key
+   *
+   * @returns {Boolean} - true represents successful insertion
+   */
+  insert(key, value) {
+    this.root = put(this.root, key, value, this.comparator);
+    return true;
+  }
+
+  /**
+   * @description Check AVL invariants: keys are in BST order, subtree heights
+   * of every node differ by at most one, and cached heights and sizes match.
+   *
+   * Strategy: Use private findViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   *
+   * @returns {Boolean} - true if every invariant holds
+   */
+  isValid() {
+    return findViolation(this.root, this.comparator) === null;
+  }
+
+  /**
+   * @description Lazily iterate over keys between lo and hi, inclusive, in
+   * ascending order. Without bounds, iterate over every key in tree.
+   *
+   * Strategy: Bounded in-order generator prunes subtrees outside of range and
+   * stops as soon as a key passes hi.
+   *
+   * Edge case(s): empty tree, lo larger than hi
+   *
+   * Time complexity: O(log N + M), where M is number of keys in range
+   * Space complexity: O(log N)
+   *
+   * @param {Number|String=} lo - smallest key in range
+   * @param {Number|String=} hi - largest key in range
+   *
+   * @yields {Number|String} - next key in range
+   */
+  *keys(lo, hi) {
+    for (const node of inOrderNodes(this.root, this.comparator, lo, hi)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Lazily iterate over keys level by level. Empty trees yield
+   * nothing.
+   *
+   * Strategy: Generator version of breadthFirstSearch method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @yields {Number|String} - next key in level order
+   */
+  *levelOrder() {
+    for (const node of levelOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Report shape of tree as the keys found at each depth.
+   *
+   * Strategy: Use private levelsOf function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Array} - one array of keys per level, from root down
+   */
+  levels() {
+    return levelsOf(this.root).map(level => level.map(node => node.key));
+  }
+
+  /**
+   * @description Find largest key in tree.
+   *
+   * Strategy: Maximum is right-most node.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @returns {Number|String} - maximum key in tree
+   */
+  max() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    return maxNode(this.root).key;
+  }
+
+  /**
+   * @description Find smallest key in tree.
+   *
+   * Strategy: Minimum is left-most node.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @returns {Number|String} - minimum key in tree
+   */
+  min() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    return minNode(this.root).key;
+  }
+
+  /**
+   * @description Lazily iterate over keys such that root is last. Empty trees
+   * yield nothing.
+   *
+   * Strategy: Generator version of depthPostOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Number|String} - next key post-order
+   */
+  *postOrder() {
+    for (const node of postOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Lazily iterate over keys such that root is first. Empty
+   * trees yield nothing.
+   *
+   * Strategy: Generator version of depthPreOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Number|String} - next key pre-order
+   */
+  *preOrder() {
+    for (const node of preOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Count keys strictly smaller than given key. Given key does
+   * not need to exist in tree.
+   *
+   * Strategy: Start at root. Moving right means the current node and its
+   * entire left subtree are smaller than given key, so add their sizes.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be ranked
+   *
+   * @returns {Number} - number of keys smaller than given key
+   */
+  rank(key) {
+    let node = this.root;
+    let rank = 0;
+
+    while (node !== null) {
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) {
+        return rank + size(node.left);
+      }
+      if (comparison < 0) {
+        node = node.left;
+      } else {
+        rank += 1 + size(node.left);
+        node = node.right;
+      }
+    }
+
+    return rank;
+  }
+
+  /**
+   * @description Find key with given rank, meaning the key that has exactly
+   * rank keys smaller than it. Rank 0 is the minimum.
+   *
+   * Strategy: Compare rank to size of left subtree. If smaller, the key is in
+   * left subtree. If equal, current node is the key. If larger, search right
+   * subtree for rank minus the nodes skipped.
+   *
+   * Edge case(s): rank out of bounds or not an integer
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number} rank - zero-based position of key in ascending order
+   *
+   * @returns {Number|String} - key with given rank
+   */
+  select(rank) {
+    if (!Number.isSafeInteger(rank) || rank < 0 || rank >= size(this.root)) {
+      throw new Error("Rank must be an integer from 0 to tree size minus 1");
+    }
+
+    let node = this.root;
+    while (true) {
+      const leftSize = size(node.left);
+      if (rank === leftSize) {
+        return node.key;
+      }
+      if (rank < leftSize) {
+        node = node.left;
+      } else {
+        rank -= leftSize + 1;
+        node = node.right;
+      }
+    }
+  }
+
+  /**
+   * @description Count keys in tree.
+   *
+   * Strategy: Read cached size of root.
+   *
+   * Time complexity: O(1)
+   * Space complexity: O(1)
+   *
+   * @returns {Number} - number of keys in tree
+   */
+  size() {
+    return size(this.root);
+  }
+
+  /**
+   * @description Lazily iterate over values in ascending order of their keys,
+   * mirroring Map.prototype.values.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {*} - next value
+   */
+  *values() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.value;
+    }
+  }
+
+  /**
+   * @description Make tree iterable with for...of and spread syntax. Like a
+   * Map, iterating a tree yields [key, value] pairs in ascending order.
+   *
+   * Strategy: Same as entries method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+module.exports = AVLTree;
@@ -0,0 +1,624 @@
+const { defaultComparator } = require("./tree.helpers");
+
+/**
+ * Class representing a leaf node in the B+ tree
+ * @private
+ */
+class LeafNode {
+  /**
+   * Leaves hold every key and value in parallel arrays, and link to the next
+   * leaf so range scans never climb back up the tree.
+   *
+   * @constructor
+   *
+   * @property {Array} keys - sorted keys held by leaf
+   * @property {Array} values - value at same index as its key
+   * @property {Object|Null} next - leaf holding the next larger keys
+   */
+  constructor() {
+    this.keys = [];
+    this.values = [];
+    this.next = null;
+  }
+}
+
+/**
+ * Class representing an internal node in the B+ tree
+ * @private
+ */
+class InternalNode {
+  /**
+   * Internal nodes only guide searches. Child i holds keys smaller than
+   * keys[i], and child i + 1 holds keys greater than or equal to keys[i].
+   *
+   * @constructor
+   *
+   * @property {Array} keys - sorted separator keys
+   * @property {Array} children - one more child than there are keys
+   */
+  constructor() {
+    this.keys = [];
+    this.children = [];
+  }
+}
+
+/**
+ * @description Find where a key belongs in a sorted array of keys.
+ *
+ * Strategy: Binary search for the first index whose key is greater than the
+ * given key, or greater than or equal to it when inclusive.
+ *
+ * Time complexity: O(log B), where B is order of tree
+ * Space complexity: O(1)
+ *
+ * @param {Array} keys - sorted keys
+ * @param {*} key - key to be placed
+ * @param {Function} comparator - decides the order of keys in tree
+ * @param {Boolean} inclusive - true to stop at an equal key
+ *
+ * @returns {Number} - index of first key after given key
+ *
+ * @private
+ */
+function searchKeys(keys, key, comparator, inclusive) {
+  let lo = 0;
+  let hi = keys.length;
+
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    const comparison = comparator(keys[mid], key);
+    if (comparison < 0 || (comparison === 0 && !inclusive)) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+
+  return lo;
+}
+
+/**
+ * @description Find the leaf whose key range covers a key.
+ *
+ * Strategy: At each internal node, follow the child after every separator
+ * that is smaller than or equal to the key.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - root of tree
+ * @param {*} key - key to be found
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {Object} - leaf that holds key, if key is in tree
+ *
+ * @private
+ */
+function findLeaf(node, key, comparator) {
+  while (node instanceof InternalNode) {
+    node = node.children[searchKeys(node.keys, key, comparator, false)];
+  }
+  return node;
+}
+
+/**
+ * @description Used by public insert method to place a key in a subtree.
+ *
+ * Strategy: Recursively descend to the leaf. A leaf that overflows splits in
+ * half and copies its right half's first key up as a separator. An internal
+ * node that overflows splits around its middle key, which moves up.
+ *
+ * Time complexity: O(B log N), where B is order of tree
+ * Space complexity: O(B)
+ *
+ * @param {Object} node - root of subtree
+ * @param {*} key - key to be inserted
+ * @param {*} value - value to be inserted
+ * @param {BTree} tree - tree being updated, for its order and comparator
+ *
+ * @returns {Object|Null} - separator and new right sibling if node split
+ *
+ * @private
+ */
+function insertInto(node, key, value, tree) {
+  if (node instanceof LeafNode) {
+    const index = searchKeys(node.keys, key, tree.comparator, true);
+    if (index < node.keys.length && tree.comparator(node.keys[index], key) === 0) {
+      node.values[index] = value;
+      return null;
+    }
+
+    node.keys.splice(index, 0, key);
+    node.values.splice(index, 0, value);
+    if (node.keys.length < tree.order) {
+      return null;
+    }
+
+    const middle = Math.ceil(node.keys.length / 2);
+    const right = new LeafNode();
+    right.keys = node.keys.splice(middle);
+    right.values = node.values.splice(middle);
+    right.next = node.next;
+    node.next = right;
+    return { separator: right.keys[0], right };
+  }
+
+  const index = searchKeys(node.keys, key, tree.comparator, false);
+  const split = insertInto(node.children[index], key, value, tree);
+  if (split === null) {
+    return null;
+  }
+
+  node.keys.splice(index, 0, split.separator);
+  node.children.splice(index + 1, 0, split.right);
+  if (node.children.length <= tree.order) {
+    return null;
+  }
+
+  const middle = Math.floor(node.keys.length / 2);
+  const right = new InternalNode();
+  const separator = node.keys[middle];
+  right.keys = node.keys.splice(middle + 1);
+  right.children = node.children.splice(middle + 1);
+  node.keys.pop();
+  return { separator, right };
+}
+
+/**
+ * @description Used by removeFrom function after a child lost a key. Refills
+ * the child if it fell below minimum occupancy.
+ *
+ * Strategy: Borrow one entry from a sibling that can spare it, rotating the
+ * separator in the parent. Otherwise merge the child with a sibling and drop
+ * the separator between them from the parent.
+ *
+ * Time complexity: O(B), where B is order of tree
+ * Space complexity: O(1)
+ *
+ * @param {Object} parent - internal node whose child may be underfull
+ * @param {Number} index - index of child in parent
+ * @param {Number} minKeys - fewest keys a non-root node may hold
+ *
+ * @private
+ */
+function fixChild(parent, index, minKeys) {
+  const child = parent.children[index];
+  if (child.keys.length >= minKeys) {
+    return;
+  }
+
+  const left = index > 0 ? parent.children[index - 1] : null;
+  const right = index < parent.children.length - 1 ? parent.children[index + 1] : null;
+  const isLeaf = child instanceof LeafNode;
+
+  if (left !== null && left.keys.length > minKeys) {
+    if (isLeaf) {
+      child.keys.unshift(left.keys.pop());
+      child.values.unshift(left.values.pop());
+      parent.keys[index - 1] = child.keys[0];
+    } else {
+      child.keys.unshift(parent.keys[index - 1]);
+      child.children.unshift(left.children.pop());
+      parent.keys[index - 1] = left.keys.pop();
+    }
+    return;
+  }
+
+  if (right !== null && right.keys.length > minKeys) {
+    if (isLeaf) {
+      child.keys.push(right.keys.shift());
+      child.values.push(right.values.shift());
+      parent.keys[index] = right.keys[0];
+    } else {
+      child.keys.push(parent.keys[index]);
+      child.children.push(right.children.shift());
+      parent.keys[index] = right.keys.shift();
+    }
+    return;
+  }
+
+  // Neither sibling can spare a key, so merge the pair into the left one
+  const leftIndex = left !== null ? index - 1 : index;
+  const into = parent.children[leftIndex];
+  const from = parent.children[leftIndex + 1];
+  const separator = parent.keys[leftIndex];
+
+  if (isLeaf) {
+    into.keys.push(...from.keys);
+    into.values.push(...from.values);
+    into.next = from.next;
+  } else {
+    into.keys.push(separator, ...from.keys);
+    into.children.push(...from.children);
+  }
+
+  parent.keys.splice(leftIndex, 1);
+  parent.children.splice(leftIndex + 1, 1);
+}
+
+/**
+ * @description Used by public delete method to remove a key known to be in
+ * a subtree.
+ *
+ * Strategy: Recursively descend to the leaf and remove the key, then let
+ * each parent refill the child it descended into on the way back up.
+ * Separators may still name deleted keys, which is harmless since they only
+ * guide searches.
+ *
+ * Time complexity: O(B log N), where B is order of tree
+ * Space complexity: O(log N)
+ *
+ * @param {Object} node - root of subtree
+ * @param {*} key - key to be removed
+ * @param {BTree} tree - tree being updated, for its order and comparator
+ *
+ * @private
+ */
+function removeFrom(node, key, tree) {
+  if (node instanceof LeafNode) {
+    const index = searchKeys(node.keys, key, tree.comparator, true);
+    node.keys.splice(index, 1);
+    node.values.splice(index, 1);
+    return;
+  }
+
+  const index = searchKeys(node.keys, key, tree.comparator, false);
+  removeFrom(node.children[index], key, tree);
+  fixChild(node, index, Math.ceil(tree.order / 2) - 1);
+}
+
+/**
+ * @description Used by fromSorted to group one level of nodes under parents.
+ *
+ * Strategy: Use as few groups as the size limit allows, then spread items
+ * evenly so every group is at least half full.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(N)
+ *
+ * @param {Array} items - items to be grouped, in order
+ * @param {Number} limit - most items a group may hold
+ *
+ * @returns {Array} - consecutive groups of items
+ *
+ * @private
+ */
+function groupEvenly(items, limit) {
+  const count = Math.ceil(items.length / limit);
+  const groups = [];
+  let start = 0;
+
+  for (let i = 0; i < count; i++) {
+    const end = start + Math.floor((items.length - start) / (count - i));
+    groups.push(items.slice(start, end));
+    start = end;
+  }
+
+  return groups;
+}
+
+/**
+ * Class representing a B+ tree. Each node holds up to order - 1 keys in
+ * arrays, so a tree of N keys allocates about N / order nodes instead of N,
+ * and all values live in leaves linked left to right for fast range scans.
+ */
+class BTree {
+  /**
+   * Track root of tree, how many children a node may have and how keys are
+   * ordered.
+   *
+   * @constructor
+   *
+   * @param {Number=} order - most children an internal node may have, at least 3
+   * @param {Function=} comparator - takes two keys and returns a negative
+   * number, zero or a positive number, like Array.prototype.sort comparators
+   *
+   * @property {Object} root - top level node in tree, an empty leaf at first
+   * @property {Number} order - most children an internal node may have
+   * @property {Function} comparator - decides the order of keys in tree
+   */
+  constructor(order = 64, comparator = defaultComparator) {
+    if (!Number.isInteger(order) || order < 3) {
+      throw new Error("Order must be an integer of at least 3");
+    }
+    if (typeof comparator !== "function") {
+      throw new Error("Comparator must be a function");
+    }
+
+    this.root = new LeafNode();
+    this.order = order;
+    this.comparator = comparator;
+  }
+
+  /**
+   * @description Bulk load a tree from [key, value] pairs sorted by key.
+   *
+   * Strategy: Pack entries into leaves, then pack each level of nodes under
+   * parents until one root remains. Each separator is the smallest key of
+   * the child to its right. No splitting or searching is needed.
+   *
+   * Edge case(s): empty input, non-array input, unsorted or duplicate keys
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Array} entries - [key, value] pairs in strictly ascending key order
+   * @param {Number=} order - most children an internal node may have
+   * @param {Function=} comparator - decides the order of keys in tree
+   *
+   * @returns {BTree} - tree holding every entry
+   */
+  static fromSorted(entries, order, comparator) {
+    if (!Array.isArray(entries)) {
+      throw new Error("Entries must be an array of [key, value] pairs");
+    }
+
+    const tree = new BTree(order, comparator);
+
+    for (let i = 1; i < entries.length; i++) {
+      if (tree.comparator(entries[i - 1][0], entries[i][0]) >= 0) {
+        throw new Error("Entries must be sorted by key without duplicates");
+      }
+    }
+    if (entries.length === 0) {
+      return tree;
+    }
+
+    let level = groupEvenly(entries, tree.order - 1).map(group => {
+      const leaf = new LeafNode();
+      leaf.keys = group.map(entry => entry[0]);
+      leaf.values = group.map(entry => entry[1]);
+      return { node: leaf, min: leaf.keys[0] };
+    });
+    level.forEach((item, i) => {
+      item.node.next = i < level.length - 1 ? level[i + 1].node : null;
+    });
+
+    while (level.length > 1) {
+      level = groupEvenly(level, tree.order).map(group => {
+        const node = new InternalNode();
+        node.children = group.map(item => item.node);
+        node.keys = group.slice(1).map(item => item.min);
+        return { node, min: group[0].min };
+      });
+    }
+
+    tree.root = level[0].node;
+    return tree;
+  }
+
+  /**
+   * @description Remove a key and return its value.
+   *
+   * Strategy: Use private removeFrom function, then shrink the tree by one
+   * level if the root was left with a single child.
+   *
+   * Edge case(s): empty tree, key not found
+   *
+   * Time complexity: O(B log N), where B is order of tree
+   * Space complexity: O(log N)
+   *
+   * @param {*} key - key to be removed
+   *
+   * @returns {*} - value of removed key
+   */
+  delete(key) {
+    if (this.root.keys.length === 0) {
+      throw new Error("The tree is empty");
+    }
+
+    const leaf = findLeaf(this.root, key, this.comparator);
+    const index = searchKeys(leaf.keys, key, this.comparator, true);
+    if (index === leaf.keys.length || this.comparator(leaf.keys[index], key) !== 0) {
+      throw new Error("No match found for deletion");
+    }
+    const value = leaf.values[index];
+
+    removeFrom(this.root, key, this);
+    if (this.root instanceof InternalNode && this.root.children.length === 1) {
+      this.root = this.root.children[0];
+    }
+
+    return value;
+  }
+
+  /**
+   * @description Lazily iterate over [key, value] pairs in ascending key
+   * order, mirroring Map.prototype.entries.
+   *
+   * Strategy: Same as range method without bounds.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  entries() {
+    return this.range();
+  }
+
+  /**
+   * @description Find value stored with a key.
+   *
+   * Strategy: Descend to the only leaf that could hold the key, then binary
+   * search it.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {*} key - searching for this key in the tree
+   *
+   * @returns {*} - value stored with key, or null if key is not found
+   */
+  get(key) {
+    const leaf = findLeaf(this.root, key, this.comparator);
+    const index = searchKeys(leaf.keys, key, this.comparator, true);
+    if (index === leaf.keys.length || this.comparator(leaf.keys[index], key) !== 0) {
+      return null;
+    }
+    return leaf.values[index];
+  }
+
+  /**
+   * @description Count levels from root down to the leaves, which all sit at
+   * the same depth.
+   *
+   * Strategy: Follow first children down.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @returns {Number} - number of levels, 1 for a tree that is a single leaf
+   */
+  height() {
+    let height = 1;
+    let node = this.root;
+    while (node instanceof InternalNode) {
+      node = node.children[0];
+      height++;
+    }
+    return height;
+  }
+
+  /**
+   * @description Insert a key-value pair, or update the value of an existing
+   * key.
+   *
+   * Strategy: Use private insertInto function. If the root splits, grow the
+   * tree by one level with a new root over both halves.
+   *
+   * Time complexity: O(B log N), where B is order of tree
+   * Space complexity: O(B)
+   *
+   * @param {*} key - key to be inserted
+   * @param {*} value - value to be inserted
+   */
+  insert(key, value) {
+    const split = insertInto(this.root, key, value, this);
+    if (split === null) {
+      return;
+    }
+
+    const root = new InternalNode();
+    root.keys = [split.separator];
+    root.children = [this.root, split.right];
+    this.root = root;
+  }
+
+  /**
+   * @description Lazily iterate over keys in ascending order, mirroring
+   * Map.prototype.keys.
+   *
+   * Strategy: Walk linked leaves from left-most leaf.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   *
+   * @yields {*} - next key in order
+   */
+  *keys() {
+    for (const [key] of this.range()) {
+      yield key;
+    }
+  }
+
+  /**
+   * @description Lazily iterate over [key, value] pairs whose keys fall
+   * between lo and hi inclusive, in ascending order. Either bound may be
+   * left out.
+   *
+   * Strategy: Descend once to the leaf that would hold lo, then follow next
+   * links from leaf to leaf until a key passes hi.
+   *
+   * Time complexity: O(log N + K), where K is number of pairs yielded
+   * Space complexity: O(1)
+   *
+   * @param {*=} lo - smallest key to yield
+   * @param {*=} hi - largest key to yield
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  *range(lo, hi) {
+    let leaf;
+    let index = 0;
+
+    if (lo === undefined) {
+      leaf = this.root;
+      while (leaf instanceof InternalNode) {
+        leaf = leaf.children[0];
+      }
+    } else {
+      leaf = findLeaf(this.root, lo, this.comparator);
+      index = searchKeys(leaf.keys, lo, this.comparator, true);
+    }
+
+    while (leaf !== null) {
+      for (; index < leaf.keys.length; index++) {
+        if (hi !== undefined && this.comparator(leaf.keys[index], hi) > 0) {
+          return;
+        }
+        yield [leaf.keys[index], leaf.values[index]];
+      }
+      leaf = leaf.next;
+      index = 0;
+    }
+  }
+
+  /**
+   * @description Count keys in tree.
+   *
+   * Strategy: Add up key counts while walking linked leaves.
+   *
+   * Time complexity: O(N / B), where B is order of tree
+   * Space complexity: O(1)
+   *
+   * @returns {Number} - number of keys in tree
+   */
+  size() {
+    let leaf = this.root;
+    while (leaf instanceof InternalNode) {
+      leaf = leaf.children[0];
+    }
+
+    let count = 0;
+    while (leaf !== null) {
+      count += leaf.keys.length;
+      leaf = leaf.next;
+    }
+    return count;
+  }
+
+  /**
+   * @description Lazily iterate over values in ascending key order,
+   * mirroring Map.prototype.values.
+   *
+   * Strategy: Walk linked leaves from left-most leaf.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   *
+   * @yields {*} - next value in key order
+   */
+  *values() {
+    for (const [, value] of this.range()) {
+      yield value;
+    }
+  }
+
+  /**
+   * @description Make tree iterable with for...of and spread syntax. Like a
+   * Map, iterating a tree yields [key, value] pairs in ascending key order.
+   *
+   * Strategy: Same as entries method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  [Symbol.iterator]() {
+    return this.range();
+  }
+}
+
+module.exports = BTree;
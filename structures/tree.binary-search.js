@@ -1,3 +1,14 @@
+const {
+  defaultComparator,
+  findOrderViolation,
+  getNode,
+  inOrderNodes,
+  levelOrderNodes,
+  levelsOf,
+  postOrderNodes,
+  preOrderNodes
+} = require("./tree.helpers");
+
 /**
  * Class representing a node in the tree
  * @private
@@ -8,13 +19,17 @@ class Node {
    *
    * @constructor
    *
-   * @param {Number|String} value - value held by node
+   * @param {Number|String} key - key that orders node in tree
+   * @param {*} value - value held by node
    *
-   * @property {Number|String} value - value held by node
+   * @property {Number|String} key - key that orders node in tree
+   * @property {*} value - value held by node, which is the key itself when
+   * the tree is used as a set
    * @property {Object|Null} left - left child node
    * @property {Object|Null} right - right child node
    */
-  constructor(value) {
+  constructor(key, value) {
+    this.key = key;
     this.value = value;
     this.left = null;
     this.right = null;
@@ -107,44 +122,475 @@ function deleteNode(node) {
   }
 }
 
+/**
+ * @description: Helper for add, set and delete methods. Rejects keys the tree
+ * cannot order.
+ *
+ * Strategy: undefined is never allowed. The default comparator only orders
+ * numbers and strings, so null, objects and NaN are also rejected unless the
+ * tree was given a custom comparator.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {*} key - key to be checked
+ * @param {Function} comparator - comparator used by the tree
+ *
+ * @returns {Boolean} - true if key cannot be stored in the tree
+ *
+ * @private
+ */
+function isInvalidKey(key, comparator) {
+  if (key === undefined) {
+    return true;
+  }
+
+  return (
+    comparator === defaultComparator &&
+    (typeof key === "object" || isNaN(key))
+  );
+}
+
+/**
+ * @description: Helper for fromSorted method. Builds a perfectly balanced
+ * subtree from a slice of sorted entries.
+ *
+ * Strategy: Middle entry becomes the root, and each half of the remaining
+ * entries becomes one of its subtrees.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(N)
+ *
+ * @param {Array} entries - [key, value] pairs sorted by key
+ * @param {Number} lo - index of first entry in subtree
+ * @param {Number} hi - index of last entry in subtree
+ *
+ * @returns {Object|Null} - root of subtree
+ *
+ * @private
+ */
+function buildBalanced(entries, lo, hi) {
+  if (lo > hi) {
+    return null;
+  }
+
+  const mid = lo + Math.floor((hi - lo) / 2);
+  const node = new Node(entries[mid][0], entries[mid][1]);
+  node.left = buildBalanced(entries, lo, mid - 1);
+  node.right = buildBalanced(entries, mid + 1, hi);
+  return node;
+}
+
+/**
+ * @description: Helper for fromJSON method. Turns one serialized node back
+ * into a node. A node whose value is its own key is stored as [key].
+ *
+ * Edge case(s): malformed nodes, invalid keys
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Array} item - [key] or [key, value]
+ * @param {Function} comparator - comparator used by the tree
+ *
+ * @returns {Object} - new node without children
+ *
+ * @private
+ */
+function parseNode(item, comparator) {
+  if (!Array.isArray(item) || item.length < 1 || item.length > 2) {
+    throw new Error("Serialized nodes must be [key] or [key, value] arrays");
+  }
+  if (isInvalidKey(item[0], comparator)) {
+    throw new Error(
+      "This tree assumes that keys do not include undefined, null, objects, or NaN"
+    );
+  }
+
+  return item.length === 1
+    ? new Node(item[0], item[0])
+    : new Node(item[0], item[1]);
+}
+
+/**
+ * @description: Helper for fromJSON method. Rebuilds the exact shape of a
+ * tree from its pre-order listing, where null marks a missing child.
+ *
+ * Strategy: Explicit stack of nodes still waiting for children. Each item
+ * read fills the first open slot of the node on top, left before right, and
+ * a new node is pushed so its own children are read next.
+ *
+ * Edge case(s): truncated or overlong listings
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(H), where H is height of tree
+ *
+ * @param {Array} items - serialized nodes and nulls in pre-order
+ * @param {Function} comparator - comparator used by the tree
+ *
+ * @returns {Object|Null} - root of rebuilt tree
+ *
+ * @private
+ */
+function readShape(items, comparator) {
+  let index = 0;
+  const read = () => {
+    if (index >= items.length) {
+      throw new Error("Serialized tree ended before every node was complete");
+    }
+    const item = items[index++];
+    return item === null ? null : parseNode(item, comparator);
+  };
+
+  const root = read();
+  const stack = root === null ? [] : [{ node: root, filled: 0 }];
+
+  while (stack.length > 0) {
+    const top = stack[stack.length - 1];
+    if (top.filled === 2) {
+      stack.pop();
+      continue;
+    }
+
+    const child = read();
+    if (top.filled === 0) {
+      top.node.left = child;
+    } else {
+      top.node.right = child;
+    }
+    top.filled++;
+
+    if (child !== null) {
+      stack.push({ node: child, filled: 0 });
+    }
+  }
+
+  if (index !== items.length) {
+    throw new Error("Serialized tree has items after its last node");
+  }
+
+  return root;
+}
+
+/**
+ * @description: Helper for fromPreorder method. Rebuilds a tree from its
+ * keys in pre-order, which is enough to fix its shape.
+ *
+ * Strategy: Explicit stack holds the right spine still open for children.
+ * A smaller key becomes left child of the previous node. A greater key pops
+ * every node it exceeds and becomes right child of the last one popped. Any
+ * later key must exceed that node too, or the listing is not pre-order.
+ *
+ * Edge case(s): duplicates, keys out of pre-order
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(H), where H is height of tree
+ *
+ * @param {Array} entries - [key, value] pairs in pre-order
+ * @param {Function} comparator - comparator used by the tree
+ *
+ * @returns {Object|Null} - root of rebuilt tree
+ *
+ * @private
+ */
+function readPreorder(entries, comparator) {
+  const stack = [];
+  let root = null;
+  let lowerBound = null;
+
+  entries.forEach(([key, value]) => {
+    if (isInvalidKey(key, comparator)) {
+      throw new Error(
+        "This tree assumes that keys do not include undefined, null, objects, or NaN"
+      );
+    }
+    if (lowerBound !== null && comparator(key, lowerBound.key) <= 0) {
+      throw new Error(`Entries are not in pre-order, found ${key} after ${lowerBound.key}`);
+    }
+
+    const node = new Node(key, value);
+    if (root === null) {
+      root = node;
+    } else if (comparator(key, stack[stack.length - 1].key) < 0) {
+      stack[stack.length - 1].left = node;
+    } else {
+      while (stack.length > 0 && comparator(key, stack[stack.length - 1].key) >= 0) {
+        lowerBound = stack.pop();
+        if (comparator(key, lowerBound.key) === 0) {
+          throw new Error(`Entries must not contain duplicate key ${key}`);
+        }
+      }
+      lowerBound.right = node;
+    }
+
+    stack.push(node);
+  });
+
+  return root;
+}
+
+/**
+ * @description: Draw tree as indented ASCII lines, one node per line.
+ *
+ * Strategy: Explicit-stack pre-order traversal. Each stack entry remembers the
+ * indentation drawn so far, so degenerate trees cannot overflow the call
+ * stack. Children are tagged L or R so a lone child shows its side.
+ *
+ * Time complexity: O(N * H), where H is height of tree, for the indentation
+ * Space complexity: O(N * H)
+ *
+ * @param {Object|Null} root - root of tree to be drawn
+ *
+ * @returns {String} - diagram with one line per node, or empty string if empty
+ *
+ * @private
+ */
+function drawTree(root) {
+  const lines = [];
+  const stack = root === null ? [] : [{ node: root, prefix: "", branch: "" }];
+
+  while (stack.length > 0) {
+    const { node, prefix, branch } = stack.pop();
+    lines.push(prefix + branch + String(node.key));
+
+    const childPrefix = prefix + (branch === "" ? "" : branch.startsWith("`") ? "    " : "|   ");
+    const children = [["L", node.left], ["R", node.right]].filter(([, child]) => child !== null);
+
+    // Push in reverse so left child is drawn first
+    for (let i = children.length - 1; i >= 0; i--) {
+      const [side, child] = children[i];
+      const connector = i === children.length - 1 ? "`-- " : "|-- ";
+      stack.push({ node: child, prefix: childPrefix, branch: `${connector}${side}: ` });
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * @description: Describe tree in Graphviz DOT language.
+ *
+ * Strategy: Explicit-stack pre-order traversal that numbers nodes as they are
+ * visited. When a node has only one child, an invisible point stands in for
+ * the missing one so Graphviz still draws the child on its correct side.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(N)
+ *
+ * @param {Object|Null} root - root of tree to be described
+ *
+ * @returns {String} - DOT source of a directed graph
+ *
+ * @private
+ */
+function dotTree(root) {
+  const lines = ["digraph BinarySearchTree {", "  node [shape=circle];"];
+  const stack = root === null ? [] : [{ node: root, id: "n0" }];
+  let count = 1;
+
+  while (stack.length > 0) {
+    const { node, id } = stack.pop();
+    lines.push(`  ${id} [label=${JSON.stringify(String(node.key))}];`);
+
+    const children = [node.left, node.right];
+    if (children[0] === null && children[1] === null) {
+      continue;
+    }
+
+    const childIds = children.map(() => `n${count++}`);
+    children.forEach((child, i) => {
+      if (child === null) {
+        lines.push(`  ${childIds[i]} [shape=point, style=invis];`);
+        lines.push(`  ${id} -> ${childIds[i]} [style=invis];`);
+        return;
+      }
+      lines.push(`  ${id} -> ${childIds[i]};`);
+    });
+
+    // Push right first so nodes are numbered in pre-order
+    for (let i = children.length - 1; i >= 0; i--) {
+      if (children[i] !== null) {
+        stack.push({ node: children[i], id: childIds[i] });
+      }
+    }
+  }
+
+  lines.push("}");
+  return lines.join("\n");
+}
+
 /** Class representing our tree */
 class BinarySearchTree {
   /**
-   * Track root of tree.
+   * Track root of tree and how keys are ordered.
+   *
+   * Tree can be used as a set of bare values, where each value is its own
+   * key, or as a map from keys to values.
    *
    * @constructor
    *
+   * @param {Function=} comparator - takes two keys and returns a negative
+   * number, zero or a positive number, like Array.prototype.sort comparators
+   *
    * @property {Object|Null} root - top level node in tree
+   * @property {Function} comparator - decides the order of keys in tree
    */
-  constructor() {
+  constructor(comparator = defaultComparator) {
+    if (typeof comparator !== "function") {
+      throw new Error("Comparator must be a function");
+    }
+
     this.root = null;
+    this.comparator = comparator;
+  }
+
+  /**
+   * @description Build a tree from any iterable of [key, value] pairs sorted
+   * by key, such as another tree's entries or a generator.
+   *
+   * Strategy: Collect pairs into an array and use fromSorted method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Iterable} iterable - [key, value] pairs in strictly ascending key order
+   * @param {Function=} comparator - decides the order of keys in tree
+   *
+   * @returns {BinarySearchTree} - perfectly balanced tree holding every pair
+   */
+  static from(iterable, comparator) {
+    return this.fromSorted([...iterable], comparator);
+  }
+
+  /**
+   * @description Build a perfectly balanced tree from an array of
+   * [key, value] pairs sorted by key. Adding sorted keys one at a time would
+   * instead build a linked list. For a set, pass each value as both key and
+   * value.
+   *
+   * Strategy: Check that every key is valid and strictly greater than the one
+   * before, then use private buildBalanced function.
+   *
+   * Edge case(s): empty input, invalid keys, unsorted or duplicate keys
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Array} entries - [key, value] pairs in strictly ascending key order
+   * @param {Function=} comparator - decides the order of keys in tree
+   *
+   * @returns {BinarySearchTree} - perfectly balanced tree holding every pair
+   */
+  static fromSorted(entries, comparator) {
+    if (!Array.isArray(entries)) {
+      throw new Error("Entries must be an array of [key, value] pairs");
+    }
+
+    const tree = new this(comparator);
+    entries.forEach(([key], i) => {
+      if (isInvalidKey(key, tree.comparator)) {
+        throw new Error(
+          "This tree assumes that keys do not include undefined, null, objects, or NaN"
+        );
+      }
+      if (i > 0 && tree.comparator(entries[i - 1][0], key) >= 0) {
+        throw new Error(
+          `Entries must be sorted by key without duplicates, but found ${key} after ${entries[i - 1][0]}`
+        );
+      }
+    });
+
+    tree.root = buildBalanced(entries, 0, entries.length - 1);
+    return tree;
   }
 
   /**
-   * @description: Adds a node with the given value to the tree.
+   * @description Rebuild a tree saved with toJSON method, with exactly the
+   * shape it had when saved.
+   *
+   * Strategy: Parse strings, rebuild nodes with private readShape function,
+   * then check that keys are still in order for this comparator.
    *
-   * Strategy: Start at root node, then check if input value is smaller or greater
-   * than root value. Each direction will check to see if a node is already present
+   * Edge case(s): JSON strings, malformed input, keys out of order
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Object|String} json - output of toJSON method, or its JSON string
+   * @param {Function=} comparator - decides the order of keys in tree
+   *
+   * @returns {BinarySearchTree} - tree of the same shape
+   */
+  static fromJSON(json, comparator) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    if (data === null || typeof data !== "object" || !Array.isArray(data.nodes)) {
+      throw new Error("Serialized tree must have an array of nodes");
+    }
+
+    const tree = new this(comparator);
+    tree.root = readShape(data.nodes, tree.comparator);
+    tree.assertInvariants();
+    return tree;
+  }
+
+  /**
+   * @description Rebuild a tree from the [key, value] pairs listed by
+   * toPreorder method. A BST is fixed by its keys in pre-order, so no
+   * markers for missing children are needed.
+   *
+   * Strategy: Use private readPreorder function.
+   *
+   * Edge case(s): empty input, invalid keys, duplicates, keys out of pre-order
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Array} entries - [key, value] pairs in pre-order
+   * @param {Function=} comparator - decides the order of keys in tree
+   *
+   * @returns {BinarySearchTree} - tree of the same shape
+   */
+  static fromPreorder(entries, comparator) {
+    if (!Array.isArray(entries)) {
+      throw new Error("Entries must be an array of [key, value] pairs");
+    }
+
+    const tree = new this(comparator);
+    tree.root = readPreorder(entries, tree.comparator);
+    return tree;
+  }
+
+  /**
+   * @description: Adds a node with the given key and value to the tree. When
+   * called with only a key, the key doubles as the value, so the tree acts
+   * as a set.
+   *
+   * Strategy: Start at root node, then check if input key is smaller or greater
+   * than root key. Each direction will check to see if a node is already present
    * in that direction. If exists, set current node to that node to traverse.
-   * If not, insert new node with input value.
+   * If not, insert new node with input key and value.
    *
    * Edge case(s): inappropriate inputs, duplicates
    *
    * Time complexity: O(log N)
    * Space complexity: O(1)
    *
-   * @param {Number|String} value - value to be inserted into new node
-   * @returns {Boolean} - true means add was successful
+   * @param {Number|String} key - key to be inserted into new node
+   * @param {*=} value - payload stored with key, defaults to the key itself
+   * when left out. An explicit undefined is stored as undefined
    */
-  add(value) {
+  add(key, value) {
     // Type checking
-    if (value === undefined || typeof value === "object" || isNaN(value)) {
+    if (isInvalidKey(key, this.comparator)) {
       throw new Error(
-        "This tree assumes that values do not include undefined, null, objects, or NaN"
+        "This tree assumes that keys do not include undefined, null, objects, or NaN"
       );
     }
+    if (arguments.length < 2) {
+      value = key;
+    }
 
-    let newNode = new Node(value);
+    let newNode = new Node(key, value);
 
     // If tree is empty...
     if (this.root === null) {
@@ -156,12 +602,13 @@ class BinarySearchTree {
 
     // Traverse tree
     while (node !== null) {
-      if (value === node.value) {
-        throw new Error("Cannot add duplicate values");
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) {
+        throw new Error("Cannot add duplicate keys");
       }
 
-      // Lesser values move us left or create new left tree
-      if (value < node.value) {
+      // Lesser keys move us left or create new left tree
+      if (comparison < 0) {
         if (node.left === null) {
           node.left = newNode;
           return;
@@ -170,8 +617,8 @@ class BinarySearchTree {
         node = node.left;
       }
 
-      // Greater values move us right or create new right tree
-      if (value > node.value) {
+      // Greater keys move us right or create new right tree
+      if (comparison > 0) {
         if (node.right === null) {
           node.right = newNode;
           return;
@@ -182,6 +629,22 @@ class BinarySearchTree {
     }
   }
 
+  /**
+   * @description Throw an error describing the first broken invariant, if
+   * any. Useful for debugging code that edits nodes directly.
+   *
+   * Strategy: Use shared findOrderViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   */
+  assertInvariants() {
+    const violation = findOrderViolation(this.root, this.comparator);
+    if (violation !== null) {
+      throw new Error(violation);
+    }
+  }
+
   /**
    * @description Apply a callback to the entire tree in level order.
    *
@@ -225,42 +688,27 @@ class BinarySearchTree {
   }
 
   /**
-   * @description Check if node with given value exists in tree.
+   * @description Check if node with given key exists in tree.
    *
-   * Strategy: Start at root node. Loop to traverse tree until null pointer.
-   * Check if input value ever equals a node's value.
+   * Strategy: Use private getNode function.
    *
    * Time complexity: O(log N)
    * Space complexity: O(1)
    *
-   * @param {*} value - searching for this value in the tree
-   * @returns {Boolean} - whether or not value exists in tree
+   * @param {*} key - searching for this key in the tree
+   * @returns {Boolean} - whether or not key exists in tree
    */
-  contains(value) {
-    let node = this.root;
-
-    while (node !== null) {
-      if (value === node.value) {
-        return true;
-      }
-      if (value < node.value) {
-        node = node.left;
-      }
-      if (value > node.value) {
-        node = node.right;
-      }
-    }
-
-    return false;
+  contains(key) {
+    return getNode(this.root, key, this.comparator) !== null;
   }
 
   /**
-   * @description: Hibbard deletion. Removes a node with the given value from
+   * @description: Hibbard deletion. Removes a node with the given key from
    * the tree. If used extensively, slants tree and makes tree height sqrt(N),
    * which slows typically logarithmic operations.
    *
    * Strategy: Traverse with parent pointer until find child node containing
-   * the given value. Call deleteNode on matched child and update parent pointer
+   * the given key. Call deleteNode on matched child and update parent pointer
    * in the direction previously traversed.
    *
    * Edge case(s): delete root, input does not exist in tree, empty tree
@@ -268,17 +716,17 @@ class BinarySearchTree {
    * Time complexity: O(log N)
    * Space complexity: O(1)
    *
-   * @param {Number|String} value - value of node to be removed
+   * @param {Number|String} key - key of node to be removed
    * @returns {Object} - node removed
    */
-  delete(value) {
+  delete(key) {
     if (this.root === null) {
       throw new Error("The tree is empty");
     }
 
-    if (value === undefined || typeof value === "object" || isNaN(value)) {
+    if (isInvalidKey(key, this.comparator)) {
       throw new Error(
-        "Values like undefined, null, objects and NaN are not allowed in this tree"
+        "Keys like undefined, null, objects and NaN are not allowed in this tree"
       );
     }
 
@@ -289,31 +737,33 @@ class BinarySearchTree {
     let direction;
 
     // check if root is node to be deleted
-    if (value === parent.value) {
+    const rootComparison = this.comparator(key, parent.key);
+    if (rootComparison === 0) {
       this.root = deleteNode(parent);
       return parent;
     }
 
-    // set initial child to check value against
-    if (value < parent.value) {
+    // set initial child to check key against
+    if (rootComparison < 0) {
       child = parent.left;
       direction = "left";
-    } else if (value > parent.value) {
+    } else {
       child = parent.right;
       direction = "right";
     }
 
     // traverse tree
     while (child !== null) {
-      if (value === child.value) {
+      const comparison = this.comparator(key, child.key);
+      if (comparison === 0) {
         // parent overwrites pointer to matched child
         parent[direction] = deleteNode(child);
         return child;
-      } else if (value < child.value) {
+      } else if (comparison < 0) {
         child = child.left;
         parent = parent[direction];
         direction = "left";
-      } else if (value > child.value) {
+      } else {
         child = child.right;
         parent = parent[direction];
         direction = "right";
@@ -327,29 +777,25 @@ class BinarySearchTree {
    * @description Depth-first in-order traversal that applies callback to
    * all node values in ascending order.
    *
-   * Strategy: Callback is applied between recursive calls to left and right
-   * subtrees. End traversal in either direction when pointer in that direction
-   * is null.
+   * Strategy: Explicit stack replaces recursion so degenerate trees, such as
+   * those built from sorted input, cannot overflow the call stack. Push left
+   * spine, pop and call smallest node, then continue with its right subtree.
    *
    * Edge case(s): Empty tree
    *
    * Time complexity: O(N)
-   * Space complexity: O(1)
+   * Space complexity: O(H), where H is height of tree
    *
    * @param {Function} callback - invoked on every node's value in-order
-   * @param {Object=} node - current node being traversed and called
+   * @param {Object=} node - root of subtree to traverse
    */
   depthInOrder(callback, node = this.root) {
     if (node === null) {
       throw new Error("The tree is empty");
     }
 
-    if (node.left !== null) {
-      this.depthInOrder(callback, node.left);
-    }
-    callback(node.value);
-    if (node.right !== null) {
-      this.depthInOrder(callback, node.right);
+    for (const current of inOrderNodes(node)) {
+      callback(current.value);
     }
   }
 
@@ -357,75 +803,274 @@ class BinarySearchTree {
    * @description Depth-first post-order traversal that applies callback to
    * all node values in this order: left leaf, right leaf, root
    *
-   * Strategy: Callback is applied after recursive calls to left and right
-   * subtrees. End traversal in either direction when pointer in that direction
-   * is null.
+   * Strategy: Explicit stack replaces recursion so degenerate trees cannot
+   * overflow the call stack. A node is called once its right subtree is empty
+   * or was the last subtree called.
    *
    * Edge case(s): Empty tree
    *
    * Time complexity: O(N)
-   * Space complexity: O(1)
+   * Space complexity: O(H), where H is height of tree
    *
    * @param {Function} callback - invoked on every node's value post-order
-   * @param {Object=} node - current node being traversed and called
+   * @param {Object=} node - root of subtree to traverse
    */
   depthPostOrder(callback, node = this.root) {
     if (node === null) {
       throw new Error("The tree is empty");
     }
 
-    if (node.left !== null) {
-      this.depthPostOrder(callback, node.left);
+    for (const current of postOrderNodes(node)) {
+      callback(current.value);
     }
-    if (node.right !== null) {
-      this.depthPostOrder(callback, node.right);
-    }
-    callback(node.value);
   }
 
   /**
    * @description Depth-first pre-order traversal that applies callback to
    * all node values in this order: root, left leaf, right leaf
    *
-   * Strategy: Callback is applied before recursive calls to left and right
-   * subtrees. End traversal in either direction when pointer in that direction
-   * is null.
+   * Strategy: Explicit stack replaces recursion so degenerate trees cannot
+   * overflow the call stack. Pop and call a node, then push its right child
+   * before its left child so left subtree is called first.
    *
    * Edge case(s): Empty tree
    *
    * Time complexity: O(N)
-   * Space complexity: O(1)
+   * Space complexity: O(H), where H is height of tree
    *
    * @param {Function} callback - invoked on every node's value pre-order
-   * @param {Object=} node - current node being traversed and called
+   * @param {Object=} node - root of subtree to traverse
    */
   depthPreOrder(callback, node = this.root) {
     if (node === null) {
       throw new Error("The tree is empty");
     }
 
-    callback(node.value);
-    if (node.left !== null) {
-      this.depthPreOrder(callback, node.left);
+    for (const current of preOrderNodes(node)) {
+      callback(current.value);
     }
-    if (node.right !== null) {
-      this.depthPreOrder(callback, node.right);
+  }
+
+  /**
+   * @description Lazily iterate over [key, value] pairs in ascending key
+   * order. For trees used as a set, this yields [value, value] pairs,
+   * mirroring Set.prototype.entries.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  *entries() {
+    for (const node of inOrderNodes(this.root)) {
+      yield [node.key, node.value];
     }
   }
 
   /**
-   * @description Find maximum value in tree.
+   * @description Find node with given key and return its value.
+   *
+   * Strategy: Use private getNode function.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - searching for this key in the tree
+   *
+   * @returns {*} - value stored with key, or null if key is not found
+   */
+  get(key) {
+    const node = getNode(this.root, key, this.comparator);
+    return node === null ? null : node.value;
+  }
+
+  /**
+   * @description Count nodes on longest path from root down to a leaf.
+   *
+   * Strategy: Count levels, which avoids recursion on degenerate trees.
+   *
+   * Edge case(s): Empty tree has height 0
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Number} - height of tree
+   */
+  height() {
+    return levelsOf(this.root).length;
+  }
+
+  /**
+   * @description Lazily iterate over keys in ascending order. Empty trees
+   * yield nothing.
+   *
+   * Strategy: Explicit-stack in-order traversal, so iteration can stop early
+   * with break.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key in-order
+   */
+  *inOrder() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Check whether every key sits in correct BST order.
+   *
+   * Strategy: Use shared findOrderViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @returns {Boolean} - true if every invariant holds
+   */
+  isValid() {
+    return findOrderViolation(this.root, this.comparator) === null;
+  }
+
+  /**
+   * @description Lazily iterate over keys in ascending order. For trees used
+   * as a set, keys are the values, mirroring Set.prototype.keys.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key in-order
+   */
+  *keys() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Find the k-th smallest key, counting from 1.
+   *
+   * Strategy: Explicit-stack in-order traversal that stops after k nodes.
+   *
+   * Edge case(s): k outside 1 through size of tree
+   *
+   * Time complexity: O(H + k), where H is height of tree
+   * Space complexity: O(H)
+   *
+   * @param {Number} k - position of key in ascending order, starting at 1
+   *
+   * @returns {Number|String} - k-th smallest key
+   */
+  kthSmallest(k) {
+    if (!Number.isInteger(k) || k < 1) {
+      throw new Error("k must be a positive integer");
+    }
+
+    let count = 0;
+    for (const node of inOrderNodes(this.root)) {
+      count++;
+      if (count === k) {
+        return node.key;
+      }
+    }
+
+    throw new Error(`The tree holds fewer than ${k} keys`);
+  }
+
+  /**
+   * @description Lazily iterate over keys level by level. Empty trees yield
+   * nothing.
+   *
+   * Strategy: Generator version of breadthFirstSearch method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @yields {Number|String} - next key in level order
+   */
+  *levelOrder() {
+    for (const node of levelOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Report shape of tree as the keys found at each depth.
+   *
+   * Strategy: Use private levelsOf function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Array} - one array of keys per level, from root down
+   */
+  levels() {
+    return levelsOf(this.root).map(level => level.map(node => node.key));
+  }
+
+  /**
+   * @description Find the deepest node that has both keys in its subtree.
+   * A key counts as its own ancestor.
+   *
+   * Strategy: From root, move left while both keys are smaller and right
+   * while both are larger. The first node where they part ways, or that
+   * holds one of them, is the ancestor. Then confirm both keys exist below
+   * it.
+   *
+   * Edge case(s): either key missing, same key twice
+   *
+   * Time complexity: O(H), where H is height of tree
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} a - first key
+   * @param {Number|String} b - second key
+   *
+   * @returns {Number|String|Null} - key of lowest common ancestor, or null if
+   * either key is not in the tree
+   */
+  lowestCommonAncestor(a, b) {
+    let node = this.root;
+
+    while (node !== null) {
+      const comparisonA = this.comparator(a, node.key);
+      const comparisonB = this.comparator(b, node.key);
+      if (comparisonA < 0 && comparisonB < 0) {
+        node = node.left;
+      } else if (comparisonA > 0 && comparisonB > 0) {
+        node = node.right;
+      } else {
+        break;
+      }
+    }
+
+    if (
+      node === null ||
+      getNode(node, a, this.comparator) === null ||
+      getNode(node, b, this.comparator) === null
+    ) {
+      return null;
+    }
+
+    return node.key;
+  }
+
+  /**
+   * @description Find maximum key in tree.
    *
    * Strategy: Maximum is right-most node. Traverse tree by starting at root node
    * and reassigning node to that node's right. When right pointer is null, current
-   * node's value will be the maximum value in the tree.
+   * node's key will be the maximum key in the tree.
    *
    * Edge case(s): Empty tree
    *
    * Time complexity: O(log N)
    * Space complexity: O(1)
    *
-   * @returns {Number|String} - maximum value in tree
+   * @returns {Number|String} - maximum key in tree
    */
   max() {
     let node = this.root;
@@ -435,22 +1080,22 @@ class BinarySearchTree {
     while (node.right !== null) {
       node = node.right;
     }
-    return node.value;
+    return node.key;
   }
 
   /**
-   * @description Find minimum value in tree.
+   * @description Find minimum key in tree.
    *
    * Strategy: Minimum is left-most node. Traverse tree by starting at root node
    * and reassigning node to that node's left. When left pointer is null, current
-   * node's value will be the minimum value in the tree.
+   * node's key will be the minimum key in the tree.
    *
    * Edge case(s): Empty tree
    *
    * Time complexity: O(log N)
    * Space complexity: O(1)
    *
-   * @returns {Number|String} - minimum value in tree
+   * @returns {Number|String} - minimum key in tree
    */
   min() {
     let node = this.root;
@@ -460,7 +1105,298 @@ class BinarySearchTree {
     while (node.left !== null) {
       node = node.left;
     }
-    return node.value;
+    return node.key;
+  }
+
+  /**
+   * @description List keys on the way from root down to a key.
+   *
+   * Strategy: Walk the search path, recording every key passed.
+   *
+   * Time complexity: O(H), where H is height of tree
+   * Space complexity: O(H)
+   *
+   * @param {Number|String} key - key at end of path
+   *
+   * @returns {Array|Null} - keys from root to given key inclusive, or null if
+   * key is not in the tree
+   */
+  pathTo(key) {
+    const path = [];
+    let node = this.root;
+
+    while (node !== null) {
+      path.push(node.key);
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) {
+        return path;
+      }
+      node = comparison < 0 ? node.left : node.right;
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Lazily iterate over keys in this order: left leaf, right
+   * leaf, root. Empty trees yield nothing.
+   *
+   * Strategy: Generator version of depthPostOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key post-order
+   */
+  *postOrder() {
+    for (const node of postOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Find largest key smaller than a given key. The given key
+   * does not need to be in the tree.
+   *
+   * Strategy: Walk the search path. Every time the path turns right, the node
+   * passed is smaller than the key and larger than any smaller key seen so
+   * far.
+   *
+   * Time complexity: O(H), where H is height of tree
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to search below
+   *
+   * @returns {Number|String|Null} - predecessor, or null if none exists
+   */
+  predecessor(key) {
+    let candidate = null;
+    let node = this.root;
+
+    while (node !== null) {
+      if (this.comparator(key, node.key) > 0) {
+        candidate = node;
+        node = node.right;
+      } else {
+        node = node.left;
+      }
+    }
+
+    return candidate === null ? null : candidate.key;
+  }
+
+  /**
+   * @description Lazily iterate over keys in this order: root, left leaf,
+   * right leaf. Empty trees yield nothing.
+   *
+   * Strategy: Generator version of depthPreOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key pre-order
+   */
+  *preOrder() {
+    for (const node of preOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Insert a key-value pair, or update the value if the key is
+   * already in the tree. When called with only a key, the key doubles as the
+   * value.
+   *
+   * Strategy: Use private getNode function to find an existing node. If none,
+   * fall back on add method.
+   *
+   * Edge case(s): inappropriate inputs
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be inserted or updated
+   * @param {*=} value - payload stored with key, defaults to the key itself
+   * when left out. An explicit undefined is stored as undefined
+   */
+  set(key, value) {
+    if (isInvalidKey(key, this.comparator)) {
+      throw new Error(
+        "This tree assumes that keys do not include undefined, null, objects, or NaN"
+      );
+    }
+    if (arguments.length < 2) {
+      value = key;
+    }
+
+    const node = getNode(this.root, key, this.comparator);
+    if (node === null) {
+      this.add(key, value);
+      return;
+    }
+
+    node.value = value;
+  }
+
+  /**
+   * @description Count values in tree.
+   *
+   * Strategy: Walk every node, since nodes do not cache subtree sizes.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @returns {Number} - number of values in tree
+   */
+  size() {
+    let count = 0;
+    for (const node of inOrderNodes(this.root)) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * @description Find smallest key larger than a given key. The given key
+   * does not need to be in the tree.
+   *
+   * Strategy: Walk the search path. Every time the path turns left, the node
+   * passed is larger than the key and smaller than any larger key seen so
+   * far.
+   *
+   * Time complexity: O(H), where H is height of tree
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to search above
+   *
+   * @returns {Number|String|Null} - successor, or null if none exists
+   */
+  successor(key) {
+    let candidate = null;
+    let node = this.root;
+
+    while (node !== null) {
+      if (this.comparator(key, node.key) < 0) {
+        candidate = node;
+        node = node.left;
+      } else {
+        node = node.right;
+      }
+    }
+
+    return candidate === null ? null : candidate.key;
+  }
+
+  /**
+   * @description Describe tree in Graphviz DOT language, ready to be pasted
+   * into a bug report or rendered with `dot -Tpng`.
+   *
+   * Strategy: Use private dotTree function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {String} - DOT source of a directed graph
+   */
+  toDot() {
+    return dotTree(this.root);
+  }
+
+  /**
+   * @description Describe tree as plain data that JSON.stringify can save
+   * and fromJSON can rebuild with the same shape. Nodes are listed in
+   * pre-order as [key] when the value is the key itself, or [key, value]
+   * otherwise, with null for every missing child.
+   *
+   * Strategy: Explicit-stack pre-order traversal that also visits nulls.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Object} - { nodes } listing of tree
+   */
+  toJSON() {
+    const nodes = [];
+    const stack = [this.root];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node === null) {
+        nodes.push(null);
+        continue;
+      }
+
+      nodes.push(node.value === node.key ? [node.key] : [node.key, node.value]);
+      stack.push(node.right, node.left);
+    }
+
+    return { nodes };
+  }
+
+  /**
+   * @description List [key, value] pairs in pre-order, the most compact
+   * listing fromPreorder can rebuild with the same shape.
+   *
+   * Strategy: Wrap pre-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Array} - [key, value] pairs in pre-order
+   */
+  toPreorder() {
+    const entries = [];
+    for (const node of preOrderNodes(this.root)) {
+      entries.push([node.key, node.value]);
+    }
+    return entries;
+  }
+
+  /**
+   * @description Draw tree as an indented ASCII diagram. Each child is tagged
+   * with the side it hangs from. Empty trees draw as an empty string.
+   *
+   * Strategy: Use private drawTree function.
+   *
+   * Time complexity: O(N * H), where H is height of tree
+   * Space complexity: O(N * H)
+   *
+   * @returns {String} - diagram with one line per node
+   */
+  toString() {
+    return drawTree(this.root);
+  }
+
+  /**
+   * @description Lazily iterate over values in ascending order, mirroring
+   * Set.prototype.values.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {*} - next value in-order
+   */
+  *values() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.value;
+    }
+  }
+
+  /**
+   * @description Make tree iterable with for...of and spread syntax. Like a
+   * Set, iterating a tree yields its values in ascending order.
+   *
+   * Strategy: Same as values method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {*} - next value in-order
+   */
+  [Symbol.iterator]() {
+    return this.values();
   }
 }
 
@@ -0,0 +1,358 @@
+/**
+ * Private helpers shared by the binary search tree family. Every tree here
+ * keeps its keys in nodes with key, left and right properties, so searching,
+ * traversing and checking key order work the same way for all of them.
+ * @private
+ */
+
+/**
+ * @description Default comparator used when none is given to a tree.
+ *
+ * Strategy: Use relational operators, which order numbers numerically and
+ * strings lexicographically.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Number|String} a - first key to compare
+ * @param {Number|String} b - second key to compare
+ *
+ * @returns {Number} - negative if a sorts first, positive if b sorts first, 0 if equal
+ *
+ * @private
+ */
+function defaultComparator(a, b) {
+  if (a < b) {
+    return -1;
+  }
+  if (a > b) {
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * @description Find first node that breaks BST order, or that fails a check
+ * specific to the kind of tree.
+ *
+ * Strategy: Explicit stack of nodes with the bounds their keys must fall
+ * strictly between, so degenerate trees cannot overflow the call stack.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(H), where H is height of tree
+ *
+ * @param {Object|Null} root - root of tree to be checked
+ * @param {Function} comparator - decides the order of keys in tree
+ * @param {Function=} checkNode - returns description of broken invariant at a
+ * node, or null if node is fine
+ *
+ * @returns {String|Null} - description of broken invariant, or null if valid
+ *
+ * @private
+ */
+function findOrderViolation(root, comparator, checkNode = () => null) {
+  const stack = root === null ? [] : [{ node: root, lo: null, hi: null }];
+
+  while (stack.length > 0) {
+    const { node, lo, hi } = stack.pop();
+
+    if (
+      (lo !== null && comparator(node.key, lo.key) <= 0) ||
+      (hi !== null && comparator(node.key, hi.key) >= 0)
+    ) {
+      return `BST ordering violated at key ${node.key}`;
+    }
+
+    const violation = checkNode(node);
+    if (violation !== null) {
+      return violation;
+    }
+
+    if (node.left !== null) {
+      stack.push({ node: node.left, lo, hi: node });
+    }
+    if (node.right !== null) {
+      stack.push({ node: node.right, lo: node, hi });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @description Find node with given key.
+ *
+ * Strategy: Start at given node. Loop to traverse tree until null pointer.
+ * On every iteration, compare key to decide direction.
+ *
+ * Time complexity: O(H), where H is height of tree
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - root of subtree to be searched
+ * @param {Number|String} key - key being searched for
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {Object|Null} - matched node, or null if key is not found
+ *
+ * @private
+ */
+function getNode(node, key, comparator) {
+  while (node !== null) {
+    const comparison = comparator(key, node.key);
+    if (comparison === 0) {
+      return node;
+    }
+    node = comparison < 0 ? node.left : node.right;
+  }
+
+  return null;
+}
+
+/**
+ * @description Group nodes by depth.
+ *
+ * Strategy: Build each level from children of the previous level.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(N)
+ *
+ * @param {Object|Null} root - root of tree to be grouped
+ *
+ * @returns {Array} - one array of nodes per level, from root down
+ *
+ * @private
+ */
+function levelsOf(root) {
+  const levels = [];
+  let level = root === null ? [] : [root];
+
+  while (level.length > 0) {
+    levels.push(level);
+    const nextLevel = [];
+
+    level.forEach(node => {
+      if (node.left !== null) {
+        nextLevel.push(node.left);
+      }
+      if (node.right !== null) {
+        nextLevel.push(node.right);
+      }
+    });
+
+    level = nextLevel;
+  }
+
+  return levels;
+}
+
+/**
+ * @description Find node with smallest key in subtree.
+ *
+ * Strategy: Minimum is left-most node.
+ *
+ * Time complexity: O(H), where H is height of subtree
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - root of non-empty subtree
+ *
+ * @returns {Object} - node with minimum key
+ *
+ * @private
+ */
+function minNode(node) {
+  while (node.left !== null) {
+    node = node.left;
+  }
+  return node;
+}
+
+/**
+ * @description Find node with largest key in subtree.
+ *
+ * Strategy: Maximum is right-most node.
+ *
+ * Time complexity: O(H), where H is height of subtree
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - root of non-empty subtree
+ *
+ * @returns {Object} - node with maximum key
+ *
+ * @private
+ */
+function maxNode(node) {
+  while (node.right !== null) {
+    node = node.right;
+  }
+  return node;
+}
+
+/**
+ * @description Lazily visit nodes in ascending order, optionally only those
+ * with keys between lo and hi, inclusive.
+ *
+ * Strategy: Explicit stack replaces the call stack. Push the left spine of the
+ * current node, skipping nodes below lo, then pop the smallest unvisited node,
+ * yield it and continue with its right subtree. Stop at first key above hi.
+ *
+ * Time complexity: O(H + M), where H is height of tree and M is number of
+ * nodes yielded
+ * Space complexity: O(H)
+ *
+ * @param {Object|Null} root - root of tree to traverse
+ * @param {Function=} comparator - decides the order of keys, required with bounds
+ * @param {Number|String=} lo - smallest key to yield
+ * @param {Number|String=} hi - largest key to yield
+ *
+ * @yields {Object} - next node in-order
+ *
+ * @private
+ */
+function* inOrderNodes(root, comparator, lo, hi) {
+  const hasLo = lo !== undefined;
+  const hasHi = hi !== undefined;
+  const stack = [];
+  let node = root;
+
+  while (node !== null || stack.length > 0) {
+    while (node !== null) {
+      // Node and its left subtree are below range, so only right subtree matters
+      if (hasLo && comparator(lo, node.key) > 0) {
+        node = node.right;
+        continue;
+      }
+      stack.push(node);
+      node = node.left;
+    }
+
+    if (stack.length === 0) {
+      return;
+    }
+    node = stack.pop();
+    if (hasHi && comparator(hi, node.key) < 0) {
+      return;
+    }
+    yield node;
+    node = node.right;
+  }
+}
+
+/**
+ * @description Lazily visit nodes level by level, left to right.
+ *
+ * Strategy: Build next level from children of current level to avoid
+ * expensive shifting costs.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(N)
+ *
+ * @param {Object|Null} root - root of tree to traverse
+ *
+ * @yields {Object} - next node in level order
+ *
+ * @private
+ */
+function* levelOrderNodes(root) {
+  let queue = root === null ? [] : [root];
+
+  while (queue.length > 0) {
+    const nextQueue = [];
+
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      yield node;
+      if (node.left !== null) {
+        nextQueue.push(node.left);
+      }
+      if (node.right !== null) {
+        nextQueue.push(node.right);
+      }
+    }
+
+    queue = nextQueue;
+  }
+}
+
+/**
+ * @description Lazily visit nodes with both subtrees before their root.
+ *
+ * Strategy: Explicit stack replaces the call stack. Descend left whenever
+ * possible, otherwise right. A node is yielded once its right subtree is empty
+ * or was the last node yielded.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(H), where H is height of tree
+ *
+ * @param {Object|Null} root - root of tree to traverse
+ *
+ * @yields {Object} - next node post-order
+ *
+ * @private
+ */
+function* postOrderNodes(root) {
+  const stack = [];
+  let node = root;
+  let lastYielded = null;
+
+  while (node !== null || stack.length > 0) {
+    while (node !== null) {
+      stack.push(node);
+      node = node.left;
+    }
+
+    const top = stack[stack.length - 1];
+
+    // Right subtree still needs a visit before its parent
+    if (top.right !== null && top.right !== lastYielded) {
+      node = top.right;
+      continue;
+    }
+
+    stack.pop();
+    yield top;
+    lastYielded = top;
+  }
+}
+
+/**
+ * @description Lazily visit nodes with each root before its subtrees.
+ *
+ * Strategy: Explicit stack replaces the call stack. Pop a node, yield it, then
+ * push right child before left child so left subtree is visited first.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(H), where H is height of tree
+ *
+ * @param {Object|Null} root - root of tree to traverse
+ *
+ * @yields {Object} - next node pre-order
+ *
+ * @private
+ */
+function* preOrderNodes(root) {
+  const stack = root === null ? [] : [root];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    yield node;
+    if (node.right !== null) {
+      stack.push(node.right);
+    }
+    if (node.left !== null) {
+      stack.push(node.left);
+    }
+  }
+}
+
+module.exports = {
+  defaultComparator,
+  findOrderViolation,
+  getNode,
+  inOrderNodes,
+  levelOrderNodes,
+  levelsOf,
+  maxNode,
+  minNode,
+  postOrderNodes,
+  preOrderNodes
+};
@@ -0,0 +1,351 @@
+const RedBlackTree = require('./tree.red-black');
+
+/**
+ * @description Order numbers, strings or dates with relational operators.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Number|String|Date} a - first endpoint to compare
+ * @param {Number|String|Date} b - second endpoint to compare
+ *
+ * @returns {Number} - negative if a sorts first, positive if b sorts first, 0 if equal
+ *
+ * @private
+ */
+function compareEndpoints(a, b) {
+  if (a < b) { return -1; }
+  if (a > b) { return 1; }
+  return 0;
+}
+
+/**
+ * @description Order intervals by low endpoint, breaking ties by high
+ * endpoint, so intervals sharing a start can live in the same tree.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Array} a - first [low, high] interval to compare
+ * @param {Array} b - second [low, high] interval to compare
+ *
+ * @returns {Number} - negative if a sorts first, positive if b sorts first, 0 if equal
+ *
+ * @private
+ */
+function compareIntervals(a, b) {
+  return compareEndpoints(a[0], b[0]) || compareEndpoints(a[1], b[1]);
+}
+
+/**
+ * @description Reject anything that is not a [low, high] pair with low no
+ * greater than high.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {*} interval - value to be checked
+ *
+ * @private
+ */
+function checkInterval(interval) {
+  if (!Array.isArray(interval) || interval.length !== 2) {
+    throw new Error('Intervals must be [low, high] pairs');
+  }
+  if (compareEndpoints(interval[0], interval[1]) > 0) {
+    throw new Error('Low endpoint of an interval cannot exceed its high endpoint');
+  }
+}
+
+/**
+ * Class representing a node in the interval tree
+ * @private
+ */
+class IntervalNode extends RedBlackTree.Node {
+  /**
+   * Red black node that also caches the largest high endpoint in its subtree
+   *
+   * @constructor
+   *
+   * @param {Array} key - [low, high] interval held by node
+   * @param {*} value - value held by node
+   * @param {Boolean} color - RED is true, BLACK is false
+   *
+   * @property {Number|String|Date} max - largest high endpoint in subtree
+   */
+  constructor(key, value, color) {
+    super(key, value, color);
+    this.max = key[1];
+  }
+
+  /**
+   * @description Recompute size and max endpoint from children.
+   *
+   * Time complexity: O(1)
+   * Space complexity: O(1)
+   */
+  update() {
+    super.update();
+    this.max = this.key[1];
+    if (this.left !== null && compareEndpoints(this.left.max, this.max) > 0) { this.max = this.left.max; }
+    if (this.right !== null && compareEndpoints(this.right.max, this.max) > 0) { this.max = this.right.max; }
+  }
+}
+
+/**
+ * @description Find first node whose cached max endpoint is wrong, if any.
+ *
+ * Strategy: Post-order traversal that returns each subtree's true max.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} root - root of tree to be checked
+ *
+ * @returns {String|Null} - description of broken invariant, or null if valid
+ *
+ * @private
+ */
+function findMaxViolation(root) {
+  let violation = null;
+
+  (function check(node) {
+    if (node === null || violation !== null) { return null; }
+
+    let max = node.key[1];
+    [check(node.left), check(node.right)].forEach(childMax => {
+      if (childMax !== null && compareEndpoints(childMax, max) > 0) { max = childMax; }
+    });
+
+    if (violation === null && compareEndpoints(node.max, max) !== 0) {
+      violation = `Cached max endpoint is wrong at key ${node.key}`;
+    }
+    return max;
+  })(root);
+
+  return violation;
+}
+
+/**
+ * Class representing an interval tree. Keys are closed [low, high] intervals
+ * ordered by low endpoint, and every node caches the largest high endpoint
+ * below it so overlap queries can skip whole subtrees. Balancing, lookups and
+ * order statistics such as select and rank are inherited from RedBlackTree.
+ */
+class IntervalTree extends RedBlackTree {
+  /**
+   * Track root of tree. Endpoints are ordered with relational operators, so
+   * numbers, strings and dates all work.
+   *
+   * @constructor
+   *
+   * @property {Object|Null} root - top level node in tree
+   * @property {Function} comparator - orders intervals by low, then high endpoint
+   */
+  constructor() {
+    super(compareIntervals);
+  }
+
+  /**
+   * @description Class of nodes created by this tree.
+   *
+   * @returns {Function} - node class that caches max endpoint
+   */
+  static get Node() {
+    return IntervalNode;
+  }
+
+  /**
+   * @description Build a tree from any iterable of [interval, value] pairs
+   * sorted by interval, such as another interval tree.
+   *
+   * Strategy: Collect pairs into an array and use fromSorted method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Iterable} iterable - [interval, value] pairs in strictly ascending order
+   *
+   * @returns {IntervalTree} - balanced tree holding every pair
+   */
+  static from(iterable) {
+    return this.fromSorted([...iterable]);
+  }
+
+  /**
+   * @description Build a balanced tree in linear time from an array of
+   * [interval, value] pairs sorted by low, then high endpoint.
+   *
+   * Strategy: Validate every interval and copy it, as insert method does, so
+   * later changes to the caller's arrays cannot break tree order. Then build
+   * with RedBlackTree's fromSorted method.
+   *
+   * Edge case(s): malformed interval, low above high, unsorted input
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Array} entries - [interval, value] pairs in strictly ascending order
+   *
+   * @returns {IntervalTree} - balanced tree holding every pair
+   */
+  static fromSorted(entries) {
+    if (!Array.isArray(entries)) { throw new Error('Entries must be an array of [interval, value] pairs'); }
+
+    const copies = entries.map(([interval, value]) => {
+      checkInterval(interval);
+      return [interval.slice(), value];
+    });
+    return super.fromSorted(copies);
+  }
+
+  /**
+   * @description Throw an error describing the first broken invariant, if
+   * any, including stale max endpoints.
+   *
+   * Strategy: Check red black invariants first, then max endpoints.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   */
+  assertInvariants() {
+    super.assertInvariants();
+
+    const violation = findMaxViolation(this.root);
+    if (violation !== null) { throw new Error(violation); }
+  }
+
+  /**
+   * @description Find any one interval that overlaps [low, high]. Closed
+   * intervals that only touch at an endpoint overlap.
+   *
+   * Strategy: Walk a single path. Go left whenever left subtree's max
+   * endpoint reaches low, since if no overlap is found there, none exists on
+   * the right either.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String|Date} low - start of query interval
+   * @param {Number|String|Date} high - end of query interval
+   *
+   * @returns {Array|Null} - [interval, value] pair, or null if none overlap
+   */
+  findOverlap(low, high) {
+    checkInterval([low, high]);
+    let node = this.root;
+
+    while (node !== null) {
+      if (compareEndpoints(node.key[0], high) <= 0 && compareEndpoints(low, node.key[1]) <= 0) {
+        return [node.key.slice(), node.value];
+      }
+      node = node.left !== null && compareEndpoints(node.left.max, low) >= 0 ? node.left : node.right;
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Insert an interval and its value, or update the value of an
+   * identical interval already in the tree.
+   *
+   * Strategy: Validate, then insert a copy of the interval so later changes
+   * to the caller's array cannot break tree order.
+   *
+   * Edge case(s): malformed interval, low above high
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Array} interval - [low, high] closed interval
+   * @param {*} value - value stored with interval, such as a booking
+   *
+   * @returns {Boolean} - true means insert was successful
+   */
+  insert(interval, value) {
+    checkInterval(interval);
+    return super.insert(interval.slice(), value);
+  }
+
+  /**
+   * @description Check whether every invariant holds, including cached max
+   * endpoints.
+   *
+   * Strategy: Use assertInvariants method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   *
+   * @returns {Boolean} - true if every invariant holds
+   */
+  isValid() {
+    try {
+      this.assertInvariants();
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * @description Find every interval that overlaps [low, high], in ascending
+   * order. Closed intervals that only touch at an endpoint overlap.
+   *
+   * Strategy: In-order traversal with an explicit stack that prunes any
+   * subtree whose max endpoint falls short of low, and any right subtree of
+   * a node starting after high.
+   *
+   * Time complexity: O((K + 1) log N), where K is number of overlaps
+   * Space complexity: O(K)
+   *
+   * @param {Number|String|Date} low - start of query interval
+   * @param {Number|String|Date} high - end of query interval
+   *
+   * @returns {Array} - [interval, value] pairs sorted by interval
+   */
+  overlapping(low, high) {
+    checkInterval([low, high]);
+    const found = [];
+    const stack = [];
+    let node = this.root;
+
+    while (node !== null || stack.length > 0) {
+      // Only descend into subtrees that reach far enough right
+      while (node !== null && compareEndpoints(node.max, low) >= 0) {
+        stack.push(node);
+        node = node.left;
+      }
+      if (stack.length === 0) { break; }
+
+      node = stack.pop();
+      if (compareEndpoints(node.key[0], high) > 0) {
+        // Every later interval starts after high too
+        break;
+      }
+      if (compareEndpoints(low, node.key[1]) <= 0) {
+        found.push([node.key.slice(), node.value]);
+      }
+      node = node.right;
+    }
+
+    return found;
+  }
+
+  /**
+   * @description Find every interval containing a point, in ascending order.
+   *
+   * Strategy: Stabbing is an overlap query with a zero-length interval.
+   *
+   * Time complexity: O((K + 1) log N), where K is number of intervals found
+   * Space complexity: O(K)
+   *
+   * @param {Number|String|Date} point - point to stab with
+   *
+   * @returns {Array} - [interval, value] pairs sorted by interval
+   */
+  stab(point) {
+    return this.overlapping(point, point);
+  }
+}
+
+module.exports = IntervalTree;
@@ -1,3 +1,15 @@
+const {
+  defaultComparator,
+  findOrderViolation,
+  getNode,
+  inOrderNodes,
+  levelOrderNodes,
+  levelsOf,
+  minNode,
+  postOrderNodes,
+  preOrderNodes
+} = require('./tree.helpers');
+
 const RED = true;
 const BLACK = false;
 
@@ -20,6 +32,7 @@ class Node {
    * @property {*} value - value held by node
    * @property {Object|Null} left - left child node
    * @property {Object|Null} right - right child node
+   * @property {Number} size - number of nodes in subtree rooted at this node
    */
   constructor(key, value, color) {
     this.color = color;
@@ -27,6 +40,18 @@ class Node {
     this.value = value;
     this.left = null;
     this.right = null;
+    this.size = 1;
+  }
+
+  /**
+   * @description Recompute data cached from children. Called whenever a
+   * child link changes, so subclasses can cache more than size.
+   *
+   * Time complexity: O(1)
+   * Space complexity: O(1)
+   */
+  update() {
+    this.size = 1 + size(this.left) + size(this.right);
   }
 }
 
@@ -49,6 +74,25 @@ function isRed(node) {
   return node.color === RED;
 }
 
+/**
+ * @description Count nodes in subtree.
+ *
+ * Strategy: Use size property. Null nodes have size 0.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - root of subtree being counted
+ *
+ * @returns {Number} - number of nodes in subtree
+ *
+ * @private
+ */
+function size(node) {
+  if (node === null) { return 0; }
+  return node.size;
+}
+
 /**
  * @description Transform right red link to left red link.
  *
@@ -83,6 +127,10 @@ function rotateLeft(node) {
   // Original node is now red left link
   node.color = RED;
 
+  // Recompute cached data bottom-up, starting with original node, now a child
+  node.update();
+  newRoot.update();
+
   // New root is delivered with inherited color
   return newRoot;
 }
@@ -121,16 +169,25 @@ function rotateRight(node) {
   // Original node is now red left link
   node.color = RED;
 
+  // Recompute cached data bottom-up, starting with original node, now a child
+  node.update();
+  newRoot.update();
+
   // New root is delivered with inherited color
   return newRoot;
 }
 
 /**
- * @description Flip two red children to black and current node to red.
+ * @description Flip the colors of a node and its two children. Insertion
+ * splits temporary 4-nodes by flipping two red children to black and the
+ * current node to red. Deletion does the reverse to borrow a red link from
+ * the parent.
  *
  * Strategy: Access children with left and right properties, then reassign
  * colors. Modify own color with own color property.
  *
+ * Edge case(s): node whose color matches a child, missing children
+ *
  * Time complexity: O(1)
  * Space complexity: O(1)
  *
@@ -139,10 +196,222 @@ function rotateRight(node) {
  * @private
  */
 function flipColors(node) {
-  if (isRed(node) || !isRed(node.left) || !isRed(node.right)) { return; }
-  node.color = RED;
-  node.left.color = BLACK;
-  node.right.color = BLACK;
+  if (node.left === null || node.right === null) { return; }
+
+  // Only flip when parent's color is opposite of both children's colors
+  if (isRed(node) === isRed(node.left) || isRed(node.left) !== isRed(node.right)) { return; }
+
+  node.color = !node.color;
+  node.left.color = !node.left.color;
+  node.right.color = !node.right.color;
+}
+
+/**
+ * @description Restore left-leaning red black structure on the way back up
+ * the tree after an insertion or deletion.
+ *
+ * Strategy: Three sequential checks handle every color possibility. Lean right
+ * red links to the left, split two consecutive left red links with a right
+ * rotation, then split any temporary 4-node by flipping colors. Finally,
+ * recount subtree size since a child may have gained or lost a node.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - root of subtree to be balanced
+ *
+ * @returns {Object} - new root of subtree
+ *
+ * @private
+ */
+function balance(node) {
+  if (isRed(node.right) && !isRed(node.left)) { node = rotateLeft(node); }
+  if (isRed(node.left) && isRed(node.left.left)) { node = rotateRight(node); }
+  if (isRed(node.left) && isRed(node.right)) { flipColors(node); }
+
+  node.update();
+  return node;
+}
+
+/**
+ * @description Draw tree as indented ASCII lines, one node per line.
+ *
+ * Strategy: Explicit-stack pre-order traversal. Each stack entry remembers the
+ * indentation drawn so far. Children are tagged L or R so a lone child shows
+ * its side, and nodes reached by a red link are tagged (red).
+ *
+ * Time complexity: O(N log N), for the indentation
+ * Space complexity: O(N log N)
+ *
+ * @param {Object|Null} root - root of tree to be drawn
+ *
+ * @returns {String} - diagram with one line per node, or empty string if empty
+ *
+ * @private
+ */
+function drawTree(root) {
+  const lines = [];
+  const stack = root === null ? [] : [{ node: root, prefix: '', branch: '' }];
+
+  while (stack.length > 0) {
+    const { node, prefix, branch } = stack.pop();
+    lines.push(`${prefix}${branch}${node.key}${isRed(node) ? ' (red)' : ''}`);
+
+    const childPrefix = prefix + (branch === '' ? '' : branch.startsWith('`') ? '    ' : '|   ');
+    const children = [['L', node.left], ['R', node.right]].filter(([, child]) => child !== null);
+
+    // Push in reverse so left child is drawn first
+    for (let i = children.length - 1; i >= 0; i--) {
+      const [side, child] = children[i];
+      const connector = i === children.length - 1 ? '`-- ' : '|-- ';
+      stack.push({ node: child, prefix: childPrefix, branch: `${connector}${side}: ` });
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * @description Describe tree in Graphviz DOT language.
+ *
+ * Strategy: Explicit-stack pre-order traversal that numbers nodes as they are
+ * visited. Red links are drawn red. When a node has only one child, an
+ * invisible point stands in for the missing one so Graphviz still draws the
+ * child on its correct side.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(N)
+ *
+ * @param {Object|Null} root - root of tree to be described
+ *
+ * @returns {String} - DOT source of a directed graph
+ *
+ * @private
+ */
+function dotTree(root) {
+  const lines = ['digraph RedBlackTree {', '  node [shape=circle];'];
+  const stack = root === null ? [] : [{ node: root, id: 'n0' }];
+  let count = 1;
+
+  while (stack.length > 0) {
+    const { node, id } = stack.pop();
+    lines.push(`  ${id} [label=${JSON.stringify(String(node.key))}];`);
+    if (node.left === null && node.right === null) { continue; }
+
+    const children = [node.left, node.right];
+    const childIds = children.map(() => `n${count++}`);
+    children.forEach((child, i) => {
+      if (child === null) {
+        lines.push(`  ${childIds[i]} [shape=point, style=invis];`);
+        lines.push(`  ${id} -> ${childIds[i]} [style=invis];`);
+      } else {
+        lines.push(`  ${id} -> ${childIds[i]}${isRed(child) ? ' [color=red, penwidth=2]' : ''};`);
+      }
+    });
+
+    // Push right first so nodes are numbered in pre-order
+    for (let i = children.length - 1; i >= 0; i--) {
+      if (children[i] !== null) { stack.push({ node: children[i], id: childIds[i] }); }
+    }
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * @description Find first broken invariant in tree, if any.
+ *
+ * Strategy: Use shared findOrderViolation function, checking at every node
+ * that no red link leans right and that no two red links appear in a row.
+ * Then visit nodes post-order so black heights of children are known before
+ * their parent, and check that both subtrees have equal black height and that
+ * cached size matches the children.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(N)
+ *
+ * @param {Object|Null} root - root of tree to be checked
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {String|Null} - description of broken invariant, or null if valid
+ *
+ * @private
+ */
+function findViolation(root, comparator) {
+  if (isRed(root)) { return `Root must be black at key ${root.key}`; }
+
+  const violation = findOrderViolation(root, comparator, node => {
+    if (isRed(node.right)) { return `Red right link violated at key ${node.key}`; }
+    if (isRed(node) && isRed(node.left)) { return `Consecutive red links violated at key ${node.key}`; }
+    return null;
+  });
+  if (violation !== null) { return violation; }
+
+  const blackHeights = new Map([[null, 0]]);
+
+  for (const node of postOrderNodes(root)) {
+    const left = blackHeights.get(node.left);
+
+    if (left !== blackHeights.get(node.right)) { return `Perfect black balance violated at key ${node.key}`; }
+    if (node.size !== 1 + size(node.left) + size(node.right)) { return `Cached size is wrong at key ${node.key}`; }
+    blackHeights.set(node, left + (isRed(node) ? 0 : 1));
+  }
+
+  return null;
+}
+
+/**
+ * @description Make sure the left child or one of its children is red before
+ * deletion descends left, so a node is never removed from a 2-node.
+ *
+ * Strategy: Borrow from parent by flipping colors. If right sibling is a
+ * 3-node, borrow from sibling instead with a double rotation, then flip back.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - red node whose children are both black
+ *
+ * @returns {Object} - new root of subtree
+ *
+ * @private
+ */
+function moveRedLeft(node) {
+  flipColors(node);
+  if (isRed(node.right.left)) {
+    node.right = rotateRight(node.right);
+    node = rotateLeft(node);
+    flipColors(node);
+  }
+
+  return node;
+}
+
+/**
+ * @description Make sure the right child or one of its children is red before
+ * deletion descends right, so a node is never removed from a 2-node.
+ *
+ * Strategy: Borrow from parent by flipping colors. If left sibling is a
+ * 3-node, borrow from sibling instead with a rotation, then flip back.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - red node whose children are both black
+ *
+ * @returns {Object} - new root of subtree
+ *
+ * @private
+ */
+function moveRedRight(node) {
+  flipColors(node);
+  if (isRed(node.left.left)) {
+    node = rotateRight(node);
+    flipColors(node);
+  }
+
+  return node;
 }
 
 /**
@@ -160,117 +429,823 @@ function flipColors(node) {
  * @param {Object} node - node for traversal, key comparison and color-checking
  * @param {Number|String} key - key that identifies node
  * @param {*} value - updated value, or value of new node
+ * @param {Function} comparator - decides the order of keys in tree
+ * @param {Function} NodeType - class of node to be created
  *
  * @returns {Object=} - newly created node or node currently being traversed
  *
  * @private
  */
-function put(node, key, value) {
-  if (node === null) { return new Node(key, value, RED); }
+function put(node, key, value, comparator, NodeType) {
+  if (node === null) { return new NodeType(key, value, RED); }
 
-  if (key < node.key) { node.left = put(node.left, key, value); }
-  else if (key > node.key) { node.right = put(node.right, key, value); }
+  const comparison = comparator(key, node.key);
+  if (comparison < 0) { node.left = put(node.left, key, value, comparator, NodeType); }
+  else if (comparison > 0) { node.right = put(node.right, key, value, comparator, NodeType); }
   else { node.value = value; }
 
   // Enforce proper color structure through case reduction
-  if (isRed(node.right) && !isRed(node.left)) { node = rotateLeft(node); }
-  if (isRed(node.left) && isRed(node.left.left)) { node = rotateRight(node); }
-  if (isRed(node.left) && isRed(node.right)) { flipColors(node); }
-
-  return node;
+  return balance(node);
 }
 
-/** Class representing left-leaning red black tree */
-class RedBlackTree {
-  /**
-   * Track root of tree.
-   *
-   * @constructor
-   *
-   * @property {Object|Null} root - top level node in tree
-   */
-  constructor() {
-    this.root = null;
+/**
+ * @description Used by public delete method to remove node with given key.
+ *
+ * Strategy: Recursively descend while pushing a red link down the search path
+ * with moveRedLeft and moveRedRight, so the matched key never sits in a 2-node.
+ * A matched leaf is dropped. A matched internal node takes the key and value
+ * of its successor, which is then removed from the right subtree. Nodes are
+ * rebalanced on the way back up.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node for traversal, key comparison and color-checking
+ * @param {Number|String} key - key of node to be removed, which must exist
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {Object|Null} - new root of subtree
+ *
+ * @private
+ */
+function remove(node, key, comparator) {
+  if (comparator(key, node.key) < 0) {
+    if (!isRed(node.left) && !isRed(node.left.left)) { node = moveRedLeft(node); }
+    node.left = remove(node.left, key, comparator);
+    return balance(node);
   }
 
-  /**
-   * @description Apply a callback to the entire tree in level order.
-   *
-   * Strategy: Initialize queue with root. Repeatedly use queue to access
-   * children and store in new queue. End loop when no children are added.
-   *
-   * Time complexity: O(N)
-   * Space complexity: O(N)
-   *
-   * @param {Function} callback - calls all nodes in breadth-first order
-   */
-  breadthFirstSearch(callback) {
-    if (this.root === null) { throw new Error('Empty tree, my friend!'); }
-    let queue = [this.root];
-    while (true) {
-      // Use additional storage array to avoid expensive shifting costs
-      let newQueue = [];
+  if (isRed(node.left)) { node = rotateRight(node); }
+  if (comparator(key, node.key) === 0 && node.right === null) { return null; }
+  if (!isRed(node.right) && !isRed(node.right.left)) { node = moveRedRight(node); }
 
-      // Key idea is to use nodes in queue to set up next queue
-      queue.forEach(node => {
-        callback(node);
-        if (node.left !== null) { newQueue.push(node.left); }
-        if (node.right !== null) { newQueue.push(node.right); }
-      });
+  if (comparator(key, node.key) === 0) {
+    const successor = minNode(node.right);
+    node.key = successor.key;
+    node.value = successor.value;
+    node.right = removeMin(node.right);
+  } else {
+    node.right = remove(node.right, key, comparator);
+  }
 
-      if (newQueue.length === 0) { return; }
+  return balance(node);
+}
 
-      // Reassign queue to list of nodes in next level of tree
-      queue = newQueue;
-    }
-  }
+/**
+ * @description Used by public deleteMax method to remove right-most node.
+ *
+ * Strategy: Lean red links right so the maximum never sits in a 2-node, then
+ * descend right until there is no right child. Rebalance on the way back up.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - root of subtree whose maximum will be removed
+ *
+ * @returns {Object|Null} - new root of subtree
+ *
+ * @private
+ */
+function removeMax(node) {
+  if (isRed(node.left)) { node = rotateRight(node); }
+  if (node.right === null) { return null; }
+  if (!isRed(node.right) && !isRed(node.right.left)) { node = moveRedRight(node); }
 
-  /**
-   * @description Depth-first in-order traversal that applies callback to
-   * all nodes in ascending order.
-   *
-   * Strategy: Callback is applied between recursive calls to left and right
-   * subtrees. End traversal in either direction when pointer in that direction
-   * is null.
-   *
-   * Edge case(s): Empty tree
-   *
-   * Time complexity: O(N)
-   * Space complexity: O(1)
-   *
-   * @param {Function} callback - invoked on every node
-   * @param {Object=} node - current node being traversed and called
-   */
-  depthInOrder(callback, node = this.root) {
-    if (node === null) { throw new Error('Tree is empty, my dear friend!'); }
-    
-    if (node.left !== null) { this.depthInOrder(callback, node.left); }
-    callback(node);
-    if (node.right !== null) { this.depthInOrder(callback, node.right); }
-  }
+  node.right = removeMax(node.right);
+  return balance(node);
+}
 
-  /**
-   * @description Depth-first post-order traversal that applies callback to
-   * all nodes in such that the root is last
-   *
-   * Strategy: Callback is applied after recursive calls to left and right
-   * subtrees. End traversal in either direction when pointer in that direction
-   * is null.
-   *
-   * Edge case(s): Empty tree
-   *
-   * Time complexity: O(N)
-   * Space complexity: O(1)
-   *
-   * @param {Function} callback - invoked on every node in post-order
-   * @param {Object=} node - current node being traversed and called
-   */
-  depthPostOrder(callback, node = this.root) {
-    if (node === null) { throw new Error('Tree is empty, my dear friend!'); }
-    
-    if (node.left !== null) { this.depthPostOrder(callback, node.left); }
-    if (node.right !== null) { this.depthPostOrder(callback, node.right); }
-    callback(node);
+/**
+ * @description Used by public deleteMin and delete methods to remove left-most
+ * node.
+ *
+ * Strategy: Descend left, pushing a red link down with moveRedLeft so the
+ * minimum never sits in a 2-node. Rebalance on the way back up.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - root of subtree whose minimum will be removed
+ *
+ * @returns {Object|Null} - new root of subtree
+ *
+ * @private
+ */
+function removeMin(node) {
+  if (node.left === null) { return null; }
+  if (!isRed(node.left) && !isRed(node.left.left)) { node = moveRedLeft(node); }
+
+  node.left = removeMin(node.left);
+  return balance(node);
+}
+
+/**
+ * @description Count black links on any path from node down to null. Perfect
+ * black balance guarantees every path gives the same answer.
+ *
+ * Strategy: Walk the left spine and count black nodes.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - root of subtree being measured
+ *
+ * @returns {Number} - black height of subtree
+ *
+ * @private
+ */
+function blackHeight(node) {
+  let height = 0;
+  while (node !== null) {
+    if (!isRed(node)) { height++; }
+    node = node.left;
+  }
+  return height;
+}
+
+/**
+ * @description Build a left-leaning red black tree from sorted entries.
+ *
+ * Strategy: A 2-3 tree with black height h holds between 2^h - 1 and 3^h - 1
+ * keys. Make the root a 2-node (one black node) if two subtrees of black
+ * height h - 1 can hold the remaining keys. Otherwise make it a 3-node (black
+ * node with red left child) over three subtrees. Split keys as evenly as
+ * possible so every subtree stays within its own bounds.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(N)
+ *
+ * @param {Array} entries - [key, value] pairs sorted by key
+ * @param {Number} lo - index of first entry in subtree
+ * @param {Number} hi - index of last entry in subtree
+ * @param {Number} height - black height of subtree to be built
+ * @param {Function} NodeType - class of node to be created
+ *
+ * @returns {Object|Null} - root of subtree
+ *
+ * @private
+ */
+function build(entries, lo, hi, height, NodeType) {
+  const count = hi - lo + 1;
+  if (count === 0) { return null; }
+
+  const childCapacity = Math.pow(3, height - 1) - 1;
+  let node;
+
+  if (count - 1 <= 2 * childCapacity) {
+    const mid = lo + Math.ceil((count - 1) / 2);
+    node = new NodeType(entries[mid][0], entries[mid][1], BLACK);
+    node.left = build(entries, lo, mid - 1, height - 1, NodeType);
+    node.right = build(entries, mid + 1, hi, height - 1, NodeType);
+  } else {
+    const third = Math.floor((count - 2) / 3);
+    const extra = (count - 2) % 3;
+    const redIndex = lo + third + (extra > 0 ? 1 : 0);
+    const blackIndex = redIndex + 1 + third + (extra > 1 ? 1 : 0);
+
+    const red = new NodeType(entries[redIndex][0], entries[redIndex][1], RED);
+    red.left = build(entries, lo, redIndex - 1, height - 1, NodeType);
+    red.right = build(entries, redIndex + 1, blackIndex - 1, height - 1, NodeType);
+    red.update();
+
+    node = new NodeType(entries[blackIndex][0], entries[blackIndex][1], BLACK);
+    node.left = red;
+    node.right = build(entries, blackIndex + 1, hi, height - 1, NodeType);
+  }
+
+  node.update();
+  return node;
+}
+
+/**
+ * @description Turn one serialized node back into a node. Values that were
+ * undefined are left out when saved, since JSON has no undefined.
+ *
+ * Edge case(s): malformed nodes, unknown colors
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Array} item - [key, color] or [key, color, value]
+ * @param {Function} NodeType - class of node to be created
+ *
+ * @returns {Object} - new node without children
+ *
+ * @private
+ */
+function parseNode(item, NodeType) {
+  if (!Array.isArray(item) || item.length < 2 || item.length > 3) {
+    throw new Error('Serialized nodes must be [key, color] or [key, color, value] arrays');
+  }
+  if (item[1] !== 'red' && item[1] !== 'black') { throw new Error(`Unknown node color ${item[1]}`); }
+
+  return new NodeType(item[0], item[2], item[1] === 'red' ? RED : BLACK);
+}
+
+/**
+ * @description Rebuild the exact shape of a tree from its pre-order listing,
+ * where null marks a missing child, then recompute cached data.
+ *
+ * Strategy: Explicit stack of nodes still waiting for children. Each item
+ * read fills the first open slot of the node on top, left before right.
+ * Once shape is complete, update every node bottom-up in post-order.
+ *
+ * Edge case(s): truncated or overlong listings
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(H), where H is height of tree
+ *
+ * @param {Array} items - serialized nodes and nulls in pre-order
+ * @param {Function} NodeType - class of node to be created
+ *
+ * @returns {Object|Null} - root of rebuilt tree
+ *
+ * @private
+ */
+function readShape(items, NodeType) {
+  let index = 0;
+  const read = () => {
+    if (index >= items.length) { throw new Error('Serialized tree ended before every node was complete'); }
+    const item = items[index++];
+    return item === null ? null : parseNode(item, NodeType);
+  };
+
+  const root = read();
+  const stack = root === null ? [] : [{ node: root, filled: 0 }];
+
+  while (stack.length > 0) {
+    const top = stack[stack.length - 1];
+    if (top.filled === 2) { stack.pop(); continue; }
+
+    const child = read();
+    if (top.filled === 0) { top.node.left = child; } else { top.node.right = child; }
+    top.filled++;
+    if (child !== null) { stack.push({ node: child, filled: 0 }); }
+  }
+
+  if (index !== items.length) { throw new Error('Serialized tree has items after its last node'); }
+
+  for (const node of postOrderNodes(root)) { node.update(); }
+  return root;
+}
+
+/**
+ * @description Join two trees with a middle node whose key is larger than
+ * every key in left tree and smaller than every key in right tree.
+ *
+ * Strategy: Descend the taller tree along the side facing the shorter tree
+ * until reaching a black node of equal black height. Replace it with the
+ * middle node as a red link holding both trees, which looks just like an
+ * insertion, so rebalance on the way back up. Blacken the new root, which
+ * adds a level if it came back red.
+ *
+ * Time complexity: O(|leftHeight - rightHeight| + 1)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} left - root of left tree, which is black
+ * @param {Number} leftHeight - black height of left tree
+ * @param {Object} middle - detached node placed between both trees
+ * @param {Object|Null} right - root of right tree, which is black
+ * @param {Number} rightHeight - black height of right tree
+ *
+ * @returns {Object} - root of joined tree and its black height
+ *
+ * @private
+ */
+function join(left, leftHeight, middle, right, rightHeight) {
+  const root = leftHeight >= rightHeight
+    ? joinRight(left, leftHeight, middle, right, rightHeight)
+    : joinLeft(right, rightHeight, middle, left, leftHeight);
+
+  const height = Math.max(leftHeight, rightHeight) + (isRed(root) ? 1 : 0);
+  root.color = BLACK;
+  return { root, height };
+}
+
+/**
+ * @description Helper for join function when right tree is taller.
+ *
+ * Strategy: Follow left links, which may be red, until a black node has the
+ * black height of left tree. Middle node becomes its red parent.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - current node on left spine of taller tree
+ * @param {Number} height - black height of current node
+ * @param {Object} middle - detached node placed between both trees
+ * @param {Object|Null} left - root of shorter tree
+ * @param {Number} targetHeight - black height of shorter tree
+ *
+ * @returns {Object} - new root of subtree
+ *
+ * @private
+ */
+function joinLeft(node, height, middle, left, targetHeight) {
+  if (height === targetHeight && !isRed(node)) {
+    middle.color = RED;
+    middle.left = left;
+    middle.right = node;
+    middle.update();
+    return middle;
+  }
+
+  const childHeight = isRed(node) ? height : height - 1;
+  node.left = joinLeft(node.left, childHeight, middle, left, targetHeight);
+  return balance(node);
+}
+
+/**
+ * @description Helper for join function when left tree is at least as tall.
+ *
+ * Strategy: Follow right links, which are always black, until a node has the
+ * black height of right tree. Middle node becomes its red parent.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - current node on right spine of taller tree
+ * @param {Number} height - black height of current node
+ * @param {Object} middle - detached node placed between both trees
+ * @param {Object|Null} right - root of shorter tree
+ * @param {Number} targetHeight - black height of shorter tree
+ *
+ * @returns {Object} - new root of subtree
+ *
+ * @private
+ */
+function joinRight(node, height, middle, right, targetHeight) {
+  if (height === targetHeight) {
+    middle.color = RED;
+    middle.left = node;
+    middle.right = right;
+    middle.update();
+    return middle;
+  }
+
+  node.right = joinRight(node.right, height - 1, middle, right, targetHeight);
+  return balance(node);
+}
+
+/**
+ * @description Used by public split method to divide tree around a key.
+ *
+ * Strategy: Detach current node from its children, which become standalone
+ * trees with black roots. Recursively split the side containing the key, then
+ * join the current node with the subtree and split half on the other side.
+ * Black heights are passed along so each join only costs the difference in
+ * heights, which adds up to O(log N) overall.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - root of black-rooted subtree being split
+ * @param {Number} height - black height of subtree
+ * @param {Number|String} key - keys smaller than this go left, others go right
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {Object} - roots and black heights of both halves
+ *
+ * @private
+ */
+function split(node, height, key, comparator) {
+  if (node === null) {
+    return { less: null, lessHeight: 0, greater: null, greaterHeight: 0 };
+  }
+
+  // Red left child becomes a black root, which keeps its black height
+  const left = node.left;
+  const leftHeight = isRed(left) ? height : height - 1;
+  if (isRed(left)) { left.color = BLACK; }
+  const right = node.right;
+  const rightHeight = height - 1;
+
+  if (comparator(key, node.key) <= 0) {
+    const halves = split(left, leftHeight, key, comparator);
+    const joined = join(halves.greater, halves.greaterHeight, node, right, rightHeight);
+    return {
+      less: halves.less,
+      lessHeight: halves.lessHeight,
+      greater: joined.root,
+      greaterHeight: joined.height
+    };
+  }
+
+  const halves = split(right, rightHeight, key, comparator);
+  const joined = join(left, leftHeight, node, halves.less, halves.lessHeight);
+  return {
+    less: joined.root,
+    lessHeight: joined.height,
+    greater: halves.greater,
+    greaterHeight: halves.greaterHeight
+  };
+}
+
+/** Class representing left-leaning red black tree */
+class RedBlackTree {
+  /**
+   * Track root of tree and how keys are ordered.
+   *
+   * @constructor
+   *
+   * @param {Function=} comparator - takes two keys and returns a negative
+   * number, zero or a positive number, like Array.prototype.sort comparators
+   *
+   * @property {Object|Null} root - top level node in tree
+   * @property {Function} comparator - decides the order of keys in tree
+   */
+  constructor(comparator = defaultComparator) {
+    if (typeof comparator !== 'function') { throw new Error('Comparator must be a function'); }
+
+    this.root = null;
+    this.comparator = comparator;
+  }
+
+  /**
+   * @description Class of nodes created by this tree. Subclasses that cache
+   * more data per node override this with a subclass of Node whose update
+   * method recomputes that data, and every rotation keeps it current.
+   *
+   * @returns {Function} - node class
+   */
+  static get Node() {
+    return Node;
+  }
+
+  /**
+   * @description Build a tree from any iterable of [key, value] pairs sorted
+   * by key, such as another tree or a generator.
+   *
+   * Strategy: Collect pairs into an array and use fromSorted method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Iterable} iterable - [key, value] pairs in strictly ascending key order
+   * @param {Function=} comparator - decides the order of keys in tree
+   *
+   * @returns {RedBlackTree} - balanced tree holding every pair
+   */
+  static from(iterable, comparator) {
+    return this.fromSorted([...iterable], comparator);
+  }
+
+  /**
+   * @description Build a balanced tree from an array of [key, value] pairs
+   * sorted by key, without inserting keys one at a time.
+   *
+   * Strategy: Check that every key is strictly greater than the one before,
+   * then build the tree bottom-up with the same helper used by union.
+   *
+   * Edge case(s): empty input, unsorted or duplicate keys
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Array} entries - [key, value] pairs in strictly ascending key order
+   * @param {Function=} comparator - decides the order of keys in tree
+   *
+   * @returns {RedBlackTree} - balanced tree holding every pair
+   */
+  static fromSorted(entries, comparator) {
+    if (!Array.isArray(entries)) { throw new Error('Entries must be an array of [key, value] pairs'); }
+
+    const tree = new this(comparator);
+    for (let i = 1; i < entries.length; i++) {
+      if (tree.comparator(entries[i - 1][0], entries[i][0]) >= 0) {
+        throw new Error(`Entries must be sorted by key without duplicates, but found ${entries[i][0]} after ${entries[i - 1][0]}`);
+      }
+    }
+
+    const height = Math.floor(Math.log2(entries.length + 1));
+    tree.root = build(entries, 0, entries.length - 1, height, this.Node);
+    return tree;
+  }
+
+  /**
+   * @description Rebuild a tree saved with toJSON method, with exactly the
+   * shape and colors it had when saved.
+   *
+   * Strategy: Parse strings, rebuild nodes with private readShape function,
+   * then check every invariant so a damaged save cannot produce a tree that
+   * breaks later.
+   *
+   * Edge case(s): JSON strings, malformed input, broken invariants
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Object|String} json - output of toJSON method, or its JSON string
+   * @param {Function=} comparator - decides the order of keys in tree
+   *
+   * @returns {RedBlackTree} - tree of the same shape
+   */
+  static fromJSON(json, comparator) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (data === null || typeof data !== 'object' || !Array.isArray(data.nodes)) {
+      throw new Error('Serialized tree must have an array of nodes');
+    }
+
+    const tree = new this(comparator);
+    tree.root = readShape(data.nodes, this.Node);
+    tree.assertInvariants();
+    return tree;
+  }
+
+  /**
+   * @description Join two trees into a new tree, where every key in left
+   * tree is smaller than every key in right tree. Nodes are moved rather than
+   * copied, so both input trees are left empty.
+   *
+   * Strategy: Remove minimum node of right tree to act as the middle node,
+   * then join both trees around it along the spine of the taller tree.
+   *
+   * Edge case(s): either tree empty, overlapping key ranges
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {RedBlackTree} left - tree holding smaller keys
+   * @param {RedBlackTree} right - tree holding larger keys
+   *
+   * @returns {RedBlackTree} - tree holding every key from both trees
+   */
+  static join(left, right) {
+    if (!(left instanceof RedBlackTree) || !(right instanceof RedBlackTree)) {
+      throw new Error('Only red black trees can be joined');
+    }
+    // Trees that refuse to give up their nodes, such as persistent trees
+    // whose nodes are shared with older versions, override join to throw
+    if (
+      left.constructor.join !== RedBlackTree.join ||
+      right.constructor.join !== RedBlackTree.join
+    ) {
+      throw new Error('Only trees that can be joined in place can be joined');
+    }
+
+    const tree = new left.constructor(left.comparator);
+    if (
+      left.root !== null &&
+      right.root !== null &&
+      left.comparator(left.max(), right.min()) >= 0
+    ) {
+      throw new Error('Every key in left tree must be smaller than every key in right tree');
+    }
+
+    if (right.root === null) {
+      tree.root = left.root;
+    } else if (left.root === null) {
+      tree.root = right.root;
+    } else {
+      const middle = minNode(right.root);
+      if (!isRed(right.root.left) && !isRed(right.root.right)) {
+        right.root.color = RED;
+      }
+      const rightRoot = removeMin(right.root);
+      if (rightRoot !== null) {
+        rightRoot.color = BLACK;
+      }
+
+      const leftHeight = blackHeight(left.root);
+      const rightHeight = blackHeight(rightRoot);
+      tree.root = join(left.root, leftHeight, middle, rightRoot, rightHeight).root;
+    }
+
+    left.root = null;
+    right.root = null;
+    return tree;
+  }
+
+  /**
+   * @description Throw an error describing the first broken invariant, if
+   * any. Useful for debugging code that edits nodes directly.
+   *
+   * Strategy: Use private findViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   */
+  assertInvariants() {
+    const violation = findViolation(this.root, this.comparator);
+    if (violation !== null) { throw new Error(violation); }
+  }
+
+  /**
+   * @description Apply a callback to the entire tree in level order.
+   *
+   * Strategy: Initialize queue with root. Repeatedly use queue to access
+   * children and store in new queue. End loop when no children are added.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Function} callback - calls all nodes in breadth-first order
+   */
+  breadthFirstSearch(callback) {
+    if (this.root === null) { throw new Error('Empty tree, my friend!'); }
+    let queue = [this.root];
+    while (true) {
+      // Use additional storage array to avoid expensive shifting costs
+      let newQueue = [];
+
+      // Key idea is to use nodes in queue to set up next queue
+      queue.forEach(node => {
+        callback(node);
+        if (node.left !== null) { newQueue.push(node.left); }
+        if (node.right !== null) { newQueue.push(node.right); }
+      });
+
+      if (newQueue.length === 0) { return; }
+
+      // Reassign queue to list of nodes in next level of tree
+      queue = newQueue;
+    }
+  }
+
+  /**
+   * @description Find smallest key greater than or equal to given key.
+   *
+   * Strategy: Start at root. Smaller keys send us left. Larger keys send us
+   * right. A node whose key is larger than given key is the best candidate so
+   * far, but a closer one may exist in its left subtree.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be rounded up
+   *
+   * @returns {Number|String|Null} - null if every key is smaller than given key
+   */
+  ceiling(key) {
+    let node = this.root;
+    let candidate = null;
+
+    while (node !== null) {
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) { return node.key; }
+      if (comparison < 0) {
+        candidate = node.key;
+        node = node.left;
+      } else {
+        node = node.right;
+      }
+    }
+
+    return candidate;
+  }
+
+  /**
+   * @description Count keys between lo and hi, inclusive.
+   *
+   * Strategy: Difference of ranks counts keys in [lo, hi). Add one if hi
+   * itself is in the tree.
+   *
+   * Edge case(s): lo larger than hi
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} lo - smallest key in range
+   * @param {Number|String} hi - largest key in range
+   *
+   * @returns {Number} - number of keys in range
+   */
+  countInRange(lo, hi) {
+    if (this.comparator(lo, hi) > 0) { return 0; }
+
+    const hiInTree = getNode(this.root, hi, this.comparator) !== null;
+    return this.rank(hi) - this.rank(lo) + (hiInTree ? 1 : 0);
+  }
+
+  /**
+   * @description Remove node with given key from tree while keeping it
+   * balanced.
+   *
+   * Strategy: Confirm key exists, since the private remove function assumes
+   * it does. Color root red if both children are black so a red link can be
+   * pushed down the search path, then restore root to black afterward.
+   *
+   * Edge case(s): empty tree, key not in tree, deleting last node
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key of node to be removed
+   *
+   * @returns {*} - value of removed node
+   */
+  delete(key) {
+    if (this.root === null) { throw new Error('Tree is empty, my dear friend!'); }
+
+    const node = getNode(this.root, key, this.comparator);
+    if (node === null) { throw new Error('No match found for deletion'); }
+    const value = node.value;
+
+    if (!isRed(this.root.left) && !isRed(this.root.right)) { this.root.color = RED; }
+    this.root = remove(this.root, key, this.comparator);
+    if (this.root !== null) { this.root.color = BLACK; }
+
+    return value;
+  }
+
+  /**
+   * @description Remove node with largest key from tree while keeping it
+   * balanced.
+   *
+   * Strategy: Same root coloring as delete method, using private removeMax.
+   *
+   * Edge case(s): empty tree, deleting last node
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @returns {*} - value of removed node
+   */
+  deleteMax() {
+    if (this.root === null) { throw new Error('Tree is empty, my dear friend!'); }
+
+    let max = this.root;
+    while (max.right !== null) { max = max.right; }
+    const value = max.value;
+
+    if (!isRed(this.root.left) && !isRed(this.root.right)) { this.root.color = RED; }
+    this.root = removeMax(this.root);
+    if (this.root !== null) { this.root.color = BLACK; }
+
+    return value;
+  }
+
+  /**
+   * @description Remove node with smallest key from tree while keeping it
+   * balanced.
+   *
+   * Strategy: Same root coloring as delete method, using private removeMin.
+   *
+   * Edge case(s): empty tree, deleting last node
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @returns {*} - value of removed node
+   */
+  deleteMin() {
+    if (this.root === null) { throw new Error('Tree is empty, my dear friend!'); }
+
+    const value = minNode(this.root).value;
+
+    if (!isRed(this.root.left) && !isRed(this.root.right)) { this.root.color = RED; }
+    this.root = removeMin(this.root);
+    if (this.root !== null) { this.root.color = BLACK; }
+
+    return value;
+  }
+
+  /**
+   * @description Depth-first in-order traversal that applies callback to
+   * all nodes in ascending order.
+   *
+   * Strategy: Callback is applied between recursive calls to left and right
+   * subtrees. End traversal in either direction when pointer in that direction
+   * is null.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   *
+   * @param {Function} callback - invoked on every node
+   * @param {Object=} node - current node being traversed and called
+   */
+  depthInOrder(callback, node = this.root) {
+    if (node === null) { throw new Error('Tree is empty, my dear friend!'); }
+    
+    if (node.left !== null) { this.depthInOrder(callback, node.left); }
+    callback(node);
+    if (node.right !== null) { this.depthInOrder(callback, node.right); }
+  }
+
+  /**
+   * @description Depth-first post-order traversal that applies callback to
+   * all nodes in such that the root is last
+   *
+   * Strategy: Callback is applied after recursive calls to left and right
+   * subtrees. End traversal in either direction when pointer in that direction
+   * is null.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   *
+   * @param {Function} callback - invoked on every node in post-order
+   * @param {Object=} node - current node being traversed and called
+   */
+  depthPostOrder(callback, node = this.root) {
+    if (node === null) { throw new Error('Tree is empty, my dear friend!'); }
+    
+    if (node.left !== null) { this.depthPostOrder(callback, node.left); }
+    if (node.right !== null) { this.depthPostOrder(callback, node.right); }
+    callback(node);
   }
 
   /**
@@ -297,6 +1272,55 @@ class RedBlackTree {
     if (node.right !== null) { this.depthPreOrder(callback, node.right); }
   }
 
+  /**
+   * @description Lazily iterate over [key, value] pairs in ascending order,
+   * mirroring Map.prototype.entries.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  *entries() {
+    for (const node of inOrderNodes(this.root)) {
+      yield [node.key, node.value];
+    }
+  }
+
+  /**
+   * @description Find largest key less than or equal to given key.
+   *
+   * Strategy: Start at root. Smaller keys send us left. Larger keys send us
+   * right. A node whose key is smaller than given key is the best candidate so
+   * far, but a closer one may exist in its right subtree.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be rounded down
+   *
+   * @returns {Number|String|Null} - null if every key is larger than given key
+   */
+  floor(key) {
+    let node = this.root;
+    let candidate = null;
+
+    while (node !== null) {
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) { return node.key; }
+      if (comparison > 0) {
+        candidate = node.key;
+        node = node.right;
+      } else {
+        node = node.left;
+      }
+    }
+
+    return candidate;
+  }
+
   /**
    * @description Find node with given key and return its value.
    *
@@ -311,15 +1335,43 @@ class RedBlackTree {
    * @returns {String|Number|Null} - null if key is not found
    */
   get(key) {
-    let node = this.root;
+    const node = getNode(this.root, key, this.comparator);
+    return node === null ? null : node.value;
+  }
 
-    while (node !== null) {
-      if (key === node.key) { return node.value; }
-      if (key < node.key) { node = node.left; }
-      if (key > node.key) { node = node.right; }
-    }
+  /**
+   * @description Count nodes on longest path from root down to a leaf. Red
+   * links count too, so height is at most 2 log N.
+   *
+   * Strategy: Count levels.
+   *
+   * Edge case(s): Empty tree has height 0
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Number} - height of tree
+   */
+  height() {
+    return levelsOf(this.root).length;
+  }
 
-    return null;
+  /**
+   * @description Lazily iterate over keys in ascending order. Empty trees
+   * yield nothing.
+   *
+   * Strategy: Generator version of depthInOrder method, so iteration can stop
+   * early with break.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Number|String} - next key in-order
+   */
+  *inOrder() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.key;
+    }
   }
 
   /**
@@ -336,12 +1388,398 @@ class RedBlackTree {
    * @returns {Boolean} - true represents successful insertion
    */
   insert(key, value) {
-    this.root = put(this.root, key, value);
+    this.root = put(this.root, key, value, this.comparator, this.constructor.Node);
 
     // Maintain color theory and allow edge case check for red nodes in flipColors
     this.root.color = BLACK;
     return true;
   }
+
+  /**
+   * @description Check left-leaning red black invariants: keys are in BST
+   * order, red links lean left, no two red links appear in a row, every path
+   * from root to null has the same number of black links, and cached sizes
+   * match.
+   *
+   * Strategy: Use private findViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(1)
+   *
+   * @returns {Boolean} - true if every invariant holds
+   */
+  isValid() {
+    return findViolation(this.root, this.comparator) === null;
+  }
+
+  /**
+   * @description Lazily iterate over keys between lo and hi, inclusive, in
+   * ascending order. Without bounds, iterate over every key in tree.
+   *
+   * Strategy: Bounded in-order generator prunes subtrees outside of range and
+   * stops as soon as a key passes hi.
+   *
+   * Edge case(s): empty tree, lo larger than hi
+   *
+   * Time complexity: O(log N + M), where M is number of keys in range
+   * Space complexity: O(log N)
+   *
+   * @param {Number|String=} lo - smallest key in range
+   * @param {Number|String=} hi - largest key in range
+   *
+   * @yields {Number|String} - next key in range
+   */
+  *keys(lo, hi) {
+    for (const node of inOrderNodes(this.root, this.comparator, lo, hi)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Lazily iterate over keys level by level. Empty trees yield
+   * nothing.
+   *
+   * Strategy: Generator version of breadthFirstSearch method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @yields {Number|String} - next key in level order
+   */
+  *levelOrder() {
+    for (const node of levelOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Report shape of tree as the keys found at each depth.
+   *
+   * Strategy: Use private levelsOf function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Array} - one array of keys per level, from root down
+   */
+  levels() {
+    return levelsOf(this.root).map(level => level.map(node => node.key));
+  }
+
+  /**
+   * @description Find largest key in tree.
+   *
+   * Strategy: Maximum is right-most node.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @returns {Number|String} - maximum key in tree
+   */
+  max() {
+    if (this.root === null) { throw new Error('Tree is empty, my dear friend!'); }
+
+    let node = this.root;
+    while (node.right !== null) { node = node.right; }
+    return node.key;
+  }
+
+  /**
+   * @description Find smallest key in tree.
+   *
+   * Strategy: Minimum is left-most node.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @returns {Number|String} - minimum key in tree
+   */
+  min() {
+    if (this.root === null) { throw new Error('Tree is empty, my dear friend!'); }
+
+    return minNode(this.root).key;
+  }
+
+  /**
+   * @description Lazily iterate over keys such that root is last. Empty trees
+   * yield nothing.
+   *
+   * Strategy: Generator version of depthPostOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Number|String} - next key post-order
+   */
+  *postOrder() {
+    for (const node of postOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Lazily iterate over keys such that root is first. Empty
+   * trees yield nothing.
+   *
+   * Strategy: Generator version of depthPreOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Number|String} - next key pre-order
+   */
+  *preOrder() {
+    for (const node of preOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Count keys strictly smaller than given key. Given key does
+   * not need to exist in tree.
+   *
+   * Strategy: Start at root. Moving right means the current node and its
+   * entire left subtree are smaller than given key, so add their sizes.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be ranked
+   *
+   * @returns {Number} - number of keys smaller than given key
+   */
+  rank(key) {
+    let node = this.root;
+    let rank = 0;
+
+    while (node !== null) {
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) { return rank + size(node.left); }
+      if (comparison < 0) {
+        node = node.left;
+      } else {
+        rank += 1 + size(node.left);
+        node = node.right;
+      }
+    }
+
+    return rank;
+  }
+
+  /**
+   * @description Find key with given rank, meaning the key that has exactly
+   * rank keys smaller than it. Rank 0 is the minimum.
+   *
+   * Strategy: Compare rank to size of left subtree. If smaller, the key is in
+   * left subtree. If equal, current node is the key. If larger, search right
+   * subtree for rank minus the nodes skipped.
+   *
+   * Edge case(s): rank out of bounds or not an integer
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number} rank - zero-based position of key in ascending order
+   *
+   * @returns {Number|String} - key with given rank
+   */
+  select(rank) {
+    if (!Number.isSafeInteger(rank) || rank < 0 || rank >= size(this.root)) {
+      throw new Error('Rank must be an integer from 0 to tree size minus 1');
+    }
+
+    let node = this.root;
+    while (true) {
+      const leftSize = size(node.left);
+      if (rank === leftSize) { return node.key; }
+      if (rank < leftSize) {
+        node = node.left;
+      } else {
+        rank -= leftSize + 1;
+        node = node.right;
+      }
+    }
+  }
+
+  /**
+   * @description Count keys in tree.
+   *
+   * Strategy: Read cached size of root.
+   *
+   * Time complexity: O(1)
+   * Space complexity: O(1)
+   *
+   * @returns {Number} - number of keys in tree
+   */
+  size() {
+    return size(this.root);
+  }
+
+  /**
+   * @description Split tree into two trees: one with keys smaller than given
+   * key and one with the remaining keys. Nodes are moved rather than copied, so
+   * this tree is left empty.
+   *
+   * Strategy: Use private split function, which joins detached subtrees back
+   * together on the way up.
+   *
+   * Edge case(s): empty tree, key smaller or larger than every key
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - smallest key of second tree, need not exist
+   *
+   * @returns {Array} - [tree with keys < key, tree with keys >= key]
+   */
+  split(key) {
+    const halves = split(this.root, blackHeight(this.root), key, this.comparator);
+    const less = new this.constructor(this.comparator);
+    const greater = new this.constructor(this.comparator);
+    less.root = halves.less;
+    greater.root = halves.greater;
+
+    this.root = null;
+    return [less, greater];
+  }
+
+  /**
+   * @description Build a new balanced tree holding keys from both this tree
+   * and other tree. If both trees hold a key, other tree's value wins, just as
+   * if other tree's entries had been inserted. Neither tree is modified.
+   *
+   * Strategy: Merge both in-order sequences of entries like merge sort, then
+   * build a tree bottom-up from the sorted result instead of inserting keys
+   * one at a time.
+   *
+   * Time complexity: O(N + M), where M is size of other tree
+   * Space complexity: O(N + M)
+   *
+   * @param {RedBlackTree} other - tree whose keys will be combined with this tree
+   *
+   * @returns {RedBlackTree} - new tree ordered by this tree's comparator
+   */
+  union(other) {
+    if (!(other instanceof RedBlackTree)) { throw new Error('Only red black trees can be combined'); }
+
+    const mine = [...this.entries()];
+    const theirs = [...other.entries()];
+    const merged = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < mine.length || j < theirs.length) {
+      if (j === theirs.length) { merged.push(mine[i++]); continue; }
+      if (i === mine.length) { merged.push(theirs[j++]); continue; }
+
+      const comparison = this.comparator(mine[i][0], theirs[j][0]);
+      if (comparison < 0) { merged.push(mine[i++]); }
+      else if (comparison > 0) { merged.push(theirs[j++]); }
+      else { merged.push(theirs[j++]); i++; }
+    }
+
+    const tree = new this.constructor(this.comparator);
+    const height = Math.floor(Math.log2(merged.length + 1));
+    tree.root = build(merged, 0, merged.length - 1, height, this.constructor.Node);
+    return tree;
+  }
+
+  /**
+   * @description Describe tree in Graphviz DOT language, ready to be pasted
+   * into a bug report or rendered with `dot -Tpng`. Red links are drawn red.
+   *
+   * Strategy: Use private dotTree function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {String} - DOT source of a directed graph
+   */
+  toDot() {
+    return dotTree(this.root);
+  }
+
+  /**
+   * @description Describe tree as plain data that JSON.stringify can save
+   * and fromJSON can rebuild with the same shape. Nodes are listed in
+   * pre-order as [key, color, value], with null for every missing child.
+   * Color is 'red' or 'black', and undefined values are left off.
+   *
+   * Strategy: Explicit-stack pre-order traversal that also visits nulls.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Object} - { nodes } listing of tree
+   */
+  toJSON() {
+    const nodes = [];
+    const stack = [this.root];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node === null) { nodes.push(null); continue; }
+
+      const item = [node.key, isRed(node) ? 'red' : 'black'];
+      if (node.value !== undefined) { item.push(node.value); }
+      nodes.push(item);
+      stack.push(node.right, node.left);
+    }
+
+    return { nodes };
+  }
+
+  /**
+   * @description Draw tree as an indented ASCII diagram. Each child is tagged
+   * with the side it hangs from, and nodes reached by a red link are tagged
+   * (red). Empty trees draw as an empty string.
+   *
+   * Strategy: Use private drawTree function.
+   *
+   * Time complexity: O(N log N)
+   * Space complexity: O(N log N)
+   *
+   * @returns {String} - diagram with one line per node
+   */
+  toString() {
+    return drawTree(this.root);
+  }
+
+  /**
+   * @description Lazily iterate over values in ascending order of their keys,
+   * mirroring Map.prototype.values.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {*} - next value
+   */
+  *values() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.value;
+    }
+  }
+
+  /**
+   * @description Make tree iterable with for...of and spread syntax. Like a
+   * Map, iterating a tree yields [key, value] pairs in ascending order.
+   *
+   * Strategy: Same as entries method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(log N)
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
 }
 
 module.exports = RedBlackTree;
@@ -0,0 +1,507 @@
+const RedBlackTree = require('./tree.red-black');
+const { getNode } = require('./tree.helpers');
+
+const RED = true;
+const BLACK = false;
+
+/**
+ * Class representing a node in the persistent red black tree. Nodes are never
+ * changed once they belong to a published tree, so any number of trees may
+ * share them.
+ * @private
+ */
+class Node {
+  /**
+   * For quick node creation in tree
+   *
+   * @constructor
+   *
+   * @param {Number|String} key - key held by node
+   * @param {*} value - value held by node
+   * @param {Boolean} color - RED is true, BLACK is false
+   *
+   * @property {Boolean} color - red is true, black is false
+   * @property {Number|String} key - key held by node
+   * @property {*} value - value held by node
+   * @property {Object|Null} left - left child node
+   * @property {Object|Null} right - right child node
+   * @property {Number} size - number of nodes in subtree rooted at this node
+   */
+  constructor(key, value, color) {
+    this.color = color;
+    this.key = key;
+    this.value = value;
+    this.left = null;
+    this.right = null;
+    this.size = 1;
+  }
+}
+
+/**
+ * @description Copy a node so it can be changed without touching any tree
+ * that shares the original. Children are shared, not copied.
+ *
+ * Strategy: Copy every field of the node.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node to be copied
+ *
+ * @returns {Object} - new node with same fields
+ *
+ * @private
+ */
+function copy(node) {
+  const clone = new Node(node.key, node.value, node.color);
+  clone.left = node.left;
+  clone.right = node.right;
+  clone.size = node.size;
+  return clone;
+}
+
+/**
+ * @description Check if node is red. Null links are black.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - node to be checked
+ *
+ * @returns {Boolean} - true if node is red
+ *
+ * @private
+ */
+function isRed(node) {
+  if (node === null) { return BLACK; }
+  return node.color === RED;
+}
+
+/**
+ * @description Number of nodes in subtree. Null links hold no nodes.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} node - root of subtree
+ *
+ * @returns {Number} - number of nodes in subtree
+ *
+ * @private
+ */
+function size(node) {
+  if (node === null) { return 0; }
+  return node.size;
+}
+
+/**
+ * @description Make a right-leaning red link lean left. Every helper below
+ * takes a node it already owns, meaning a fresh copy that no published tree
+ * can see, and copies any other node before changing it.
+ *
+ * Strategy: Copy right child, which becomes the new root of this subtree.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - owned node with a red right child
+ *
+ * @returns {Object} - owned root of rotated subtree
+ *
+ * @private
+ */
+function rotateLeft(node) {
+  const newRoot = copy(node.right);
+  node.right = newRoot.left;
+  newRoot.left = node;
+  newRoot.color = node.color;
+  node.color = RED;
+  newRoot.size = node.size;
+  node.size = 1 + size(node.left) + size(node.right);
+  return newRoot;
+}
+
+/**
+ * @description Make a left-leaning red link lean right.
+ *
+ * Strategy: Copy left child, which becomes the new root of this subtree.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - owned node with a red left child
+ *
+ * @returns {Object} - owned root of rotated subtree
+ *
+ * @private
+ */
+function rotateRight(node) {
+  const newRoot = copy(node.left);
+  node.left = newRoot.right;
+  newRoot.right = node;
+  newRoot.color = node.color;
+  node.color = RED;
+  newRoot.size = node.size;
+  node.size = 1 + size(node.left) + size(node.right);
+  return newRoot;
+}
+
+/**
+ * @description Toggle colors of a node and both of its children.
+ *
+ * Strategy: Copy both children before toggling them.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - owned node with two children
+ *
+ * @private
+ */
+function flipColors(node) {
+  node.left = copy(node.left);
+  node.right = copy(node.right);
+  node.color = !node.color;
+  node.left.color = !node.left.color;
+  node.right.color = !node.right.color;
+}
+
+/**
+ * @description Restore left-leaning red black invariants on the way back up
+ * the tree, then recompute size.
+ *
+ * Strategy: Same three checks as the mutable tree.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - owned root of subtree
+ *
+ * @returns {Object} - owned root of balanced subtree
+ *
+ * @private
+ */
+function balance(node) {
+  if (isRed(node.right) && !isRed(node.left)) { node = rotateLeft(node); }
+  if (isRed(node.left) && isRed(node.left.left)) { node = rotateRight(node); }
+  if (isRed(node.left) && isRed(node.right)) { flipColors(node); }
+
+  node.size = 1 + size(node.left) + size(node.right);
+  return node;
+}
+
+/**
+ * @description Assuming node is red and both children are black, make left
+ * child or one of its children red.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - owned root of subtree
+ *
+ * @returns {Object} - owned root of subtree
+ *
+ * @private
+ */
+function moveRedLeft(node) {
+  flipColors(node);
+  if (isRed(node.right.left)) {
+    node.right = rotateRight(node.right);
+    node = rotateLeft(node);
+    flipColors(node);
+  }
+  return node;
+}
+
+/**
+ * @description Assuming node is red and both children are black, make right
+ * child or one of its children red.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - owned root of subtree
+ *
+ * @returns {Object} - owned root of subtree
+ *
+ * @private
+ */
+function moveRedRight(node) {
+  flipColors(node);
+  if (isRed(node.left.left)) {
+    node = rotateRight(node);
+    flipColors(node);
+  }
+  return node;
+}
+
+/**
+ * @description Insert or update a key-value pair, copying the search path.
+ *
+ * Strategy: Copy each node on the way down, then balance the copies on the
+ * way back up. Subtrees off the search path are shared.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(log N)
+ *
+ * @param {Object|Null} node - root of subtree, which is never changed
+ * @param {Number|String} key - key to be inserted
+ * @param {*} value - value to be inserted
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {Object} - owned root of new subtree
+ *
+ * @private
+ */
+function put(node, key, value, comparator) {
+  if (node === null) { return new Node(key, value, RED); }
+
+  const owned = copy(node);
+  const comparison = comparator(key, owned.key);
+  if (comparison < 0) { owned.left = put(owned.left, key, value, comparator); }
+  else if (comparison > 0) { owned.right = put(owned.right, key, value, comparator); }
+  else { owned.value = value; }
+
+  return balance(owned);
+}
+
+/**
+ * @description Remove smallest key in subtree, copying the search path.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(log N)
+ *
+ * @param {Object} node - root of non-empty subtree, which is never changed
+ *
+ * @returns {Object|Null} - owned root of new subtree
+ *
+ * @private
+ */
+function removeMin(node) {
+  if (node.left === null) { return null; }
+
+  let owned = copy(node);
+  if (!isRed(owned.left) && !isRed(owned.left.left)) { owned = moveRedLeft(owned); }
+
+  owned.left = removeMin(owned.left);
+  return balance(owned);
+}
+
+/**
+ * @description Remove largest key in subtree, copying the search path.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(log N)
+ *
+ * @param {Object} node - root of non-empty subtree, which is never changed
+ *
+ * @returns {Object|Null} - owned root of new subtree
+ *
+ * @private
+ */
+function removeMax(node) {
+  let owned = copy(node);
+  if (isRed(owned.left)) { owned = rotateRight(owned); }
+  if (owned.right === null) { return null; }
+  if (!isRed(owned.right) && !isRed(owned.right.left)) { owned = moveRedRight(owned); }
+
+  owned.right = removeMax(owned.right);
+  return balance(owned);
+}
+
+/**
+ * @description Remove given key from subtree, copying the search path.
+ *
+ * Strategy: Same top-down deletion as the mutable tree, except a node with
+ * two children takes a copy of its successor's key and value.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(log N)
+ *
+ * @param {Object} node - root of subtree holding key, which is never changed
+ * @param {Number|String} key - key to be removed
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {Object|Null} - owned root of new subtree
+ *
+ * @private
+ */
+function remove(node, key, comparator) {
+  let owned = copy(node);
+
+  if (comparator(key, owned.key) < 0) {
+    if (!isRed(owned.left) && !isRed(owned.left.left)) { owned = moveRedLeft(owned); }
+    owned.left = remove(owned.left, key, comparator);
+    return balance(owned);
+  }
+
+  if (isRed(owned.left)) { owned = rotateRight(owned); }
+  if (comparator(key, owned.key) === 0 && owned.right === null) { return null; }
+  if (!isRed(owned.right) && !isRed(owned.right.left)) { owned = moveRedRight(owned); }
+
+  if (comparator(key, owned.key) === 0) {
+    let successor = owned.right;
+    while (successor.left !== null) { successor = successor.left; }
+    owned.key = successor.key;
+    owned.value = successor.value;
+    owned.right = removeMin(owned.right);
+  } else {
+    owned.right = remove(owned.right, key, comparator);
+  }
+
+  return balance(owned);
+}
+
+/**
+ * @description Apply a removal to a copy of the root, then publish result as
+ * a new tree.
+ *
+ * Strategy: Like the mutable tree, color root red when both children are
+ * black so removal can borrow from it, but on a copy.
+ *
+ * Time complexity: O(log N)
+ * Space complexity: O(log N)
+ *
+ * @param {PersistentRedBlackTree} tree - tree to remove from, which is never changed
+ * @param {Function} removal - takes root and returns owned root of new tree
+ *
+ * @returns {PersistentRedBlackTree} - new version of tree
+ *
+ * @private
+ */
+function removeFrom(tree, removal) {
+  let root = tree.root;
+  if (!isRed(root.left) && !isRed(root.right)) {
+    root = copy(root);
+    root.color = RED;
+  }
+
+  root = removal(root);
+  if (root !== null) { root.color = BLACK; }
+  return createTree(root, tree.comparator);
+}
+
+/**
+ * @description Wrap a root in a new tree.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} root - root of new tree
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {PersistentRedBlackTree} - tree with given root
+ *
+ * @private
+ */
+function createTree(root, comparator) {
+  const tree = new PersistentRedBlackTree(comparator);
+  tree.root = root;
+  return tree;
+}
+
+/**
+ * Class representing an immutable red black tree. Updates return a new tree
+ * that shares every unchanged node with the old one, so old versions stay
+ * readable for undo and snapshots. Lookups and traversals are inherited from
+ * RedBlackTree, as is the constructor.
+ */
+class PersistentRedBlackTree extends RedBlackTree {
+  /**
+   * @description Not supported, since joining moves nodes that other versions
+   * may share. Use union instead.
+   */
+  static join() {
+    throw new Error('Persistent trees cannot be joined in place, use union instead');
+  }
+
+  /**
+   * @description Remove a key, returning a new tree. This tree is unchanged.
+   *
+   * Strategy: Top-down deletion that copies every node on the search path.
+   *
+   * Edge case(s): empty tree, key not found
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(log N)
+   *
+   * @param {Number|String} key - key to be removed
+   *
+   * @returns {PersistentRedBlackTree} - new version without key
+   */
+  delete(key) {
+    if (this.root === null) { throw new Error('Tree is empty, my dear friend!'); }
+    if (getNode(this.root, key, this.comparator) === null) { throw new Error('No match found for deletion'); }
+
+    return removeFrom(this, root => remove(root, key, this.comparator));
+  }
+
+  /**
+   * @description Remove largest key, returning a new tree. This tree is
+   * unchanged.
+   *
+   * Strategy: Walk down right spine, copying every node on the way.
+   *
+   * Edge case(s): empty tree
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(log N)
+   *
+   * @returns {PersistentRedBlackTree} - new version without largest key
+   */
+  deleteMax() {
+    if (this.root === null) { throw new Error('Tree is empty, my dear friend!'); }
+
+    return removeFrom(this, removeMax);
+  }
+
+  /**
+   * @description Remove smallest key, returning a new tree. This tree is
+   * unchanged.
+   *
+   * Strategy: Walk down left spine, copying every node on the way.
+   *
+   * Edge case(s): empty tree
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(log N)
+   *
+   * @returns {PersistentRedBlackTree} - new version without smallest key
+   */
+  deleteMin() {
+    if (this.root === null) { throw new Error('Tree is empty, my dear friend!'); }
+
+    return removeFrom(this, removeMin);
+  }
+
+  /**
+   * @description Insert a key-value pair, or update the value of an existing
+   * key, returning a new tree. This tree is unchanged.
+   *
+   * Strategy: Copy every node on the search path and balance the copies.
+   * Only O(log N) nodes are new, the rest are shared.
+   *
+   * Time complexity: O(log N)
+   * Space complexity: O(log N)
+   *
+   * @param {Number|String} key - key to be inserted
+   * @param {*} value - value to be inserted
+   *
+   * @returns {PersistentRedBlackTree} - new version with key
+   */
+  insert(key, value) {
+    const root = put(this.root, key, value, this.comparator);
+    root.color = BLACK;
+    return createTree(root, this.comparator);
+  }
+
+  /**
+   * @description Not supported, since splitting moves nodes that other
+   * versions may share. Use keys(lo, hi) to read a range instead.
+   */
+  split() {
+    throw new Error('Persistent trees cannot be split in place, use keys(lo, hi) instead');
+  }
+}
+
+module.exports = PersistentRedBlackTree;
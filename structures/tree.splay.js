@@ -0,0 +1,741 @@
+const {
+  defaultComparator,
+  findOrderViolation,
+  inOrderNodes,
+  levelOrderNodes,
+  levelsOf,
+  postOrderNodes,
+  preOrderNodes
+} = require("./tree.helpers");
+
+/**
+ * Class representing a node in the splay tree
+ * @private
+ */
+class Node {
+  /**
+   * For quick node creation in tree
+   *
+   * @constructor
+   *
+   * @param {Number|String} key - key held by node
+   * @param {*} value - value held by node
+   *
+   * @property {Number|String} key - key held by node
+   * @property {*} value - value held by node
+   * @property {Object|Null} left - left child node
+   * @property {Object|Null} right - right child node
+   */
+  constructor(key, value) {
+    this.key = key;
+    this.value = value;
+    this.left = null;
+    this.right = null;
+  }
+}
+
+/**
+ * @description Move the node a search ends on up to the root. Searching for
+ * a missing key ends on the last node visited, which holds a neighbor of the
+ * key.
+ *
+ * Strategy: Top-down splay. Walk down from the root, hanging nodes smaller
+ * than the target on a left tree and larger nodes on a right tree, and rotate
+ * whenever the path takes two steps in the same direction so long paths are
+ * roughly halved. Finally, the node reached becomes root with both side
+ * trees as its subtrees. No parent pointers or recursion are needed, so
+ * degenerate trees cannot overflow the call stack.
+ *
+ * Time complexity: O(log N) amortized
+ * Space complexity: O(1)
+ *
+ * @param {Object|Null} root - root of tree to be splayed
+ * @param {Function} compare - takes a node's key and returns a negative number
+ * to go left, a positive number to go right, or zero to stop
+ *
+ * @returns {Object|Null} - new root of tree
+ *
+ * @private
+ */
+function splay(root, compare) {
+  if (root === null) {
+    return null;
+  }
+
+  // Header collects the left tree in its right link and right tree in its left link
+  const header = { left: null, right: null };
+  let leftMax = header;
+  let rightMin = header;
+  let node = root;
+
+  while (true) {
+    const comparison = compare(node.key);
+
+    if (comparison < 0) {
+      if (node.left === null) {
+        break;
+      }
+      // Two steps left, so rotate right before linking
+      if (compare(node.left.key) < 0) {
+        const child = node.left;
+        node.left = child.right;
+        child.right = node;
+        node = child;
+        if (node.left === null) {
+          break;
+        }
+      }
+      rightMin.left = node;
+      rightMin = node;
+      node = node.left;
+    } else if (comparison > 0) {
+      if (node.right === null) {
+        break;
+      }
+      // Two steps right, so rotate left before linking
+      if (compare(node.right.key) > 0) {
+        const child = node.right;
+        node.right = child.left;
+        child.left = node;
+        node = child;
+        if (node.right === null) {
+          break;
+        }
+      }
+      leftMax.right = node;
+      leftMax = node;
+      node = node.right;
+    } else {
+      break;
+    }
+  }
+
+  leftMax.right = node.left;
+  rightMin.left = node.right;
+  node.left = header.right;
+  node.right = header.left;
+  return node;
+}
+
+/**
+ * @description Used by delete methods to remove a node already splayed to
+ * the root.
+ *
+ * Strategy: If root has no left subtree, its right subtree takes over.
+ * Otherwise splay the largest key of the left subtree, which then has no
+ * right child, and hang the right subtree there.
+ *
+ * Time complexity: O(log N) amortized
+ * Space complexity: O(1)
+ *
+ * @param {Object} root - root of tree, which is being removed
+ *
+ * @returns {Object|Null} - new root of tree
+ *
+ * @private
+ */
+function removeRoot(root) {
+  if (root.left === null) {
+    return root.right;
+  }
+
+  const newRoot = splay(root.left, () => 1);
+  newRoot.right = root.right;
+  return newRoot;
+}
+
+/** Class representing a splay tree */
+class SplayTree {
+  /**
+   * Track root of tree and how keys are ordered.
+   *
+   * Shares its public interface with RedBlackTree and AVLTree. Every access
+   * moves the node it touches to the root, so keys used often stay near the
+   * top and repeated lookups of hot keys are nearly free. No single operation
+   * is guaranteed fast, but any sequence of M operations takes O(M log N).
+   * Because lookups reshape the tree, get, min, max, floor and ceiling all
+   * change the root.
+   *
+   * @constructor
+   *
+   * @param {Function=} comparator - takes two keys and returns a negative
+   * number, zero or a positive number, like Array.prototype.sort comparators
+   *
+   * @property {Object|Null} root - top level node in tree
+   * @property {Function} comparator - decides the order of keys in tree
+   */
+  constructor(comparator = defaultComparator) {
+    if (typeof comparator !== "function") {
+      throw new Error("Comparator must be a function");
+    }
+
+    this.root = null;
+    this.comparator = comparator;
+  }
+
+  /**
+   * @description Throw an error describing the first broken invariant, if
+   * any. Useful for debugging code that edits nodes directly.
+   *
+   * Strategy: Use shared findOrderViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   */
+  assertInvariants() {
+    const violation = findOrderViolation(this.root, this.comparator);
+    if (violation !== null) {
+      throw new Error(violation);
+    }
+  }
+
+  /**
+   * @description Apply a callback to the entire tree in level order.
+   *
+   * Strategy: Use level order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Function} callback - calls all nodes in breadth-first order
+   */
+  breadthFirstSearch(callback) {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const node of levelOrderNodes(this.root)) {
+      callback(node);
+    }
+  }
+
+  /**
+   * @description Find smallest key greater than or equal to given key.
+   *
+   * Strategy: Splay the key. If it is missing, the new root is one of its
+   * neighbors. If root is smaller, the answer is the minimum of its right
+   * subtree, so splay that subtree to its minimum as well.
+   *
+   * Time complexity: O(log N) amortized
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be rounded up
+   *
+   * @returns {Number|String|Null} - null if every key is smaller than given key
+   */
+  ceiling(key) {
+    this.root = splay(this.root, nodeKey => this.comparator(key, nodeKey));
+    if (this.root === null) {
+      return null;
+    }
+    if (this.comparator(key, this.root.key) <= 0) {
+      return this.root.key;
+    }
+    if (this.root.right === null) {
+      return null;
+    }
+
+    this.root.right = splay(this.root.right, () => -1);
+    return this.root.right.key;
+  }
+
+  /**
+   * @description Remove node with given key from tree.
+   *
+   * Strategy: Splay the key to the root. Then splay the largest key of its
+   * left subtree, which leaves that subtree without a right child, and hang
+   * the right subtree there.
+   *
+   * Edge case(s): empty tree, key not in tree, deleting last node
+   *
+   * Time complexity: O(log N) amortized
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key of node to be removed
+   *
+   * @returns {*} - value of removed node
+   */
+  delete(key) {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    this.root = splay(this.root, nodeKey => this.comparator(key, nodeKey));
+    if (this.comparator(key, this.root.key) !== 0) {
+      throw new Error("No match found for deletion");
+    }
+
+    const value = this.root.value;
+    this.root = removeRoot(this.root);
+    return value;
+  }
+
+  /**
+   * @description Remove node with largest key from tree.
+   *
+   * Strategy: Splay maximum to the root, which leaves it without a right
+   * child, then replace it with its left subtree.
+   *
+   * Edge case(s): empty tree, deleting last node
+   *
+   * Time complexity: O(log N) amortized
+   * Space complexity: O(1)
+   *
+   * @returns {*} - value of removed node
+   */
+  deleteMax() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    this.root = splay(this.root, () => 1);
+    const value = this.root.value;
+    this.root = removeRoot(this.root);
+    return value;
+  }
+
+  /**
+   * @description Remove node with smallest key from tree.
+   *
+   * Strategy: Splay minimum to the root, which leaves it without a left
+   * child, then replace it with its right subtree.
+   *
+   * Edge case(s): empty tree, deleting last node
+   *
+   * Time complexity: O(log N) amortized
+   * Space complexity: O(1)
+   *
+   * @returns {*} - value of removed node
+   */
+  deleteMin() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    this.root = splay(this.root, () => -1);
+    const value = this.root.value;
+    this.root = removeRoot(this.root);
+    return value;
+  }
+
+  /**
+   * @description Depth-first in-order traversal that applies callback to
+   * all nodes in ascending order.
+   *
+   * Strategy: Use in-order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @param {Function} callback - invoked on every node
+   * @param {Object=} node - root of subtree to traverse
+   */
+  depthInOrder(callback, node = this.root) {
+    if (node === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const current of inOrderNodes(node)) {
+      callback(current);
+    }
+  }
+
+  /**
+   * @description Depth-first post-order traversal that applies callback to
+   * all nodes such that root is last.
+   *
+   * Strategy: Use post-order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @param {Function} callback - invoked on every node in post-order
+   * @param {Object=} node - root of subtree to traverse
+   */
+  depthPostOrder(callback, node = this.root) {
+    if (node === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const current of postOrderNodes(node)) {
+      callback(current);
+    }
+  }
+
+  /**
+   * @description Depth-first pre-order traversal that applies callback to
+   * all nodes such that root is always first.
+   *
+   * Strategy: Use pre-order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @param {Function} callback - invoked on every node in pre-order
+   * @param {Object=} node - root of subtree to traverse
+   */
+  depthPreOrder(callback, node = this.root) {
+    if (node === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const current of preOrderNodes(node)) {
+      callback(current);
+    }
+  }
+
+  /**
+   * @description Lazily iterate over [key, value] pairs in ascending order,
+   * mirroring Map.prototype.entries.
+   *
+   * Strategy: Wrap in-order generator. Traversals do not splay.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  *entries() {
+    for (const node of inOrderNodes(this.root)) {
+      yield [node.key, node.value];
+    }
+  }
+
+  /**
+   * @description Find largest key less than or equal to given key.
+   *
+   * Strategy: Splay the key. If it is missing, the new root is one of its
+   * neighbors. If root is larger, the answer is the maximum of its left
+   * subtree, so splay that subtree to its maximum as well.
+   *
+   * Time complexity: O(log N) amortized
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be rounded down
+   *
+   * @returns {Number|String|Null} - null if every key is larger than given key
+   */
+  floor(key) {
+    this.root = splay(this.root, nodeKey => this.comparator(key, nodeKey));
+    if (this.root === null) {
+      return null;
+    }
+    if (this.comparator(key, this.root.key) >= 0) {
+      return this.root.key;
+    }
+    if (this.root.left === null) {
+      return null;
+    }
+
+    this.root.left = splay(this.root.left, () => 1);
+    return this.root.left.key;
+  }
+
+  /**
+   * @description Find node with given key and return its value. The node
+   * found, or its closest neighbor if the key is missing, becomes the root.
+   *
+   * Strategy: Splay the key, then check the root.
+   *
+   * Time complexity: O(log N) amortized
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - searching for this key in the tree
+   *
+   * @returns {*} - null if key is not found
+   */
+  get(key) {
+    this.root = splay(this.root, nodeKey => this.comparator(key, nodeKey));
+    if (this.root === null || this.comparator(key, this.root.key) !== 0) {
+      return null;
+    }
+
+    return this.root.value;
+  }
+
+  /**
+   * @description Count nodes on longest path from root down to a leaf.
+   *
+   * Strategy: Count levels, which avoids recursion on degenerate trees.
+   *
+   * Edge case(s): Empty tree has height 0
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Number} - height of tree
+   */
+  height() {
+    return levelsOf(this.root).length;
+  }
+
+  /**
+   * @description Lazily iterate over keys in ascending order. Empty trees
+   * yield nothing.
+   *
+   * Strategy: Generator version of depthInOrder method, so iteration can stop
+   * early with break.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key in-order
+   */
+  *inOrder() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Insert new key-value pair into appropriate location in tree.
+   * If key already exists in tree, then overwrite the previous value with
+   * the new value. Either way, the key ends up at the root.
+   *
+   * Strategy: Splay the key. If root now holds it, update value. Otherwise
+   * root is a neighbor of the key, so the new node becomes root with the
+   * neighbor and one of its subtrees on either side.
+   *
+   * Time complexity: O(log N) amortized
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - determines location to be inserted in tree
+   * @param {*} value - value associated with given key
+   *
+   * @returns {Boolean} - true represents successful insertion
+   */
+  insert(key, value) {
+    const node = new Node(key, value);
+    if (this.root === null) {
+      this.root = node;
+      return true;
+    }
+
+    this.root = splay(this.root, nodeKey => this.comparator(key, nodeKey));
+    const comparison = this.comparator(key, this.root.key);
+    if (comparison === 0) {
+      this.root.value = value;
+      return true;
+    }
+
+    if (comparison < 0) {
+      node.left = this.root.left;
+      node.right = this.root;
+      this.root.left = null;
+    } else {
+      node.right = this.root.right;
+      node.left = this.root;
+      this.root.right = null;
+    }
+
+    this.root = node;
+    return true;
+  }
+
+  /**
+   * @description Check that keys are in BST order. Splay trees keep no
+   * balance information, so there is nothing else to check.
+   *
+   * Strategy: Use shared findOrderViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @returns {Boolean} - true if every invariant holds
+   */
+  isValid() {
+    return findOrderViolation(this.root, this.comparator) === null;
+  }
+
+  /**
+   * @description Lazily iterate over keys between lo and hi, inclusive, in
+   * ascending order. Without bounds, iterate over every key in tree.
+   *
+   * Strategy: Bounded in-order generator prunes subtrees outside of range and
+   * stops as soon as a key passes hi.
+   *
+   * Edge case(s): empty tree, lo larger than hi
+   *
+   * Time complexity: O(H + M), where H is height of tree and M is number of
+   * keys in range
+   * Space complexity: O(H)
+   *
+   * @param {Number|String=} lo - smallest key in range
+   * @param {Number|String=} hi - largest key in range
+   *
+   * @yields {Number|String} - next key in range
+   */
+  *keys(lo, hi) {
+    for (const node of inOrderNodes(this.root, this.comparator, lo, hi)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Lazily iterate over keys level by level. Empty trees yield
+   * nothing.
+   *
+   * Strategy: Generator version of breadthFirstSearch method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @yields {Number|String} - next key in level order
+   */
+  *levelOrder() {
+    for (const node of levelOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Report shape of tree as the keys found at each depth.
+   *
+   * Strategy: Use private levelsOf function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Array} - one array of keys per level, from root down
+   */
+  levels() {
+    return levelsOf(this.root).map(level => level.map(node => node.key));
+  }
+
+  /**
+   * @description Find largest key in tree, which becomes the root.
+   *
+   * Strategy: Splay maximum to the root.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(log N) amortized
+   * Space complexity: O(1)
+   *
+   * @returns {Number|String} - maximum key in tree
+   */
+  max() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    this.root = splay(this.root, () => 1);
+    return this.root.key;
+  }
+
+  /**
+   * @description Find smallest key in tree, which becomes the root.
+   *
+   * Strategy: Splay minimum to the root.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(log N) amortized
+   * Space complexity: O(1)
+   *
+   * @returns {Number|String} - minimum key in tree
+   */
+  min() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    this.root = splay(this.root, () => -1);
+    return this.root.key;
+  }
+
+  /**
+   * @description Lazily iterate over keys such that root is last. Empty trees
+   * yield nothing.
+   *
+   * Strategy: Generator version of depthPostOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key post-order
+   */
+  *postOrder() {
+    for (const node of postOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Lazily iterate over keys such that root is first. Empty
+   * trees yield nothing.
+   *
+   * Strategy: Generator version of depthPreOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key pre-order
+   */
+  *preOrder() {
+    for (const node of preOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Count keys in tree.
+   *
+   * Strategy: Walk every node, since splaying would make cached subtree sizes
+   * costly to keep current.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @returns {Number} - number of keys in tree
+   */
+  size() {
+    let count = 0;
+    for (const node of inOrderNodes(this.root)) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * @description Lazily iterate over values in ascending order of their keys,
+   * mirroring Map.prototype.values.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {*} - next value
+   */
+  *values() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.value;
+    }
+  }
+
+  /**
+   * @description Make tree iterable with for...of and spread syntax. Like a
+   * Map, iterating a tree yields [key, value] pairs in ascending order.
+   *
+   * Strategy: Same as entries method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+module.exports = SplayTree;
@@ -0,0 +1,532 @@
+const { lettersOf, parseOptions } = require("./text.helpers");
+
+/**
+ * @description Private method that creates a node. Each node owns the edge
+ * leading into it, stored as the range [start, end) of one document rather
+ * than as a copy of its letters.
+ *
+ * @param {Number} doc - id of document the edge label points into
+ * @param {Number} start - position in document where edge label begins
+ * @param {Number} end - position in document after edge label ends
+ *
+ * @returns {Object} - node with doc, start, end, children and link properties
+ *
+ * @private
+ */
+function createNode(doc, start, end) {
+  return { doc, start, end, children: new Map(), link: null };
+}
+
+/**
+ * @description Private method that creates a leaf for the suffix starting at
+ * a given letter of a document.
+ *
+ * Edge case: the suffix made of the end marker alone gets no index, since it
+ * is empty
+ *
+ * @param {Number} doc - id of document the suffix belongs to
+ * @param {Number} start - position in document where edge label begins
+ * @param {Number} suffix - position in document where the suffix begins
+ * @param {Array} positions - position of each letter in the original string
+ *
+ * @returns {Object} - leaf node, with index marking where its suffix starts
+ *
+ * @private
+ */
+function createLeaf(doc, start, suffix, positions) {
+  const leaf = { doc, start, end: Infinity, children: null, link: null };
+
+  if (suffix < positions.length) {
+    leaf.index = positions[suffix];
+  }
+
+  return leaf;
+}
+
+/**
+ * @description Private method that finds how many letters label the edge
+ * into a node.
+ *
+ * Strategy: Leaves end at Infinity. Leaves of the document being added grow
+ * with the letters read so far, and leaves of earlier documents stop at the
+ * end of their document.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Array} documents - letters of every document
+ * @param {Object} node - node at the bottom of the edge
+ * @param {Number} length - number of letters read of the last document, or
+ * Infinity once it has been read
+ *
+ * @returns {Number} - length of edge label
+ *
+ * @private
+ */
+function edgeLength(documents, node, length) {
+  const limit = node.doc === documents.length - 1 ? length : Infinity;
+  return Math.min(node.end, limit, documents[node.doc].length) - node.start;
+}
+
+/**
+ * @description Private method that adds the last document to the tree with
+ * Ukkonen's algorithm.
+ *
+ * Strategy: Same as for a single string, with the active point starting over
+ * at the root. Suffixes of the new document follow edges labelled by earlier
+ * documents for as long as they agree, and suffix links made for earlier
+ * documents stay valid because they only depend on edge labels. Each
+ * document ends with its own marker, so no suffix of one document can end
+ * inside a suffix of another and every suffix gets its own leaf.
+ *
+ * Time complexity: O(c), where c is number of characters in document
+ * Space complexity: O(c), where c is number of characters in document
+ *
+ * @param {GeneralizedSuffixTree} tree - tree to extend
+ * @param {Array} positions - position of each letter in the original string
+ *
+ * @private
+ */
+function extend(tree, positions) {
+  const { documents, root } = tree;
+  const doc = documents.length - 1;
+  const text = documents[doc];
+  let activeNode = root;
+  let activeEdge = 0;
+  let activeLength = 0;
+  let remainder = 0;
+
+  const letterAt = node => documents[node.doc][node.start + activeLength];
+
+  for (let i = 0; i < text.length; i++) {
+    let lastInternal = null;
+    remainder++;
+
+    while (remainder > 0) {
+      if (activeLength === 0) {
+        activeEdge = i;
+      }
+
+      const next = activeNode.children.get(text[activeEdge]);
+
+      if (next === undefined) {
+        activeNode.children.set(
+          text[activeEdge],
+          createLeaf(doc, i, i - remainder + 1, positions)
+        );
+
+        if (lastInternal !== null) {
+          lastInternal.link = activeNode;
+          lastInternal = null;
+        }
+      } else {
+        // Walk down when the active point has passed the end of this edge
+        const length = edgeLength(documents, next, i + 1);
+        if (activeLength >= length) {
+          activeEdge += length;
+          activeLength -= length;
+          activeNode = next;
+          continue;
+        }
+
+        // Letter is already there, so every shorter suffix is too
+        if (letterAt(next) === text[i]) {
+          if (lastInternal !== null && activeNode !== root) {
+            lastInternal.link = activeNode;
+          }
+          activeLength++;
+          break;
+        }
+
+        const split = createNode(next.doc, next.start, next.start + activeLength);
+        split.link = root;
+        activeNode.children.set(text[activeEdge], split);
+        split.children.set(
+          text[i],
+          createLeaf(doc, i, i - remainder + 1, positions)
+        );
+        next.start += activeLength;
+        split.children.set(documents[next.doc][next.start], next);
+
+        if (lastInternal !== null) {
+          lastInternal.link = split;
+        }
+        lastInternal = split;
+      }
+
+      remainder--;
+
+      if (activeNode === root && activeLength > 0) {
+        activeLength--;
+        activeEdge = i - remainder + 1;
+      } else if (activeNode !== root) {
+        activeNode = activeNode.link;
+      }
+    }
+  }
+}
+
+/**
+ * @description Private method that walks the tree along the letters of a
+ * query.
+ *
+ * Strategy: Split query the same way as the documents. At each node, pick
+ * the edge starting with the next letter, then compare letters along the
+ * edge label until either the query or the edge runs out.
+ *
+ * Time complexity: O(c), where c is number of characters in query
+ * Space complexity: O(c)
+ *
+ * @param {GeneralizedSuffixTree} tree - tree to be searched
+ * @param {String} query - text to follow from root
+ *
+ * @returns {Object|Null} - node at the bottom of the edge where query ends,
+ * or null if query leaves the tree
+ *
+ * @private
+ */
+function locate(tree, query) {
+  if (typeof query !== "string") {
+    throw new Error("This tree only stores strings");
+  }
+
+  const { documents } = tree;
+  const letters = lettersOf(query, tree.options);
+  let node = tree.root;
+  let offset = 0;
+
+  for (let i = 0; i < letters.length; i++) {
+    if (node === tree.root || offset === edgeLength(documents, node, Infinity)) {
+      node = node.children.get(letters[i].letter);
+      offset = 0;
+
+      if (node === undefined) {
+        return null;
+      }
+    }
+
+    if (documents[node.doc][node.start + offset] !== letters[i].letter) {
+      return null;
+    }
+
+    offset++;
+  }
+
+  return node;
+}
+
+/**
+ * @description Private method that lists the leaves below a node.
+ *
+ * Strategy: Depth-first traversal with an explicit stack, so long documents
+ * cannot overflow the call stack. Leaves made of an end marker alone are
+ * skipped, since they stand for empty suffixes.
+ *
+ * Time complexity: O(N), where N is number of nodes below node
+ * Space complexity: O(N)
+ *
+ * @param {Object} node - node to collect leaves below
+ *
+ * @returns {Array} - leaves, in no particular order
+ *
+ * @private
+ */
+function leavesBelow(node) {
+  const leaves = [];
+  const stack = [node];
+
+  while (stack.length > 0) {
+    const currentNode = stack.pop();
+
+    if (currentNode.children === null) {
+      if (currentNode.hasOwnProperty("index")) {
+        leaves.push(currentNode);
+      }
+    } else {
+      currentNode.children.forEach(child => stack.push(child));
+    }
+  }
+
+  return leaves;
+}
+
+/**
+ * @description Private method that lists internal nodes with the number of
+ * letters on the path from the root to each, children before parents.
+ *
+ * Strategy: Depth-first traversal with an explicit stack records each node
+ * and its depth before its children, so reversing the list visits children
+ * first. Leaves are left out, but reported through their parents.
+ *
+ * Time complexity: O(N), where N is number of nodes in tree
+ * Space complexity: O(N)
+ *
+ * @param {GeneralizedSuffixTree} tree - tree to be traversed
+ *
+ * @returns {Array} - [node, depth] pairs, deepest nodes first
+ *
+ * @private
+ */
+function internalNodesBottomUp(tree) {
+  const order = [];
+  const stack = [[tree.root, 0]];
+
+  while (stack.length > 0) {
+    const [node, depth] = stack.pop();
+    order.push([node, depth]);
+
+    node.children.forEach(child => {
+      if (child.children !== null) {
+        stack.push([child, depth + edgeLength(tree.documents, child, Infinity)]);
+      }
+    });
+  }
+
+  return order.reverse();
+}
+
+/**
+ * @description Private method that reads the letters on the path from the
+ * root to an internal node.
+ *
+ * Strategy: The path to a node is spelled in the document its edge points
+ * into, ending where its edge ends, so slice it out of that document.
+ *
+ * Time complexity: O(d), where d is depth of node
+ * Space complexity: O(d)
+ *
+ * @param {GeneralizedSuffixTree} tree - tree node belongs to
+ * @param {Object} node - internal node
+ * @param {Number} depth - number of letters from root to node
+ *
+ * @returns {String} - letters joined into a string
+ *
+ * @private
+ */
+function pathTo(tree, node, depth) {
+  return tree.documents[node.doc].slice(node.end - depth, node.end).join("");
+}
+
+/** Class representing a generalized suffix tree over many documents */
+class GeneralizedSuffixTree {
+  /**
+   * Track root of tree, every document added and how text is split into
+   * letters.
+   *
+   * Tree starts empty and grows one document at a time. All documents share
+   * one tree, so a single search covers the whole corpus. Options work as in
+   * SuffixTree and apply to every document and query.
+   *
+   * @constructor
+   *
+   * @param {Object=} options - how to split text into letters
+   * @param {Boolean=} options.caseSensitive - keep case, as for DNA or code
+   * @param {Boolean=} options.keepWhitespace - store whitespace as letters
+   * @param {String=} options.normalization - Unicode normalization form, such
+   * as "NFC" or "NFKD", applied before anything else
+   *
+   * @property {Object} root - top level node that points to rest of tree
+   * @property {Object} options - options with defaults filled in
+   * @property {Array} documents - letters of each document, ending with a
+   * marker unique to that document, which edge labels point into
+   */
+  constructor(options) {
+    this.options = parseOptions(options);
+    this.root = createNode(null, 0, 0);
+    this.documents = [];
+  }
+
+  /**
+   * @description Add a document to the corpus.
+   *
+   * Strategy: Split document into letters, end them with a marker unique to
+   * this document, then extend the tree with private extend function.
+   *
+   * Time complexity: O(c), where c is number of characters in document
+   * Space complexity: O(c)
+   *
+   * @param {String} document - text to be indexed
+   *
+   * @returns {Number} - id of document, counting up from 0 in order added
+   */
+  addDocument(document) {
+    if (document === "" || typeof document !== "string") {
+      throw new Error("Documents must be non-empty strings");
+    }
+
+    const id = this.documents.length;
+    const letters = lettersOf(document, this.options);
+    this.documents.push(
+      letters.map(({ letter }) => letter).concat(Symbol(`end of document ${id}`))
+    );
+    extend(this, letters.map(({ index }) => index));
+
+    return id;
+  }
+
+  /**
+   * @description Find which documents contain a pattern.
+   *
+   * Strategy: Use private locate function to reach the edge for pattern.
+   * Every leaf below it is a suffix starting with pattern, and knows which
+   * document it came from.
+   *
+   * Edge case: empty string is in every document with at least one letter
+   *
+   * Time complexity: O(c + N), where c is number of characters in pattern
+   * and N is number of nodes below the match
+   * Space complexity: O(N)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Array} - ids of documents containing pattern, in ascending order
+   */
+  documentsContaining(pattern) {
+    const node = locate(this, pattern);
+    if (node === null) {
+      return [];
+    }
+
+    const ids = new Set(leavesBelow(node).map(leaf => leaf.doc));
+    return [...ids].sort((a, b) => a - b);
+  }
+
+  /**
+   * @description Find every place a pattern starts across the corpus.
+   * Positions are UTF-16 offsets into each document, the same offsets indexOf
+   * and slice use, and count any whitespace that was skipped. With
+   * normalization, they are offsets into the normalized document.
+   *
+   * Strategy: Use private locate function to reach the edge for pattern,
+   * then report the document and position of every leaf below it.
+   *
+   * Edge case: returns empty array when pattern is not found
+   *
+   * Time complexity: O(c + N log N), where c is number of characters in
+   * pattern and N is number of nodes below the match
+   * Space complexity: O(N)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Array} - [document id, position] pairs, in ascending order
+   */
+  findAll(pattern) {
+    const node = locate(this, pattern);
+    if (node === null) {
+      return [];
+    }
+
+    return leavesBelow(node)
+      .map(leaf => [leaf.doc, leaf.index])
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  }
+
+  /**
+   * @description Find the longest string of letters found in both of two
+   * documents. Letters are returned as stored, so lowercase unless the tree
+   * is case sensitive, and without whitespace unless it is kept.
+   *
+   * Strategy: Visit internal nodes children first, marking which of the two
+   * documents has a leaf below each node. Among nodes marked for both, the
+   * one with most letters on its path spells the answer.
+   *
+   * Edge case(s): same document twice returns the whole document, ids that
+   * were never given out throw
+   *
+   * Time complexity: O(N), where N is number of nodes in tree
+   * Space complexity: O(N)
+   *
+   * @param {Number} first - id of one document
+   * @param {Number} second - id of other document
+   *
+   * @returns {String} - longest common substring, or empty string if none
+   */
+  longestCommonSubstring(first, second) {
+    [first, second].forEach(id => {
+      if (!Number.isInteger(id) || id < 0 || id >= this.documents.length) {
+        throw new Error(`No document with id ${id}`);
+      }
+    });
+
+    if (first === second) {
+      return this.documents[first].slice(0, -1).join("");
+    }
+
+    const FIRST = 1;
+    const SECOND = 2;
+    const marks = new Map();
+    let best = null;
+    let bestDepth = 0;
+
+    internalNodesBottomUp(this).forEach(([node, depth]) => {
+      let mark = 0;
+
+      node.children.forEach(child => {
+        if (child.children !== null) {
+          mark |= marks.get(child);
+        } else if (child.hasOwnProperty("index")) {
+          mark |= child.doc === first ? FIRST : child.doc === second ? SECOND : 0;
+        }
+      });
+
+      marks.set(node, mark);
+      if (mark === (FIRST | SECOND) && depth > bestDepth) {
+        best = node;
+        bestDepth = depth;
+      }
+    });
+
+    return best === null ? "" : pathTo(this, best, bestDepth);
+  }
+
+  /**
+   * @description Find the longest string of letters that occurs at least
+   * twice across the corpus, whether in one document or in two. Letters are
+   * returned as stored, as in longestCommonSubstring method.
+   *
+   * Strategy: Every internal node other than root has at least two leaves
+   * below it, so its path occurs at least twice. Return the path of the
+   * internal node with most letters on its path.
+   *
+   * Edge case: returns empty string when no letter repeats
+   *
+   * Time complexity: O(N), where N is number of nodes in tree
+   * Space complexity: O(N)
+   *
+   * @returns {String} - longest repeated substring
+   */
+  longestRepeatedSubstring() {
+    let best = this.root;
+    let bestDepth = 0;
+
+    internalNodesBottomUp(this).forEach(([node, depth]) => {
+      if (depth > bestDepth) {
+        best = node;
+        bestDepth = depth;
+      }
+    });
+
+    return best === this.root ? "" : pathTo(this, best, bestDepth);
+  }
+
+  /**
+   * @description Check if a pattern exists in any document.
+   *
+   * Strategy: Use private locate function, which splits pattern into letters
+   * with the tree's options. Return true if traversal ends successfully.
+   *
+   * Edge case: empty string returns true
+   *
+   * Time complexity: O(c), where c is number of characters in input pattern
+   * Space complexity: O(c)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Boolean} - true if pattern exists, or false otherwise
+   */
+  matchesPattern(pattern) {
+    return locate(this, pattern) !== null;
+  }
+}
+
+module.exports = GeneralizedSuffixTree;
@@ -0,0 +1,402 @@
+const { indexesBelow, lettersOf, parseOptions } = require("./text.helpers");
+
+/**
+ * Letter appended to the text so every suffix ends at a leaf. A symbol can
+ * never equal a letter of the text.
+ * @private
+ */
+const END = Symbol("end of text");
+
+/**
+ * @description Private method that creates a node. Each node owns the edge
+ * leading into it, stored as the range [start, end) of the text rather than
+ * as a copy of its letters.
+ *
+ * @param {Number} start - position in text where edge label begins
+ * @param {Number} end - position in text after edge label ends, or Infinity
+ * for leaves, whose edges grow with the text while the tree is built
+ *
+ * @returns {Object} - node with start, end, children and link properties
+ *
+ * @private
+ */
+function createNode(start, end) {
+  return { start, end, children: new Map(), link: null };
+}
+
+/**
+ * @description Private method that creates a leaf for the suffix starting at
+ * a given letter.
+ *
+ * Edge case: the suffix made of END alone gets no index, since it is empty
+ *
+ * @param {Number} start - position in text where edge label begins
+ * @param {Number} suffix - position in text where the suffix begins
+ * @param {Array} positions - position of each letter in the original string
+ *
+ * @returns {Object} - leaf node, with index marking where its suffix starts
+ *
+ * @private
+ */
+function createLeaf(start, suffix, positions) {
+  const leaf = { start, end: Infinity, children: null, link: null };
+
+  if (suffix < positions.length) {
+    leaf.index = positions[suffix];
+  }
+
+  return leaf;
+}
+
+/**
+ * @description Private method that finds how many letters label the edge
+ * into a node.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node at the bottom of the edge
+ * @param {Number} length - number of letters of text read so far
+ *
+ * @returns {Number} - length of edge label
+ *
+ * @private
+ */
+function edgeLength(node, length) {
+  return Math.min(node.end, length) - node.start;
+}
+
+/**
+ * @description Private method that builds the suffix tree with Ukkonen's
+ * algorithm.
+ *
+ * Strategy: Read the text one letter at a time, extending every suffix seen
+ * so far. Leaves end at Infinity, so every leaf edge grows for free. The
+ * active point (node, edge, length) marks where the longest suffix that is
+ * already in the tree ends, and remainder counts suffixes still waiting to be
+ * added. Each step either finds the next letter already there, which ends
+ * the step because every shorter suffix is there too, or adds a leaf,
+ * splitting the edge first when the active point is inside one. New internal
+ * nodes are joined by suffix links, so the next shorter suffix is one hop
+ * away instead of a walk from the root. A final END letter makes sure every
+ * suffix ends at its own leaf.
+ *
+ * Time complexity: O(c), where c is number of characters in input string
+ * Space complexity: O(c), where c is number of characters in input string
+ *
+ * @param {Array} text - letters of string followed by END
+ * @param {Array} positions - position of each letter in the original string
+ *
+ * @returns {Object} - root of tree
+ *
+ * @private
+ */
+function buildTree(text, positions) {
+  const root = createNode(0, 0);
+  let activeNode = root;
+  let activeEdge = 0;
+  let activeLength = 0;
+  let remainder = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    let lastInternal = null;
+    remainder++;
+
+    while (remainder > 0) {
+      if (activeLength === 0) {
+        activeEdge = i;
+      }
+
+      const next = activeNode.children.get(text[activeEdge]);
+
+      if (next === undefined) {
+        activeNode.children.set(
+          text[activeEdge],
+          createLeaf(i, i - remainder + 1, positions)
+        );
+
+        if (lastInternal !== null) {
+          lastInternal.link = activeNode;
+          lastInternal = null;
+        }
+      } else {
+        // Walk down when the active point has passed the end of this edge
+        const length = edgeLength(next, i + 1);
+        if (activeLength >= length) {
+          activeEdge += length;
+          activeLength -= length;
+          activeNode = next;
+          continue;
+        }
+
+        // Letter is already there, so every shorter suffix is too
+        if (text[next.start + activeLength] === text[i]) {
+          if (lastInternal !== null && activeNode !== root) {
+            lastInternal.link = activeNode;
+          }
+          activeLength++;
+          break;
+        }
+
+        const split = createNode(next.start, next.start + activeLength);
+        split.link = root;
+        activeNode.children.set(text[activeEdge], split);
+        split.children.set(text[i], createLeaf(i, i - remainder + 1, positions));
+        next.start += activeLength;
+        split.children.set(text[next.start], next);
+
+        if (lastInternal !== null) {
+          lastInternal.link = split;
+        }
+        lastInternal = split;
+      }
+
+      remainder--;
+
+      if (activeNode === root && activeLength > 0) {
+        activeLength--;
+        activeEdge = i - remainder + 1;
+      } else if (activeNode !== root) {
+        activeNode = activeNode.link;
+      }
+    }
+  }
+
+  return root;
+}
+
+/**
+ * @description Private method that walks the tree along the letters of a
+ * query.
+ *
+ * Strategy: Split query the same way as the indexed string. At each node,
+ * pick the edge starting with the next letter, then compare letters along
+ * the edge label until either the query or the edge runs out.
+ *
+ * Time complexity: O(c), where c is number of characters in query
+ * Space complexity: O(c)
+ *
+ * @param {SuffixTree} tree - tree to be searched
+ * @param {String} query - text to follow from root
+ *
+ * @returns {Object|Null} - { node, offset } where offset letters of the edge
+ * into node have been read, or null if query leaves the tree
+ *
+ * @private
+ */
+function locate(tree, query) {
+  if (typeof query !== "string") {
+    throw new Error("This tree only stores strings");
+  }
+
+  const letters = lettersOf(query, tree.options);
+  let node = tree.root;
+  let offset = 0;
+
+  for (let i = 0; i < letters.length; i++) {
+    if (offset === edgeLength(node, tree.text.length)) {
+      node = node.children.get(letters[i].letter);
+      offset = 0;
+
+      if (node === undefined) {
+        return null;
+      }
+    }
+
+    if (tree.text[node.start + offset] !== letters[i].letter) {
+      return null;
+    }
+
+    offset++;
+  }
+
+  return { node, offset };
+}
+
+/**
+ * @description Private method that lists the children of a node, so shared
+ * indexesBelow function can walk the tree.
+ *
+ * Time complexity: O(k), where k is number of children
+ * Space complexity: O(k)
+ *
+ * @param {Object} node - node whose children are listed
+ *
+ * @returns {Array} - child nodes, none for a leaf
+ *
+ * @private
+ */
+function childrenOf(node) {
+  return node.children === null ? [] : [...node.children.values()];
+}
+
+/** Class representing a compressed suffix tree */
+class SuffixTree {
+  /**
+   * Track root of tree, the letters it was built from and how text is split
+   * into letters.
+   *
+   * Tree answers the same questions as SuffixTrie, with the same options,
+   * but is built in linear time and space. Unlike SuffixTrie, matchesPattern
+   * takes no wildcards, so ? * and [ are plain letters. Chains of nodes with
+   * one child are merged into single edges, each labelled by a range of the
+   * text, so long documents fit in memory.
+   *
+   * @constructor
+   *
+   * @param str - string used to build suffix tree
+   * @param {Object=} options - how to split string into letters
+   * @param {Boolean=} options.caseSensitive - keep case, as for DNA or code
+   * @param {Boolean=} options.keepWhitespace - store whitespace as letters
+   * @param {String=} options.normalization - Unicode normalization form, such
+   * as "NFC" or "NFKD", applied before anything else
+   *
+   * @property {Object} root - top level node that points to rest of tree
+   * @property {Object} options - options with defaults filled in
+   * @property {Array} text - letters of string, ending with a unique marker,
+   * which edge labels point into
+   */
+  constructor(str, options) {
+    if (str === "" || typeof str !== "string") {
+      throw new Error("Insert a non-empty string upon instantiation");
+    }
+
+    this.options = parseOptions(options);
+
+    const letters = lettersOf(str, this.options);
+    this.text = letters.map(({ letter }) => letter).concat(END);
+    this.root = buildTree(this.text, letters.map(({ index }) => index));
+  }
+
+  /**
+   * @description Count how many times a pattern occurs in the indexed string.
+   * Overlapping matches are counted, so "aa" occurs twice in "aaa".
+   *
+   * Strategy: Use private locate function to reach the edge for pattern,
+   * then count the leaves below it.
+   *
+   * Edge case: empty string occurs once at every letter
+   *
+   * Time complexity: O(c + N), where c is number of characters in pattern
+   * and N is number of nodes below the match
+   * Space complexity: O(N)
+   *
+   * @param {String} pattern - pattern to be counted
+   *
+   * @returns {Number} - number of matches
+   */
+  count(pattern) {
+    const found = locate(this, pattern);
+    return found === null ? 0 : indexesBelow(found.node, childrenOf).length;
+  }
+
+  /**
+   * @description Find every position where a pattern starts. Positions are
+   * UTF-16 offsets into the indexed string, the same offsets indexOf and
+   * slice use, and count any whitespace that was skipped. With normalization,
+   * they are offsets into the normalized string.
+   *
+   * Strategy: Use private locate function to reach the edge for pattern.
+   * Every leaf below that edge is a suffix starting with pattern.
+   *
+   * Edge case: returns empty array when pattern is not found
+   *
+   * Time complexity: O(c + N log N), where c is number of characters in
+   * pattern and N is number of nodes below the match
+   * Space complexity: O(N)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Array} - starting positions, in ascending order
+   */
+  findAll(pattern) {
+    const found = locate(this, pattern);
+    return found === null
+      ? []
+      : indexesBelow(found.node, childrenOf).sort((a, b) => a - b);
+  }
+
+  /**
+   * @description Find the first position where a pattern starts, like
+   * String.prototype.indexOf.
+   *
+   * Strategy: Use private locate function to reach the edge for pattern,
+   * then take the smallest index of the leaves below it.
+   *
+   * Edge case: returns -1 when pattern is not found, or when string has no
+   * letters at all
+   *
+   * Time complexity: O(c + N), where c is number of characters in pattern
+   * and N is number of nodes below the match
+   * Space complexity: O(N)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Number} - first starting position, or -1
+   */
+  firstIndexOf(pattern) {
+    const found = locate(this, pattern);
+    if (found === null) {
+      return -1;
+    }
+
+    const first = indexesBelow(found.node, childrenOf).reduce(
+      (smallest, index) => Math.min(smallest, index),
+      Infinity
+    );
+    return first === Infinity ? -1 : first;
+  }
+
+  /**
+   * @description Check if a suffix exists in the tree.
+   *
+   * Strategy: Use private locate function, which splits suffix into letters
+   * with the tree's options. Suffix exists if the letter right after the
+   * point reached is the end marker, either next on the same edge or as the
+   * first letter of a child edge.
+   *
+   * Edge case: empty string returns false, as in SuffixTrie
+   *
+   * Time complexity: O(c), where c is number of characters in suffix
+   * Space complexity: O(c)
+   *
+   * @param {String} suffix - suffix to be searched
+   *
+   * @returns {Boolean} - true if suffix exists, or false otherwise
+   */
+  hasSuffix(suffix) {
+    const found = locate(this, suffix);
+    if (found === null || found.node === this.root) {
+      return false;
+    }
+
+    const { node, offset } = found;
+    if (offset < edgeLength(node, this.text.length)) {
+      return this.text[node.start + offset] === END;
+    }
+
+    return node.children !== null && node.children.has(END);
+  }
+
+  /**
+   * @description Check if a pattern exists in the tree. Every letter of
+   * pattern is matched literally.
+   *
+   * Strategy: Use private locate function, which splits pattern into letters
+   * with the tree's options. Return true if traversal ends successfully.
+   *
+   * Edge case: empty string returns true
+   *
+   * Time complexity: O(c), where c is number of characters in input pattern
+   * Space complexity: O(c)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Boolean} - true if pattern exists, or false otherwise
+   */
+  matchesPattern(pattern) {
+    return locate(this, pattern) !== null;
+  }
+}
+
+module.exports = SuffixTree;
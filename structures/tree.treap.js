@@ -0,0 +1,804 @@
+const {
+  defaultComparator,
+  findOrderViolation,
+  getNode,
+  inOrderNodes,
+  levelOrderNodes,
+  levelsOf,
+  maxNode,
+  minNode,
+  postOrderNodes,
+  preOrderNodes
+} = require("./tree.helpers");
+
+/**
+ * Class representing a node in the treap
+ * @private
+ */
+class Node {
+  /**
+   * For quick node creation in tree
+   *
+   * @constructor
+   *
+   * @param {Number|String} key - key held by node
+   * @param {*} value - value held by node
+   * @param {Number} priority - random number that decides depth of node
+   *
+   * @property {Number|String} key - key held by node
+   * @property {*} value - value held by node
+   * @property {Number} priority - no child has a higher priority
+   * @property {Object|Null} left - left child node
+   * @property {Object|Null} right - right child node
+   */
+  constructor(key, value, priority) {
+    this.key = key;
+    this.value = value;
+    this.priority = priority;
+    this.left = null;
+    this.right = null;
+  }
+}
+
+/**
+ * @description Create a random number generator that always produces the
+ * same sequence for the same seed.
+ *
+ * Strategy: Mulberry32, which adds a constant to a 32-bit state and scrambles
+ * it with multiplies and shifts. Small and fast, and plenty random enough to
+ * balance a treap.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Number} seed - 32-bit integer that picks the sequence
+ *
+ * @returns {Function} - returns a number in [0, 1) on each call
+ *
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @description Rotate right child up to become root of subtree.
+ *
+ * Strategy: Triple swap! Right child becomes new root. Input node receives the
+ * new root's left subtree then becomes left child of new root.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node that rotates down to the left
+ *
+ * @returns {Object} - new root after rotation
+ *
+ * @private
+ */
+function rotateLeft(node) {
+  const newRoot = node.right;
+  node.right = newRoot.left;
+  newRoot.left = node;
+  return newRoot;
+}
+
+/**
+ * @description Rotate left child up to become root of subtree.
+ *
+ * Strategy: Triple swap! Left child becomes new root. Input node receives the
+ * new root's right subtree then becomes right child of new root.
+ *
+ * Time complexity: O(1)
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node that rotates down to the right
+ *
+ * @returns {Object} - new root after rotation
+ *
+ * @private
+ */
+function rotateRight(node) {
+  const newRoot = node.left;
+  node.left = newRoot.right;
+  newRoot.right = node;
+  return newRoot;
+}
+
+/**
+ * @description Used by public insert method to update value or place node.
+ *
+ * Strategy: Recursively descend to the key's position like a plain BST and
+ * attach a new node with a random priority. On the way back up, rotate the
+ * new node above any parent with a lower priority.
+ *
+ * Time complexity: O(log N) expected
+ * Space complexity: O(log N) expected
+ *
+ * @param {Object|Null} node - node for traversal and key comparison
+ * @param {Number|String} key - key that identifies node
+ * @param {*} value - updated value, or value of new node
+ * @param {Function} comparator - decides the order of keys in tree
+ * @param {Function} random - source of priorities for new nodes
+ *
+ * @returns {Object} - new root of subtree
+ *
+ * @private
+ */
+function put(node, key, value, comparator, random) {
+  if (node === null) {
+    return new Node(key, value, random());
+  }
+
+  const comparison = comparator(key, node.key);
+  if (comparison < 0) {
+    node.left = put(node.left, key, value, comparator, random);
+    if (node.left.priority > node.priority) {
+      return rotateRight(node);
+    }
+  } else if (comparison > 0) {
+    node.right = put(node.right, key, value, comparator, random);
+    if (node.right.priority > node.priority) {
+      return rotateLeft(node);
+    }
+  } else {
+    node.value = value;
+  }
+
+  return node;
+}
+
+/**
+ * @description Used by public delete method to remove node with given key.
+ *
+ * Strategy: Recursively descend to the key. A matched node with at most one
+ * child is replaced by that child. Otherwise, rotate its higher-priority
+ * child above it, which keeps heap order, and keep removing it from one
+ * level further down until it runs out of children.
+ *
+ * Time complexity: O(log N) expected
+ * Space complexity: O(log N) expected
+ *
+ * @param {Object} node - node for traversal and key comparison
+ * @param {Number|String} key - key of node to be removed, which must exist
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {Object|Null} - new root of subtree
+ *
+ * @private
+ */
+function remove(node, key, comparator) {
+  const comparison = comparator(key, node.key);
+  if (comparison < 0) {
+    node.left = remove(node.left, key, comparator);
+    return node;
+  }
+  if (comparison > 0) {
+    node.right = remove(node.right, key, comparator);
+    return node;
+  }
+
+  if (node.left === null) {
+    return node.right;
+  }
+  if (node.right === null) {
+    return node.left;
+  }
+
+  if (node.left.priority > node.right.priority) {
+    const newRoot = rotateRight(node);
+    newRoot.right = remove(node, key, comparator);
+    return newRoot;
+  }
+
+  const newRoot = rotateLeft(node);
+  newRoot.left = remove(node, key, comparator);
+  return newRoot;
+}
+
+/**
+ * @description Find first broken invariant in tree, if any.
+ *
+ * Strategy: Use shared findOrderViolation function, checking at every node
+ * that no child outranks its parent.
+ *
+ * Time complexity: O(N)
+ * Space complexity: O(H), where H is height of tree
+ *
+ * @param {Object|Null} root - root of tree to be checked
+ * @param {Function} comparator - decides the order of keys in tree
+ *
+ * @returns {String|Null} - description of broken invariant, or null if valid
+ *
+ * @private
+ */
+function findViolation(root, comparator) {
+  return findOrderViolation(root, comparator, node => {
+    for (const child of [node.left, node.right]) {
+      if (child !== null && child.priority > node.priority) {
+        return `Heap order violated at key ${child.key}`;
+      }
+    }
+    return null;
+  });
+}
+
+/** Class representing a treap */
+class Treap {
+  /**
+   * Track root of tree, how keys are ordered and where priorities come from.
+   *
+   * Shares its public interface with RedBlackTree and AVLTree. Every node
+   * gets a random priority, and the tree is kept in BST order by key and heap
+   * order by priority, so it has the shape of a BST built from keys inserted
+   * in random order. That keeps height O(log N) with high probability, using
+   * simpler rotations than a red black tree.
+   *
+   * Priorities come from Math.random unless a seed is given, in which case
+   * the same inserts always build the same tree, which makes tests and bug
+   * reports reproducible.
+   *
+   * @constructor
+   *
+   * @param {Function=} comparator - takes two keys and returns a negative
+   * number, zero or a positive number, like Array.prototype.sort comparators
+   * @param {Number=} seed - integer that fixes the sequence of priorities
+   *
+   * @property {Object|Null} root - top level node in tree
+   * @property {Function} comparator - decides the order of keys in tree
+   * @property {Function} random - returns a priority in [0, 1) for each new node
+   */
+  constructor(comparator = defaultComparator, seed) {
+    if (typeof comparator !== "function") {
+      throw new Error("Comparator must be a function");
+    }
+    if (seed !== undefined && !Number.isSafeInteger(seed)) {
+      throw new Error("Seed must be an integer");
+    }
+
+    this.root = null;
+    this.comparator = comparator;
+    this.random = seed === undefined ? Math.random : createRandom(seed);
+  }
+
+  /**
+   * @description Throw an error describing the first broken invariant, if
+   * any. Useful for debugging code that edits nodes directly.
+   *
+   * Strategy: Use private findViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   */
+  assertInvariants() {
+    const violation = findViolation(this.root, this.comparator);
+    if (violation !== null) {
+      throw new Error(violation);
+    }
+  }
+
+  /**
+   * @description Apply a callback to the entire tree in level order.
+   *
+   * Strategy: Use level order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @param {Function} callback - calls all nodes in breadth-first order
+   */
+  breadthFirstSearch(callback) {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const node of levelOrderNodes(this.root)) {
+      callback(node);
+    }
+  }
+
+  /**
+   * @description Find smallest key greater than or equal to given key.
+   *
+   * Strategy: Start at root. Smaller keys send us left. Larger keys send us
+   * right. A node whose key is larger than given key is the best candidate so
+   * far, but a closer one may exist in its left subtree.
+   *
+   * Time complexity: O(log N) expected
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be rounded up
+   *
+   * @returns {Number|String|Null} - null if every key is smaller than given key
+   */
+  ceiling(key) {
+    let node = this.root;
+    let candidate = null;
+
+    while (node !== null) {
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) {
+        return node.key;
+      }
+      if (comparison < 0) {
+        candidate = node.key;
+        node = node.left;
+      } else {
+        node = node.right;
+      }
+    }
+
+    return candidate;
+  }
+
+  /**
+   * @description Remove node with given key from tree.
+   *
+   * Strategy: Confirm key exists, since the private remove function assumes
+   * it does, then rotate it down until it can be cut off.
+   *
+   * Edge case(s): empty tree, key not in tree, deleting last node
+   *
+   * Time complexity: O(log N) expected
+   * Space complexity: O(log N) expected
+   *
+   * @param {Number|String} key - key of node to be removed
+   *
+   * @returns {*} - value of removed node
+   */
+  delete(key) {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    const node = getNode(this.root, key, this.comparator);
+    if (node === null) {
+      throw new Error("No match found for deletion");
+    }
+
+    this.root = remove(this.root, key, this.comparator);
+    return node.value;
+  }
+
+  /**
+   * @description Remove node with largest key from tree.
+   *
+   * Strategy: Maximum has no right child, so use delete method, which
+   * replaces it with its left subtree without any rotations.
+   *
+   * Edge case(s): empty tree, deleting last node
+   *
+   * Time complexity: O(log N) expected
+   * Space complexity: O(log N) expected
+   *
+   * @returns {*} - value of removed node
+   */
+  deleteMax() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    return this.delete(maxNode(this.root).key);
+  }
+
+  /**
+   * @description Remove node with smallest key from tree.
+   *
+   * Strategy: Minimum has no left child, so use delete method, which
+   * replaces it with its right subtree without any rotations.
+   *
+   * Edge case(s): empty tree, deleting last node
+   *
+   * Time complexity: O(log N) expected
+   * Space complexity: O(log N) expected
+   *
+   * @returns {*} - value of removed node
+   */
+  deleteMin() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    return this.delete(minNode(this.root).key);
+  }
+
+  /**
+   * @description Depth-first in-order traversal that applies callback to
+   * all nodes in ascending order.
+   *
+   * Strategy: Use in-order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @param {Function} callback - invoked on every node
+   * @param {Object=} node - root of subtree to traverse
+   */
+  depthInOrder(callback, node = this.root) {
+    if (node === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const current of inOrderNodes(node)) {
+      callback(current);
+    }
+  }
+
+  /**
+   * @description Depth-first post-order traversal that applies callback to
+   * all nodes such that root is last.
+   *
+   * Strategy: Use post-order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @param {Function} callback - invoked on every node in post-order
+   * @param {Object=} node - root of subtree to traverse
+   */
+  depthPostOrder(callback, node = this.root) {
+    if (node === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const current of postOrderNodes(node)) {
+      callback(current);
+    }
+  }
+
+  /**
+   * @description Depth-first pre-order traversal that applies callback to
+   * all nodes such that root is always first.
+   *
+   * Strategy: Use pre-order generator.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @param {Function} callback - invoked on every node in pre-order
+   * @param {Object=} node - root of subtree to traverse
+   */
+  depthPreOrder(callback, node = this.root) {
+    if (node === null) {
+      throw new Error("The tree is empty");
+    }
+
+    for (const current of preOrderNodes(node)) {
+      callback(current);
+    }
+  }
+
+  /**
+   * @description Lazily iterate over [key, value] pairs in ascending order,
+   * mirroring Map.prototype.entries.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  *entries() {
+    for (const node of inOrderNodes(this.root)) {
+      yield [node.key, node.value];
+    }
+  }
+
+  /**
+   * @description Find largest key less than or equal to given key.
+   *
+   * Strategy: Start at root. Smaller keys send us left. Larger keys send us
+   * right. A node whose key is smaller than given key is the best candidate so
+   * far, but a closer one may exist in its right subtree.
+   *
+   * Time complexity: O(log N) expected
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - key to be rounded down
+   *
+   * @returns {Number|String|Null} - null if every key is larger than given key
+   */
+  floor(key) {
+    let node = this.root;
+    let candidate = null;
+
+    while (node !== null) {
+      const comparison = this.comparator(key, node.key);
+      if (comparison === 0) {
+        return node.key;
+      }
+      if (comparison > 0) {
+        candidate = node.key;
+        node = node.right;
+      } else {
+        node = node.left;
+      }
+    }
+
+    return candidate;
+  }
+
+  /**
+   * @description Find node with given key and return its value.
+   *
+   * Strategy: Use private getNode function.
+   *
+   * Time complexity: O(log N) expected
+   * Space complexity: O(1)
+   *
+   * @param {Number|String} key - searching for this key in the tree
+   *
+   * @returns {*} - null if key is not found
+   */
+  get(key) {
+    const node = getNode(this.root, key, this.comparator);
+    return node === null ? null : node.value;
+  }
+
+  /**
+   * @description Count nodes on longest path from root down to a leaf.
+   *
+   * Strategy: Count levels.
+   *
+   * Edge case(s): Empty tree has height 0
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Number} - height of tree
+   */
+  height() {
+    return levelsOf(this.root).length;
+  }
+
+  /**
+   * @description Lazily iterate over keys in ascending order. Empty trees
+   * yield nothing.
+   *
+   * Strategy: Generator version of depthInOrder method, so iteration can stop
+   * early with break.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key in-order
+   */
+  *inOrder() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Insert new key-value pair into appropriate location in tree.
+   * If key already exists in tree, then overwrite the previous value with
+   * the new value and keep its priority.
+   *
+   * Strategy: Use private put function with the tree's random source.
+   *
+   * Time complexity: O(log N) expected
+   * Space complexity: O(log N) expected
+   *
+   * @param {Number|String} key - determines location to be inserted in tree
+   * @param {*} value - value associated with given key
+   *
+   * @returns {Boolean} - true represents successful insertion
+   */
+  insert(key, value) {
+    this.root = put(this.root, key, value, this.comparator, this.random);
+    return true;
+  }
+
+  /**
+   * @description Check treap invariants: keys are in BST order and no node
+   * has a higher priority than its parent.
+   *
+   * Strategy: Use private findViolation function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @returns {Boolean} - true if every invariant holds
+   */
+  isValid() {
+    return findViolation(this.root, this.comparator) === null;
+  }
+
+  /**
+   * @description Lazily iterate over keys between lo and hi, inclusive, in
+   * ascending order. Without bounds, iterate over every key in tree.
+   *
+   * Strategy: Bounded in-order generator prunes subtrees outside of range and
+   * stops as soon as a key passes hi.
+   *
+   * Edge case(s): empty tree, lo larger than hi
+   *
+   * Time complexity: O(H + M), where H is height of tree and M is number of
+   * keys in range
+   * Space complexity: O(H)
+   *
+   * @param {Number|String=} lo - smallest key in range
+   * @param {Number|String=} hi - largest key in range
+   *
+   * @yields {Number|String} - next key in range
+   */
+  *keys(lo, hi) {
+    for (const node of inOrderNodes(this.root, this.comparator, lo, hi)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Lazily iterate over keys level by level. Empty trees yield
+   * nothing.
+   *
+   * Strategy: Generator version of breadthFirstSearch method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @yields {Number|String} - next key in level order
+   */
+  *levelOrder() {
+    for (const node of levelOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Report shape of tree as the keys found at each depth.
+   *
+   * Strategy: Use private levelsOf function.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(N)
+   *
+   * @returns {Array} - one array of keys per level, from root down
+   */
+  levels() {
+    return levelsOf(this.root).map(level => level.map(node => node.key));
+  }
+
+  /**
+   * @description Find largest key in tree.
+   *
+   * Strategy: Maximum is right-most node.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(log N) expected
+   * Space complexity: O(1)
+   *
+   * @returns {Number|String} - maximum key in tree
+   */
+  max() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    return maxNode(this.root).key;
+  }
+
+  /**
+   * @description Find smallest key in tree.
+   *
+   * Strategy: Minimum is left-most node.
+   *
+   * Edge case(s): Empty tree
+   *
+   * Time complexity: O(log N) expected
+   * Space complexity: O(1)
+   *
+   * @returns {Number|String} - minimum key in tree
+   */
+  min() {
+    if (this.root === null) {
+      throw new Error("The tree is empty");
+    }
+
+    return minNode(this.root).key;
+  }
+
+  /**
+   * @description Lazily iterate over keys such that root is last. Empty trees
+   * yield nothing.
+   *
+   * Strategy: Generator version of depthPostOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key post-order
+   */
+  *postOrder() {
+    for (const node of postOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Lazily iterate over keys such that root is first. Empty
+   * trees yield nothing.
+   *
+   * Strategy: Generator version of depthPreOrder method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Number|String} - next key pre-order
+   */
+  *preOrder() {
+    for (const node of preOrderNodes(this.root)) {
+      yield node.key;
+    }
+  }
+
+  /**
+   * @description Count keys in tree.
+   *
+   * Strategy: Walk every node, since nodes do not cache subtree sizes.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @returns {Number} - number of keys in tree
+   */
+  size() {
+    let count = 0;
+    for (const node of inOrderNodes(this.root)) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * @description Lazily iterate over values in ascending order of their keys,
+   * mirroring Map.prototype.values.
+   *
+   * Strategy: Wrap in-order generator.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {*} - next value
+   */
+  *values() {
+    for (const node of inOrderNodes(this.root)) {
+      yield node.value;
+    }
+  }
+
+  /**
+   * @description Make tree iterable with for...of and spread syntax. Like a
+   * Map, iterating a tree yields [key, value] pairs in ascending order.
+   *
+   * Strategy: Same as entries method.
+   *
+   * Time complexity: O(N)
+   * Space complexity: O(H), where H is height of tree
+   *
+   * @yields {Array} - [key, value] pair
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+module.exports = Treap;
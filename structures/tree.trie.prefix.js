@@ -1,3 +1,12 @@
+const { matchesToken, parsePattern } = require("./text.helpers");
+
+/**
+ * Keys that hold data about a node rather than point to a child. Letters
+ * are single characters, so they never clash with these.
+ * @private
+ */
+const NODE_DATA = ["value", "score", "best"];
+
 /**
  * @description Private method used in public delete method. Remembers the last
  * node that should not be deleted, which occurs at a prefix word or fork.
@@ -19,11 +28,289 @@ function isCutOffNode(currentNode, isFinalLetter) {
     // Has prefix that is a stored word
     (currentNode.hasOwnProperty("value") && !isFinalLetter) ||
     // Forks to another word
-    (!currentNode.hasOwnProperty("value") &&
-      Object.keys(currentNode).length > 1)
+    (!currentNode.hasOwnProperty("value") && lettersOf(currentNode).length > 1)
   );
 }
 
+/**
+ * @description Private method that lists the letters branching from a node in
+ * alphabetical order.
+ *
+ * Strategy: Every key other than value, score and best is a letter pointing
+ * to a child node.
+ *
+ * Time complexity: O(k log k), where k is number of letters at node
+ * Space complexity: O(k)
+ *
+ * @param {Object} node - node whose letters are listed
+ *
+ * @returns {Array} - alphabetical list of letters
+ *
+ * @private
+ */
+function lettersOf(node) {
+  return Object.keys(node)
+    .filter(key => !NODE_DATA.includes(key))
+    .sort();
+}
+
+/**
+ * @description Private method that finds the node reached by following the
+ * letters of a string from the root.
+ *
+ * Time complexity: O(c), where c is number of characters in string
+ * Space complexity: O(1)
+ *
+ * @param {Object} root - root of trie
+ * @param {String} string - letters to follow
+ *
+ * @returns {Object|Null} - node reached, or null if a letter is missing
+ *
+ * @private
+ */
+function nodeAt(root, string) {
+  let currentNode = root;
+
+  for (let i = 0; i < string.length; i++) {
+    if (!currentNode.hasOwnProperty(string[i])) {
+      return null;
+    }
+
+    currentNode = currentNode[string[i]];
+  }
+
+  return currentNode;
+}
+
+/**
+ * @description Private method used in public put and delete methods. Caches
+ * the highest score of any word at or below a node, so ranked autoComplete
+ * can skip branches that cannot make the top results.
+ *
+ * Strategy: Take the larger of the node's own score, if it ends a word, and
+ * the cached best of each child. Children must be up to date first. Nodes
+ * with no word below keep no cache, so emptied tries go back to {}. Letters
+ * need no sorting here, so skip lettersOf and read keys directly.
+ *
+ * Time complexity: O(k), where k is number of letters at node
+ * Space complexity: O(1)
+ *
+ * @param {Object} node - node whose cache is refreshed
+ *
+ * @private
+ */
+function updateBest(node) {
+  let best = node.hasOwnProperty("value") ? node.score : -Infinity;
+  for (const key in node) {
+    if (!NODE_DATA.includes(key)) {
+      best = Math.max(best, node[key].best);
+    }
+  }
+
+  if (best === -Infinity) {
+    delete node.best;
+  } else {
+    node.best = best;
+  }
+}
+
+/**
+ * @description Private method used in public autoComplete method. Lists the
+ * first words below a node in alphabetical order, stopping once enough are
+ * found instead of listing every word.
+ *
+ * Strategy: Depth-first traversal with an explicit stack, pushing letters in
+ * reverse so they come off the stack in alphabetical order. A node's own
+ * word comes before any word below it.
+ *
+ * Time complexity: O(N), where N is number of nodes visited
+ * Space complexity: O(N)
+ *
+ * @param {Object} node - node below which words are listed
+ * @param {Number} limit - most words to list
+ *
+ * @returns {Array} - alphabetical list of endings, relative to node
+ *
+ * @private
+ */
+function firstWords(node, limit) {
+  const words = [];
+  const stack = [{ node, word: "" }];
+
+  while (stack.length > 0 && words.length < limit) {
+    const { node: currentNode, word } = stack.pop();
+    if (currentNode.hasOwnProperty("value")) {
+      words.push(word);
+    }
+
+    const letters = lettersOf(currentNode);
+    for (let i = letters.length - 1; i >= 0; i--) {
+      stack.push({ node: currentNode[letters[i]], word: word + letters[i] });
+    }
+  }
+
+  return words;
+}
+
+/**
+ * @description Private method used in topWords function. Orders queue
+ * entries by score, highest first, then by word, alphabetically.
+ *
+ * Time complexity: O(w), where w is length of the shorter word
+ * Space complexity: O(1)
+ *
+ * @param {Object} a - first { score, word } entry to compare
+ * @param {Object} b - second { score, word } entry to compare
+ *
+ * @returns {Number} - negative if a comes out first, positive if b does, 0 if
+ * equal
+ *
+ * @private
+ */
+function comparePriority(a, b) {
+  if (a.score !== b.score) {
+    return b.score - a.score;
+  }
+  if (a.word === b.word) {
+    return 0;
+  }
+  return a.word < b.word ? -1 : 1;
+}
+
+/**
+ * @description Private method used in topWords function. Adds an entry to a
+ * binary heap ordered by comparePriority.
+ *
+ * Strategy: Append entry, then swim it up while it beats its parent.
+ *
+ * Time complexity: O(w log n), where n is number of entries in heap and w is
+ * length of the longest word
+ * Space complexity: O(1)
+ *
+ * @param {Array} heap - entries, each no later than its children
+ * @param {Object} entry - { score, word, node } entry to add
+ *
+ * @private
+ */
+function pushEntry(heap, entry) {
+  let index = heap.length;
+  heap.push(entry);
+
+  while (index > 0) {
+    const parentIndex = Math.floor((index - 1) / 2);
+    if (comparePriority(heap[parentIndex], heap[index]) <= 0) {
+      break;
+    }
+
+    [heap[parentIndex], heap[index]] = [heap[index], heap[parentIndex]];
+    index = parentIndex;
+  }
+}
+
+/**
+ * @description Private method used in topWords function. Removes the entry
+ * that comes first by comparePriority from a binary heap.
+ *
+ * Strategy: Move last entry to the root, then sink it below any child that
+ * beats it.
+ *
+ * Time complexity: O(w log n), where n is number of entries in heap and w is
+ * length of the longest word
+ * Space complexity: O(1)
+ *
+ * @param {Array} heap - non-empty entries, each no later than its children
+ *
+ * @returns {Object} - first { score, word, node } entry
+ *
+ * @private
+ */
+function popEntry(heap) {
+  const first = heap[0];
+  const last = heap.pop();
+  if (heap.length === 0) {
+    return first;
+  }
+
+  heap[0] = last;
+  let index = 0;
+
+  while (true) {
+    const leftIndex = 2 * index + 1;
+    const rightIndex = leftIndex + 1;
+    let firstIndex = index;
+
+    if (
+      leftIndex < heap.length &&
+      comparePriority(heap[leftIndex], heap[firstIndex]) < 0
+    ) {
+      firstIndex = leftIndex;
+    }
+    if (
+      rightIndex < heap.length &&
+      comparePriority(heap[rightIndex], heap[firstIndex]) < 0
+    ) {
+      firstIndex = rightIndex;
+    }
+    if (firstIndex === index) {
+      return first;
+    }
+
+    [heap[firstIndex], heap[index]] = [heap[index], heap[firstIndex]];
+    index = firstIndex;
+  }
+}
+
+/**
+ * @description Private method used in public autoComplete method. Lists the
+ * highest-scoring words below a node, breaking ties alphabetically.
+ *
+ * Strategy: Best-first search with a binary heap ordered by score, highest
+ * first, then by word. A node enters the heap with its cached best score and
+ * the word leading to it, and a word with its own score. When a node comes
+ * out, its word and children go in. Every word below a node scores no higher
+ * than the node's best and sorts no earlier than the word leading to the
+ * node, so words come out in exactly the order wanted. Stop as soon as limit
+ * words are found, even when many words share a score.
+ *
+ * Time complexity: O(m * k * w log m), where m is number of entries taken
+ * from the heap, k is number of letters at each node and w is length of the
+ * longest word
+ * Space complexity: O(m * k)
+ *
+ * @param {Object} node - node below which words are ranked
+ * @param {Number} limit - most words to list
+ *
+ * @returns {Array} - { word, score } of endings relative to node, highest
+ * score first
+ *
+ * @private
+ */
+function topWords(node, limit) {
+  const found = [];
+  const heap = [];
+  if (node.hasOwnProperty("best")) {
+    heap.push({ score: node.best, word: "", node });
+  }
+
+  while (heap.length > 0 && found.length < limit) {
+    const { score, word, node: currentNode } = popEntry(heap);
+    if (currentNode === null) {
+      found.push({ word, score });
+      continue;
+    }
+
+    if (currentNode.hasOwnProperty("value")) {
+      pushEntry(heap, { score: currentNode.score, word, node: null });
+    }
+    lettersOf(currentNode).forEach(letter => {
+      const child = currentNode[letter];
+      pushEntry(heap, { score: child.best, word: word + letter, node: child });
+    });
+  }
+
+  return found;
+}
+
 /** Class representing a prefix trie */
 class PrefixTrie {
   /**
@@ -40,22 +327,85 @@ class PrefixTrie {
   }
 
   /**
-   * @description Find all words with a given prefix.
+   * @description Rebuild a trie saved with toJSON method. Tries have only
+   * one shape for a given set of words, so putting every word back restores
+   * the exact shape.
+   *
+   * Strategy: Parse strings, then put each word with its value and score.
+   * Words saved without a value get an undefined value, just as they had, and
+   * words without a saved score get 0.
+   *
+   * Edge case(s): JSON strings, malformed input, scores for unknown words
    *
-   * Strategy: Traverse to last letter in word, then call orderWords method and
+   * Time complexity: O(N * c), where N is number of words and c is length of
+   * longest word
+   * Space complexity: O(N * c)
+   *
+   * @param {Object|String} json - output of toJSON method, or its JSON string
+   *
+   * @returns {PrefixTrie} - trie holding the same words, values and scores
+   */
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    if (data === null || typeof data !== "object" || !Array.isArray(data.words)) {
+      throw new Error("Serialized trie must have an array of words");
+    }
+
+    if (data.scores !== undefined && !Array.isArray(data.scores)) {
+      throw new Error("Serialized scores must be an array");
+    }
+
+    const scores = new Map(data.scores);
+    const trie = new this();
+    data.words.forEach(item => {
+      if (!Array.isArray(item) || item.length < 1 || item.length > 2) {
+        throw new Error("Serialized words must be [word] or [word, value] arrays");
+      }
+      trie.put(item[0], item[1], scores.has(item[0]) ? scores.get(item[0]) : 0);
+      scores.delete(item[0]);
+    });
+
+    if (scores.size > 0) {
+      throw new Error("Serialized scores must belong to serialized words");
+    }
+
+    return trie;
+  }
+
+  /**
+   * @description Find words with a given prefix, either alphabetically or
+   * highest score first. Limit keeps only the first few, such as the top ten
+   * suggestions for a search box.
+   *
+   * Strategy: Traverse to last letter in word. For alphabetical order, use
+   * private firstWords function, which stops once limit words are found. For
+   * score order, use private topWords function, which follows the cached best
+   * scores so only branches that can make the top results are opened. Then
    * prepend the prefix to all words found.
    *
-   * Time complexity: O(s * N), where s is suffix length and N is number of matched words
+   * Time complexity: O(s * N), where s is suffix length and N is number of
+   * nodes visited, which is bounded by limit rather than the number of
+   * matched words
    * Space complexity: O(N)
    *
    * @param {String} prefix - prefix to be matched
+   * @param {Object=} options - how many words to return and in what order
+   * @param {Number=} options.limit - most words to return, defaults to all
+   * @param {String=} options.sortBy - "alphabetical", the default, or "score"
+   * for highest score first with ties in alphabetical order
    *
-   * @returns {Array} - all keys matching input prefix
+   * @returns {Array} - keys matching input prefix
    */
-  autoComplete(prefix) {
+  autoComplete(prefix, { limit = Infinity, sortBy = "alphabetical" } = {}) {
     if (typeof prefix !== "string") {
       throw new Error("This trie only stores strings");
     }
+    if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
+      throw new Error("Limit must be a positive integer");
+    }
+    if (sortBy !== "alphabetical" && sortBy !== "score") {
+      throw new Error('Sort by must be "alphabetical" or "score"');
+    }
 
     // Could also cache previous searches and return those here
     if (prefix === "") {
@@ -73,7 +423,11 @@ class PrefixTrie {
       currentNode = currentNode[letter];
     }
 
-    return this.orderWords(currentNode).map(word => prefix + word);
+    if (sortBy === "score") {
+      return topWords(currentNode, limit).map(({ word }) => prefix + word);
+    }
+
+    return firstWords(currentNode, limit).map(word => prefix + word);
   }
 
   /**
@@ -83,10 +437,11 @@ class PrefixTrie {
    * traversed, and the second remembers the latest cutoff point from which to
    * delete characters. Cutoff occurs when a word is a prefix of the input word
    * or there is a branch to other words. If no cutoff, simply remove first
-   * letter at root, which removes whole word.
+   * letter at root, which removes whole word. Then refresh the cached best
+   * scores along the word's path.
    *
    * Time complexity: O(c), where c is number of characters in word
-   * Space complexity: O(1)
+   * Space complexity: O(c)
    *
    * @param {String} word - word to be removed
    */
@@ -97,6 +452,7 @@ class PrefixTrie {
 
     let currentNode = this.root;
     let cutOff;
+    const path = [currentNode];
 
     for (let i = 0; i < word.length; i++) {
       const letter = word[i];
@@ -107,22 +463,120 @@ class PrefixTrie {
 
       // Move to next letter in word
       currentNode = currentNode[letter];
+      path.push(currentNode);
     }
 
-    // Case 1: Input word is a prefix of another word, so leave letters alone
-    if (Object.keys(currentNode).length > 1) {
+    if (lettersOf(currentNode).length > 0) {
+      // Case 1: Input word is a prefix of another word, so leave letters alone
       delete currentNode.value;
-      return;
+      delete currentNode.score;
+    } else if (cutOff) {
+      // Case 2: Prefix is needed (as its own word or a fork to other words), so leave prefix intact
+      delete cutOff.node[cutOff.letter];
+    } else {
+      // Case 3: Remove whole word since no part of it overlaps with other words
+      delete this.root[word[0]];
     }
 
-    // Case 2: Prefix is needed (as its own word or a fork to other words), so leave prefix intact
-    if (cutOff) {
-      delete cutOff.node[cutOff.letter];
-      return;
+    // Refresh cached best scores, including on nodes just cut off, which is harmless
+    for (let i = path.length - 1; i >= 0; i--) {
+      updateBest(path[i]);
     }
+  }
 
-    // Case 3: Remove whole word since no part of it overlaps with other words
-    delete this.root[word[0]];
+  /**
+   * @description Find stored words within an edit distance of a word, such
+   * as words a user may have meant when making a typo. Distance counts
+   * letters inserted, deleted or replaced (Levenshtein). With transpositions,
+   * swapping two neighbouring letters also counts as one edit (Damerau, in
+   * its optimal string alignment form).
+   *
+   * Strategy: Walk the trie depth-first with an explicit stack, computing one
+   * row of the edit distance table per node. Each row is built from the row
+   * of the parent, and the row of the grandparent for transpositions, so
+   * words sharing a prefix share the work. A node holding a value is a match
+   * when the last cell of its row is within maxDistance. When every cell of a
+   * row exceeds maxDistance, no word below can get closer, so the branch is
+   * skipped.
+   *
+   * Edge case(s): invalid distances throw, empty word matches short words
+   *
+   * Time complexity: O(N * c), where N is number of nodes visited and c is
+   * number of characters in word
+   * Space complexity: O(N * c)
+   *
+   * @param {String} word - word to be looked up
+   * @param {Number=} maxDistance - most edits allowed, defaults to 1
+   * @param {Object=} options - how to measure distance
+   * @param {Boolean=} options.transpositions - count swapped neighbouring
+   * letters as one edit
+   *
+   * @returns {Array} - { word, value, distance } for each match, closest
+   * first and alphabetical among ties
+   */
+  fuzzySearch(word, maxDistance = 1, { transpositions = false } = {}) {
+    if (typeof word !== "string") {
+      throw new Error("This trie only stores strings");
+    }
+    if (!Number.isInteger(maxDistance) || maxDistance < 0) {
+      throw new Error("Distance must be a non-negative integer");
+    }
+
+    const matches = [];
+    const firstRow = Array.from({ length: word.length + 1 }, (_, i) => i);
+    const stack = lettersOf(this.root).map(letter => ({
+      node: this.root[letter],
+      letter,
+      prefix: letter,
+      row: firstRow,
+      previous: null
+    }));
+
+    while (stack.length > 0) {
+      const { node, letter, prefix, row, previous } = stack.pop();
+      const current = [row[0] + 1];
+
+      for (let i = 1; i <= word.length; i++) {
+        const cost = word[i - 1] === letter ? 0 : 1;
+        current[i] = Math.min(
+          current[i - 1] + 1,
+          row[i] + 1,
+          row[i - 1] + cost
+        );
+
+        // Last two letters of prefix are the last two of word, swapped
+        if (
+          transpositions &&
+          previous !== null &&
+          i > 1 &&
+          word[i - 1] === prefix[prefix.length - 2] &&
+          word[i - 2] === letter
+        ) {
+          current[i] = Math.min(current[i], previous[i - 2] + 1);
+        }
+      }
+
+      const distance = current[word.length];
+      if (node.hasOwnProperty("value") && distance <= maxDistance) {
+        matches.push({ word: prefix, value: node.value, distance });
+      }
+
+      if (Math.min(...current) <= maxDistance) {
+        lettersOf(node).forEach(next => {
+          stack.push({
+            node: node[next],
+            letter: next,
+            prefix: prefix + next,
+            row: current,
+            previous: row
+          });
+        });
+      }
+    }
+
+    return matches.sort(
+      (a, b) => a.distance - b.distance || (a.word < b.word ? -1 : 1)
+    );
   }
 
   /**
@@ -209,6 +663,89 @@ class PrefixTrie {
     return this.get(word) !== null;
   }
 
+  /**
+   * @description Find all words matching a pattern, in alphabetical order.
+   * The whole word must match. Pattern may use ? for any one letter, * for
+   * any run of letters, character classes such as [aeiou], [0-9] or [!a-z],
+   * and backslash to match those symbols literally. Like the rest of the
+   * trie, matching is case sensitive.
+   *
+   * Strategy: Split pattern into tokens with private parsePattern function.
+   * Then search depth-first with an explicit stack over pairs of node and
+   * position in tokens, building the word along the way. A letter token
+   * follows one child, ? and classes follow every child they accept, and *
+   * either ends or eats one more letter and stays. A word matches when every
+   * token is used up at a node holding a value. Pairs already tried are
+   * remembered, so each word is found once and runs of * cannot make the
+   * search blow up.
+   *
+   * Edge case(s): empty pattern matches nothing, malformed classes throw
+   *
+   * Time complexity: O(N * p), where N is number of nodes in trie and p is
+   * number of characters in pattern, though literal letters only visit one
+   * path
+   * Space complexity: O(N * p)
+   *
+   * @param {String} pattern - pattern to be matched
+   *
+   * @returns {Array} - alphabetical list of matching words
+   */
+  match(pattern) {
+    if (typeof pattern !== "string") {
+      throw new Error("This trie only stores strings");
+    }
+
+    const tokens = parsePattern(pattern.split(""));
+    const words = [];
+    const stack = [{ node: this.root, position: 0, word: "" }];
+    const tried = new Map();
+
+    while (stack.length > 0) {
+      const { node, position, word } = stack.pop();
+
+      if (!tried.has(node)) {
+        tried.set(node, new Set());
+      }
+      if (tried.get(node).has(position)) {
+        continue;
+      }
+      tried.get(node).add(position);
+
+      if (position === tokens.length) {
+        if (node.hasOwnProperty("value")) {
+          words.push(word);
+        }
+        continue;
+      }
+
+      const token = tokens[position];
+      if (token.type === "letter") {
+        if (node.hasOwnProperty(token.letter)) {
+          stack.push({
+            node: node[token.letter],
+            position: position + 1,
+            word: word + token.letter
+          });
+        }
+        continue;
+      }
+
+      if (token.type === "star") {
+        stack.push({ node, position: position + 1, word });
+      }
+
+      lettersOf(node).forEach(letter => {
+        if (token.type === "star") {
+          stack.push({ node: node[letter], position, word: word + letter });
+        } else if (matchesToken(token, letter)) {
+          stack.push({ node: node[letter], position: position + 1, word: word + letter });
+        }
+      });
+    }
+
+    return words.sort();
+  }
+
   /**
    * @description Get all words in alphabetical order.
    *
@@ -230,14 +767,9 @@ class PrefixTrie {
       words.push(word);
     }
 
-    Object.keys(node)
-      .sort()
-      .forEach(key => {
-        if (key === "value") {
-          return;
-        }
-        this.orderWords(node[key], words, word + key);
-      });
+    lettersOf(node).forEach(letter => {
+      this.orderWords(node[letter], words, word + letter);
+    });
 
     return words;
   }
@@ -246,10 +778,14 @@ class PrefixTrie {
    * @description Insert or update a key-value pair.
    *
    * Strategy: Check each letter for existence down a branch. If letter does
-   * not exist in trie, create it. When word completes, add value to next node.
+   * not exist in trie, create it. When word completes, add value and score to
+   * next node. A score no lower than before can only raise cached best scores,
+   * so raise them along the path. A lower score may lower them, so refresh
+   * them from each node's children on the way back up instead.
    *
-   * Time complexity: O(c), where c is number of characters
-   * Space complexity: O(1)
+   * Time complexity: O(c), where c is number of characters, or O(c * k) when
+   * a word's score is lowered, where k is number of letters at each node
+   * Space complexity: O(c)
    *
    * Tradeoffs: A small amount of extra space is used to store value in a
    * separate object from the final character in exchange for instant lookup
@@ -257,15 +793,27 @@ class PrefixTrie {
    * proportional to character set requires far more space for the same time
    * complexity.
    *
+   * Scores rank words in autoComplete method. Every node on the word's path
+   * caches the best score below it.
+   *
    * @param {String} word - key for value
    * @param {*} value - inserted as value property in node after word's final character
+   * @param {Number=} score - rank among completions, higher first. Defaults
+   * to the word's current score, or 0 for a new word
    */
-  put(word, value) {
+  put(word, value, score) {
     if (typeof word !== "string" || word.length === 0) {
       throw new Error("This trie requires non-empty string keys");
     }
+    if (
+      score !== undefined &&
+      (typeof score !== "number" || !Number.isFinite(score))
+    ) {
+      throw new Error("Score must be a finite number");
+    }
 
     let currentNode = this.root;
+    const path = [currentNode];
 
     for (let i = 0; i < word.length; i++) {
       const letter = word[i];
@@ -274,9 +822,146 @@ class PrefixTrie {
       }
 
       currentNode = currentNode[letter];
+      path.push(currentNode);
+    }
+
+    const hasWord = currentNode.hasOwnProperty("value");
+    let newScore = score;
+    if (newScore === undefined) {
+      newScore = hasWord ? currentNode.score : 0;
     }
+    const isLowered = hasWord && newScore < currentNode.score;
 
     currentNode.value = value;
+    currentNode.score = newScore;
+
+    if (isLowered) {
+      for (let i = path.length - 1; i >= 0; i--) {
+        updateBest(path[i]);
+      }
+    } else {
+      path.forEach(node => {
+        node.best = node.hasOwnProperty("best")
+          ? Math.max(node.best, newScore)
+          : newScore;
+      });
+    }
+  }
+
+  /**
+   * @description Describe trie in Graphviz DOT language, ready to be pasted
+   * into a bug report or rendered with `dot -Tpng`. Edges are labeled with
+   * letters and nodes that end a word are highlighted.
+   *
+   * Strategy: Depth-first traversal with an explicit stack that numbers nodes
+   * as they are visited.
+   *
+   * Time complexity: O(N), where N is number of nodes in trie
+   * Space complexity: O(N)
+   *
+   * @returns {String} - DOT source of a directed graph
+   */
+  toDot() {
+    const lines = [
+      "digraph PrefixTrie {",
+      '  node [shape=circle, label=""];',
+      "  n0;"
+    ];
+    const stack = [{ node: this.root, id: "n0" }];
+    let count = 1;
+
+    while (stack.length > 0) {
+      const { node, id } = stack.pop();
+      const letters = lettersOf(node);
+
+      letters.forEach(letter => {
+        const child = node[letter];
+        const childId = `n${count++}`;
+        if (child.hasOwnProperty("value")) {
+          lines.push(`  ${childId} [shape=doublecircle, style=filled, fillcolor=lightgrey];`);
+        } else {
+          lines.push(`  ${childId};`);
+        }
+        lines.push(`  ${id} -> ${childId} [label=${JSON.stringify(letter)}];`);
+        stack.push({ node: child, id: childId });
+      });
+    }
+
+    lines.push("}");
+    return lines.join("\n");
+  }
+
+  /**
+   * @description Describe trie as plain data that JSON.stringify can save
+   * and fromJSON can rebuild. Words are listed alphabetically as
+   * [word, value], or as [word] when the value is undefined, since JSON has
+   * no undefined. Scores other than the default 0 are listed separately as
+   * [word, score], and left out entirely when there are none.
+   *
+   * Strategy: Pair each word from orderWords method with its value and
+   * score.
+   *
+   * Time complexity: O(N * c), where N is number of words and c is length of
+   * longest word
+   * Space complexity: O(N * c)
+   *
+   * @returns {Object} - { words } listing of trie, and { scores } if any
+   */
+  toJSON() {
+    const words = [];
+    const scores = [];
+
+    this.orderWords().forEach(word => {
+      const node = nodeAt(this.root, word);
+      words.push(node.value === undefined ? [word] : [word, node.value]);
+      if (node.score !== 0) {
+        scores.push([word, node.score]);
+      }
+    });
+
+    return scores.length > 0 ? { words, scores } : { words };
+  }
+
+  /**
+   * @description Draw trie as an indented ASCII diagram with one letter per
+   * line, below a dot standing for the root. Letters that end a word are
+   * marked with an asterisk. Empty tries draw as an empty string.
+   *
+   * Strategy: Depth-first traversal with an explicit stack. Each stack entry
+   * remembers the indentation drawn so far. Letters are pushed in reverse so
+   * they are drawn in alphabetical order.
+   *
+   * Time complexity: O(N * c), where N is number of nodes and c is length of
+   * longest word, for the indentation
+   * Space complexity: O(N * c)
+   *
+   * @returns {String} - diagram with one line per letter
+   */
+  toString() {
+    const lines = [];
+    const stack = [];
+
+    const pushChildren = (node, prefix) => {
+      const letters = lettersOf(node);
+      for (let i = letters.length - 1; i >= 0; i--) {
+        const isLast = i === letters.length - 1;
+        stack.push({ node: node[letters[i]], letter: letters[i], prefix, isLast });
+      }
+    };
+
+    pushChildren(this.root, "");
+    if (stack.length > 0) {
+      lines.push(".");
+    }
+
+    while (stack.length > 0) {
+      const { node, letter, prefix, isLast } = stack.pop();
+      const marker = node.hasOwnProperty("value") ? " *" : "";
+      lines.push(`${prefix}${isLast ? "`-- " : "|-- "}${letter}${marker}`);
+      pushChildren(node, prefix + (isLast ? "    " : "|   "));
+    }
+
+    return lines.join("\n");
   }
 }
 
@@ -1,32 +1,32 @@
+const {
+  indexesBelow,
+  lettersOf,
+  matchesToken,
+  parseOptions,
+  parsePattern
+} = require("./text.helpers");
+
 /**
  * @description Private method that inserts suffixes into suffix trie.
  *
- * Strategy: Traverse trie letter by letter. If letter does not exist, create
- * it. At end, place terminating marker. Convert all letters to lowercase to
- * make trie case insensitive. Ignore whitespace with regex check. Notice that
- * the index is placed in the node after the final letter.
+ * Strategy: Traverse trie letter by letter, starting from the first letter of
+ * the suffix. If letter does not exist, create it. At end, place terminating
+ * marker. Notice that the index is placed in the node after the final letter.
  *
  * Time complexity: O(c), where c is number of characters in suffix
  * Space complexity: O(c), where c is number of characters in suffix
  *
- * @param {String} suffix - suffix inserted into trie
+ * @param {Array} letters - letters of whole string, from lettersOf
+ * @param {Number} start - position in letters where suffix begins
  * @param {Object} trie - suffix trie where suffix is being inserted
- * @param {Number} index - index where suffix begins in original string
- *
- * @returns {Object} - root of trie
  *
  * @private
  */
-function insert(suffix, trie, index) {
+function insert(letters, start, trie) {
   let currentNode = trie;
 
-  for (let i = 0; i < suffix.length; i++) {
-    const letter = suffix[i].toLowerCase();
-
-    // Ignore whitespace
-    if (/\s/.test(letter)) {
-      continue;
-    }
+  for (let i = start; i < letters.length; i++) {
+    const { letter } = letters[i];
 
     if (!currentNode.hasOwnProperty(letter)) {
       currentNode[letter] = {};
@@ -37,124 +37,466 @@ function insert(suffix, trie, index) {
   }
 
   // Index also acts as terminating marker to represent a complete suffix
-  currentNode.index = index;
+  currentNode.index = letters[start].index;
 }
 
 /**
  * @description Private method that builds entire suffix trie upon class
  * instantiation.
  *
- * Strategy: Create root object. Insert every possible suffix of input string.
- * Build suffix string by prepending one character at a time starting at end of
- * word. For example, BANANA inserts A, NA, ANA, NANA, ANANA, BANANA.
+ * Strategy: Create root object. Split string into letters, then insert the
+ * suffix starting at every letter, beginning at end of word. For example,
+ * BANANA inserts A, NA, ANA, NANA, ANANA, BANANA.
  *
  * Time complexity: O(c^2), where c is number of characters in input string
  * Space complexity: O(c^2), where c is number of characters in input string
  *
  * @param {String} string - string that suffix trie represents
+ * @param {Object} options - caseSensitive, keepWhitespace and normalization
  *
  * @returns {Object} - root of trie
  *
  * @private
  */
-function buildTrie(string) {
+function buildTrie(string, options) {
   if (string === "" || typeof string !== "string") {
     throw new Error("Insert a non-empty string upon instantiation");
   }
 
   const trie = {};
-  let suffix = "";
+  const letters = lettersOf(string, options);
 
-  for (let i = string.length - 1; i >= 0; i--) {
-    const letter = string[i];
-    suffix = letter + suffix;
-    insert(suffix, trie, i);
+  for (let i = letters.length - 1; i >= 0; i--) {
+    insert(letters, i, trie);
   }
 
   return trie;
 }
 
+/**
+ * @description Private method that walks the trie along the letters of a
+ * query.
+ *
+ * Strategy: Split query the same way as the indexed string, then follow one
+ * letter at a time.
+ *
+ * Time complexity: O(c), where c is number of characters in query
+ * Space complexity: O(c)
+ *
+ * @param {Object} root - root of trie
+ * @param {String} query - text to follow from root
+ * @param {Object} options - caseSensitive, keepWhitespace and normalization
+ *
+ * @returns {Object|Null} - node reached, or null if query leaves the trie
+ *
+ * @private
+ */
+function findNode(root, query, options) {
+  if (typeof query !== "string") {
+    throw new Error("This trie only stores strings");
+  }
+
+  let currentNode = root;
+
+  for (const { letter } of lettersOf(query, options)) {
+    if (!currentNode.hasOwnProperty(letter)) {
+      return null;
+    }
+
+    currentNode = currentNode[letter];
+  }
+
+  return currentNode;
+}
+
+/**
+ * @description Private method that splits a pattern into tokens that agree
+ * with the letters stored in the trie.
+ *
+ * Strategy: Apply Unicode normalization to the whole pattern, then use
+ * private parsePattern function on its code points. Unless options say
+ * otherwise, lowercase letters and class ranges, and drop whitespace letters
+ * the way lettersOf does.
+ *
+ * Time complexity: O(p), where p is number of characters in pattern
+ * Space complexity: O(p)
+ *
+ * @param {String} pattern - pattern to be split
+ * @param {Object} options - caseSensitive, keepWhitespace and normalization
+ *
+ * @returns {Array} - tokens from parsePattern
+ *
+ * @private
+ */
+function tokensOf(pattern, options) {
+  if (typeof pattern !== "string") {
+    throw new Error("This trie only stores strings");
+  }
+
+  const text =
+    options.normalization === null
+      ? pattern
+      : pattern.normalize(options.normalization);
+  const fold = letter =>
+    options.caseSensitive ? letter : letter.toLowerCase();
+
+  return parsePattern([...text])
+    .filter(
+      token =>
+        token.type !== "letter" ||
+        options.keepWhitespace ||
+        !/\s/u.test(token.letter)
+    )
+    .flatMap(token => {
+      // Lowercasing can turn one letter into several, as lettersOf allows for
+      if (token.type === "letter") {
+        return [...fold(token.letter)].map(letter => ({ type: "letter", letter }));
+      }
+      if (token.type === "class") {
+        const ranges = token.ranges.map(([low, high]) => [fold(low), fold(high)]);
+        return [{ type: "class", negated: token.negated, ranges }];
+      }
+      return [token];
+    });
+}
+
+/**
+ * @description Private method that checks if any path from a node spells
+ * text matching every token.
+ *
+ * Strategy: Depth-first search with an explicit stack over pairs of node and
+ * position in tokens. A letter token follows one child, ? and classes follow
+ * every child they accept, and * either ends or eats one more letter and
+ * stays. Pairs already tried are remembered, so runs of * cannot make the
+ * search blow up.
+ *
+ * Time complexity: O(N * t), where N is number of nodes in trie and t is
+ * number of tokens, though literal letters only visit one path
+ * Space complexity: O(N * t)
+ *
+ * @param {Object} root - node to start from
+ * @param {Array} tokens - tokens from tokensOf
+ *
+ * @returns {Boolean} - true if some path matches all tokens
+ *
+ * @private
+ */
+function matchTokens(root, tokens) {
+  const stack = [[root, 0]];
+  const tried = new Map();
+
+  while (stack.length > 0) {
+    const [node, position] = stack.pop();
+    if (position === tokens.length) {
+      return true;
+    }
+
+    if (!tried.has(node)) {
+      tried.set(node, new Set());
+    }
+    if (tried.get(node).has(position)) {
+      continue;
+    }
+    tried.get(node).add(position);
+
+    const token = tokens[position];
+    if (token.type === "letter") {
+      if (node.hasOwnProperty(token.letter)) {
+        stack.push([node[token.letter], position + 1]);
+      }
+      continue;
+    }
+
+    Object.keys(node).forEach(letter => {
+      if (letter === "index") {
+        return;
+      }
+      if (token.type === "star") {
+        stack.push([node[letter], position]);
+      } else if (matchesToken(token, letter)) {
+        stack.push([node[letter], position + 1]);
+      }
+    });
+
+    if (token.type === "star") {
+      stack.push([node, position + 1]);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * @description Private method that lists the children of a node, so shared
+ * indexesBelow function can walk the trie. Every key other than index is a
+ * letter leading to a child.
+ *
+ * Time complexity: O(k), where k is number of children
+ * Space complexity: O(k)
+ *
+ * @param {Object} node - node whose children are listed
+ *
+ * @returns {Array} - child nodes
+ *
+ * @private
+ */
+function childrenOf(node) {
+  return Object.keys(node)
+    .filter(key => key !== "index")
+    .map(key => node[key]);
+}
+
+/**
+ * @description Private method that deep copies a trie, checking that every
+ * node holds only letters and an optional index.
+ *
+ * Strategy: Depth-first traversal with an explicit stack of source nodes and
+ * their copies, so long strings cannot overflow the call stack.
+ *
+ * Edge case(s): non-object nodes, empty letters, indexes that are not
+ * non-negative integers
+ *
+ * Time complexity: O(N), where N is number of nodes in trie
+ * Space complexity: O(N)
+ *
+ * @param {Object} source - root of trie to be copied
+ *
+ * @returns {Object} - root of copy
+ *
+ * @private
+ */
+function copyTrie(source) {
+  const isNode = node =>
+    node !== null && typeof node === "object" && !Array.isArray(node);
+  if (!isNode(source)) {
+    throw new Error("Serialized trie must have a root object");
+  }
+
+  const root = {};
+  const stack = [[source, root]];
+
+  while (stack.length > 0) {
+    const [node, copy] = stack.pop();
+
+    Object.keys(node).forEach(key => {
+      if (key === "index") {
+        if (!Number.isInteger(node.index) || node.index < 0) {
+          throw new Error("Suffix indexes must be non-negative integers");
+        }
+        copy.index = node.index;
+        return;
+      }
+
+      if ([...key].length !== 1 || !isNode(node[key])) {
+        throw new Error("Trie nodes must map letters to nodes");
+      }
+      copy[key] = {};
+      stack.push([node[key], copy[key]]);
+    });
+  }
+
+  return root;
+}
+
 /** Class representing a suffix trie */
 class SuffixTrie {
   /**
-   * Track root of trie.
+   * Track root of trie and how text is split into letters.
    *
-   * Trie can store any non-empty string. Case insensitive. Ignores whitespace.
+   * Trie can store any non-empty string. By default it is case insensitive
+   * and ignores whitespace. Letters are whole code points, so emoji and other
+   * characters outside the Basic Multilingual Plane work. Queries are split
+   * with the same options as the string, and suffix indexes are UTF-16 offsets
+   * into the string, or into the normalized string when normalization is set.
+   *
+   * Building takes quadratic time and memory, so prefer SuffixTree for
+   * anything longer than a few thousand characters.
    *
    * @constructor
    *
    * @param str - string used to build suffix trie
+   * @param {Object=} options - how to split string into letters
+   * @param {Boolean=} options.caseSensitive - keep case, as for DNA or code
+   * @param {Boolean=} options.keepWhitespace - store whitespace as letters
+   * @param {String=} options.normalization - Unicode normalization form, such
+   * as "NFC" or "NFKD", applied before anything else
    *
    * @property {Object} root - top level node that points to rest of trie
+   * @property {Object} options - options with defaults filled in
    */
-  constructor(str) {
-    this.root = buildTrie(str);
+  constructor(str, options) {
+    this.options = parseOptions(options);
+    this.root = buildTrie(str, this.options);
   }
 
   /**
-   * @description Check if a suffix exists in the trie.
+   * @description Rebuild a trie saved with toJSON method, without the
+   * original string. Saves without options get the default options.
    *
-   * Strategy: Traverse trie. Return false if letter is not found. Return true
-   * if traversal ends successfully and the final node has a terminating marker.
+   * Strategy: Parse strings, then copy the saved root with private copyTrie
+   * function onto a new instance along with the saved options. Constructor is
+   * skipped because it needs the original string.
    *
-   * Time complexity: O(c), where c is number of characters in suffix
-   * Space complexity: O(1)
+   * Edge case(s): JSON strings, malformed input
    *
-   * @param {String} suffix - suffix to be searched
+   * Time complexity: O(N), where N is number of nodes in trie
+   * Space complexity: O(N)
    *
-   * @returns {Boolean} - true if suffix exists, or false otherwise
+   * @param {Object|String} json - output of toJSON method, or its JSON string
+   *
+   * @returns {SuffixTrie} - trie of the same shape
    */
-  hasSuffix(suffix) {
-    if (typeof suffix !== "string") {
-      throw new Error("This trie only stores strings");
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    if (data === null || typeof data !== "object") {
+      throw new Error("Serialized trie must have a root object");
     }
 
-    let currentNode = this.root;
-
-    for (let i = 0; i < suffix.length; i++) {
-      const letter = suffix[i];
-      if (!currentNode.hasOwnProperty(letter)) {
-        return false;
-      }
+    const trie = Object.create(this.prototype);
+    trie.options = parseOptions(data.options);
+    trie.root = copyTrie(data.root);
+    return trie;
+  }
 
-      currentNode = currentNode[letter];
-    }
+  /**
+   * @description Count how many times a pattern occurs in the indexed string.
+   * Overlapping matches are counted, so "aa" occurs twice in "aaa".
+   *
+   * Strategy: Use private findNode function to reach the node for pattern,
+   * then count the suffix indexes below it.
+   *
+   * Edge case: empty string occurs once at every letter
+   *
+   * Time complexity: O(c + N), where c is number of characters in pattern
+   * and N is number of nodes below the match
+   * Space complexity: O(N)
+   *
+   * @param {String} pattern - pattern to be counted
+   *
+   * @returns {Number} - number of matches
+   */
+  count(pattern) {
+    const node = findNode(this.root, pattern, this.options);
+    return node === null ? 0 : indexesBelow(node, childrenOf).length;
+  }
 
-    return currentNode.hasOwnProperty("index");
+  /**
+   * @description Find every position where a pattern starts. Positions are
+   * UTF-16 offsets into the indexed string, the same offsets indexOf and
+   * slice use, and count any whitespace that was skipped. With normalization,
+   * they are offsets into the normalized string.
+   *
+   * Strategy: Use private findNode function to reach the node for pattern.
+   * Every suffix below that node starts with pattern, so its index is a match.
+   *
+   * Edge case: returns empty array when pattern is not found
+   *
+   * Time complexity: O(c + N log N), where c is number of characters in
+   * pattern and N is number of nodes below the match
+   * Space complexity: O(N)
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Array} - starting positions, in ascending order
+   */
+  findAll(pattern) {
+    const node = findNode(this.root, pattern, this.options);
+    return node === null ? [] : indexesBelow(node, childrenOf).sort((a, b) => a - b);
   }
 
   /**
-   * @description Check if a pattern exists in the trie.
+   * @description Find the first position where a pattern starts, like
+   * String.prototype.indexOf.
    *
-   * Strategy: Traverse trie. Return false if letter is not found. Return true
-   * if traversal ends successfully.
+   * Strategy: Use private findNode function to reach the node for pattern,
+   * then take the smallest suffix index below it.
    *
-   * Edge case: empty string returns true
+   * Edge case: returns -1 when pattern is not found, or when string has no
+   * letters at all
    *
-   * Time complexity: O(c), where c is number of characters in input pattern
-   * Space complexity: O(1)
+   * Time complexity: O(c + N), where c is number of characters in pattern
+   * and N is number of nodes below the match
+   * Space complexity: O(N)
    *
    * @param {String} pattern - pattern to be searched
    *
-   * @returns {Boolean} - true if pattern exists, or false otherwise
+   * @returns {Number} - first starting position, or -1
    */
-  matchesPattern(pattern) {
-    if (typeof pattern !== "string") {
-      throw new Error("This trie only stores strings");
+  firstIndexOf(pattern) {
+    const node = findNode(this.root, pattern, this.options);
+    if (node === null) {
+      return -1;
     }
 
-    let currentNode = this.root;
+    const first = indexesBelow(node, childrenOf).reduce(
+      (smallest, index) => Math.min(smallest, index),
+      Infinity
+    );
+    return first === Infinity ? -1 : first;
+  }
 
-    for (let i = 0; i < pattern.length; i++) {
-      const letter = pattern[i];
-      if (!currentNode.hasOwnProperty(letter)) {
-        return false;
-      }
+  /**
+   * @description Check if a suffix exists in the trie.
+   *
+   * Strategy: Use private findNode function, which splits suffix into letters
+   * with the trie's options. Return true if traversal ends successfully and
+   * the final node has a terminating marker.
+   *
+   * Time complexity: O(c), where c is number of characters in suffix
+   * Space complexity: O(c)
+   *
+   * @param {String} suffix - suffix to be searched
+   *
+   * @returns {Boolean} - true if suffix exists, or false otherwise
+   */
+  hasSuffix(suffix) {
+    const node = findNode(this.root, suffix, this.options);
+    return node !== null && node.hasOwnProperty("index");
+  }
 
-      currentNode = currentNode[letter];
-    }
+  /**
+   * @description Check if a pattern exists in the trie. Pattern may use ?
+   * for any one letter, * for any run of letters, character classes such as
+   * [aeiou], [0-9] or [!a-z], and backslash to match those symbols
+   * literally. Wildcards match letters as stored, so they never match
+   * whitespace unless the trie keeps it.
+   *
+   * Strategy: Split pattern into tokens with the trie's options using private
+   * tokensOf function, then use private matchTokens function from the root.
+   * Every substring starts at the root of a suffix trie, so this finds
+   * matches anywhere in the string.
+   *
+   * Edge case(s): empty string returns true, malformed classes throw
+   *
+   * Time complexity: O(c) for plain patterns, where c is number of characters
+   * in input pattern. O(N * c) with wildcards, where N is number of nodes in
+   * trie
+   * Space complexity: O(c) for plain patterns, O(N * c) with wildcards
+   *
+   * @param {String} pattern - pattern to be searched
+   *
+   * @returns {Boolean} - true if pattern exists, or false otherwise
+   */
+  matchesPattern(pattern) {
+    return matchTokens(this.root, tokensOf(pattern, this.options));
+  }
 
-    return true;
+  /**
+   * @description Describe trie as plain data that JSON.stringify can save
+   * and fromJSON can rebuild with the same shape. Nodes are nested objects
+   * keyed by letter, and index marks where each suffix starts. Options are
+   * saved too, so queries on the rebuilt trie split letters the same way.
+   *
+   * Strategy: Use private copyTrie function, so the result can be changed
+   * without changing the trie.
+   *
+   * Time complexity: O(N), where N is number of nodes in trie
+   * Space complexity: O(N)
+   *
+   * @returns {Object} - { root, options } of trie
+   */
+  toJSON() {
+    return { root: copyTrie(this.root), options: Object.assign({}, this.options) };
   }
 }
 
@@ -0,0 +1,214 @@
+const expect = require('chai').expect;
+
+let SuffixArray;
+let SuffixTrie;
+let array;
+
+try {
+  SuffixArray = require('../../structures/suffix-array');
+  SuffixTrie = require('../../structures/tree.trie.suffix');
+  array = new SuffixArray('BANANA');
+} catch (e) {
+  throw new Error('SuffixArray could not be tested due to faulty import, likely ' +
+  'from an incorrect file path or exporting a non-constructor from the file.');
+}
+
+describe('SuffixArray', () => {
+  beforeEach(() => {
+    array = new SuffixArray('BANANA');
+  });
+
+  it('should be extensible', () => {
+    expect(array).to.be.extensible;
+  });
+
+  it('should have properties granted from constructor call', () => {
+    expect(array).to.have.all.keys('options', 'text', 'positions', 'suffixes', 'lcp');
+  });
+
+  it('should sort every suffix', () => {
+    expect(Array.from(array.suffixes)).to.deep.equal([5, 3, 1, 0, 4, 2]);
+  });
+
+  it('should count letters shared with the previous suffix', () => {
+    expect(Array.from(array.lcp)).to.deep.equal([0, 1, 3, 0, 0, 2]);
+  });
+
+  it('should sort suffixes of a string made of one letter', () => {
+    array = new SuffixArray('aaaa');
+
+    expect(Array.from(array.suffixes)).to.deep.equal([3, 2, 1, 0]);
+    expect(Array.from(array.lcp)).to.deep.equal([0, 1, 2, 3]);
+  });
+
+  it('should throw an error for an empty string', () => {
+    expect(() => new SuffixArray('')).to.throw(Error);
+  });
+
+  it('should throw an error for non-string input', () => {
+    expect(() => new SuffixArray(['a'])).to.throw(Error);
+  });
+
+  it('should throw an error for unknown normalization forms', () => {
+    expect(() => new SuffixArray('abc', { normalization: 'NFX' })).to.throw(Error);
+  });
+
+  it('should index a 100 KB document', () => {
+    let text = '';
+    for (let i = 0; i < 100000; i++) { text += 'acgt'[(i * i + 7 * i) % 4]; }
+    text = text.slice(0, 50000) + 'needle' + text.slice(50000);
+
+    array = new SuffixArray(text);
+
+    expect(array.findAll('needle')).to.deep.equal([50000]);
+    expect(array.hasSuffix(text.slice(-40))).to.be.true;
+  });
+
+  it('should answer the same as SuffixTrie for every substring', () => {
+    const text = 'Mississippi river';
+    const trie = new SuffixTrie(text);
+    array = new SuffixArray(text);
+
+    for (let i = 0; i < text.length; i++) {
+      for (let j = i; j <= text.length; j++) {
+        const query = text.slice(i, j) + 'i';
+
+        expect(array.hasSuffix(query)).to.equal(trie.hasSuffix(query));
+        expect(array.matchesPattern(query)).to.equal(trie.matchesPattern(query));
+        expect(array.findAll(query)).to.deep.equal(trie.findAll(query));
+      }
+    }
+  });
+
+  describe('options', () => {
+    it('should default to case insensitive without whitespace or normalization', () => {
+      expect(array.options).to.deep.equal({ caseSensitive: false, keepWhitespace: false, normalization: null });
+    });
+
+    it('should keep case when case sensitive', () => {
+      array = new SuffixArray('GATTACA', { caseSensitive: true });
+
+      expect(array.hasSuffix('TACA')).to.be.true;
+      expect(array.hasSuffix('taca')).to.be.false;
+    });
+
+    it('should store whitespace as letters when asked to keep it', () => {
+      array = new SuffixArray('if (x) return', { keepWhitespace: true });
+
+      expect(array.matchesPattern(') r')).to.be.true;
+      expect(array.matchesPattern(')r')).to.be.false;
+    });
+
+    it('should iterate by code point so surrogate pairs stay whole', () => {
+      array = new SuffixArray('a😀b');
+
+      expect(array.hasSuffix('😀b')).to.be.true;
+      expect(array.findAll('b')).to.deep.equal([3]);
+      expect(array.matchesPattern('\ud83d')).to.be.false;
+    });
+
+    it('should match composed and decomposed accents after normalization', () => {
+      array = new SuffixArray('caf\u00e9', { normalization: 'NFC' });
+
+      expect(array.hasSuffix('fe\u0301')).to.be.true;
+      expect(new SuffixArray('caf\u00e9').hasSuffix('fe\u0301')).to.be.false;
+    });
+  });
+
+  describe('#count()', () => {
+    it('should count overlapping matches', () => {
+      expect(array.count('ana')).to.equal(2);
+      expect(new SuffixArray('aaa').count('aa')).to.equal(2);
+    });
+
+    it('should count every letter for an empty pattern', () => {
+      expect(array.count('')).to.equal(6);
+    });
+
+    it('should return 0 when the pattern is not found', () => {
+      expect(array.count('nab')).to.equal(0);
+    });
+  });
+
+  describe('#countDistinctSubstrings()', () => {
+    it('should count each different substring once', () => {
+      expect(array.countDistinctSubstrings()).to.equal(15);
+      expect(new SuffixArray('aaaa').countDistinctSubstrings()).to.equal(4);
+      expect(new SuffixArray('abcd').countDistinctSubstrings()).to.equal(10);
+    });
+  });
+
+  describe('#findAll()', () => {
+    it('should return every starting position in ascending order', () => {
+      expect(array.findAll('ana')).to.deep.equal([1, 3]);
+      expect(array.findAll('A')).to.deep.equal([1, 3, 5]);
+    });
+
+    it('should report positions in the original text when whitespace is skipped', () => {
+      array = new SuffixArray('to be or not to be');
+
+      expect(array.findAll('tobe')).to.deep.equal([0, 13]);
+    });
+
+    it('should return an empty array when the pattern is not found', () => {
+      expect(array.findAll('bananas')).to.deep.equal([]);
+    });
+
+    it('should throw an error for non-string patterns', () => {
+      expect(() => array.findAll(1)).to.throw(Error);
+    });
+  });
+
+  describe('#firstIndexOf()', () => {
+    it('should return the first starting position', () => {
+      expect(array.firstIndexOf('na')).to.equal(2);
+    });
+
+    it('should return -1 when the pattern is not found', () => {
+      expect(array.firstIndexOf('x')).to.equal(-1);
+    });
+  });
+
+  describe('#hasSuffix()', () => {
+    it('should return true if the suffix is in the array', () => {
+      expect(array.hasSuffix('ana')).to.be.true;
+      expect(array.hasSuffix('banana')).to.be.true;
+    });
+
+    it('should return false for patterns that are not suffixes', () => {
+      expect(array.hasSuffix('ban')).to.be.false;
+      expect(array.hasSuffix('nan')).to.be.false;
+    });
+
+    it('should return false for an empty string', () => {
+      expect(array.hasSuffix('')).to.be.false;
+    });
+  });
+
+  describe('#longestRepeatedSubstring()', () => {
+    it('should return the longest substring found twice', () => {
+      expect(array.longestRepeatedSubstring()).to.equal('ana');
+      expect(new SuffixArray('mississippi').longestRepeatedSubstring()).to.equal('issi');
+    });
+
+    it('should return an empty string when nothing repeats', () => {
+      expect(new SuffixArray('abc').longestRepeatedSubstring()).to.equal('');
+    });
+  });
+
+  describe('#matchesPattern()', () => {
+    it('should return true if the pattern is in the array', () => {
+      expect(array.matchesPattern('nan')).to.be.true;
+      expect(array.matchesPattern('BAN')).to.be.true;
+    });
+
+    it('should return false if the pattern is not in the array', () => {
+      expect(array.matchesPattern('nab')).to.be.false;
+      expect(array.matchesPattern('bananas')).to.be.false;
+    });
+
+    it('should return true for an empty string', () => {
+      expect(array.matchesPattern('')).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,458 @@
+const expect = require('chai').expect;
+
+let AVLTree;
+let AVL;
+
+try {
+  AVLTree = require('../../structures/tree.avl');
+  AVL = new AVLTree();
+} catch (e) {
+  throw new Error('AVLTree could not be tested due to faulty import, likely ' +
+  'from an incorrect file path or exporting a non-constructor from the file.');
+}
+
+describe('AVLTree', () => {
+  beforeEach(() => {
+    AVL = new AVLTree();
+  });
+
+  it('should be extensible', () => {
+    expect(AVL).to.be.extensible;
+  });
+
+  it('should have properties granted from constructor call', () => {
+    expect(AVL).to.have.all.keys('root', 'comparator');
+  });
+
+  it('should throw an error for a comparator that is not a function', () => {
+    expect(() => new AVLTree('descending')).to.throw(Error);
+  });
+
+  describe('#insert()', () => {
+    it('should set root with the given key-value pair', () => {
+      AVL.insert('D', 'woof');
+
+      expect(AVL.root.key).to.equal('D');
+      expect(AVL.root.value).to.equal('woof');
+    });
+
+    it('should insert a node with key, value, left, right, height and size properties', () => {
+      AVL.insert('D', 'woof');
+
+      expect(AVL.root).to.have.all.keys('key', 'value', 'left', 'right', 'height', 'size');
+    });
+
+    it('should rotate right when left subtree grows too tall', () => {
+      AVL.insert(3);
+      AVL.insert(2);
+      AVL.insert(1);
+
+      expect(AVL.root.key).to.equal(2);
+      expect(AVL.root.left.key).to.equal(1);
+      expect(AVL.root.right.key).to.equal(3);
+    });
+
+    it('should rotate left when right subtree grows too tall', () => {
+      AVL.insert(1);
+      AVL.insert(2);
+      AVL.insert(3);
+
+      expect(AVL.root.key).to.equal(2);
+      expect(AVL.root.left.key).to.equal(1);
+      expect(AVL.root.right.key).to.equal(3);
+    });
+
+    it('should double rotate for left-right imbalance', () => {
+      AVL.insert(3);
+      AVL.insert(1);
+      AVL.insert(2);
+
+      expect(AVL.root.key).to.equal(2);
+      expect(AVL.root.left.key).to.equal(1);
+      expect(AVL.root.right.key).to.equal(3);
+    });
+
+    it('should double rotate for right-left imbalance', () => {
+      AVL.insert(1);
+      AVL.insert(3);
+      AVL.insert(2);
+
+      expect(AVL.root.key).to.equal(2);
+      expect(AVL.root.left.key).to.equal(1);
+      expect(AVL.root.right.key).to.equal(3);
+    });
+
+    it('should stay balanced when keys arrive in sorted order', () => {
+      for (let i = 0; i < 1023; i++) { AVL.insert(i); }
+
+      expect(AVL.height()).to.equal(10);
+      expect(AVL.root.size).to.equal(1023);
+      expect(AVL.isValid()).to.be.true;
+    });
+
+    it('should overwrite value for duplicate key', () => {
+      AVL.insert('D', 'woof');
+      AVL.insert('D', 'meow');
+
+      expect(AVL.root.value).to.equal('meow');
+      expect(AVL.root.size).to.equal(1);
+    });
+
+    it('should order keys with a custom comparator', () => {
+      AVL = new AVLTree((a, b) => a.getTime() - b.getTime());
+      AVL.insert(new Date(2020, 0, 1), 'middle');
+      AVL.insert(new Date(2019, 0, 1), 'first');
+      AVL.insert(new Date(2021, 0, 1), 'last');
+
+      expect([...AVL.values()]).to.deep.equal(['first', 'middle', 'last']);
+      expect(AVL.get(new Date(2021, 0, 1))).to.equal('last');
+    });
+  });
+
+  describe('#assertInvariants()', () => {
+    it('should not throw for a valid tree', () => {
+      [2, 1, 3].forEach(key => AVL.insert(key));
+
+      expect(() => AVL.assertInvariants()).to.not.throw();
+    });
+
+    it('should report the key where balance is broken', () => {
+      [2, 1, 3, 4].forEach(key => AVL.insert(key));
+      AVL.root.left = null;
+      AVL.root.size = 3;
+
+      expect(() => AVL.assertInvariants()).to.throw('AVL balance violated at key 2');
+    });
+
+    it('should report wrong cached heights', () => {
+      [2, 1, 3].forEach(key => AVL.insert(key));
+      AVL.root.height = 5;
+
+      expect(() => AVL.assertInvariants()).to.throw('Cached height is wrong at key 2');
+    });
+  });
+
+  describe('#breadthFirstSearch()', () => {
+    it('should apply callback to all nodes in level order', () => {
+      [1, 2, 3, 4, 5, 6, 7].forEach(key => AVL.insert(key));
+      const called = [];
+
+      AVL.breadthFirstSearch(node => called.push(node.key));
+
+      expect(called).to.deep.equal([4, 2, 6, 1, 3, 5, 7]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => AVL.breadthFirstSearch(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#ceiling()', () => {
+    it('should return the smallest key greater than or equal to given key', () => {
+      [10, 20, 30].forEach(key => AVL.insert(key));
+
+      expect(AVL.ceiling(20)).to.equal(20);
+      expect(AVL.ceiling(11)).to.equal(20);
+      expect(AVL.ceiling(31)).to.equal(null);
+    });
+  });
+
+  describe('#countInRange()', () => {
+    it('should count keys in range including both bounds', () => {
+      [10, 20, 30, 40].forEach(key => AVL.insert(key));
+
+      expect(AVL.countInRange(20, 40)).to.equal(3);
+      expect(AVL.countInRange(15, 35)).to.equal(2);
+      expect(AVL.countInRange(35, 15)).to.equal(0);
+    });
+  });
+
+  describe('#delete()', () => {
+    it('should return the value of the deleted key', () => {
+      AVL.insert('D', 'woof');
+
+      expect(AVL.delete('D')).to.equal('woof');
+      expect(AVL.root).to.equal(null);
+    });
+
+    it('should rebalance after deleting from the shorter side', () => {
+      [2, 1, 3, 4].forEach(key => AVL.insert(key));
+
+      AVL.delete(1);
+
+      expect(AVL.root.key).to.equal(3);
+      expect(AVL.root.left.key).to.equal(2);
+      expect(AVL.root.right.key).to.equal(4);
+    });
+
+    it('should replace a node with two children by its successor', () => {
+      [4, 2, 6, 1, 3, 5, 7].forEach(key => AVL.insert(key));
+
+      AVL.delete(4);
+
+      expect(AVL.root.key).to.equal(5);
+      expect([...AVL.keys()]).to.deep.equal([1, 2, 3, 5, 6, 7]);
+      expect(AVL.isValid()).to.be.true;
+    });
+
+    it('should stay balanced across many insertions and deletions', () => {
+      for (let i = 0; i < 200; i++) { AVL.insert((i * 37) % 200, i); }
+      for (let i = 0; i < 200; i += 3) { AVL.delete((i * 53) % 200); }
+
+      expect(AVL.isValid()).to.be.true;
+      expect(AVL.get(1)).to.equal(null);
+      expect(AVL.get(2)).to.equal(146);
+    });
+
+    it('should throw an error for keys that do not exist in the tree', () => {
+      AVL.insert('D');
+
+      expect(() => AVL.delete('Z')).to.throw(Error);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => AVL.delete('A')).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMax()', () => {
+    it('should remove keys from largest to smallest', () => {
+      [5, 3, 8, 1, 4].forEach(key => AVL.insert(key, key * 10));
+      const removed = [];
+
+      while (AVL.root !== null) {
+        removed.push(AVL.deleteMax());
+        expect(AVL.isValid()).to.be.true;
+      }
+
+      expect(removed).to.deep.equal([80, 50, 40, 30, 10]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => AVL.deleteMax()).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMin()', () => {
+    it('should remove keys from smallest to largest', () => {
+      [5, 3, 8, 1, 4].forEach(key => AVL.insert(key, key * 10));
+      const removed = [];
+
+      while (AVL.root !== null) {
+        removed.push(AVL.deleteMin());
+        expect(AVL.isValid()).to.be.true;
+      }
+
+      expect(removed).to.deep.equal([10, 30, 40, 50, 80]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => AVL.deleteMin()).to.throw(Error);
+    });
+  });
+
+  describe('#depthInOrder', () => {
+    it('should apply callback to all nodes depth-first in-order', () => {
+      [4, 2, 6, 1, 3, 5, 7].forEach(key => AVL.insert(key));
+      const called = [];
+
+      AVL.depthInOrder(node => called.push(node.key));
+
+      expect(called).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => AVL.depthInOrder(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#depthPostOrder', () => {
+    it('should apply callback to all nodes depth-first post-order', () => {
+      [4, 2, 6, 1, 3, 5, 7].forEach(key => AVL.insert(key));
+      const called = [];
+
+      AVL.depthPostOrder(node => called.push(node.key));
+
+      expect(called).to.deep.equal([1, 3, 2, 5, 7, 6, 4]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => AVL.depthPostOrder(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#depthPreOrder', () => {
+    it('should apply callback to all nodes depth-first pre-order', () => {
+      [4, 2, 6, 1, 3, 5, 7].forEach(key => AVL.insert(key));
+      const called = [];
+
+      AVL.depthPreOrder(node => called.push(node.key));
+
+      expect(called).to.deep.equal([4, 2, 1, 3, 6, 5, 7]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => AVL.depthPreOrder(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#floor()', () => {
+    it('should return the largest key less than or equal to given key', () => {
+      [10, 20, 30].forEach(key => AVL.insert(key));
+
+      expect(AVL.floor(20)).to.equal(20);
+      expect(AVL.floor(29)).to.equal(20);
+      expect(AVL.floor(9)).to.equal(null);
+    });
+  });
+
+  describe('#get()', () => {
+    it('should return the value for a key', () => {
+      AVL.insert('D', 'woof');
+      AVL.insert('C', 'meow');
+
+      expect(AVL.get('C')).to.equal('meow');
+    });
+
+    it('should return null if the key is not found in the tree', () => {
+      AVL.insert('C', 'meow');
+
+      expect(AVL.get('D')).to.equal(null);
+    });
+
+    it('should return null if tree is empty', () => {
+      expect(AVL.get('D')).to.equal(null);
+    });
+  });
+
+  describe('#height()', () => {
+    it('should return 0 for empty trees', () => {
+      expect(AVL.height()).to.equal(0);
+    });
+
+    it('should count nodes on the longest path from the root', () => {
+      [4, 2, 6, 1].forEach(key => AVL.insert(key));
+
+      expect(AVL.height()).to.equal(3);
+    });
+  });
+
+  describe('#isValid()', () => {
+    it('should return true for empty trees', () => {
+      expect(AVL.isValid()).to.be.true;
+    });
+
+    it('should return false if keys are out of order', () => {
+      [2, 1, 3].forEach(key => AVL.insert(key));
+      AVL.root.left.key = 5;
+
+      expect(AVL.isValid()).to.be.false;
+    });
+
+    it('should return false if subtree heights differ by more than one', () => {
+      [2, 1, 3, 4].forEach(key => AVL.insert(key));
+      AVL.root.left = null;
+      AVL.root.size = 3;
+
+      expect(AVL.isValid()).to.be.false;
+    });
+  });
+
+  describe('#keys()', () => {
+    it('should yield keys within bounds, inclusive', () => {
+      [10, 20, 30, 40, 50].forEach(key => AVL.insert(key));
+
+      expect([...AVL.keys(20, 40)]).to.deep.equal([20, 30, 40]);
+      expect([...AVL.keys()]).to.deep.equal([10, 20, 30, 40, 50]);
+    });
+  });
+
+  describe('#levelOrder()', () => {
+    it('should yield all keys in level order', () => {
+      [1, 2, 3, 4, 5, 6, 7].forEach(key => AVL.insert(key));
+
+      expect([...AVL.levelOrder()]).to.deep.equal([4, 2, 6, 1, 3, 5, 7]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...AVL.levelOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#levels()', () => {
+    it('should list keys found at each depth', () => {
+      [1, 2, 3, 4].forEach(key => AVL.insert(key));
+
+      expect(AVL.levels()).to.deep.equal([[2], [1, 3], [4]]);
+    });
+  });
+
+  describe('#max()', () => {
+    it('should return the largest key', () => {
+      [5, 3, 8].forEach(key => AVL.insert(key));
+
+      expect(AVL.max()).to.equal(8);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => AVL.max()).to.throw(Error);
+    });
+  });
+
+  describe('#min()', () => {
+    it('should return the smallest key', () => {
+      [5, 3, 8].forEach(key => AVL.insert(key));
+
+      expect(AVL.min()).to.equal(3);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => AVL.min()).to.throw(Error);
+    });
+  });
+
+  describe('#rank()', () => {
+    it('should count keys smaller than given key', () => {
+      [10, 20, 30, 40].forEach(key => AVL.insert(key));
+
+      expect(AVL.rank(10)).to.equal(0);
+      expect(AVL.rank(35)).to.equal(3);
+    });
+  });
+
+  describe('#select()', () => {
+    it('should return the key with the given rank', () => {
+      [10, 20, 30, 40].forEach(key => AVL.insert(key));
+
+      expect(AVL.select(0)).to.equal(10);
+      expect(AVL.select(3)).to.equal(40);
+    });
+
+    it('should throw an error for ranks out of bounds', () => {
+      expect(() => AVL.select(0)).to.throw(Error);
+    });
+  });
+
+  describe('#size()', () => {
+    it('should count keys in the tree', () => {
+      [1, 2, 3, 4].forEach(key => AVL.insert(key));
+      AVL.delete(2);
+
+      expect(AVL.size()).to.equal(3);
+    });
+  });
+
+  describe('#[Symbol.iterator]()', () => {
+    it('should make the tree iterable with [key, value] pairs', () => {
+      AVL.insert('D', 'woof');
+      AVL.insert('C', 'meow');
+
+      expect([...AVL]).to.deep.equal([['C', 'meow'], ['D', 'woof']]);
+      expect([...AVL.entries()]).to.deep.equal([['C', 'meow'], ['D', 'woof']]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...AVL]).to.deep.equal([]);
+    });
+  });
+});
\ No newline at end of file
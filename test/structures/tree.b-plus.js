@@ -0,0 +1,253 @@
+const expect = require('chai').expect;
+
+let BTree;
+let tree;
+
+try {
+  BTree = require('../../structures/tree.b-plus');
+  tree = new BTree();
+} catch (e) {
+  throw new Error('BTree could not be tested due to faulty import, likely ' +
+  'from an incorrect file path or exporting a non-constructor from the file.');
+}
+
+// Walks the tree and reports whether B+ tree rules hold: keys sorted within
+// separator bounds, occupancy between half and full, leaves at equal depth
+// and linked in order
+function isValidBPlusTree(tree) {
+  const minKeys = Math.ceil(tree.order / 2) - 1;
+  const leaves = [];
+  let leafDepth = null;
+  let valid = true;
+
+  (function check(node, lo, hi, depth) {
+    const isRoot = node === tree.root;
+    for (let i = 0; i < node.keys.length; i++) {
+      if (i > 0 && tree.comparator(node.keys[i - 1], node.keys[i]) >= 0) { valid = false; }
+      if (lo !== undefined && tree.comparator(node.keys[i], lo) < 0) { valid = false; }
+      if (hi !== undefined && tree.comparator(node.keys[i], hi) >= 0) { valid = false; }
+    }
+    if (node.keys.length > tree.order - 1 || (!isRoot && node.keys.length < minKeys)) { valid = false; }
+
+    if (node.children === undefined) {
+      if (leafDepth === null) { leafDepth = depth; }
+      if (depth !== leafDepth || node.values.length !== node.keys.length) { valid = false; }
+      leaves.push(node);
+      return;
+    }
+
+    if (node.children.length !== node.keys.length + 1) { valid = false; }
+    node.children.forEach((child, i) => {
+      check(child, i === 0 ? lo : node.keys[i - 1], i === node.keys.length ? hi : node.keys[i], depth + 1);
+    });
+  })(tree.root, undefined, undefined, 0);
+
+  leaves.forEach((leaf, i) => {
+    if (leaf.next !== (i < leaves.length - 1 ? leaves[i + 1] : null)) { valid = false; }
+  });
+
+  return valid;
+}
+
+describe('BTree', () => {
+  beforeEach(() => {
+    tree = new BTree(4);
+  });
+
+  it('should be extensible', () => {
+    expect(tree).to.be.extensible;
+  });
+
+  it('should have properties granted from constructor call', () => {
+    expect(tree).to.have.all.keys('root', 'order', 'comparator');
+  });
+
+  it('should default to a wide order', () => {
+    expect(new BTree().order).to.equal(64);
+  });
+
+  it('should throw an error for an order below 3', () => {
+    expect(() => new BTree(2)).to.throw(Error);
+    expect(() => new BTree(4.5)).to.throw(Error);
+  });
+
+  it('should throw an error for a comparator that is not a function', () => {
+    expect(() => new BTree(4, 'descending')).to.throw(Error);
+  });
+
+  describe('.fromSorted()', () => {
+    it('should bulk load a valid tree from sorted entries', () => {
+      const entries = [];
+      for (let i = 0; i < 1000; i++) { entries.push([i, `v${i}`]); }
+
+      tree = BTree.fromSorted(entries, 5);
+
+      expect(isValidBPlusTree(tree)).to.be.true;
+      expect(tree.size()).to.equal(1000);
+      expect(tree.get(617)).to.equal('v617');
+      expect([...tree.keys()]).to.deep.equal(entries.map(([key]) => key));
+    });
+
+    it('should bulk load trees of every small size', () => {
+      for (let n = 0; n < 40; n++) {
+        const entries = [];
+        for (let i = 0; i < n; i++) { entries.push([i, i]); }
+
+        tree = BTree.fromSorted(entries, 3);
+
+        expect(isValidBPlusTree(tree)).to.be.true;
+        expect(tree.size()).to.equal(n);
+      }
+    });
+
+    it('should allow updates after loading', () => {
+      tree = BTree.fromSorted([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']], 3);
+
+      tree.insert(2.5, 'x');
+      tree.delete(1);
+
+      expect(isValidBPlusTree(tree)).to.be.true;
+      expect([...tree.keys()]).to.deep.equal([2, 2.5, 3, 4]);
+    });
+
+    it('should use the given comparator', () => {
+      tree = BTree.fromSorted([[3, 'c'], [2, 'b'], [1, 'a']], 4, (a, b) => b - a);
+
+      expect(tree.get(2)).to.equal('b');
+    });
+
+    it('should throw an error for unsorted or duplicate keys', () => {
+      expect(() => BTree.fromSorted([[2, 'b'], [1, 'a']])).to.throw(Error);
+      expect(() => BTree.fromSorted([[1, 'a'], [1, 'b']])).to.throw(Error);
+    });
+
+    it('should throw an error for entries that are not an array', () => {
+      expect(() => BTree.fromSorted(new Map([[1, 'a']]))).to.throw(Error);
+      expect(() => BTree.fromSorted(null)).to.throw(Error);
+    });
+  });
+
+  describe('#delete()', () => {
+    it('should return the value of the deleted key', () => {
+      tree.insert('A', 'first');
+
+      expect(tree.delete('A')).to.equal('first');
+      expect(tree.get('A')).to.equal(null);
+    });
+
+    it('should borrow and merge to stay valid until empty', () => {
+      for (let i = 0; i < 200; i++) { tree.insert((i * 37) % 200, i); }
+
+      for (let i = 0; i < 200; i++) {
+        const key = (i * 53) % 200;
+        tree.delete(key);
+
+        expect(isValidBPlusTree(tree)).to.be.true;
+        expect(tree.get(key)).to.equal(null);
+      }
+
+      expect(tree.size()).to.equal(0);
+      expect(tree.height()).to.equal(1);
+    });
+
+    it('should throw an error for keys that do not exist in the tree', () => {
+      tree.insert('A');
+
+      expect(() => tree.delete('Z')).to.throw(Error);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => tree.delete('A')).to.throw(Error);
+    });
+  });
+
+  describe('#get()', () => {
+    it('should find values in every leaf', () => {
+      for (let i = 0; i < 100; i++) { tree.insert(i, i * 2); }
+
+      for (let i = 0; i < 100; i++) {
+        expect(tree.get(i)).to.equal(i * 2);
+      }
+    });
+
+    it('should return null for keys that are not in the tree', () => {
+      tree.insert(1, 'one');
+
+      expect(tree.get(2)).to.equal(null);
+      expect(new BTree().get(1)).to.equal(null);
+    });
+  });
+
+  describe('#height()', () => {
+    it('should grow logarithmically', () => {
+      for (let i = 0; i < 1000; i++) { tree.insert(i); }
+
+      expect(tree.height()).to.be.at.most(Math.ceil(Math.log(1000) / Math.log(2)));
+      expect(new BTree().height()).to.equal(1);
+    });
+  });
+
+  describe('#insert()', () => {
+    it('should split leaves and internal nodes to stay valid', () => {
+      for (let i = 0; i < 500; i++) {
+        tree.insert((i * 37) % 500, i);
+      }
+
+      expect(isValidBPlusTree(tree)).to.be.true;
+      expect(tree.size()).to.equal(500);
+      expect(tree.height()).to.be.above(2);
+    });
+
+    it('should overwrite value for duplicate key', () => {
+      tree.insert('D', 'woof');
+      tree.insert('D', 'meow');
+
+      expect(tree.get('D')).to.equal('meow');
+      expect(tree.size()).to.equal(1);
+    });
+
+    it('should order keys with a custom comparator', () => {
+      tree = new BTree(3, (a, b) => b.localeCompare(a));
+      ['b', 'd', 'a', 'c'].forEach(key => tree.insert(key, key.toUpperCase()));
+
+      expect([...tree.values()]).to.deep.equal(['D', 'C', 'B', 'A']);
+    });
+  });
+
+  describe('#range()', () => {
+    beforeEach(() => {
+      for (let i = 0; i < 50; i += 2) { tree.insert(i, `v${i}`); }
+    });
+
+    it('should yield pairs between both bounds inclusive', () => {
+      expect([...tree.range(10, 16)]).to.deep.equal([[10, 'v10'], [12, 'v12'], [14, 'v14'], [16, 'v16']]);
+    });
+
+    it('should start and stop between keys', () => {
+      expect([...tree.range(9, 15)].map(([key]) => key)).to.deep.equal([10, 12, 14]);
+    });
+
+    it('should run to either end when a bound is left out', () => {
+      expect([...tree.range(44)].map(([key]) => key)).to.deep.equal([44, 46, 48]);
+      expect([...tree.range(undefined, 4)].map(([key]) => key)).to.deep.equal([0, 2, 4]);
+    });
+
+    it('should yield nothing when no key falls in range', () => {
+      expect([...tree.range(100, 200)]).to.deep.equal([]);
+      expect([...tree.range(5, 5)]).to.deep.equal([]);
+    });
+  });
+
+  describe('#[Symbol.iterator]()', () => {
+    it('should yield [key, value] pairs in ascending key order', () => {
+      [3, 1, 2].forEach(key => tree.insert(key, key * 10));
+
+      expect([...tree]).to.deep.equal([[1, 10], [2, 20], [3, 30]]);
+      expect([...tree.entries()]).to.deep.equal([[1, 10], [2, 20], [3, 30]]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...tree]).to.deep.equal([]);
+    });
+  });
+});
@@ -21,7 +21,211 @@ describe('BinarySearchTree', () => {
   });
 
   it('should have properties granted from constructor call', () => {
-    expect(BST).to.have.all.keys('root');
+    expect(BST).to.have.all.keys('root', 'comparator');
+  });
+
+  it('should throw an error for a comparator that is not a function', () => {
+    expect(() => new BinarySearchTree('descending')).to.throw(Error);
+  });
+
+  describe('comparator', () => {
+    it('should order values in reverse with a descending comparator', () => {
+      BST = new BinarySearchTree((a, b) => b - a);
+      BST.add(5);
+      BST.add(1);
+      BST.add(8);
+      const called = [];
+
+      BST.depthInOrder(value => called.push(value));
+
+      expect(BST.root.left.value).to.equal(8);
+      expect(BST.root.right.value).to.equal(1);
+      expect(called).to.deep.equal([8, 5, 1]);
+      expect(BST.min()).to.equal(8);
+      expect(BST.max()).to.equal(1);
+    });
+
+    it('should store objects ordered by a property', () => {
+      BST = new BinarySearchTree((a, b) => a.id - b.id);
+      BST.add({ id: 5, name: 'five' });
+      BST.add({ id: 1, name: 'one' });
+      BST.add({ id: 8, name: 'eight' });
+
+      expect(BST.contains({ id: 1 })).to.equal(true);
+      expect(BST.contains({ id: 2 })).to.equal(false);
+      expect(BST.min().name).to.equal('one');
+      expect(BST.max().name).to.equal('eight');
+    });
+
+    it('should store Dates in chronological order', () => {
+      BST = new BinarySearchTree((a, b) => a.getTime() - b.getTime());
+      BST.add(new Date(2020, 5, 1));
+      BST.add(new Date(2019, 0, 1));
+      BST.add(new Date(2021, 0, 1));
+      const called = [];
+
+      BST.depthInOrder(date => called.push(date.getFullYear()));
+
+      expect(called).to.deep.equal([2019, 2020, 2021]);
+    });
+
+    it('should delete values matched by the comparator', () => {
+      BST = new BinarySearchTree((a, b) => a.id - b.id);
+      BST.add({ id: 5 });
+      BST.add({ id: 1 });
+      BST.add({ id: 8 });
+
+      BST.delete({ id: 5 });
+
+      expect(BST.contains({ id: 5 })).to.equal(false);
+      expect(BST.root.value.id).to.equal(8);
+    });
+
+    it('should throw an error for duplicates according to the comparator', () => {
+      BST = new BinarySearchTree((a, b) => a.id - b.id);
+      BST.add({ id: 5, name: 'five' });
+
+      expect(() => BST.add({ id: 5, name: 'FIVE' })).to.throw(Error);
+    });
+
+    it('should still throw an error for undefined input', () => {
+      BST = new BinarySearchTree((a, b) => a.id - b.id);
+
+      expect(() => BST.add()).to.throw(Error);
+    });
+  });
+
+  describe('.from()', () => {
+    it('should build a tree from any iterable of sorted pairs', () => {
+      const source = new BinarySearchTree();
+      [5, 3, 8].forEach(value => source.add(value, String(value)));
+
+      BST = BinarySearchTree.from(source.entries());
+
+      expect([...BST.entries()]).to.deep.equal([[3, '3'], [5, '5'], [8, '8']]);
+      expect(BST.levels()).to.deep.equal([[5], [3, 8]]);
+    });
+
+    it('should throw an error for unsorted input', () => {
+      expect(() => BinarySearchTree.from(new Map([[2, 'b'], [1, 'a']]))).to.throw(Error);
+    });
+  });
+
+  describe('.fromSorted()', () => {
+    it('should build a perfectly balanced tree', () => {
+      const entries = [];
+      for (let i = 0; i < 1023; i++) { entries.push([i, i * 2]); }
+
+      BST = BinarySearchTree.fromSorted(entries);
+
+      expect(BST.height()).to.equal(10);
+      expect(BST.isValid()).to.be.true;
+      expect(BST.get(700)).to.equal(1400);
+    });
+
+    it('should keep working as a set when each value is its own key', () => {
+      BST = BinarySearchTree.fromSorted([1, 2, 3].map(value => [value, value]));
+
+      expect([...BST]).to.deep.equal([1, 2, 3]);
+      expect(BST.root.value).to.equal(2);
+    });
+
+    it('should use the given comparator', () => {
+      BST = BinarySearchTree.fromSorted([[3, 'c'], [2, 'b'], [1, 'a']], (a, b) => b - a);
+
+      expect(BST.isValid()).to.be.true;
+      expect(BST.min()).to.equal(3);
+    });
+
+    it('should build an empty tree from an empty array', () => {
+      BST = BinarySearchTree.fromSorted([]);
+
+      expect(BST.root).to.equal(null);
+    });
+
+    it('should throw an error for unsorted or duplicate keys', () => {
+      expect(() => BinarySearchTree.fromSorted([[1, 'a'], [3, 'c'], [2, 'b']])).to.throw('found 2 after 3');
+      expect(() => BinarySearchTree.fromSorted([[1, 'a'], [1, 'b']])).to.throw(Error);
+    });
+
+    it('should throw an error for keys the tree cannot order', () => {
+      expect(() => BinarySearchTree.fromSorted([[NaN, 'a']])).to.throw(Error);
+    });
+  });
+
+  describe('.fromJSON()', () => {
+    it('should rebuild the exact shape saved with toJSON', () => {
+      [10, 5, 15, 3, 7, 6, 20].forEach(value => BST.add(value));
+
+      const copy = BinarySearchTree.fromJSON(BST.toJSON());
+
+      expect(copy.toString()).to.equal(BST.toString());
+      expect(copy.root).to.not.equal(BST.root);
+    });
+
+    it('should round-trip values through a JSON string', () => {
+      BST.add(2, { name: 'two' });
+      BST.add(1, 'one');
+      BST.add(3);
+
+      const copy = BinarySearchTree.fromJSON(JSON.stringify(BST));
+
+      expect([...copy.entries()]).to.deep.equal([[1, 'one'], [2, { name: 'two' }], [3, 3]]);
+      expect(copy.root.key).to.equal(2);
+    });
+
+    it('should use the given comparator', () => {
+      const descending = (a, b) => b - a;
+      BST = new BinarySearchTree(descending);
+      [2, 3, 1].forEach(value => BST.add(value));
+
+      const copy = BinarySearchTree.fromJSON(BST.toJSON(), descending);
+
+      expect([...copy]).to.deep.equal([3, 2, 1]);
+      expect(() => BinarySearchTree.fromJSON(BST.toJSON())).to.throw('BST ordering violated');
+    });
+
+    it('should rebuild empty trees', () => {
+      expect(BinarySearchTree.fromJSON(BST.toJSON()).root).to.equal(null);
+    });
+
+    it('should throw an error for malformed input', () => {
+      expect(() => BinarySearchTree.fromJSON({})).to.throw(Error);
+      expect(() => BinarySearchTree.fromJSON({ nodes: [[2], [1]] })).to.throw(Error);
+      expect(() => BinarySearchTree.fromJSON({ nodes: [[2], null, null, null] })).to.throw(Error);
+      expect(() => BinarySearchTree.fromJSON({ nodes: [[null], null, null] })).to.throw(Error);
+    });
+  });
+
+  describe('.fromPreorder()', () => {
+    it('should rebuild the exact shape listed by toPreorder', () => {
+      [10, 5, 15, 3, 7, 6, 20].forEach(value => BST.add(value, value * 2));
+
+      const copy = BinarySearchTree.fromPreorder(BST.toPreorder());
+
+      expect(copy.toString()).to.equal(BST.toString());
+      expect(copy.get(6)).to.equal(12);
+    });
+
+    it('should rebuild a degenerate chain without overflowing', () => {
+      const entries = [];
+      for (let i = 0; i < 100000; i++) { entries.push([i, i]); }
+
+      BST = BinarySearchTree.fromPreorder(entries);
+
+      expect(BST.height()).to.equal(100000);
+      expect(BST.isValid()).to.be.true;
+    });
+
+    it('should build an empty tree from an empty array', () => {
+      expect(BinarySearchTree.fromPreorder([]).root).to.equal(null);
+    });
+
+    it('should throw an error for keys out of pre-order or duplicate keys', () => {
+      expect(() => BinarySearchTree.fromPreorder([[2, 2], [3, 3], [1, 1]])).to.throw('found 1 after 2');
+      expect(() => BinarySearchTree.fromPreorder([[2, 2], [1, 1], [2, 2]])).to.throw(Error);
+      expect(() => BinarySearchTree.fromPreorder([[NaN, 'a']])).to.throw(Error);
+    });
   });
 
   describe('#add()', () => {
@@ -32,10 +236,33 @@ describe('BinarySearchTree', () => {
       expect(BST.root.value).to.equal(0);
     });
 
-    it('should insert a node with value, left and right properties', () => {
+    it('should insert a node with key, value, left and right properties', () => {
       BST.add(0)
 
-      expect(BST.root).to.have.all.keys('value', 'left', 'right');
+      expect(BST.root).to.have.all.keys('key', 'value', 'left', 'right');
+    });
+
+    it('should use the key as the value when no value is given', () => {
+      BST.add(0);
+
+      expect(BST.root.key).to.equal(0);
+      expect(BST.root.value).to.equal(0);
+    });
+
+    it('should keep an explicit undefined value', () => {
+      BST.add(0, undefined);
+
+      expect(BST.root.value).to.equal(undefined);
+      expect(BST.contains(0)).to.equal(true);
+    });
+
+    it('should store a value under the given key', () => {
+      BST.add(5, 'five');
+      BST.add(1, 'one');
+
+      expect(BST.root.key).to.equal(5);
+      expect(BST.root.value).to.equal('five');
+      expect(BST.root.left.value).to.equal('one');
     });
 
     it('should append node with given value to BST', () => {
@@ -57,6 +284,34 @@ describe('BinarySearchTree', () => {
       
       expect(() => BST.add(5)).to.throw(Error);
     });
+
+    it('should throw an error for duplicate keys with a different value', () => {
+      BST.add(5, 'five');
+
+      expect(() => BST.add(5, 'FIVE')).to.throw(Error);
+    });
+  });
+
+  describe('#assertInvariants()', () => {
+    it('should not throw for a valid tree', () => {
+      [5, 3, 7].forEach(value => BST.add(value));
+
+      expect(() => BST.assertInvariants()).to.not.throw();
+    });
+
+    it('should report the key that is out of order', () => {
+      [5, 3, 7, 6].forEach(value => BST.add(value));
+      BST.root.right.left.key = 4;
+
+      expect(() => BST.assertInvariants()).to.throw('BST ordering violated at key 4');
+    });
+
+    it('should report duplicate keys', () => {
+      [5, 3].forEach(value => BST.add(value));
+      BST.root.left.key = 5;
+
+      expect(() => BST.assertInvariants()).to.throw('BST ordering violated at key 5');
+    });
   });
 
   describe('#breadthFirstSearch()', () => {
@@ -425,7 +680,7 @@ describe('BinarySearchTree', () => {
        1   4   6   8
       */
 
-      expect(BST.delete(1)).to.deep.equal({ value: 1, left: null, right: null });
+      expect(BST.delete(1)).to.deep.equal({ key: 1, value: 1, left: null, right: null });
     });
 
     it('should throw an error for values that do not exist in the tree', () => {
@@ -536,6 +791,195 @@ describe('BinarySearchTree', () => {
     });
   });
 
+  describe('#entries()', () => {
+    it('should yield [value, value] pairs in ascending order', () => {
+      BST.add(5);
+      BST.add(3);
+      BST.add(7);
+
+      expect([...BST.entries()]).to.deep.equal([[3, 3], [5, 5], [7, 7]]);
+    });
+
+    it('should yield [key, value] pairs for stored payloads', () => {
+      BST.add(5, 'five');
+      BST.add(3, 'three');
+
+      expect([...BST.entries()]).to.deep.equal([[3, 'three'], [5, 'five']]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...BST.entries()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#get()', () => {
+    it('should return the value stored with a key', () => {
+      BST.add(5, 'five');
+      BST.add(1, 'one');
+      BST.add(8, 'eight');
+
+      expect(BST.get(1)).to.equal('one');
+      expect(BST.get(8)).to.equal('eight');
+    });
+
+    it('should return the key itself for trees used as a set', () => {
+      BST.add(5);
+
+      expect(BST.get(5)).to.equal(5);
+    });
+
+    it('should return null for keys that are not in the tree', () => {
+      BST.add(5, 'five');
+
+      expect(BST.get(6)).to.equal(null);
+    });
+  });
+
+  describe('#height()', () => {
+    it('should return 0 for empty trees', () => {
+      expect(BST.height()).to.equal(0);
+    });
+
+    it('should count nodes on the longest path from the root', () => {
+      [10, 5, 15, 3, 7, 6].forEach(value => BST.add(value));
+
+      expect(BST.height()).to.equal(4);
+    });
+  });
+
+  describe('#inOrder()', () => {
+    it('should yield all keys depth-first in-order', () => {
+      [5, 3, 1, 4, 7, 6].forEach(value => BST.add(value));
+
+      expect([...BST.inOrder()]).to.deep.equal([1, 3, 4, 5, 6, 7]);
+    });
+
+    it('should stop early when iteration breaks', () => {
+      [5, 3, 1, 4, 7, 6].forEach(value => BST.add(value));
+      const called = [];
+
+      for (const value of BST.inOrder()) {
+        if (value > 4) {
+          break;
+        }
+        called.push(value);
+      }
+
+      expect(called).to.deep.equal([1, 3, 4]);
+    });
+
+    it('should yield keys rather than stored payloads', () => {
+      BST.add(5, 'five');
+      BST.add(3, 'three');
+
+      expect([...BST.inOrder()]).to.deep.equal([3, 5]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...BST.inOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#isValid()', () => {
+    it('should return true for empty trees', () => {
+      expect(BST.isValid()).to.be.true;
+    });
+
+    it('should return true after additions and deletions', () => {
+      [10, 5, 15, 3, 7, 6].forEach(value => BST.add(value));
+      BST.delete(5);
+
+      expect(BST.isValid()).to.be.true;
+    });
+
+    it('should return false if keys are out of order', () => {
+      [10, 5, 15].forEach(value => BST.add(value));
+      BST.root.left.key = 20;
+
+      expect(BST.isValid()).to.be.false;
+    });
+  });
+
+  describe('#keys()', () => {
+    it('should yield all keys in ascending order', () => {
+      [5, 3, 1, 4, 7, 6].forEach(value => BST.add(value));
+
+      expect([...BST.keys()]).to.deep.equal([1, 3, 4, 5, 6, 7]);
+    });
+
+    it('should yield keys rather than stored payloads', () => {
+      BST.add(5, 'five');
+      BST.add(3, 'three');
+
+      expect([...BST.keys()]).to.deep.equal([3, 5]);
+      expect([...BST.values()]).to.deep.equal(['three', 'five']);
+    });
+  });
+
+  describe('#kthSmallest()', () => {
+    it('should find keys by their position in ascending order', () => {
+      [20, 10, 30, 5, 15, 25, 35, 17].forEach(key => BST.add(key));
+
+      expect(BST.kthSmallest(1)).to.equal(5);
+      expect(BST.kthSmallest(4)).to.equal(17);
+      expect(BST.kthSmallest(8)).to.equal(35);
+    });
+
+    it('should throw an error for positions outside the tree', () => {
+      [20, 10, 30, 5, 15, 25, 35, 17].forEach(key => BST.add(key));
+
+      expect(() => BST.kthSmallest(9)).to.throw(Error);
+      expect(() => BST.kthSmallest(0)).to.throw(Error);
+      expect(() => BST.kthSmallest(1.5)).to.throw(Error);
+    });
+  });
+
+  describe('#levelOrder()', () => {
+    it('should yield all keys in level order', () => {
+      [10, 5, 3, 1, 4, 7, 6, 8, 15].forEach(value => BST.add(value));
+
+      expect([...BST.levelOrder()]).to.deep.equal([10, 5, 15, 3, 7, 1, 4, 6, 8]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...BST.levelOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#levels()', () => {
+    it('should list values found at each depth', () => {
+      [10, 5, 15, 3, 7, 6].forEach(value => BST.add(value));
+
+      expect(BST.levels()).to.deep.equal([[10], [5, 15], [3, 7], [6]]);
+    });
+
+    it('should return an empty array for empty trees', () => {
+      expect(BST.levels()).to.deep.equal([]);
+    });
+  });
+
+  describe('#lowestCommonAncestor()', () => {
+    beforeEach(() => {
+      [20, 10, 30, 5, 15, 25, 35, 17].forEach(key => BST.add(key));
+    });
+
+    it('should find the node where paths to both keys part ways', () => {
+      expect(BST.lowestCommonAncestor(5, 17)).to.equal(10);
+      expect(BST.lowestCommonAncestor(17, 25)).to.equal(20);
+      expect(BST.lowestCommonAncestor(25, 35)).to.equal(30);
+    });
+
+    it('should treat a key as its own ancestor', () => {
+      expect(BST.lowestCommonAncestor(15, 17)).to.equal(15);
+      expect(BST.lowestCommonAncestor(5, 5)).to.equal(5);
+    });
+
+    it('should return null if either key is missing', () => {
+      expect(BST.lowestCommonAncestor(5, 16)).to.equal(null);
+      expect(BST.lowestCommonAncestor(1, 35)).to.equal(null);
+    });
+  });
+
   describe('#min', () => {
     it('should return the minimum value from the tree', () => {
       BST.add(5);
@@ -581,4 +1025,292 @@ describe('BinarySearchTree', () => {
       expect(() => BST.max()).to.throw(Error);
     });
   });
+
+  describe('#pathTo()', () => {
+    it('should list keys from root down to the given key', () => {
+      [20, 10, 30, 5, 15, 25, 35, 17].forEach(key => BST.add(key));
+
+      expect(BST.pathTo(17)).to.deep.equal([20, 10, 15, 17]);
+      expect(BST.pathTo(20)).to.deep.equal([20]);
+    });
+
+    it('should return null for keys that are not in the tree', () => {
+      [20, 10, 30, 5, 15, 25, 35, 17].forEach(key => BST.add(key));
+
+      expect(BST.pathTo(16)).to.equal(null);
+      expect(new BinarySearchTree().pathTo(1)).to.equal(null);
+    });
+  });
+
+  describe('#predecessor()', () => {
+    beforeEach(() => {
+      [20, 10, 30, 5, 15, 25, 35, 17].forEach(key => BST.add(key));
+    });
+
+    it('should find the largest key smaller than a key in the tree', () => {
+      expect(BST.predecessor(20)).to.equal(17);
+      expect(BST.predecessor(25)).to.equal(20);
+      expect(BST.predecessor(15)).to.equal(10);
+    });
+
+    it('should accept keys that are not in the tree', () => {
+      expect(BST.predecessor(16)).to.equal(15);
+      expect(BST.predecessor(100)).to.equal(35);
+    });
+
+    it('should return null when no smaller key exists', () => {
+      expect(BST.predecessor(5)).to.equal(null);
+    });
+  });
+
+  describe('#postOrder()', () => {
+    it('should yield all keys depth-first post-order', () => {
+      [5, 3, 1, 4, 7, 6].forEach(value => BST.add(value));
+
+      expect([...BST.postOrder()]).to.deep.equal([1, 4, 3, 6, 7, 5]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...BST.postOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#preOrder()', () => {
+    it('should yield all keys depth-first pre-order', () => {
+      [5, 3, 1, 4, 7, 6].forEach(value => BST.add(value));
+
+      expect([...BST.preOrder()]).to.deep.equal([5, 3, 1, 4, 7, 6]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...BST.preOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#set()', () => {
+    it('should keep an explicit undefined value', () => {
+      BST.set(1, 'one');
+      BST.set(1, undefined);
+      BST.set(2, undefined);
+
+      expect([...BST.entries()]).to.deep.equal([[1, undefined], [2, undefined]]);
+    });
+
+    it('should insert keys that are not in the tree', () => {
+      BST.set(5, 'five');
+      BST.set(1, 'one');
+
+      expect([...BST.entries()]).to.deep.equal([[1, 'one'], [5, 'five']]);
+    });
+
+    it('should update the value of an existing key in place', () => {
+      [5, 1, 8].forEach(key => BST.add(key, String(key)));
+
+      BST.set(1, 'uno');
+
+      expect(BST.get(1)).to.equal('uno');
+      expect(BST.levels()).to.deep.equal([[5], [1, 8]]);
+    });
+
+    it('should work as a set with a single argument', () => {
+      BST.set(5);
+      BST.set(5);
+
+      expect([...BST]).to.deep.equal([5]);
+    });
+
+    it('should throw an error for undefined input', () => {
+      expect(() => BST.set(undefined, 'nothing')).to.throw(Error);
+    });
+  });
+
+  describe('#size()', () => {
+    it('should count values in the tree', () => {
+      [10, 5, 15, 3, 7, 6].forEach(value => BST.add(value));
+      BST.delete(3);
+
+      expect(BST.size()).to.equal(5);
+    });
+
+    it('should return 0 for empty trees', () => {
+      expect(BST.size()).to.equal(0);
+    });
+  });
+
+  describe('#successor()', () => {
+    beforeEach(() => {
+      [20, 10, 30, 5, 15, 25, 35, 17].forEach(key => BST.add(key));
+    });
+
+    it('should find the smallest key larger than a key in the tree', () => {
+      expect(BST.successor(17)).to.equal(20);
+      expect(BST.successor(20)).to.equal(25);
+      expect(BST.successor(10)).to.equal(15);
+    });
+
+    it('should accept keys that are not in the tree', () => {
+      expect(BST.successor(16)).to.equal(17);
+      expect(BST.successor(0)).to.equal(5);
+    });
+
+    it('should return null when no larger key exists', () => {
+      expect(BST.successor(35)).to.equal(null);
+    });
+  });
+
+  describe('#toDot()', () => {
+    it('should describe every parent-child link', () => {
+      [10, 5, 15].forEach(value => BST.add(value));
+
+      expect(BST.toDot()).to.equal([
+        'digraph BinarySearchTree {',
+        '  node [shape=circle];',
+        '  n0 [label="10"];',
+        '  n0 -> n1;',
+        '  n0 -> n2;',
+        '  n1 [label="5"];',
+        '  n2 [label="15"];',
+        '}'
+      ].join('\n'));
+    });
+
+    it('should keep a lone child on its side with an invisible sibling', () => {
+      [10, 15].forEach(value => BST.add(value));
+
+      expect(BST.toDot()).to.include('  n1 [shape=point, style=invis];\n  n0 -> n1 [style=invis];\n  n0 -> n2;');
+    });
+
+    it('should describe an empty graph for empty trees', () => {
+      expect(BST.toDot()).to.equal('digraph BinarySearchTree {\n  node [shape=circle];\n}');
+    });
+  });
+
+  describe('#toJSON()', () => {
+    it('should list nodes in pre-order with null for missing children', () => {
+      BST.add(5, 'five');
+      BST.add(3);
+      BST.add(8, 'eight');
+
+      expect(BST.toJSON()).to.deep.equal({
+        nodes: [[5, 'five'], [3], null, null, [8, 'eight'], null, null]
+      });
+    });
+
+    it('should list empty trees as a single null', () => {
+      expect(BST.toJSON()).to.deep.equal({ nodes: [null] });
+    });
+  });
+
+  describe('#toPreorder()', () => {
+    it('should list [key, value] pairs in pre-order', () => {
+      [5, 3, 8, 4].forEach(value => BST.add(value));
+
+      expect(BST.toPreorder()).to.deep.equal([[5, 5], [3, 3], [4, 4], [8, 8]]);
+    });
+  });
+
+  describe('#toString()', () => {
+    it('should draw an indented diagram with each child tagged by side', () => {
+      [10, 5, 15, 3, 7, 6, 20].forEach(value => BST.add(value));
+
+      expect(BST.toString()).to.equal([
+        '10',
+        '|-- L: 5',
+        '|   |-- L: 3',
+        '|   `-- R: 7',
+        '|       `-- L: 6',
+        '`-- R: 15',
+        '    `-- R: 20'
+      ].join('\n'));
+    });
+
+    it('should draw empty trees as an empty string', () => {
+      expect(`${BST}`).to.equal('');
+    });
+  });
+
+  describe('#values()', () => {
+    it('should yield all values in ascending order', () => {
+      [5, 3, 1, 4, 7, 6].forEach(value => BST.add(value));
+
+      expect([...BST.values()]).to.deep.equal([1, 3, 4, 5, 6, 7]);
+    });
+  });
+
+  describe('#[Symbol.iterator]()', () => {
+    it('should make the tree iterable with its values', () => {
+      [5, 3, 7].forEach(value => BST.add(value));
+
+      expect(Array.from(BST)).to.deep.equal([3, 5, 7]);
+      expect(new Set(BST).has(7)).to.equal(true);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...BST]).to.deep.equal([]);
+    });
+  });
+
+  describe('degenerate trees', function () {
+    // A million nodes take over a second to rebuild on slow machines
+    this.timeout(10000);
+
+    const SIZE = 1000000;
+
+    // Link nodes directly, since adding sorted values one by one is quadratic
+    beforeEach(() => {
+      BST.add(0);
+      let node = BST.root;
+      for (let i = 1; i < SIZE; i++) {
+        node.right = { key: i, value: i, left: null, right: null };
+        node = node.right;
+      }
+    });
+
+    it('should traverse a million-node chain in every order without overflowing', () => {
+      let inOrderCount = 0;
+      let preOrderCount = 0;
+      let postOrderCount = 0;
+      let lastInOrder;
+      let lastPostOrder;
+
+      BST.depthInOrder(value => { inOrderCount++; lastInOrder = value; });
+      BST.depthPreOrder(() => preOrderCount++);
+      BST.depthPostOrder(value => { postOrderCount++; lastPostOrder = value; });
+
+      expect(inOrderCount).to.equal(SIZE);
+      expect(preOrderCount).to.equal(SIZE);
+      expect(postOrderCount).to.equal(SIZE);
+      expect(lastInOrder).to.equal(SIZE - 1);
+      expect(lastPostOrder).to.equal(0);
+    });
+
+    it('should answer order queries on a million-node chain without overflowing', () => {
+      expect(BST.kthSmallest(SIZE)).to.equal(SIZE - 1);
+      expect(BST.pathTo(SIZE - 1).length).to.equal(SIZE);
+      expect(BST.successor(SIZE - 2)).to.equal(SIZE - 1);
+      expect(BST.lowestCommonAncestor(SIZE - 2, SIZE - 1)).to.equal(SIZE - 2);
+    });
+
+    it('should serialize and rebuild a million-node chain without overflowing', () => {
+      const copy = BinarySearchTree.fromJSON(BST.toJSON());
+
+      expect(copy.height()).to.equal(SIZE);
+      expect(BinarySearchTree.fromPreorder(BST.toPreorder()).max()).to.equal(SIZE - 1);
+    });
+
+    it('should measure and validate a million-node chain without overflowing', () => {
+      expect(BST.height()).to.equal(SIZE);
+      expect(BST.size()).to.equal(SIZE);
+      expect(BST.isValid()).to.be.true;
+    });
+
+    it('should add, find and delete at the bottom of a million-node chain', () => {
+      BST.add(SIZE);
+
+      expect(BST.contains(SIZE)).to.equal(true);
+      expect(BST.delete(SIZE).value).to.equal(SIZE);
+      expect(BST.contains(SIZE)).to.equal(false);
+      expect(BST.max()).to.equal(SIZE - 1);
+    });
+  });
 });
\ No newline at end of file
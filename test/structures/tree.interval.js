@@ -0,0 +1,260 @@
+const expect = require('chai').expect;
+
+let IntervalTree;
+let tree;
+
+try {
+  IntervalTree = require('../../structures/tree.interval');
+  tree = new IntervalTree();
+} catch (e) {
+  throw new Error('IntervalTree could not be tested due to faulty import, likely ' +
+  'from an incorrect file path or exporting a non-constructor from the file.');
+}
+
+// Bookings used by most tests, sorted by interval
+const BOOKINGS = [
+  [[0, 3], 'a'],
+  [[5, 8], 'b'],
+  [[6, 10], 'c'],
+  [[8, 9], 'd'],
+  [[15, 23], 'e'],
+  [[16, 21], 'f'],
+  [[17, 19], 'g'],
+  [[19, 20], 'h'],
+  [[25, 30], 'i'],
+  [[26, 26], 'j']
+];
+
+describe('IntervalTree', () => {
+  beforeEach(() => {
+    tree = new IntervalTree();
+  });
+
+  it('should be extensible', () => {
+    expect(tree).to.be.extensible;
+  });
+
+  it('should have properties granted from constructor call', () => {
+    expect(tree).to.have.all.keys('root', 'comparator');
+  });
+
+  describe('.from()', () => {
+    it('should build a valid tree from another interval tree', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+
+      const copy = IntervalTree.from(tree);
+
+      expect(copy).to.be.an.instanceof(IntervalTree);
+      expect(copy.isValid()).to.be.true;
+      expect(copy.stab(19).map(([, value]) => value)).to.deep.equal(['e', 'f', 'g', 'h']);
+    });
+
+    it('should copy intervals so later changes cannot break the tree', () => {
+      const interval = [5, 8];
+      tree = IntervalTree.from([[interval, 'x']]);
+      interval[0] = 100;
+
+      expect(tree.stab(6).map(([, value]) => value)).to.deep.equal(['x']);
+    });
+
+    it('should throw an error for intervals whose low exceeds high', () => {
+      expect(() => IntervalTree.from([[[5, 1], 'x']])).to.throw(Error);
+    });
+  });
+
+  describe('.fromSorted()', () => {
+    it('should build a balanced tree with cached max endpoints', () => {
+      tree = IntervalTree.fromSorted(BOOKINGS);
+
+      expect(tree.isValid()).to.be.true;
+      expect(tree.root.max).to.equal(30);
+    });
+
+    it('should throw an error for malformed intervals', () => {
+      expect(() => IntervalTree.fromSorted([[[5, 1], 'x']])).to.throw(Error);
+      expect(() => IntervalTree.fromSorted([[5, 'x']])).to.throw(Error);
+      expect(() => IntervalTree.fromSorted([[[1, 2, 3], 'x']])).to.throw(Error);
+    });
+
+    it('should throw an error for unsorted intervals', () => {
+      expect(() => IntervalTree.fromSorted([[[5, 8], 'b'], [[0, 3], 'a']])).to.throw(Error);
+    });
+  });
+
+  describe('#insert()', () => {
+    it('should insert a node with a cached max endpoint', () => {
+      tree.insert([5, 8], 'b');
+
+      expect(tree.root).to.have.all.keys('color', 'key', 'value', 'left', 'right', 'size', 'max');
+      expect(tree.root.max).to.equal(8);
+    });
+
+    it('should keep max endpoints current through rotations', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+
+      expect(tree.root.max).to.equal(30);
+      expect(tree.isValid()).to.be.true;
+    });
+
+    it('should keep intervals that share a low endpoint', () => {
+      tree.insert([1, 5], 'long');
+      tree.insert([1, 2], 'short');
+
+      expect([...tree.values()]).to.deep.equal(['short', 'long']);
+    });
+
+    it('should not be affected by later changes to the given array', () => {
+      const interval = [1, 5];
+      tree.insert(interval, 'x');
+      interval[1] = 100;
+
+      expect(tree.get([1, 5])).to.equal('x');
+    });
+
+    it('should throw an error for intervals whose low exceeds high', () => {
+      expect(() => tree.insert([5, 1], 'x')).to.throw(Error);
+    });
+
+    it('should throw an error for values that are not pairs', () => {
+      expect(() => tree.insert(5, 'x')).to.throw(Error);
+    });
+  });
+
+  describe('#assertInvariants()', () => {
+    it('should report stale max endpoints', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+      tree.root.max = 100;
+
+      expect(() => tree.assertInvariants()).to.throw(/Cached max endpoint is wrong/);
+      expect(tree.isValid()).to.be.false;
+    });
+  });
+
+  describe('#delete()', () => {
+    it('should keep max endpoints current', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+
+      expect(tree.delete([25, 30])).to.equal('i');
+      expect(tree.root.max).to.equal(26);
+      tree.delete([26, 26]);
+      tree.delete([15, 23]);
+
+      expect(tree.isValid()).to.be.true;
+      expect(tree.stab(22)).to.deep.equal([]);
+    });
+  });
+
+  describe('#findOverlap()', () => {
+    it('should find an interval that overlaps the query', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+
+      const [interval] = tree.findOverlap(22, 24);
+
+      expect(interval).to.deep.equal([15, 23]);
+    });
+
+    it('should treat touching endpoints as overlapping', () => {
+      tree.insert([0, 3], 'a');
+
+      expect(tree.findOverlap(3, 4)).to.deep.equal([[0, 3], 'a']);
+    });
+
+    it('should return null if nothing overlaps', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+
+      expect(tree.findOverlap(11, 14)).to.equal(null);
+      expect(tree.findOverlap(31, 40)).to.equal(null);
+    });
+  });
+
+  describe('#overlapping()', () => {
+    it('should find every overlapping interval in order', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+
+      expect(tree.overlapping(9, 16).map(([, value]) => value)).to.deep.equal(['c', 'd', 'e', 'f']);
+    });
+
+    it('should agree with a brute-force scan', () => {
+      const intervals = [];
+      for (let i = 0; i < 200; i++) {
+        const low = (i * 37) % 500;
+        intervals.push([low, low + (i * 13) % 40]);
+      }
+      intervals.forEach((interval, i) => tree.insert(interval, i));
+
+      for (let low = 0; low < 560; low += 7) {
+        const high = low + (low % 11);
+        const expected = intervals
+          .filter(([a, b]) => a <= high && low <= b)
+          .sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+
+        expect(tree.overlapping(low, high).map(([interval]) => interval)).to.deep.equal(expected);
+      }
+    });
+
+    it('should work with dates as endpoints', () => {
+      tree.insert([new Date(2024, 0, 1), new Date(2024, 0, 5)], 'ski trip');
+      tree.insert([new Date(2024, 1, 1), new Date(2024, 1, 3)], 'conference');
+
+      const found = tree.overlapping(new Date(2024, 0, 4), new Date(2024, 0, 20));
+
+      expect(found.map(([, value]) => value)).to.deep.equal(['ski trip']);
+    });
+
+    it('should return an empty array for empty trees', () => {
+      expect(tree.overlapping(0, 10)).to.deep.equal([]);
+    });
+
+    it('should throw an error for queries whose low exceeds high', () => {
+      expect(() => tree.overlapping(10, 0)).to.throw(Error);
+    });
+  });
+
+  describe('#select()', () => {
+    it('should find the k-th smallest interval', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+
+      expect(tree.select(0)).to.deep.equal([0, 3]);
+      expect(tree.select(4)).to.deep.equal([15, 23]);
+      expect(tree.rank([15, 23])).to.equal(4);
+    });
+  });
+
+  describe('#split()', () => {
+    it('should keep max endpoints current in both halves', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+
+      const [less, greater] = tree.split([16, 0]);
+
+      expect(less).to.be.an.instanceof(IntervalTree);
+      expect(less.isValid()).to.be.true;
+      expect(greater.isValid()).to.be.true;
+      expect(less.root.max).to.equal(23);
+      expect(greater.stab(20).map(([, value]) => value)).to.deep.equal(['f', 'h']);
+    });
+  });
+
+  describe('#stab()', () => {
+    it('should find every interval containing a point', () => {
+      BOOKINGS.forEach(([interval, value]) => tree.insert(interval, value));
+
+      expect(tree.stab(19).map(([, value]) => value)).to.deep.equal(['e', 'f', 'g', 'h']);
+      expect(tree.stab(26).map(([, value]) => value)).to.deep.equal(['i', 'j']);
+      expect(tree.stab(4)).to.deep.equal([]);
+    });
+  });
+
+  describe('#union()', () => {
+    it('should build an interval tree with max endpoints', () => {
+      const other = new IntervalTree();
+      tree.insert([0, 3], 'a');
+      other.insert([1, 50], 'z');
+
+      const merged = tree.union(other);
+
+      expect(merged).to.be.an.instanceof(IntervalTree);
+      expect(merged.isValid()).to.be.true;
+      expect(merged.stab(40)).to.deep.equal([[[1, 50], 'z']]);
+    });
+  });
+});
@@ -11,6 +11,35 @@ try {
   'from an incorrect file path or exporting a non-constructor from the file.');
 }
 
+// Walks the tree and reports whether left-leaning red black rules hold
+function isBalancedRedBlackTree(tree) {
+  let blackHeight = null;
+  let previousKey;
+  let ordered = true;
+  let balanced = true;
+  let sized = true;
+
+  (function check(node, blacks) {
+    if (node === null) {
+      if (blackHeight === null) { blackHeight = blacks; }
+      if (blacks !== blackHeight) { balanced = false; }
+      return 0;
+    }
+    if (node.right !== null && node.right.color === true) { balanced = false; }
+    if (node.color === true && node.left !== null && node.left.color === true) { balanced = false; }
+
+    const nextBlacks = node.color === true ? blacks : blacks + 1;
+    const leftSize = check(node.left, nextBlacks);
+    if (previousKey !== undefined && tree.comparator(previousKey, node.key) >= 0) { ordered = false; }
+    previousKey = node.key;
+    const rightSize = check(node.right, nextBlacks);
+    if (node.size !== 1 + leftSize + rightSize) { sized = false; }
+    return node.size;
+  })(tree.root, 0);
+
+  return ordered && balanced && sized && (tree.root === null || tree.root.color === false);
+}
+
 // In tree drawings, routes with parentheses represent red links
 describe('RedBlackTree', () => {
   beforeEach(() => {
@@ -22,7 +51,243 @@ describe('RedBlackTree', () => {
   });
 
   it('should have properties granted from constructor call', () => {
-    expect(RBT).to.have.all.keys('root');
+    expect(RBT).to.have.all.keys('root', 'comparator');
+  });
+
+  it('should throw an error for a comparator that is not a function', () => {
+    expect(() => new RedBlackTree('descending')).to.throw(Error);
+  });
+
+  describe('comparator', () => {
+    it('should order keys in reverse with a descending comparator', () => {
+      RBT = new RedBlackTree((a, b) => (a < b ? 1 : a > b ? -1 : 0));
+      RBT.insert('A', 1);
+      RBT.insert('B', 2);
+      RBT.insert('C', 3);
+      const called = [];
+
+      RBT.depthInOrder(node => called.push(node.key));
+
+      expect(called).to.deep.equal(['C', 'B', 'A']);
+      expect(RBT.get('B')).to.equal(2);
+    });
+
+    it('should use composite object keys', () => {
+      RBT = new RedBlackTree((a, b) => a.last.localeCompare(b.last) || a.first.localeCompare(b.first));
+      RBT.insert({ last: 'Smith', first: 'Zoe' }, 1);
+      RBT.insert({ last: 'Jones', first: 'Amy' }, 2);
+      RBT.insert({ last: 'Smith', first: 'Adam' }, 3);
+      const called = [];
+
+      RBT.depthInOrder(node => called.push(node.value));
+
+      expect(called).to.deep.equal([2, 3, 1]);
+      expect(RBT.get({ last: 'Smith', first: 'Zoe' })).to.equal(1);
+      expect(RBT.get({ last: 'Smith', first: 'Bob' })).to.equal(null);
+    });
+
+    it('should use Date keys', () => {
+      RBT = new RedBlackTree((a, b) => a.getTime() - b.getTime());
+      RBT.insert(new Date(2020, 0, 1), 'middle');
+      RBT.insert(new Date(2019, 0, 1), 'first');
+      RBT.insert(new Date(2021, 0, 1), 'last');
+      const called = [];
+
+      RBT.depthInOrder(node => called.push(node.value));
+
+      expect(called).to.deep.equal(['first', 'middle', 'last']);
+      expect(RBT.get(new Date(2019, 0, 1))).to.equal('first');
+    });
+
+    it('should overwrite value for keys the comparator considers equal', () => {
+      RBT = new RedBlackTree((a, b) => a.id - b.id);
+      RBT.insert({ id: 1 }, 'woof');
+      RBT.insert({ id: 1 }, 'meow');
+
+      expect(RBT.get({ id: 1 })).to.equal('meow');
+      expect(RBT.root.left).to.equal(null);
+    });
+  });
+
+  describe('.from()', () => {
+    it('should build a tree from any iterable of sorted pairs', () => {
+      'SEARCHXMPL'.split('').forEach((key, i) => RBT.insert(key, i));
+
+      const copy = RedBlackTree.from(RBT);
+
+      expect([...copy]).to.deep.equal([...RBT]);
+      expect(isBalancedRedBlackTree(copy)).to.be.true;
+    });
+
+    it('should throw an error for unsorted input', () => {
+      expect(() => RedBlackTree.from(new Map([['B', 2], ['A', 1]]))).to.throw(Error);
+    });
+  });
+
+  describe('.fromSorted()', () => {
+    it('should build a valid tree of every small size', () => {
+      for (let n = 0; n < 64; n++) {
+        const entries = [];
+        for (let i = 0; i < n; i++) { entries.push([i, i * 10]); }
+
+        RBT = RedBlackTree.fromSorted(entries);
+
+        expect(isBalancedRedBlackTree(RBT)).to.be.true;
+        expect([...RBT]).to.deep.equal(entries);
+      }
+    });
+
+    it('should build a tree no taller than a perfectly balanced one', () => {
+      const entries = [];
+      for (let i = 0; i < 1023; i++) { entries.push([i, i]); }
+
+      RBT = RedBlackTree.fromSorted(entries);
+
+      expect(RBT.height()).to.equal(10);
+    });
+
+    it('should allow updates after building', () => {
+      RBT = RedBlackTree.fromSorted([['A', 1], ['C', 3], ['E', 5]]);
+
+      RBT.insert('B', 2);
+      RBT.delete('E');
+
+      expect(isBalancedRedBlackTree(RBT)).to.be.true;
+      expect([...RBT.keys()]).to.deep.equal(['A', 'B', 'C']);
+    });
+
+    it('should use the given comparator', () => {
+      RBT = RedBlackTree.fromSorted([[3, 'c'], [2, 'b'], [1, 'a']], (a, b) => b - a);
+
+      expect(RBT.min()).to.equal(3);
+      expect(RBT.get(1)).to.equal('a');
+    });
+
+    it('should throw an error for unsorted or duplicate keys', () => {
+      expect(() => RedBlackTree.fromSorted([['A', 1], ['C', 3], ['B', 2]])).to.throw('found B after C');
+      expect(() => RedBlackTree.fromSorted([['A', 1], ['A', 2]])).to.throw(Error);
+    });
+  });
+
+  describe('.fromJSON()', () => {
+    it('should rebuild the exact shape and colors saved with toJSON', () => {
+      'SEARCHXMPL'.split('').forEach((key, i) => RBT.insert(key, i));
+
+      const copy = RedBlackTree.fromJSON(JSON.stringify(RBT));
+
+      expect(copy.toString()).to.equal(RBT.toString());
+      expect([...copy.entries()]).to.deep.equal([...RBT.entries()]);
+      expect(isBalancedRedBlackTree(copy)).to.be.true;
+    });
+
+    it('should recompute cached sizes', () => {
+      [5, 3, 8, 1, 4].forEach(key => RBT.insert(key));
+
+      const copy = RedBlackTree.fromJSON(RBT.toJSON());
+
+      expect(copy.size()).to.equal(5);
+      expect(copy.select(3)).to.equal(5);
+    });
+
+    it('should keep undefined values undefined', () => {
+      RBT.insert('A');
+
+      const copy = RedBlackTree.fromJSON(JSON.stringify(RBT));
+
+      expect(copy.root.value).to.equal(undefined);
+      expect([...copy.keys()]).to.deep.equal(['A']);
+    });
+
+    it('should rebuild subclasses with their own nodes', () => {
+      const IntervalTree = require('../../structures/tree.interval');
+      const intervals = new IntervalTree();
+      intervals.insert([1, 5], 'a');
+      intervals.insert([2, 9], 'b');
+
+      const copy = IntervalTree.fromJSON(JSON.stringify(intervals));
+
+      expect(copy).to.be.an.instanceof(IntervalTree);
+      expect(copy.root.max).to.equal(9);
+      expect(copy.stab(7)).to.deep.equal([[[2, 9], 'b']]);
+    });
+
+    it('should rebuild empty trees', () => {
+      expect(RedBlackTree.fromJSON(RBT.toJSON()).root).to.equal(null);
+    });
+
+    it('should throw an error for saves that break red black rules', () => {
+      expect(() => RedBlackTree.fromJSON({ nodes: [['A', 'red'], null, null] })).to.throw('Root must be black');
+      expect(() => RedBlackTree.fromJSON({ nodes: [['B', 'black'], null, ['C', 'red'], null, null] })).to.throw('Red right link');
+    });
+
+    it('should throw an error for malformed input', () => {
+      expect(() => RedBlackTree.fromJSON({})).to.throw(Error);
+      expect(() => RedBlackTree.fromJSON({ nodes: [['A', 'blue'], null, null] })).to.throw(Error);
+      expect(() => RedBlackTree.fromJSON({ nodes: [['A', 'black'], null] })).to.throw(Error);
+    });
+  });
+
+  describe('.join()', () => {
+    it('should join two trees whose key ranges do not overlap', () => {
+      const left = new RedBlackTree();
+      const right = new RedBlackTree();
+      'ACEH'.split('').forEach(key => left.insert(key, key.toLowerCase()));
+      'LMPRSX'.split('').forEach(key => right.insert(key, key.toLowerCase()));
+
+      RBT = RedBlackTree.join(left, right);
+
+      expect([...RBT.keys()]).to.deep.equal(['A', 'C', 'E', 'H', 'L', 'M', 'P', 'R', 'S', 'X']);
+      expect(RBT.get('M')).to.equal('m');
+      expect(isBalancedRedBlackTree(RBT)).to.be.true;
+    });
+
+    it('should join trees of very different heights', () => {
+      const left = new RedBlackTree();
+      const right = new RedBlackTree();
+      for (let i = 0; i < 500; i++) { left.insert(i); }
+      right.insert(1000);
+
+      const tallLeft = RedBlackTree.join(left, right);
+      const short = new RedBlackTree();
+      short.insert(-1);
+      RBT = RedBlackTree.join(short, tallLeft);
+
+      expect(RBT.root.size).to.equal(502);
+      expect(RBT.min()).to.equal(-1);
+      expect(RBT.max()).to.equal(1000);
+      expect(isBalancedRedBlackTree(RBT)).to.be.true;
+    });
+
+    it('should empty both input trees', () => {
+      const left = new RedBlackTree();
+      const right = new RedBlackTree();
+      left.insert('A');
+      right.insert('B');
+
+      RedBlackTree.join(left, right);
+
+      expect(left.root).to.equal(null);
+      expect(right.root).to.equal(null);
+    });
+
+    it('should join with an empty tree', () => {
+      const left = new RedBlackTree();
+      const right = new RedBlackTree();
+      right.insert('B');
+
+      RBT = RedBlackTree.join(left, right);
+
+      expect([...RBT.keys()]).to.deep.equal(['B']);
+    });
+
+    it('should throw an error if key ranges overlap', () => {
+      const left = new RedBlackTree();
+      const right = new RedBlackTree();
+      left.insert('M');
+      right.insert('C');
+
+      expect(() => RedBlackTree.join(left, right)).to.throw(Error);
+    });
   });
 
   describe('#insert()', () => {
@@ -32,10 +297,19 @@ describe('RedBlackTree', () => {
       expect(RBT.root).to.be.an('object');
     });
 
-    it('should insert a node with color, key, value, left and right properties', () => {
+    it('should insert a node with color, key, value, left, right and size properties', () => {
       RBT.insert('D', 'woof');
 
-      expect(RBT.root).to.have.all.keys('color', 'key', 'value', 'left', 'right');
+      expect(RBT.root).to.have.all.keys('color', 'key', 'value', 'left', 'right', 'size');
+    });
+
+    it('should track the size of every subtree', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect(RBT.root.size).to.equal(10);
+      expect(RBT.root.left.size).to.equal(5);
+      expect(RBT.root.right.size).to.equal(4);
+      expect(isBalancedRedBlackTree(RBT)).to.be.true;
     });
 
     it('should set root with the given key-value pair', () => {
@@ -93,6 +367,52 @@ describe('RedBlackTree', () => {
     });
   });
 
+  describe('#assertInvariants()', () => {
+    beforeEach(() => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+    });
+
+    it('should not throw for a valid tree', () => {
+      expect(() => RBT.assertInvariants()).to.not.throw();
+    });
+
+    it('should report keys out of order', () => {
+      RBT.root.left.key = 'Z';
+
+      expect(() => RBT.assertInvariants()).to.throw('BST ordering violated at key Z');
+    });
+
+    it('should report red links leaning right', () => {
+      RBT.root.right.right.color = true;
+
+      expect(() => RBT.assertInvariants()).to.throw('Red right link violated at key R');
+    });
+
+    it('should report two red links in a row', () => {
+      RBT.root.left.left.color = true;
+
+      expect(() => RBT.assertInvariants()).to.throw('Consecutive red links violated at key C');
+    });
+
+    it('should report unequal black heights', () => {
+      RBT.root.left.left.left.color = false;
+
+      expect(() => RBT.assertInvariants()).to.throw('Perfect black balance violated at key C');
+    });
+
+    it('should report wrong cached sizes', () => {
+      RBT.root.right.size = 1;
+
+      expect(() => RBT.assertInvariants()).to.throw('Cached size is wrong at key R');
+    });
+
+    it('should report a red root', () => {
+      RBT.root.color = true;
+
+      expect(() => RBT.assertInvariants()).to.throw('Root must be black at key M');
+    });
+  });
+
   describe('#breadthFirstSearch()', () => {
     it('should apply callback to all nodes in level order', () => {
       RBT.insert('S');
@@ -127,6 +447,45 @@ describe('RedBlackTree', () => {
     });
   });
 
+  describe('#entries()', () => {
+    it('should yield [key, value] pairs in ascending order', () => {
+      RBT.insert('D', 'woof');
+      RBT.insert('C', 'meow');
+      RBT.insert('P', 'parrot');
+
+      expect([...RBT.entries()]).to.deep.equal([['C', 'meow'], ['D', 'woof'], ['P', 'parrot']]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...RBT.entries()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#floor()', () => {
+    beforeEach(() => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+    });
+
+    it('should return the key itself if it exists', () => {
+      expect(RBT.floor('H')).to.equal('H');
+    });
+
+    it('should return the largest smaller key if key does not exist', () => {
+      expect(RBT.floor('I')).to.equal('H');
+      expect(RBT.floor('Z')).to.equal('X');
+    });
+
+    it('should return null if every key is larger', () => {
+      expect(RBT.floor('0')).to.equal(null);
+    });
+
+    it('should return null for empty trees', () => {
+      RBT = new RedBlackTree();
+
+      expect(RBT.floor('A')).to.equal(null);
+    });
+  });
+
   describe('#get()', () => {
     it('should return value if key is in the root', () => {
       RBT.insert('D', 'woof');
@@ -239,6 +598,162 @@ describe('RedBlackTree', () => {
     });
   });
 
+  describe('#ceiling()', () => {
+    beforeEach(() => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+    });
+
+    it('should return the key itself if it exists', () => {
+      expect(RBT.ceiling('H')).to.equal('H');
+    });
+
+    it('should return the smallest larger key if key does not exist', () => {
+      expect(RBT.ceiling('I')).to.equal('L');
+      expect(RBT.ceiling('B')).to.equal('C');
+    });
+
+    it('should return null if every key is smaller', () => {
+      expect(RBT.ceiling('Z')).to.equal(null);
+    });
+
+    it('should return null for empty trees', () => {
+      RBT = new RedBlackTree();
+
+      expect(RBT.ceiling('A')).to.equal(null);
+    });
+  });
+
+  describe('#countInRange()', () => {
+    beforeEach(() => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+    });
+
+    it('should count keys in range including both bounds', () => {
+      expect(RBT.countInRange('E', 'P')).to.equal(5);
+    });
+
+    it('should count keys when bounds are not in the tree', () => {
+      expect(RBT.countInRange('B', 'Q')).to.equal(6);
+    });
+
+    it('should return 0 if lo is larger than hi', () => {
+      expect(RBT.countInRange('P', 'E')).to.equal(0);
+    });
+
+    it('should return 0 for empty trees', () => {
+      RBT = new RedBlackTree();
+
+      expect(RBT.countInRange('A', 'Z')).to.equal(0);
+    });
+  });
+
+  describe('#delete()', () => {
+    beforeEach(() => {
+      'SEARCHXMPL'.split('').forEach((key, i) => RBT.insert(key, i));
+
+      /*
+                     M
+                  /     \
+                E        R
+              /   \    /   \
+            C      L  P     X
+          (/)    (/)      (/)
+         A       H        S
+      */
+    });
+
+    it('should return the value of the deleted key', () => {
+      expect(RBT.delete('H')).to.equal(5);
+    });
+
+    it('should remove a red leaf', () => {
+      RBT.delete('H');
+
+      expect(RBT.get('H')).to.equal(null);
+      expect(RBT.root.left.right.key).to.equal('L');
+      expect(RBT.root.left.right.left).to.equal(null);
+      expect(isBalancedRedBlackTree(RBT)).to.be.true;
+    });
+
+    it('should remove the root and keep the tree balanced', () => {
+      RBT.delete('M');
+      const called = [];
+
+      RBT.depthInOrder(node => called.push(node.key));
+
+      expect(RBT.get('M')).to.equal(null);
+      expect(called).to.deep.equal(['A', 'C', 'E', 'H', 'L', 'P', 'R', 'S', 'X']);
+      expect(isBalancedRedBlackTree(RBT)).to.be.true;
+    });
+
+    it('should remove every key in any order and keep the tree balanced', () => {
+      'LAXMESRHPC'.split('').forEach(key => {
+        RBT.delete(key);
+
+        expect(RBT.get(key)).to.equal(null);
+        expect(isBalancedRedBlackTree(RBT)).to.be.true;
+      });
+
+      expect(RBT.root).to.equal(null);
+    });
+
+    it('should stay balanced across many insertions and deletions', () => {
+      RBT = new RedBlackTree();
+      for (let i = 0; i < 200; i++) { RBT.insert((i * 37) % 200, i); }
+      for (let i = 0; i < 200; i += 3) { RBT.delete((i * 53) % 200); }
+
+      expect(isBalancedRedBlackTree(RBT)).to.be.true;
+      expect(RBT.get(1)).to.equal(null);
+      expect(RBT.get(2)).to.equal(146);
+    });
+
+    it('should throw an error for keys that do not exist in the tree', () => {
+      expect(() => RBT.delete('Z')).to.throw(Error);
+    });
+
+    it('should throw an error for empty trees', () => {
+      RBT = new RedBlackTree();
+
+      expect(() => RBT.delete('A')).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMax()', () => {
+    it('should remove keys from largest to smallest', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key, key.toLowerCase()));
+      const removed = [];
+
+      while (RBT.root !== null) {
+        removed.push(RBT.deleteMax());
+        expect(isBalancedRedBlackTree(RBT)).to.be.true;
+      }
+
+      expect(removed).to.deep.equal(['x', 's', 'r', 'p', 'm', 'l', 'h', 'e', 'c', 'a']);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => RBT.deleteMax()).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMin()', () => {
+    it('should remove keys from smallest to largest', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key, key.toLowerCase()));
+      const removed = [];
+
+      while (RBT.root !== null) {
+        removed.push(RBT.deleteMin());
+        expect(isBalancedRedBlackTree(RBT)).to.be.true;
+      }
+
+      expect(removed).to.deep.equal(['a', 'c', 'e', 'h', 'l', 'm', 'p', 'r', 's', 'x']);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => RBT.deleteMin()).to.throw(Error);
+    });
+  });
+
   describe('#depthInOrder', () => {
     it('should apply callback to all nodes depth-first in-order', () => {
       RBT.insert('S');
@@ -340,4 +855,411 @@ describe('RedBlackTree', () => {
       expect(() => RBT.depthPreOrder(console.log)).to.throw(Error);
     });
   });
+
+  describe('#height()', () => {
+    it('should return 0 for empty trees', () => {
+      expect(RBT.height()).to.equal(0);
+    });
+
+    it('should count nodes on the longest path, including red links', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect(RBT.height()).to.equal(4);
+    });
+  });
+
+  describe('#inOrder()', () => {
+    it('should yield all keys depth-first in-order', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect([...RBT.inOrder()]).to.deep.equal(['A', 'C', 'E', 'H', 'L', 'M', 'P', 'R', 'S', 'X']);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...RBT.inOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#isValid()', () => {
+    it('should return true for empty trees', () => {
+      expect(RBT.isValid()).to.be.true;
+    });
+
+    it('should return true after insertions and deletions', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+      RBT.delete('E');
+
+      expect(RBT.isValid()).to.be.true;
+    });
+
+    it('should return false if an invariant is broken', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+      RBT.root.right.color = true;
+
+      expect(RBT.isValid()).to.be.false;
+    });
+  });
+
+  describe('#keys()', () => {
+    beforeEach(() => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+    });
+
+    it('should stop early when iteration breaks', () => {
+      const called = [];
+
+      for (const key of RBT.keys('D')) {
+        if (key === 'M') { break; }
+        called.push(key);
+      }
+
+      expect(called).to.deep.equal(['E', 'H', 'L']);
+    });
+
+    it('should yield all keys in ascending order without bounds', () => {
+      expect([...RBT.keys()]).to.deep.equal(['A', 'C', 'E', 'H', 'L', 'M', 'P', 'R', 'S', 'X']);
+    });
+
+    it('should yield keys within bounds, inclusive', () => {
+      expect([...RBT.keys('E', 'P')]).to.deep.equal(['E', 'H', 'L', 'M', 'P']);
+    });
+
+    it('should yield keys within bounds that are not in the tree', () => {
+      expect([...RBT.keys('F', 'Q')]).to.deep.equal(['H', 'L', 'M', 'P']);
+    });
+
+    it('should yield nothing if lo is larger than hi', () => {
+      expect([...RBT.keys('P', 'E')]).to.deep.equal([]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      RBT = new RedBlackTree();
+
+      expect([...RBT.keys()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#levelOrder()', () => {
+    it('should yield all keys in level order', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect([...RBT.levelOrder()]).to.deep.equal(['M', 'E', 'R', 'C', 'L', 'P', 'X', 'A', 'H', 'S']);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...RBT.levelOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#levels()', () => {
+    it('should list keys found at each depth', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect(RBT.levels()).to.deep.equal([['M'], ['E', 'R'], ['C', 'L', 'P', 'X'], ['A', 'H', 'S']]);
+    });
+
+    it('should return an empty array for empty trees', () => {
+      expect(RBT.levels()).to.deep.equal([]);
+    });
+  });
+
+  describe('#max()', () => {
+    it('should return the largest key', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect(RBT.max()).to.equal('X');
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => RBT.max()).to.throw(Error);
+    });
+  });
+
+  describe('#min()', () => {
+    it('should return the smallest key', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect(RBT.min()).to.equal('A');
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => RBT.min()).to.throw(Error);
+    });
+  });
+
+  describe('#postOrder()', () => {
+    it('should yield all keys depth-first post-order', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect([...RBT.postOrder()]).to.deep.equal(['A', 'C', 'H', 'L', 'E', 'P', 'S', 'X', 'R', 'M']);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...RBT.postOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#preOrder()', () => {
+    it('should yield all keys depth-first pre-order', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect([...RBT.preOrder()]).to.deep.equal(['M', 'E', 'C', 'A', 'L', 'H', 'R', 'P', 'X', 'S']);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...RBT.preOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#rank()', () => {
+    beforeEach(() => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+    });
+
+    it('should count keys smaller than an existing key', () => {
+      expect(RBT.rank('A')).to.equal(0);
+      expect(RBT.rank('M')).to.equal(5);
+      expect(RBT.rank('X')).to.equal(9);
+    });
+
+    it('should count keys smaller than a missing key', () => {
+      expect(RBT.rank('B')).to.equal(1);
+      expect(RBT.rank('Z')).to.equal(10);
+    });
+
+    it('should stay correct after deletions', () => {
+      RBT.delete('C');
+      RBT.delete('S');
+
+      expect(RBT.rank('M')).to.equal(4);
+      expect(RBT.rank('X')).to.equal(7);
+    });
+  });
+
+  describe('#select()', () => {
+    beforeEach(() => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+    });
+
+    it('should return the key with the given rank', () => {
+      expect(RBT.select(0)).to.equal('A');
+      expect(RBT.select(5)).to.equal('M');
+      expect(RBT.select(9)).to.equal('X');
+    });
+
+    it('should be the inverse of rank', () => {
+      [...RBT.keys()].forEach(key => {
+        expect(RBT.select(RBT.rank(key))).to.equal(key);
+      });
+    });
+
+    it('should throw an error for ranks out of bounds', () => {
+      expect(() => RBT.select(-1)).to.throw(Error);
+      expect(() => RBT.select(10)).to.throw(Error);
+    });
+
+    it('should throw an error for non-integer ranks', () => {
+      expect(() => RBT.select(1.5)).to.throw(Error);
+      expect(() => RBT.select('1')).to.throw(Error);
+    });
+  });
+
+  describe('#size()', () => {
+    it('should count keys in the tree', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+      RBT.delete('A');
+
+      expect(RBT.size()).to.equal(9);
+    });
+
+    it('should return 0 for empty trees', () => {
+      expect(RBT.size()).to.equal(0);
+    });
+  });
+
+  describe('#split()', () => {
+    beforeEach(() => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key, key.toLowerCase()));
+    });
+
+    it('should split keys smaller than given key from the rest', () => {
+      const [less, greater] = RBT.split('M');
+
+      expect([...less.keys()]).to.deep.equal(['A', 'C', 'E', 'H', 'L']);
+      expect([...greater.keys()]).to.deep.equal(['M', 'P', 'R', 'S', 'X']);
+      expect(greater.get('M')).to.equal('m');
+      expect(isBalancedRedBlackTree(less)).to.be.true;
+      expect(isBalancedRedBlackTree(greater)).to.be.true;
+    });
+
+    it('should split around a key that is not in the tree', () => {
+      const [less, greater] = RBT.split('N');
+
+      expect([...less.keys()]).to.deep.equal(['A', 'C', 'E', 'H', 'L', 'M']);
+      expect([...greater.keys()]).to.deep.equal(['P', 'R', 'S', 'X']);
+    });
+
+    it('should return an empty tree when every key falls on one side', () => {
+      const [less, greater] = RBT.split('0');
+
+      expect(less.root).to.equal(null);
+      expect(greater.root.size).to.equal(10);
+    });
+
+    it('should empty the original tree', () => {
+      RBT.split('M');
+
+      expect(RBT.root).to.equal(null);
+    });
+
+    it('should keep both halves balanced for every split point', () => {
+      for (let key = 0; key <= 100; key += 7) {
+        RBT = new RedBlackTree();
+        for (let i = 0; i < 100; i++) { RBT.insert((i * 37) % 100); }
+
+        const [less, greater] = RBT.split(key);
+
+        expect(less.root === null ? 0 : less.root.size).to.equal(key);
+        expect(isBalancedRedBlackTree(less)).to.be.true;
+        expect(isBalancedRedBlackTree(greater)).to.be.true;
+        expect(isBalancedRedBlackTree(RedBlackTree.join(less, greater))).to.be.true;
+      }
+    });
+  });
+
+  describe('#toDot()', () => {
+    it('should color red links red', () => {
+      ['B', 'A'].forEach(key => RBT.insert(key));
+
+      expect(RBT.toDot()).to.equal([
+        'digraph RedBlackTree {',
+        '  node [shape=circle];',
+        '  n0 [label="B"];',
+        '  n0 -> n1 [color=red, penwidth=2];',
+        '  n2 [shape=point, style=invis];',
+        '  n0 -> n2 [style=invis];',
+        '  n1 [label="A"];',
+        '}'
+      ].join('\n'));
+    });
+
+    it('should leave black links uncolored', () => {
+      ['B', 'A', 'C'].forEach(key => RBT.insert(key));
+
+      expect(RBT.toDot()).to.include('  n0 -> n1;\n  n0 -> n2;');
+    });
+  });
+
+  describe('#toJSON()', () => {
+    it('should list nodes in pre-order with colors and null for missing children', () => {
+      RBT.insert('B', 2);
+      RBT.insert('A');
+
+      expect(RBT.toJSON()).to.deep.equal({
+        nodes: [['B', 'black', 2], ['A', 'red'], null, null, null]
+      });
+    });
+
+    it('should list empty trees as a single null', () => {
+      expect(RBT.toJSON()).to.deep.equal({ nodes: [null] });
+    });
+  });
+
+  describe('#toString()', () => {
+    it('should draw an indented diagram with nodes behind red links tagged', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+
+      expect(RBT.toString()).to.equal([
+        'M',
+        '|-- L: E',
+        '|   |-- L: C',
+        '|   |   `-- L: A (red)',
+        '|   `-- R: L',
+        '|       `-- L: H (red)',
+        '`-- R: R',
+        '    |-- L: P',
+        '    `-- R: X',
+        '        `-- L: S (red)'
+      ].join('\n'));
+    });
+
+    it('should draw empty trees as an empty string', () => {
+      expect(RBT.toString()).to.equal('');
+    });
+  });
+
+  describe('#union()', () => {
+    it('should combine keys from both trees in a balanced tree', () => {
+      const other = new RedBlackTree();
+      'SEARCH'.split('').forEach(key => RBT.insert(key, 'mine'));
+      'XMPLA'.split('').forEach(key => other.insert(key, 'theirs'));
+
+      const combined = RBT.union(other);
+
+      expect([...combined.keys()]).to.deep.equal(['A', 'C', 'E', 'H', 'L', 'M', 'P', 'R', 'S', 'X']);
+      expect(combined.get('A')).to.equal('theirs');
+      expect(combined.get('C')).to.equal('mine');
+      expect(isBalancedRedBlackTree(combined)).to.be.true;
+    });
+
+    it('should leave both trees untouched', () => {
+      const other = new RedBlackTree();
+      RBT.insert('A', 1);
+      other.insert('B', 2);
+
+      RBT.union(other);
+
+      expect([...RBT.keys()]).to.deep.equal(['A']);
+      expect([...other.keys()]).to.deep.equal(['B']);
+    });
+
+    it('should build balanced trees of every size', () => {
+      const other = new RedBlackTree();
+      for (let i = 0; i < 120; i++) {
+        (i % 2 === 0 ? RBT : other).insert(i);
+
+        expect(isBalancedRedBlackTree(RBT.union(other))).to.be.true;
+      }
+    });
+
+    it('should return an empty tree if both trees are empty', () => {
+      expect(RBT.union(new RedBlackTree()).root).to.equal(null);
+    });
+  });
+
+  describe('#values()', () => {
+    it('should yield values in ascending order of their keys', () => {
+      RBT.insert('D', 'woof');
+      RBT.insert('C', 'meow');
+      RBT.insert('P', 'parrot');
+
+      expect([...RBT.values()]).to.deep.equal(['meow', 'woof', 'parrot']);
+    });
+  });
+
+  describe('#[Symbol.iterator]()', () => {
+    it('should make the tree iterable with [key, value] pairs', () => {
+      RBT.insert('D', 'woof');
+      RBT.insert('C', 'meow');
+
+      expect(Array.from(RBT)).to.deep.equal([['C', 'meow'], ['D', 'woof']]);
+      expect(new Map(RBT).get('D')).to.equal('woof');
+    });
+
+    it('should allow for...of loops to break early', () => {
+      'SEARCHXMPL'.split('').forEach(key => RBT.insert(key));
+      const called = [];
+
+      for (const [key] of RBT) {
+        if (key === 'H') { break; }
+        called.push(key);
+      }
+
+      expect(called).to.deep.equal(['A', 'C', 'E']);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...RBT]).to.deep.equal([]);
+    });
+  });
 });
\ No newline at end of file
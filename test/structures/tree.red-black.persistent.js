@@ -0,0 +1,215 @@
+const expect = require('chai').expect;
+
+let PersistentRedBlackTree;
+let RedBlackTree;
+let PRBT;
+
+try {
+  PersistentRedBlackTree = require('../../structures/tree.red-black.persistent');
+  RedBlackTree = require('../../structures/tree.red-black');
+  PRBT = new PersistentRedBlackTree();
+} catch (e) {
+  throw new Error('PersistentRedBlackTree could not be tested due to faulty import, likely ' +
+  'from an incorrect file path or exporting a non-constructor from the file.');
+}
+
+// Records every field of every node, so later changes to shared nodes show up
+function snapshot(node) {
+  if (node === null) { return null; }
+  return {
+    color: node.color,
+    key: node.key,
+    value: node.value,
+    size: node.size,
+    left: snapshot(node.left),
+    right: snapshot(node.right)
+  };
+}
+
+describe('PersistentRedBlackTree', () => {
+  beforeEach(() => {
+    PRBT = new PersistentRedBlackTree();
+  });
+
+  it('should be extensible', () => {
+    expect(PRBT).to.be.extensible;
+  });
+
+  it('should have properties granted from constructor call', () => {
+    expect(PRBT).to.have.all.keys('root', 'comparator');
+  });
+
+  it('should throw an error for a comparator that is not a function', () => {
+    expect(() => new PersistentRedBlackTree('descending')).to.throw(Error);
+  });
+
+  it('should share the lookup and traversal API of RedBlackTree', () => {
+    expect(PRBT).to.be.an.instanceof(RedBlackTree);
+  });
+
+  describe('#insert()', () => {
+    it('should return a new tree holding the key', () => {
+      const next = PRBT.insert('A', 1);
+
+      expect(next).to.be.an.instanceof(PersistentRedBlackTree);
+      expect(next.get('A')).to.equal(1);
+      expect(PRBT.root).to.equal(null);
+    });
+
+    it('should never change an old version', () => {
+      const versions = [PRBT];
+      'SEARCHXMPL'.split('').forEach((key, i) => versions.push(versions[i].insert(key, i)));
+      const before = versions.map(version => snapshot(version.root));
+
+      versions[versions.length - 1].insert('B', 'new').insert('S', 'updated');
+
+      versions.forEach((version, i) => {
+        expect(snapshot(version.root)).to.deep.equal(before[i]);
+        expect(version.size()).to.equal(i);
+        expect(version.isValid()).to.be.true;
+      });
+    });
+
+    it('should share subtrees off the search path', () => {
+      const tree = 'SEARCHXMPL'.split('').reduce((version, key) => version.insert(key), PRBT);
+
+      const next = tree.insert('Z');
+
+      expect(next.root).to.not.equal(tree.root);
+      expect(next.root.left).to.equal(tree.root.left);
+    });
+
+    it('should update the value of an existing key in the new version only', () => {
+      const first = PRBT.insert('A', 'old');
+      const second = first.insert('A', 'new');
+
+      expect(first.get('A')).to.equal('old');
+      expect(second.get('A')).to.equal('new');
+      expect(second.size()).to.equal(1);
+    });
+
+    it('should order keys with a custom comparator', () => {
+      PRBT = new PersistentRedBlackTree((a, b) => b - a);
+      const tree = [1, 2, 3].reduce((version, key) => version.insert(key, key * 10), PRBT);
+
+      expect([...tree.keys()]).to.deep.equal([3, 2, 1]);
+    });
+  });
+
+  describe('#delete()', () => {
+    it('should return a new tree without the key and leave the old one intact', () => {
+      const tree = 'SEARCHXMPL'.split('').reduce((version, key) => version.insert(key), PRBT);
+      const before = snapshot(tree.root);
+
+      const next = tree.delete('E');
+
+      expect(next.get('E')).to.equal(null);
+      expect(next.isValid()).to.be.true;
+      expect(snapshot(tree.root)).to.deep.equal(before);
+      expect([...tree.keys()]).to.deep.equal(['A', 'C', 'E', 'H', 'L', 'M', 'P', 'R', 'S', 'X']);
+    });
+
+    it('should keep every version valid and unchanged across many updates', () => {
+      const versions = [PRBT];
+      const expected = [[]];
+      for (let i = 0; i < 300; i++) {
+        const key = (i * 37) % 101;
+        const latest = versions[versions.length - 1];
+        const keys = expected[expected.length - 1];
+        if (keys.includes(key)) {
+          versions.push(latest.delete(key));
+          expected.push(keys.filter(k => k !== key));
+        } else {
+          versions.push(latest.insert(key));
+          expected.push([...keys, key].sort((a, b) => a - b));
+        }
+      }
+
+      versions.forEach((version, i) => {
+        expect(version.isValid()).to.be.true;
+        expect([...version.keys()]).to.deep.equal(expected[i]);
+      });
+    });
+
+    it('should throw an error for keys that do not exist in the tree', () => {
+      expect(() => PRBT.insert('A').delete('Z')).to.throw(Error);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => PRBT.delete('A')).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMax()', () => {
+    it('should return a new tree without the largest key', () => {
+      const tree = [5, 3, 8, 1, 4].reduce((version, key) => version.insert(key), PRBT);
+      const before = snapshot(tree.root);
+
+      const next = tree.deleteMax();
+
+      expect([...next.keys()]).to.deep.equal([1, 3, 4, 5]);
+      expect(next.isValid()).to.be.true;
+      expect(snapshot(tree.root)).to.deep.equal(before);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => PRBT.deleteMax()).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMin()', () => {
+    it('should return a new tree without the smallest key', () => {
+      const tree = [5, 3, 8, 1, 4].reduce((version, key) => version.insert(key), PRBT);
+      const before = snapshot(tree.root);
+
+      const next = tree.deleteMin();
+
+      expect([...next.keys()]).to.deep.equal([3, 4, 5, 8]);
+      expect(next.isValid()).to.be.true;
+      expect(snapshot(tree.root)).to.deep.equal(before);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => PRBT.deleteMin()).to.throw(Error);
+    });
+  });
+
+  describe('#union()', () => {
+    it('should return a persistent tree and leave both inputs intact', () => {
+      const left = [1, 3].reduce((version, key) => version.insert(key), PRBT);
+      const right = [2, 4].reduce((version, key) => version.insert(key), PRBT);
+
+      const merged = left.union(right);
+
+      expect(merged).to.be.an.instanceof(PersistentRedBlackTree);
+      expect([...merged.keys()]).to.deep.equal([1, 2, 3, 4]);
+      expect([...left.keys()]).to.deep.equal([1, 3]);
+    });
+  });
+
+  describe('in-place operations', () => {
+    it('should refuse to split, since that would move shared nodes', () => {
+      const tree = PRBT.insert('A');
+
+      expect(() => tree.split('A')).to.throw(Error);
+      expect(tree.size()).to.equal(1);
+    });
+
+    it('should refuse to join, since that would move shared nodes', () => {
+      expect(() => PersistentRedBlackTree.join(PRBT, PRBT)).to.throw(Error);
+    });
+
+    it('should leave snapshots unchanged when joined through RedBlackTree', () => {
+      const left = PRBT.insert('A').insert('B');
+      const right = PRBT.insert('X').insert('Y').insert('Z');
+      const leftJSON = JSON.stringify(left.toJSON());
+      const rightJSON = JSON.stringify(right.toJSON());
+
+      expect(() => RedBlackTree.join(left, right)).to.throw(Error);
+      expect(() => RedBlackTree.join(new RedBlackTree(), right)).to.throw(Error);
+      expect(JSON.stringify(left.toJSON())).to.equal(leftJSON);
+      expect(JSON.stringify(right.toJSON())).to.equal(rightJSON);
+      expect(right.isValid()).to.be.true;
+    });
+  });
+});
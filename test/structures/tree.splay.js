@@ -0,0 +1,368 @@
+const expect = require('chai').expect;
+
+let SplayTree;
+let splay;
+
+try {
+  SplayTree = require('../../structures/tree.splay');
+  splay = new SplayTree();
+} catch (e) {
+  throw new Error('SplayTree could not be tested due to faulty import, likely ' +
+  'from an incorrect file path or exporting a non-constructor from the file.');
+}
+
+describe('SplayTree', () => {
+  beforeEach(() => {
+    splay = new SplayTree();
+  });
+
+  it('should be extensible', () => {
+    expect(splay).to.be.extensible;
+  });
+
+  it('should have properties granted from constructor call', () => {
+    expect(splay).to.have.all.keys('root', 'comparator');
+  });
+
+  it('should throw an error for a comparator that is not a function', () => {
+    expect(() => new SplayTree('descending')).to.throw(Error);
+  });
+
+  describe('#insert()', () => {
+    it('should insert a node with key, value, left and right properties', () => {
+      splay.insert('D', 'woof');
+
+      expect(splay.root).to.have.all.keys('key', 'value', 'left', 'right');
+      expect(splay.root.value).to.equal('woof');
+    });
+
+    it('should move each inserted key to the root', () => {
+      [5, 3, 8, 1, 4].forEach(key => {
+        splay.insert(key);
+
+        expect(splay.root.key).to.equal(key);
+        expect(splay.isValid()).to.be.true;
+      });
+    });
+
+    it('should overwrite value for duplicate key', () => {
+      splay.insert('D', 'woof');
+      splay.insert('C', 'meow');
+      splay.insert('D', 'bark');
+
+      expect(splay.get('D')).to.equal('bark');
+      expect(splay.size()).to.equal(2);
+    });
+
+    it('should order keys with a custom comparator', () => {
+      splay = new SplayTree((a, b) => b - a);
+      [1, 3, 2].forEach(key => splay.insert(key, key * 10));
+
+      expect([...splay.keys()]).to.deep.equal([3, 2, 1]);
+    });
+  });
+
+  describe('#assertInvariants()', () => {
+    it('should report the key where order is broken', () => {
+      [1, 2, 3].forEach(key => splay.insert(key));
+      splay.root.left.key = 5;
+
+      expect(() => splay.assertInvariants()).to.throw('BST ordering violated at key 5');
+      expect(splay.isValid()).to.be.false;
+    });
+  });
+
+  describe('#breadthFirstSearch()', () => {
+    it('should apply callback to all nodes in level order', () => {
+      [1, 2, 3].forEach(key => splay.insert(key));
+      const called = [];
+
+      splay.breadthFirstSearch(node => called.push(node.key));
+
+      expect(called).to.deep.equal([3, 2, 1]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => splay.breadthFirstSearch(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#ceiling()', () => {
+    it('should return the smallest key greater than or equal to given key', () => {
+      [10, 20, 30].forEach(key => splay.insert(key));
+
+      expect(splay.ceiling(20)).to.equal(20);
+      expect(splay.ceiling(11)).to.equal(20);
+      expect(splay.ceiling(25)).to.equal(30);
+      expect(splay.ceiling(31)).to.equal(null);
+      expect(splay.isValid()).to.be.true;
+    });
+
+    it('should return null for empty trees', () => {
+      expect(splay.ceiling(1)).to.equal(null);
+    });
+  });
+
+  describe('#delete()', () => {
+    it('should return the value of the deleted key', () => {
+      splay.insert('D', 'woof');
+
+      expect(splay.delete('D')).to.equal('woof');
+      expect(splay.root).to.equal(null);
+    });
+
+    it('should stay ordered across many insertions and deletions', () => {
+      for (let i = 0; i < 200; i++) { splay.insert((i * 37) % 200, i); }
+      for (let i = 0; i < 200; i += 3) { splay.delete((i * 53) % 200); }
+
+      expect(splay.isValid()).to.be.true;
+      expect(splay.get(1)).to.equal(null);
+      expect(splay.get(2)).to.equal(146);
+      expect(splay.size()).to.equal(133);
+    });
+
+    it('should throw an error for keys that do not exist in the tree', () => {
+      splay.insert('D');
+
+      expect(() => splay.delete('Z')).to.throw(Error);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => splay.delete('A')).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMax()', () => {
+    it('should remove keys from largest to smallest', () => {
+      [5, 3, 8, 1, 4].forEach(key => splay.insert(key, key * 10));
+      const removed = [];
+
+      while (splay.root !== null) {
+        removed.push(splay.deleteMax());
+        expect(splay.isValid()).to.be.true;
+      }
+
+      expect(removed).to.deep.equal([80, 50, 40, 30, 10]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => splay.deleteMax()).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMin()', () => {
+    it('should remove keys from smallest to largest', () => {
+      [5, 3, 8, 1, 4].forEach(key => splay.insert(key, key * 10));
+      const removed = [];
+
+      while (splay.root !== null) {
+        removed.push(splay.deleteMin());
+        expect(splay.isValid()).to.be.true;
+      }
+
+      expect(removed).to.deep.equal([10, 30, 40, 50, 80]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => splay.deleteMin()).to.throw(Error);
+    });
+  });
+
+  describe('#depthInOrder', () => {
+    it('should apply callback to all nodes depth-first in-order', () => {
+      [4, 2, 6, 1, 3].forEach(key => splay.insert(key));
+      const called = [];
+
+      splay.depthInOrder(node => called.push(node.key));
+
+      expect(called).to.deep.equal([1, 2, 3, 4, 6]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => splay.depthInOrder(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#depthPostOrder', () => {
+    it('should apply callback to all nodes depth-first post-order', () => {
+      [1, 3, 2].forEach(key => splay.insert(key));
+      const called = [];
+
+      splay.depthPostOrder(node => called.push(node.key));
+
+      expect(called).to.deep.equal([1, 3, 2]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => splay.depthPostOrder(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#depthPreOrder', () => {
+    it('should apply callback to all nodes depth-first pre-order', () => {
+      [1, 3, 2].forEach(key => splay.insert(key));
+      const called = [];
+
+      splay.depthPreOrder(node => called.push(node.key));
+
+      expect(called).to.deep.equal([2, 1, 3]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => splay.depthPreOrder(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#floor()', () => {
+    it('should return the largest key less than or equal to given key', () => {
+      [10, 20, 30].forEach(key => splay.insert(key));
+
+      expect(splay.floor(20)).to.equal(20);
+      expect(splay.floor(29)).to.equal(20);
+      expect(splay.floor(15)).to.equal(10);
+      expect(splay.floor(9)).to.equal(null);
+      expect(splay.isValid()).to.be.true;
+    });
+  });
+
+  describe('#get()', () => {
+    it('should return the value for a key', () => {
+      splay.insert('D', 'woof');
+      splay.insert('C', 'meow');
+
+      expect(splay.get('D')).to.equal('woof');
+    });
+
+    it('should move the key found to the root', () => {
+      for (let i = 0; i < 100; i++) { splay.insert(i); }
+
+      splay.get(42);
+
+      expect(splay.root.key).to.equal(42);
+      expect(splay.isValid()).to.be.true;
+    });
+
+    it('should make repeated lookups of a hot key touch only the root', () => {
+      for (let i = 0; i < 1000; i++) { splay.insert((i * 7919) % 1000, i); }
+      let compared = 0;
+      splay.comparator = (a, b) => { compared++; return a - b; };
+
+      splay.get(500);
+      compared = 0;
+      splay.get(500);
+
+      expect(compared).to.be.at.most(2);
+    });
+
+    it('should return null if the key is not found in the tree', () => {
+      splay.insert('C', 'meow');
+
+      expect(splay.get('D')).to.equal(null);
+    });
+
+    it('should return null if tree is empty', () => {
+      expect(splay.get('D')).to.equal(null);
+    });
+  });
+
+  describe('#height()', () => {
+    it('should return 0 for empty trees', () => {
+      expect(splay.height()).to.equal(0);
+    });
+
+    it('should shrink a chain of sorted keys after a deep access', () => {
+      for (let i = 0; i < 1000; i++) { splay.insert(i); }
+
+      expect(splay.height()).to.equal(1000);
+
+      splay.get(0);
+
+      expect(splay.height()).to.be.below(600);
+    });
+  });
+
+  describe('#keys()', () => {
+    it('should yield keys within bounds, inclusive', () => {
+      [10, 20, 30, 40, 50].forEach(key => splay.insert(key));
+
+      expect([...splay.keys(20, 40)]).to.deep.equal([20, 30, 40]);
+      expect([...splay.keys()]).to.deep.equal([10, 20, 30, 40, 50]);
+    });
+  });
+
+  describe('#levelOrder()', () => {
+    it('should yield nothing for empty trees', () => {
+      expect([...splay.levelOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#levels()', () => {
+    it('should list keys found at each depth', () => {
+      [1, 3, 2].forEach(key => splay.insert(key));
+
+      expect(splay.levels()).to.deep.equal([[2], [1, 3]]);
+    });
+  });
+
+  describe('#max()', () => {
+    it('should return the largest key and move it to the root', () => {
+      [5, 3, 8, 1].forEach(key => splay.insert(key));
+
+      expect(splay.max()).to.equal(8);
+      expect(splay.root.key).to.equal(8);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => splay.max()).to.throw(Error);
+    });
+  });
+
+  describe('#min()', () => {
+    it('should return the smallest key and move it to the root', () => {
+      [5, 3, 8, 1].forEach(key => splay.insert(key));
+      splay.get(8);
+
+      expect(splay.min()).to.equal(1);
+      expect(splay.root.key).to.equal(1);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => splay.min()).to.throw(Error);
+    });
+  });
+
+  describe('#[Symbol.iterator]()', () => {
+    it('should make the tree iterable with [key, value] pairs', () => {
+      splay.insert('D', 'woof');
+      splay.insert('C', 'meow');
+
+      expect([...splay]).to.deep.equal([['C', 'meow'], ['D', 'woof']]);
+      expect([...splay.values()]).to.deep.equal(['meow', 'woof']);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...splay]).to.deep.equal([]);
+    });
+  });
+
+  describe('degenerate trees', () => {
+    const SIZE = 100000;
+
+    // Inserting sorted keys leaves every earlier key on a left chain
+    beforeEach(() => {
+      for (let i = 0; i < SIZE; i++) { splay.insert(i, i); }
+    });
+
+    it('should splay from the bottom of a long chain without overflowing', () => {
+      expect(splay.get(0)).to.equal(0);
+      expect(splay.root.key).to.equal(0);
+      expect(splay.isValid()).to.be.true;
+    });
+
+    it('should traverse a long chain without overflowing', () => {
+      expect(splay.size()).to.equal(SIZE);
+      expect([...splay.postOrder()].length).to.equal(SIZE);
+      expect([...splay.preOrder()].length).to.equal(SIZE);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const expect = require('chai').expect;
+
+let GeneralizedSuffixTree;
+let tree;
+
+try {
+  GeneralizedSuffixTree = require('../../structures/tree.suffix.generalized');
+  tree = new GeneralizedSuffixTree();
+} catch (e) {
+  throw new Error('GeneralizedSuffixTree could not be tested due to faulty import, likely ' +
+  'from an incorrect file path or exporting a non-constructor from the file.');
+}
+
+describe('GeneralizedSuffixTree', () => {
+  beforeEach(() => {
+    tree = new GeneralizedSuffixTree();
+  });
+
+  it('should be extensible', () => {
+    expect(tree).to.be.extensible;
+  });
+
+  it('should have properties granted from constructor call', () => {
+    expect(tree).to.have.all.keys('root', 'options', 'documents');
+  });
+
+  it('should start without documents', () => {
+    expect(tree.documents).to.deep.equal([]);
+    expect(tree.matchesPattern('a')).to.be.false;
+  });
+
+  it('should throw an error for unknown normalization forms', () => {
+    expect(() => new GeneralizedSuffixTree({ normalization: 'NFX' })).to.throw(Error);
+  });
+
+  describe('#addDocument()', () => {
+    it('should return ids counting up from 0', () => {
+      expect(tree.addDocument('apple')).to.equal(0);
+      expect(tree.addDocument('banana')).to.equal(1);
+    });
+
+    it('should make new documents searchable alongside earlier ones', () => {
+      tree.addDocument('apple');
+
+      expect(tree.matchesPattern('nan')).to.be.false;
+
+      tree.addDocument('banana');
+
+      expect(tree.matchesPattern('nan')).to.be.true;
+      expect(tree.matchesPattern('ppl')).to.be.true;
+    });
+
+    it('should keep a document that is a substring of an earlier one', () => {
+      tree.addDocument('banana');
+      tree.addDocument('nan');
+
+      expect(tree.findAll('nan')).to.deep.equal([[0, 2], [1, 0]]);
+    });
+
+    it('should apply options to every document', () => {
+      tree = new GeneralizedSuffixTree({ caseSensitive: true });
+      tree.addDocument('DNA');
+      tree.addDocument('dna');
+
+      expect(tree.documentsContaining('NA')).to.deep.equal([0]);
+    });
+
+    it('should index a corpus of longer documents', () => {
+      for (let i = 0; i < 20; i++) {
+        let text = '';
+        for (let j = 0; j < 5000; j++) { text += 'acgt'[(i * j * j + j) % 4]; }
+        tree.addDocument(text + 'doc' + i);
+      }
+
+      expect(tree.documentsContaining('doc7')).to.deep.equal([7]);
+    });
+
+    it('should throw an error for empty or non-string documents', () => {
+      expect(() => tree.addDocument('')).to.throw(Error);
+      expect(() => tree.addDocument(['a'])).to.throw(Error);
+    });
+  });
+
+  describe('#documentsContaining()', () => {
+    beforeEach(() => {
+      tree.addDocument('The quick brown fox');
+      tree.addDocument('jumps over the lazy dog');
+      tree.addDocument('Foxes are quick');
+    });
+
+    it('should return ids of every document containing the pattern', () => {
+      expect(tree.documentsContaining('quick')).to.deep.equal([0, 2]);
+      expect(tree.documentsContaining('the')).to.deep.equal([0, 1]);
+      expect(tree.documentsContaining('lazy')).to.deep.equal([1]);
+    });
+
+    it('should list each document once however often it matches', () => {
+      expect(tree.documentsContaining('o')).to.deep.equal([0, 1, 2]);
+    });
+
+    it('should return an empty array when no document matches', () => {
+      expect(tree.documentsContaining('cat')).to.deep.equal([]);
+    });
+
+    it('should match patterns that span skipped whitespace', () => {
+      expect(tree.documentsContaining('brownfox')).to.deep.equal([0]);
+    });
+  });
+
+  describe('#findAll()', () => {
+    it('should return document and position of every match', () => {
+      tree.addDocument('abcab');
+      tree.addDocument('cab');
+
+      expect(tree.findAll('ab')).to.deep.equal([[0, 0], [0, 3], [1, 1]]);
+    });
+
+    it('should report positions in the original text when whitespace is skipped', () => {
+      tree.addDocument('to be');
+      tree.addDocument('or not to be');
+
+      expect(tree.findAll('be')).to.deep.equal([[0, 3], [1, 10]]);
+    });
+
+    it('should return an empty array when the pattern is not found', () => {
+      tree.addDocument('abc');
+
+      expect(tree.findAll('abd')).to.deep.equal([]);
+    });
+  });
+
+  describe('#longestCommonSubstring()', () => {
+    it('should return the longest substring found in both documents', () => {
+      tree.addDocument('xabxac');
+      tree.addDocument('abcabxabcd');
+
+      expect(tree.longestCommonSubstring(0, 1)).to.equal('abxa');
+      expect(tree.longestCommonSubstring(1, 0)).to.equal('abxa');
+    });
+
+    it('should ignore substrings shared only with other documents', () => {
+      tree.addDocument('needle in a haystack');
+      tree.addDocument('needle hay');
+      tree.addDocument('haystack');
+
+      expect(tree.longestCommonSubstring(1, 2)).to.equal('hay');
+      expect(tree.longestCommonSubstring(0, 2)).to.equal('haystack');
+    });
+
+    it('should return an empty string when documents share no letters', () => {
+      tree.addDocument('abc');
+      tree.addDocument('xyz');
+
+      expect(tree.longestCommonSubstring(0, 1)).to.equal('');
+    });
+
+    it('should return the whole document when compared with itself', () => {
+      tree.addDocument('Abc');
+
+      expect(tree.longestCommonSubstring(0, 0)).to.equal('abc');
+    });
+
+    it('should throw an error for unknown document ids', () => {
+      tree.addDocument('abc');
+
+      expect(() => tree.longestCommonSubstring(0, 1)).to.throw(Error);
+      expect(() => tree.longestCommonSubstring(-1, 0)).to.throw(Error);
+    });
+  });
+
+  describe('#longestRepeatedSubstring()', () => {
+    it('should find repeats within one document', () => {
+      tree.addDocument('banana');
+
+      expect(tree.longestRepeatedSubstring()).to.equal('ana');
+    });
+
+    it('should find repeats across documents', () => {
+      tree.addDocument('abcdefg');
+      tree.addDocument('xxcdefyy');
+
+      expect(tree.longestRepeatedSubstring()).to.equal('cdef');
+    });
+
+    it('should return an empty string when nothing repeats', () => {
+      tree.addDocument('abc');
+
+      expect(tree.longestRepeatedSubstring()).to.equal('');
+    });
+  });
+
+  describe('#matchesPattern()', () => {
+    beforeEach(() => {
+      tree.addDocument('BANANA');
+      tree.addDocument('bandana');
+    });
+
+    it('should return true if the pattern is in any document', () => {
+      expect(tree.matchesPattern('nan')).to.be.true;
+      expect(tree.matchesPattern('DAN')).to.be.true;
+    });
+
+    it('should return false if the pattern is in no document', () => {
+      expect(tree.matchesPattern('nad')).to.be.false;
+    });
+
+    it('should not match across the end of one document and the start of another', () => {
+      expect(tree.matchesPattern('anaband')).to.be.false;
+    });
+
+    it('should throw an error for non-string input', () => {
+      expect(() => tree.matchesPattern(7)).to.throw(Error);
+    });
+  });
+});
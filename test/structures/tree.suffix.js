@@ -0,0 +1,215 @@
+const expect = require('chai').expect;
+
+let SuffixTree;
+let SuffixTrie;
+let tree;
+
+try {
+  SuffixTree = require('../../structures/tree.suffix');
+  SuffixTrie = require('../../structures/tree.trie.suffix');
+  tree = new SuffixTree('BANANA');
+} catch (e) {
+  throw new Error('SuffixTree could not be tested due to faulty import, likely ' +
+  'from an incorrect file path or exporting a non-constructor from the file.');
+}
+
+describe('SuffixTree', () => {
+  beforeEach(() => {
+    tree = new SuffixTree('BANANA');
+  });
+
+  it('should be extensible', () => {
+    expect(tree).to.be.extensible;
+  });
+
+  it('should have properties granted from constructor call', () => {
+    expect(tree).to.have.all.keys('root', 'options', 'text');
+  });
+
+  it('should throw an error for an empty string', () => {
+    expect(() => new SuffixTree('')).to.throw(Error);
+  });
+
+  it('should throw an error for non-string input', () => {
+    expect(() => new SuffixTree(3)).to.throw(Error);
+  });
+
+  it('should throw an error for unknown normalization forms', () => {
+    expect(() => new SuffixTree('abc', { normalization: 'NFX' })).to.throw(Error);
+  });
+
+  it('should compress chains of single children into one edge', () => {
+    tree = new SuffixTree('abcdef');
+
+    expect(tree.root.children.size).to.equal(7);
+    tree.root.children.forEach(child => expect(child.children).to.equal(null));
+  });
+
+  it('should keep node count linear in the length of the string', () => {
+    tree = new SuffixTree('a'.repeat(1000));
+    let nodes = 0;
+    const stack = [tree.root];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      nodes++;
+      if (node.children !== null) { node.children.forEach(child => stack.push(child)); }
+    }
+
+    expect(nodes).to.be.at.most(2 * tree.text.length);
+  });
+
+  it('should index a 100 KB document', () => {
+    let text = '';
+    for (let i = 0; i < 100000; i++) { text += 'acgt'[(i * i + 7 * i) % 4]; }
+    text = text.slice(0, 50000) + 'needle' + text.slice(50000);
+
+    tree = new SuffixTree(text);
+
+    expect(tree.findAll('needle')).to.deep.equal([50000]);
+    expect(tree.hasSuffix(text.slice(-40))).to.be.true;
+  });
+
+  it('should answer the same as SuffixTrie for every substring', () => {
+    const text = 'Mississippi river';
+    const trie = new SuffixTrie(text);
+    tree = new SuffixTree(text);
+
+    for (let i = 0; i < text.length; i++) {
+      for (let j = i; j <= text.length; j++) {
+        const query = text.slice(i, j) + 'i';
+
+        expect(tree.hasSuffix(query)).to.equal(trie.hasSuffix(query));
+        expect(tree.matchesPattern(query)).to.equal(trie.matchesPattern(query));
+        expect(tree.findAll(query)).to.deep.equal(trie.findAll(query));
+      }
+    }
+  });
+
+  describe('options', () => {
+    it('should default to case insensitive without whitespace or normalization', () => {
+      expect(tree.options).to.deep.equal({ caseSensitive: false, keepWhitespace: false, normalization: null });
+    });
+
+    it('should keep case when case sensitive', () => {
+      tree = new SuffixTree('GATTACA', { caseSensitive: true });
+
+      expect(tree.hasSuffix('TACA')).to.be.true;
+      expect(tree.hasSuffix('taca')).to.be.false;
+    });
+
+    it('should store whitespace as letters when asked to keep it', () => {
+      tree = new SuffixTree('if (x) return', { keepWhitespace: true });
+
+      expect(tree.matchesPattern(') r')).to.be.true;
+      expect(tree.matchesPattern(')r')).to.be.false;
+    });
+
+    it('should iterate by code point so surrogate pairs stay whole', () => {
+      tree = new SuffixTree('a😀b');
+
+      expect(tree.hasSuffix('😀b')).to.be.true;
+      expect(tree.findAll('b')).to.deep.equal([3]);
+      expect(tree.matchesPattern('\ud83d')).to.be.false;
+    });
+
+    it('should match composed and decomposed accents after normalization', () => {
+      tree = new SuffixTree('caf\u00e9', { normalization: 'NFC' });
+
+      expect(tree.hasSuffix('fe\u0301')).to.be.true;
+      expect(new SuffixTree('caf\u00e9').hasSuffix('fe\u0301')).to.be.false;
+    });
+  });
+
+  describe('#count()', () => {
+    it('should count overlapping matches', () => {
+      expect(tree.count('ana')).to.equal(2);
+      expect(new SuffixTree('aaa').count('aa')).to.equal(2);
+    });
+
+    it('should count every letter for an empty pattern', () => {
+      expect(tree.count('')).to.equal(6);
+    });
+
+    it('should return 0 when the pattern is not found', () => {
+      expect(tree.count('nab')).to.equal(0);
+    });
+  });
+
+  describe('#findAll()', () => {
+    it('should return every starting position in ascending order', () => {
+      expect(tree.findAll('ana')).to.deep.equal([1, 3]);
+      expect(tree.findAll('A')).to.deep.equal([1, 3, 5]);
+    });
+
+    it('should report positions in the original text when whitespace is skipped', () => {
+      tree = new SuffixTree('to be or not to be');
+
+      expect(tree.findAll('tobe')).to.deep.equal([0, 13]);
+    });
+
+    it('should return an empty array when the pattern is not found', () => {
+      expect(tree.findAll('bananas')).to.deep.equal([]);
+    });
+
+    it('should throw an error for non-string patterns', () => {
+      expect(() => tree.findAll(1)).to.throw(Error);
+    });
+  });
+
+  describe('#firstIndexOf()', () => {
+    it('should return the first starting position', () => {
+      expect(tree.firstIndexOf('na')).to.equal(2);
+    });
+
+    it('should return -1 when the pattern is not found', () => {
+      expect(tree.firstIndexOf('x')).to.equal(-1);
+    });
+
+    it('should return -1 when the string has no letters', () => {
+      tree = new SuffixTree('   ');
+
+      expect(tree.firstIndexOf('')).to.equal(-1);
+    });
+  });
+
+  describe('#hasSuffix()', () => {
+    it('should return true if the suffix is in the tree', () => {
+      expect(tree.hasSuffix('ana')).to.be.true;
+      expect(tree.hasSuffix('banana')).to.be.true;
+    });
+
+    it('should return true for suffixes that end inside an edge', () => {
+      expect(tree.hasSuffix('nana')).to.be.true;
+    });
+
+    it('should return false for patterns that are not suffixes', () => {
+      expect(tree.hasSuffix('ban')).to.be.false;
+      expect(tree.hasSuffix('nan')).to.be.false;
+    });
+
+    it('should return false for an empty string', () => {
+      expect(tree.hasSuffix('')).to.be.false;
+    });
+
+    it('should throw an error for non-string input', () => {
+      expect(() => tree.hasSuffix(null)).to.throw(Error);
+    });
+  });
+
+  describe('#matchesPattern()', () => {
+    it('should return true if the pattern is in the tree', () => {
+      expect(tree.matchesPattern('nan')).to.be.true;
+      expect(tree.matchesPattern('BAN')).to.be.true;
+    });
+
+    it('should return false if the pattern is not in the tree', () => {
+      expect(tree.matchesPattern('nab')).to.be.false;
+      expect(tree.matchesPattern('bananas')).to.be.false;
+    });
+
+    it('should return true for an empty string', () => {
+      expect(tree.matchesPattern('')).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,341 @@
+const expect = require('chai').expect;
+
+let Treap;
+let treap;
+
+try {
+  Treap = require('../../structures/tree.treap');
+  treap = new Treap();
+} catch (e) {
+  throw new Error('Treap could not be tested due to faulty import, likely ' +
+  'from an incorrect file path or exporting a non-constructor from the file.');
+}
+
+describe('Treap', () => {
+  beforeEach(() => {
+    treap = new Treap(undefined, 42);
+  });
+
+  it('should be extensible', () => {
+    expect(treap).to.be.extensible;
+  });
+
+  it('should have properties granted from constructor call', () => {
+    expect(treap).to.have.all.keys('root', 'comparator', 'random');
+  });
+
+  it('should throw an error for a comparator that is not a function', () => {
+    expect(() => new Treap('descending')).to.throw(Error);
+  });
+
+  it('should throw an error for a seed that is not an integer', () => {
+    expect(() => new Treap(undefined, 1.5)).to.throw(Error);
+    expect(() => new Treap(undefined, 'seed')).to.throw(Error);
+  });
+
+  describe('#insert()', () => {
+    it('should insert a node with key, value, priority, left and right properties', () => {
+      treap.insert('D', 'woof');
+
+      expect(treap.root).to.have.all.keys('key', 'value', 'priority', 'left', 'right');
+      expect(treap.root.priority).to.be.within(0, 1);
+    });
+
+    it('should build the same tree from the same seed', () => {
+      const other = new Treap(undefined, 42);
+      for (let i = 0; i < 100; i++) {
+        treap.insert(i);
+        other.insert(i);
+      }
+
+      expect(other.levels()).to.deep.equal(treap.levels());
+    });
+
+    it('should build different trees from different seeds', () => {
+      const other = new Treap(undefined, 7);
+      for (let i = 0; i < 100; i++) {
+        treap.insert(i);
+        other.insert(i);
+      }
+
+      expect(other.levels()).to.not.deep.equal(treap.levels());
+    });
+
+    it('should stay shallow when keys arrive in sorted order', () => {
+      for (let i = 0; i < 10000; i++) { treap.insert(i); }
+
+      expect(treap.isValid()).to.be.true;
+      expect(treap.height()).to.be.below(50);
+    });
+
+    it('should work without a seed', () => {
+      treap = new Treap();
+      [3, 1, 2].forEach(key => treap.insert(key));
+
+      expect([...treap.keys()]).to.deep.equal([1, 2, 3]);
+      expect(treap.isValid()).to.be.true;
+    });
+
+    it('should overwrite value for duplicate key', () => {
+      treap.insert('D', 'woof');
+      treap.insert('D', 'meow');
+
+      expect(treap.root.value).to.equal('meow');
+      expect(treap.size()).to.equal(1);
+    });
+
+    it('should order keys with a custom comparator', () => {
+      treap = new Treap((a, b) => a.getTime() - b.getTime(), 1);
+      treap.insert(new Date(2020, 0, 1), 'middle');
+      treap.insert(new Date(2019, 0, 1), 'first');
+      treap.insert(new Date(2021, 0, 1), 'last');
+
+      expect([...treap.values()]).to.deep.equal(['first', 'middle', 'last']);
+      expect(treap.get(new Date(2021, 0, 1))).to.equal('last');
+    });
+  });
+
+  describe('#assertInvariants()', () => {
+    it('should not throw for a valid tree', () => {
+      [2, 1, 3].forEach(key => treap.insert(key));
+
+      expect(() => treap.assertInvariants()).to.not.throw();
+    });
+
+    it('should report the key where heap order is broken', () => {
+      [2, 1, 3].forEach(key => treap.insert(key));
+      const child = treap.root.left || treap.root.right;
+      child.priority = 2;
+
+      expect(() => treap.assertInvariants()).to.throw(`Heap order violated at key ${child.key}`);
+      expect(treap.isValid()).to.be.false;
+    });
+  });
+
+  describe('#breadthFirstSearch()', () => {
+    it('should apply callback to all nodes in level order', () => {
+      [4, 2, 6, 1, 3, 5, 7].forEach(key => treap.insert(key));
+      const called = [];
+
+      treap.breadthFirstSearch(node => called.push(node.key));
+
+      expect(called).to.deep.equal([].concat(...treap.levels()));
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => treap.breadthFirstSearch(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#ceiling()', () => {
+    it('should return the smallest key greater than or equal to given key', () => {
+      [10, 20, 30].forEach(key => treap.insert(key));
+
+      expect(treap.ceiling(20)).to.equal(20);
+      expect(treap.ceiling(11)).to.equal(20);
+      expect(treap.ceiling(31)).to.equal(null);
+    });
+  });
+
+  describe('#delete()', () => {
+    it('should return the value of the deleted key', () => {
+      treap.insert('D', 'woof');
+
+      expect(treap.delete('D')).to.equal('woof');
+      expect(treap.root).to.equal(null);
+    });
+
+    it('should stay valid across many insertions and deletions', () => {
+      for (let i = 0; i < 200; i++) { treap.insert((i * 37) % 200, i); }
+      for (let i = 0; i < 200; i += 3) {
+        treap.delete((i * 53) % 200);
+        expect(treap.isValid()).to.be.true;
+      }
+
+      expect(treap.get(1)).to.equal(null);
+      expect(treap.get(2)).to.equal(146);
+      expect(treap.size()).to.equal(133);
+    });
+
+    it('should throw an error for keys that do not exist in the tree', () => {
+      treap.insert('D');
+
+      expect(() => treap.delete('Z')).to.throw(Error);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => treap.delete('A')).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMax()', () => {
+    it('should remove keys from largest to smallest', () => {
+      [5, 3, 8, 1, 4].forEach(key => treap.insert(key, key * 10));
+      const removed = [];
+
+      while (treap.root !== null) {
+        removed.push(treap.deleteMax());
+        expect(treap.isValid()).to.be.true;
+      }
+
+      expect(removed).to.deep.equal([80, 50, 40, 30, 10]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => treap.deleteMax()).to.throw(Error);
+    });
+  });
+
+  describe('#deleteMin()', () => {
+    it('should remove keys from smallest to largest', () => {
+      [5, 3, 8, 1, 4].forEach(key => treap.insert(key, key * 10));
+      const removed = [];
+
+      while (treap.root !== null) {
+        removed.push(treap.deleteMin());
+        expect(treap.isValid()).to.be.true;
+      }
+
+      expect(removed).to.deep.equal([10, 30, 40, 50, 80]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => treap.deleteMin()).to.throw(Error);
+    });
+  });
+
+  describe('#depthInOrder', () => {
+    it('should apply callback to all nodes depth-first in-order', () => {
+      [4, 2, 6, 1, 3, 5, 7].forEach(key => treap.insert(key));
+      const called = [];
+
+      treap.depthInOrder(node => called.push(node.key));
+
+      expect(called).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => treap.depthInOrder(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#depthPostOrder', () => {
+    it('should visit the root last', () => {
+      [4, 2, 6, 1, 3, 5, 7].forEach(key => treap.insert(key));
+      const called = [];
+
+      treap.depthPostOrder(node => called.push(node.key));
+
+      expect(called).to.have.lengthOf(7);
+      expect(called[6]).to.equal(treap.root.key);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => treap.depthPostOrder(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#depthPreOrder', () => {
+    it('should visit the root first', () => {
+      [4, 2, 6, 1, 3, 5, 7].forEach(key => treap.insert(key));
+      const called = [];
+
+      treap.depthPreOrder(node => called.push(node.key));
+
+      expect(called).to.have.lengthOf(7);
+      expect(called[0]).to.equal(treap.root.key);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => treap.depthPreOrder(console.log)).to.throw(Error);
+    });
+  });
+
+  describe('#floor()', () => {
+    it('should return the largest key less than or equal to given key', () => {
+      [10, 20, 30].forEach(key => treap.insert(key));
+
+      expect(treap.floor(20)).to.equal(20);
+      expect(treap.floor(29)).to.equal(20);
+      expect(treap.floor(9)).to.equal(null);
+    });
+  });
+
+  describe('#get()', () => {
+    it('should return the value for a key', () => {
+      treap.insert('D', 'woof');
+      treap.insert('C', 'meow');
+
+      expect(treap.get('C')).to.equal('meow');
+    });
+
+    it('should return null if the key is not found in the tree', () => {
+      treap.insert('C', 'meow');
+
+      expect(treap.get('D')).to.equal(null);
+    });
+
+    it('should return null if tree is empty', () => {
+      expect(treap.get('D')).to.equal(null);
+    });
+  });
+
+  describe('#height()', () => {
+    it('should return 0 for empty trees', () => {
+      expect(treap.height()).to.equal(0);
+    });
+  });
+
+  describe('#keys()', () => {
+    it('should yield keys within bounds, inclusive', () => {
+      [10, 20, 30, 40, 50].forEach(key => treap.insert(key));
+
+      expect([...treap.keys(20, 40)]).to.deep.equal([20, 30, 40]);
+      expect([...treap.keys()]).to.deep.equal([10, 20, 30, 40, 50]);
+    });
+  });
+
+  describe('#levelOrder()', () => {
+    it('should yield nothing for empty trees', () => {
+      expect([...treap.levelOrder()]).to.deep.equal([]);
+    });
+  });
+
+  describe('#max()', () => {
+    it('should return the largest key', () => {
+      [5, 3, 8].forEach(key => treap.insert(key));
+
+      expect(treap.max()).to.equal(8);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => treap.max()).to.throw(Error);
+    });
+  });
+
+  describe('#min()', () => {
+    it('should return the smallest key', () => {
+      [5, 3, 8].forEach(key => treap.insert(key));
+
+      expect(treap.min()).to.equal(3);
+    });
+
+    it('should throw an error for empty trees', () => {
+      expect(() => treap.min()).to.throw(Error);
+    });
+  });
+
+  describe('#[Symbol.iterator]()', () => {
+    it('should make the tree iterable with [key, value] pairs', () => {
+      treap.insert('D', 'woof');
+      treap.insert('C', 'meow');
+
+      expect([...treap]).to.deep.equal([['C', 'meow'], ['D', 'woof']]);
+      expect([...treap.entries()]).to.deep.equal([['C', 'meow'], ['D', 'woof']]);
+    });
+
+    it('should yield nothing for empty trees', () => {
+      expect([...treap]).to.deep.equal([]);
+    });
+  });
+});
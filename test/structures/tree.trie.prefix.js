@@ -28,6 +28,50 @@ describe('PrefixTrie', () => {
     expect(trie.root).to.deep.equal({});
   });
 
+  describe('.fromJSON()', () => {
+    it('should rebuild the exact shape saved with toJSON', () => {
+      ['dog', 'cart', 'cat', 'car'].forEach((word, i) => trie.put(word, i));
+
+      const copy = PrefixTrie.fromJSON(JSON.stringify(trie));
+
+      expect(copy.root).to.deep.equal(trie.root);
+      expect(copy.get('cart')).to.equal(1);
+    });
+
+    it('should keep words whose value is undefined', () => {
+      trie.put('cat');
+
+      const copy = PrefixTrie.fromJSON(JSON.stringify(trie));
+
+      expect(copy.hasWord('cat')).to.be.true;
+      expect(copy.root.c.a.t).to.have.property('value', undefined);
+      expect(copy.orderWords()).to.deep.equal(['cat']);
+    });
+
+    it('should rebuild empty tries', () => {
+      expect(PrefixTrie.fromJSON(trie.toJSON()).root).to.deep.equal({});
+    });
+
+    it('should restore scores so ranked results are the same', () => {
+      trie.put('car', 1, 5);
+      trie.put('cat', 2, 9);
+      trie.put('cab', 3);
+
+      const copy = PrefixTrie.fromJSON(JSON.stringify(trie));
+
+      expect(copy.root).to.deep.equal(trie.root);
+      expect(copy.autoComplete('ca', { sortBy: 'score' })).to.deep.equal(['cat', 'car', 'cab']);
+    });
+
+    it('should throw an error for malformed input', () => {
+      expect(() => PrefixTrie.fromJSON({})).to.throw(Error);
+      expect(() => PrefixTrie.fromJSON({ words: ['cat'] })).to.throw(Error);
+      expect(() => PrefixTrie.fromJSON({ words: [[''] ] })).to.throw(Error);
+      expect(() => PrefixTrie.fromJSON({ words: [['cat']], scores: 'cat' })).to.throw(Error);
+      expect(() => PrefixTrie.fromJSON({ words: [['cat']], scores: [['dog', 1]] })).to.throw(Error);
+    });
+  });
+
   describe('#autoComplete()', () => {
     it('should deliver an empty array for empty string input', () => {
       expect(trie.autoComplete('')).to.deep.equal([]);
@@ -79,9 +123,101 @@ describe('PrefixTrie', () => {
     it('should throw an error for NaN input', () => {
       expect(() => trie.autoComplete(NaN)).to.throw(Error);
     });
+
+    describe('with options', () => {
+      beforeEach(() => {
+        trie.put('apple', 'fruit', 50);
+        trie.put('app', 'software', 90);
+        trie.put('apply', 'verb', 70);
+        trie.put('apricot', 'fruit', 20);
+        trie.put('april', 'month', 70);
+        trie.put('banana', 'fruit', 100);
+      });
+
+      it('should return words highest score first when sorting by score', () => {
+        expect(trie.autoComplete('ap', { sortBy: 'score' }))
+          .to.deep.equal(['app', 'apply', 'april', 'apple', 'apricot']);
+      });
+
+      it('should break ties between scores alphabetically', () => {
+        expect(trie.autoComplete('ap', { limit: 2, sortBy: 'score' })).to.deep.equal(['app', 'apply']);
+        expect(trie.autoComplete('apr', { limit: 1, sortBy: 'score' })).to.deep.equal(['april']);
+      });
+
+      it('should return the top words up to limit', () => {
+        expect(trie.autoComplete('a', { limit: 3, sortBy: 'score' })).to.deep.equal(['app', 'apply', 'april']);
+        expect(trie.autoComplete('ap', { limit: 10, sortBy: 'score' })).to.have.lengthOf(5);
+      });
+
+      it('should return the first words alphabetically up to limit by default', () => {
+        expect(trie.autoComplete('ap', { limit: 2 })).to.deep.equal(['app', 'apple']);
+      });
+
+      it('should rank words put without a score as 0', () => {
+        trie.put('apt');
+
+        expect(trie.autoComplete('ap', { sortBy: 'score' }).pop()).to.equal('apt');
+      });
+
+      it('should allow negative scores', () => {
+        trie.put('apex', null, -1);
+
+        expect(trie.autoComplete('ap', { sortBy: 'score' }).pop()).to.equal('apex');
+      });
+
+      it('should only open branches that can make the top results', () => {
+        for (let i = 0; i < 1000; i++) { trie.put(`apz${i}`, i, 1); }
+        trie.root.a.p.z = new Proxy(trie.root.a.p.z, {
+          ownKeys() { throw new Error('Low-scoring branch was opened'); }
+        });
+
+        expect(trie.autoComplete('ap', { limit: 3, sortBy: 'score' })).to.deep.equal(['app', 'apply', 'april']);
+      });
+
+      it('should stop at limit when many words share a score', () => {
+        for (let i = 0; i < 1000; i++) { trie.put(`b${i}`, i); }
+        trie.root.b['9'] = new Proxy(trie.root.b['9'], {
+          ownKeys() { throw new Error('Branch past the limit was opened'); }
+        });
+
+        expect(trie.autoComplete('b', { limit: 4, sortBy: 'score' })).to.deep.equal(['banana', 'b0', 'b1', 'b10']);
+      });
+
+      it('should return an empty array when no word has the prefix', () => {
+        expect(trie.autoComplete('c', { limit: 3, sortBy: 'score' })).to.deep.equal([]);
+      });
+
+      it('should throw an error for invalid limits', () => {
+        expect(() => trie.autoComplete('a', { limit: 0 })).to.throw(Error);
+        expect(() => trie.autoComplete('a', { limit: 1.5 })).to.throw(Error);
+      });
+
+      it('should throw an error for unknown sort orders', () => {
+        expect(() => trie.autoComplete('a', { sortBy: 'length' })).to.throw(Error);
+      });
+    });
   });
 
   describe('#delete()', () => {
+    it('should refresh cached scores along the deleted word', () => {
+      trie.put('cat', 1, 9);
+      trie.put('car', 2, 5);
+      trie.put('c', 3, 1);
+
+      trie.delete('cat');
+
+      expect(trie.root.best).to.equal(5);
+
+      trie.delete('c');
+
+      expect(trie.root.c).to.not.have.any.keys('value', 'score');
+      expect(trie.root.c.best).to.equal(5);
+
+      trie.delete('car');
+
+      expect(trie.root).to.deep.equal({});
+    });
+
     it('should delete only word if it is a prefix of another word', () => {
       trie.put('she', 'is prefix to shell');
       trie.put('shell', 'has she as prefix');
@@ -164,6 +300,75 @@ describe('PrefixTrie', () => {
     });
   });
   
+  describe('#fuzzySearch()', () => {
+    beforeEach(() => {
+      ['cat', 'cart', 'chat', 'coat', 'dog', 'act'].forEach((word, i) => trie.put(word, i));
+    });
+
+    it('should return words within one edit by default, closest first', () => {
+      expect(trie.fuzzySearch('cat')).to.deep.equal([
+        { word: 'cat', value: 0, distance: 0 },
+        { word: 'cart', value: 1, distance: 1 },
+        { word: 'chat', value: 2, distance: 1 },
+        { word: 'coat', value: 3, distance: 1 }
+      ]);
+    });
+
+    it('should count insertions, deletions and replacements', () => {
+      expect(trie.fuzzySearch('dg').map(match => match.word)).to.deep.equal(['dog']);
+      expect(trie.fuzzySearch('dogs').map(match => match.word)).to.deep.equal(['dog']);
+      expect(trie.fuzzySearch('dot').map(match => match.word)).to.deep.equal(['dog']);
+    });
+
+    it('should allow more edits with a larger distance', () => {
+      expect(trie.fuzzySearch('cot', 0)).to.deep.equal([]);
+      expect(trie.fuzzySearch('cot', 2).map(match => match.word))
+        .to.deep.equal(['cat', 'coat', 'act', 'cart', 'chat', 'dog']);
+    });
+
+    it('should count a swap of neighbouring letters as two edits by default', () => {
+      expect(trie.fuzzySearch('cta').map(match => match.word)).to.deep.equal([]);
+    });
+
+    it('should count a swap of neighbouring letters as one edit with transpositions', () => {
+      expect(trie.fuzzySearch('cta', 1, { transpositions: true })).to.deep.equal([
+        { word: 'cat', value: 0, distance: 1 }
+      ]);
+      expect(trie.fuzzySearch('ocat', 1, { transpositions: true }).map(match => match.word))
+        .to.deep.equal(['cat', 'coat']);
+    });
+
+    it('should not visit branches that cannot get within range', () => {
+      for (let i = 0; i < 100; i++) { trie.put('zebra' + i); }
+      const visited = new Set();
+      const watch = node => new Proxy(node, {
+        get(target, key) {
+          if (typeof key === 'string' && key.length === 1) { visited.add(key); }
+          return target[key];
+        }
+      });
+      trie.root.z = watch(trie.root.z);
+      trie.root.z.e = watch(trie.root.z.e);
+
+      trie.fuzzySearch('cat');
+
+      expect(visited.has('b')).to.be.false;
+    });
+
+    it('should match short words for an empty word', () => {
+      expect(trie.fuzzySearch('', 3).map(match => match.word)).to.deep.equal(['act', 'cat', 'dog']);
+    });
+
+    it('should throw an error for invalid distances', () => {
+      expect(() => trie.fuzzySearch('cat', -1)).to.throw(Error);
+      expect(() => trie.fuzzySearch('cat', 1.5)).to.throw(Error);
+    });
+
+    it('should throw an error for non-string input', () => {
+      expect(() => trie.fuzzySearch(null)).to.throw(Error);
+    });
+  });
+
   describe('#get()', () => {
     it('should return the value associated with the given key', () => {
       trie.put('dog', 'woof');
@@ -314,6 +519,60 @@ describe('PrefixTrie', () => {
     });
   });
   
+  describe('#match()', () => {
+    beforeEach(() => {
+      ['cat', 'car', 'cart', 'cot', 'dog', 'error', 'err42', 'warn'].forEach(word => trie.put(word));
+    });
+
+    it('should return whole words matching ? in alphabetical order', () => {
+      expect(trie.match('c?t')).to.deep.equal(['cat', 'cot']);
+      expect(trie.match('ca?')).to.deep.equal(['car', 'cat']);
+    });
+
+    it('should match any run of letters, including none, with *', () => {
+      expect(trie.match('car*')).to.deep.equal(['car', 'cart']);
+      expect(trie.match('*r*')).to.deep.equal(['car', 'cart', 'err42', 'error', 'warn']);
+      expect(trie.match('*')).to.deep.equal(trie.orderWords());
+    });
+
+    it('should match character classes and ranges', () => {
+      expect(trie.match('err[0-9][0-9]')).to.deep.equal(['err42']);
+      expect(trie.match('c[!a]t')).to.deep.equal(['cot']);
+      expect(trie.match('[cd]o?')).to.deep.equal(['cot', 'dog']);
+    });
+
+    it('should require the whole word to match', () => {
+      expect(trie.match('ca')).to.deep.equal([]);
+      expect(trie.match('cat?')).to.deep.equal([]);
+    });
+
+    it('should be case sensitive', () => {
+      expect(trie.match('C*')).to.deep.equal([]);
+      expect(trie.match('[A-Z]*')).to.deep.equal([]);
+    });
+
+    it('should treat escaped symbols as letters', () => {
+      trie.put('why?');
+      trie.put('whys');
+
+      expect(trie.match('why\\?')).to.deep.equal(['why?']);
+      expect(trie.match('why?')).to.deep.equal(['why?', 'whys']);
+    });
+
+    it('should return an empty array for an empty pattern', () => {
+      expect(trie.match('')).to.deep.equal([]);
+    });
+
+    it('should throw an error for malformed patterns', () => {
+      expect(() => trie.match('[abc')).to.throw(Error);
+      expect(() => trie.match('\\')).to.throw(Error);
+    });
+
+    it('should throw an error for non-string input', () => {
+      expect(() => trie.match(null)).to.throw(Error);
+    });
+  });
+
   describe('#orderWords', () => {
     it('should return an array of all words in alphabetical order', () => {
       trie.put('dog', 'woof');
@@ -411,5 +670,114 @@ describe('PrefixTrie', () => {
     it('should throw an error for empty string input', () => {
       expect(() => trie.put('')).to.throw(Error);
     });
+
+    it('should cache the best score below each node', () => {
+      trie.put('car', 1, 5);
+      trie.put('cat', 2, 9);
+      trie.put('ca', 3, 1);
+
+      expect(trie.root.best).to.equal(9);
+      expect(trie.root.c.a.best).to.equal(9);
+      expect(trie.root.c.a.r.best).to.equal(5);
+      expect(trie.root.c.a).to.include({ value: 3, score: 1 });
+    });
+
+    it('should lower cached scores when a word is put again with a lower score', () => {
+      trie.put('cat', 1, 9);
+      trie.put('car', 2, 5);
+      trie.put('cat', 1, 2);
+
+      expect(trie.root.c.best).to.equal(5);
+    });
+
+    it('should keep the existing score when put again without one', () => {
+      trie.put('apple', 1, 5);
+      trie.put('apple', 2);
+
+      expect(trie.toJSON()).to.deep.equal({ words: [['apple', 2]], scores: [['apple', 5]] });
+      expect(trie.root.best).to.equal(5);
+    });
+
+    it('should raise cached scores along the path without rescanning siblings', () => {
+      trie.put('car', 1, 5);
+      trie.root.c.a = new Proxy(trie.root.c.a, {
+        ownKeys() { throw new Error('Siblings were rescanned'); }
+      });
+      trie.put('cat', 2, 9);
+
+      expect(trie.root.best).to.equal(9);
+      expect(trie.root.c.a.t.best).to.equal(9);
+    });
+
+    it('should throw an error for scores that are not finite numbers', () => {
+      expect(() => trie.put('cat', 1, '9')).to.throw(Error);
+      expect(() => trie.put('cat', 1, Infinity)).to.throw(Error);
+      expect(() => trie.put('cat', 1, NaN)).to.throw(Error);
+    });
+  });
+
+  describe('#toDot()', () => {
+    it('should label edges with letters and highlight nodes that end a word', () => {
+      trie.put('at');
+      trie.put('a');
+
+      expect(trie.toDot()).to.equal([
+        'digraph PrefixTrie {',
+        '  node [shape=circle, label=""];',
+        '  n0;',
+        '  n1 [shape=doublecircle, style=filled, fillcolor=lightgrey];',
+        '  n0 -> n1 [label="a"];',
+        '  n2 [shape=doublecircle, style=filled, fillcolor=lightgrey];',
+        '  n1 -> n2 [label="t"];',
+        '}'
+      ].join('\n'));
+    });
+
+    it('should escape quotes in letters', () => {
+      trie.put('"');
+
+      expect(trie.toDot()).to.include('[label="\\""]');
+    });
+  });
+
+  describe('#toJSON()', () => {
+    it('should list words alphabetically with their values', () => {
+      trie.put('cat', { legs: 4 });
+      trie.put('car');
+
+      expect(trie.toJSON()).to.deep.equal({ words: [['car'], ['cat', { legs: 4 }]] });
+    });
+
+    it('should list scores other than 0 separately', () => {
+      trie.put('cat', { legs: 4 }, 3);
+      trie.put('car');
+
+      expect(trie.toJSON()).to.deep.equal({
+        words: [['car'], ['cat', { legs: 4 }]],
+        scores: [['cat', 3]]
+      });
+    });
+  });
+
+  describe('#toString()', () => {
+    it('should draw letters alphabetically, marking those that end a word', () => {
+      ['dog', 'cart', 'cat', 'car'].forEach(word => trie.put(word));
+
+      expect(trie.toString()).to.equal([
+        '.',
+        '|-- c',
+        '|   `-- a',
+        '|       |-- r *',
+        '|       |   `-- t *',
+        '|       `-- t *',
+        '`-- d',
+        '    `-- o',
+        '        `-- g *'
+      ].join('\n'));
+    });
+
+    it('should draw empty tries as an empty string', () => {
+      expect(trie.toString()).to.equal('');
+    });
   });
 });
\ No newline at end of file
@@ -21,7 +21,7 @@ describe('SuffixTrie', () => {
   });
 
   it('should have properties granted from constructor call', () => {
-    expect(trie).to.have.all.keys('root');
+    expect(trie).to.have.all.keys('root', 'options');
   });
 
   it('should throw an error for number input', () => {
@@ -44,6 +44,175 @@ describe('SuffixTrie', () => {
     expect(() => new SuffixTrie(NaN)).to.throw(Error);
   });
 
+  describe('options', () => {
+    it('should default to case insensitive without whitespace or normalization', () => {
+      expect(trie.options).to.deep.equal({ caseSensitive: false, keepWhitespace: false, normalization: null });
+    });
+
+    it('should apply the same case folding and whitespace rules to queries', () => {
+      trie = new SuffixTrie('Hello World');
+
+      expect(trie.hasSuffix('WORLD')).to.be.true;
+      expect(trie.matchesPattern('o w')).to.be.true;
+      expect(trie.matchesPattern('OWO')).to.be.true;
+    });
+
+    it('should keep case when case sensitive', () => {
+      trie = new SuffixTrie('GATTACA', { caseSensitive: true });
+
+      expect(trie.hasSuffix('TACA')).to.be.true;
+      expect(trie.hasSuffix('taca')).to.be.false;
+      expect(trie.root).to.not.have.property('g');
+    });
+
+    it('should store whitespace as letters when asked to keep it', () => {
+      trie = new SuffixTrie('if (x) return', { keepWhitespace: true });
+
+      expect(trie.matchesPattern(') r')).to.be.true;
+      expect(trie.matchesPattern(')r')).to.be.false;
+      expect(trie.root).to.have.property(' ');
+    });
+
+    it('should iterate by code point so surrogate pairs stay whole', () => {
+      trie = new SuffixTrie('a😀b');
+
+      expect(trie.hasSuffix('😀b')).to.be.true;
+      expect(trie.root).to.have.all.keys('a', '😀', 'b');
+      expect(trie.root['😀'].b.index).to.equal(1);
+      expect(trie.matchesPattern('\ud83d')).to.be.false;
+    });
+
+    it('should match composed and decomposed accents after normalization', () => {
+      const composed = 'caf\u00e9';
+      const decomposed = 'cafe\u0301';
+      trie = new SuffixTrie(composed, { normalization: 'NFC' });
+
+      expect(trie.hasSuffix(decomposed)).to.be.true;
+      expect(new SuffixTrie(composed).hasSuffix(decomposed)).to.be.false;
+    });
+
+    it('should keep letters that lowercase to several code points', () => {
+      trie = new SuffixTrie('\u0130stanbul');
+
+      expect(trie.hasSuffix('\u0130STANBUL')).to.be.true;
+      expect(trie.matchesPattern('\u0130st*')).to.be.true;
+      expect(trie.findAll('stan')).to.deep.equal([1]);
+      expect(SuffixTrie.fromJSON(trie.toJSON()).hasSuffix('\u0130stanbul')).to.be.true;
+    });
+
+    it('should count whitespace when numbering suffixes', () => {
+      trie = new SuffixTrie('a b');
+
+      expect(trie.root.b.index).to.equal(2);
+    });
+
+    it('should throw an error for unknown normalization forms', () => {
+      expect(() => new SuffixTrie('abc', { normalization: 'NFX' })).to.throw(Error);
+      expect(() => new SuffixTrie('abc', 'NFC')).to.throw(Error);
+    });
+  });
+
+  describe('.fromJSON()', () => {
+    it('should rebuild the exact shape saved with toJSON', () => {
+      const copy = SuffixTrie.fromJSON(JSON.stringify(trie));
+
+      expect(copy).to.be.an.instanceof(SuffixTrie);
+      expect(copy.root).to.deep.equal(trie.root);
+      expect(copy.hasSuffix('nana')).to.be.true;
+      expect(copy.matchesPattern('nan')).to.be.true;
+    });
+
+    it('should not share nodes with the given object', () => {
+      const json = trie.toJSON();
+
+      const copy = SuffixTrie.fromJSON(json);
+      json.root.a.n.index = 99;
+
+      expect(copy.root.a.n.a.index).to.equal(3);
+      expect(copy.root.a.n).to.not.have.property('index');
+    });
+
+    it('should keep the options of the saved trie', () => {
+      trie = new SuffixTrie('DNA', { caseSensitive: true });
+
+      const copy = SuffixTrie.fromJSON(JSON.stringify(trie));
+
+      expect(copy.options.caseSensitive).to.be.true;
+      expect(copy.hasSuffix('NA')).to.be.true;
+      expect(copy.hasSuffix('na')).to.be.false;
+    });
+
+    it('should throw an error for malformed input', () => {
+      expect(() => SuffixTrie.fromJSON({})).to.throw(Error);
+      expect(() => SuffixTrie.fromJSON({ root: { ab: {} } })).to.throw(Error);
+      expect(() => SuffixTrie.fromJSON({ root: { a: { index: -1 } } })).to.throw(Error);
+    });
+  });
+
+  describe('#count()', () => {
+    it('should count overlapping matches', () => {
+      expect(trie.count('ana')).to.equal(2);
+      expect(trie.count('a')).to.equal(3);
+      expect(new SuffixTrie('aaa').count('aa')).to.equal(2);
+    });
+
+    it('should return 0 when the pattern is not found', () => {
+      expect(trie.count('nab')).to.equal(0);
+    });
+
+    it('should count every letter for an empty pattern', () => {
+      expect(trie.count('')).to.equal(6);
+    });
+  });
+
+  describe('#findAll()', () => {
+    it('should return every starting position in ascending order', () => {
+      expect(trie.findAll('ana')).to.deep.equal([1, 3]);
+      expect(trie.findAll('A')).to.deep.equal([1, 3, 5]);
+      expect(trie.findAll('banana')).to.deep.equal([0]);
+    });
+
+    it('should return an empty array when the pattern is not found', () => {
+      expect(trie.findAll('bananas')).to.deep.equal([]);
+    });
+
+    it('should report positions in the original text when whitespace is skipped', () => {
+      trie = new SuffixTrie('to be or not to be');
+
+      expect(trie.findAll('tobe')).to.deep.equal([0, 13]);
+      expect(trie.findAll('be')).to.deep.equal([3, 16]);
+    });
+
+    it('should report UTF-16 offsets, as indexOf and slice use', () => {
+      const text = '😀a😀a';
+      trie = new SuffixTrie(text);
+
+      expect(trie.findAll('a')).to.deep.equal([2, 5]);
+      expect(trie.firstIndexOf('a😀')).to.equal(text.indexOf('a😀'));
+    });
+
+    it('should throw an error for non-string patterns', () => {
+      expect(() => trie.findAll(1)).to.throw(Error);
+    });
+  });
+
+  describe('#firstIndexOf()', () => {
+    it('should return the first starting position', () => {
+      expect(trie.firstIndexOf('na')).to.equal(2);
+      expect(trie.firstIndexOf('a')).to.equal(1);
+    });
+
+    it('should return -1 when the pattern is not found', () => {
+      expect(trie.firstIndexOf('x')).to.equal(-1);
+    });
+
+    it('should return -1 when the string has no letters', () => {
+      trie = new SuffixTrie('   ');
+
+      expect(trie.firstIndexOf('')).to.equal(-1);
+    });
+  });
+
   describe('#hasSuffix()', () => {
     it('should return true if the suffix is in the trie', () => {
       expect(trie.hasSuffix('ana')).to.be.true;
@@ -118,5 +287,71 @@ describe('SuffixTrie', () => {
     it('should throw an error for NaN input', () => {
       expect(() => trie.matchesPattern(NaN)).to.throw(Error);
     });
+
+    it('should match any one letter with ?', () => {
+      expect(trie.matchesPattern('b?n')).to.be.true;
+      expect(trie.matchesPattern('n?n')).to.be.true;
+      expect(trie.matchesPattern('b??b')).to.be.false;
+      expect(trie.matchesPattern('banana?')).to.be.false;
+    });
+
+    it('should match any run of letters with *', () => {
+      expect(trie.matchesPattern('b*a')).to.be.true;
+      expect(trie.matchesPattern('ba*na')).to.be.true;
+      expect(trie.matchesPattern('b*b')).to.be.false;
+      expect(trie.matchesPattern('*')).to.be.true;
+    });
+
+    it('should let * match no letters at all', () => {
+      expect(trie.matchesPattern('ban*ana')).to.be.true;
+    });
+
+    it('should match character classes and ranges', () => {
+      expect(trie.matchesPattern('b[aeiou]n')).to.be.true;
+      expect(trie.matchesPattern('[m-o]a')).to.be.true;
+      expect(trie.matchesPattern('b[!a]')).to.be.false;
+      expect(trie.matchesPattern('b[^x-z]')).to.be.true;
+    });
+
+    it('should fold case in patterns unless case sensitive', () => {
+      expect(trie.matchesPattern('B[A-C]N')).to.be.true;
+
+      trie = new SuffixTrie('ERROR: disk full', { caseSensitive: true });
+
+      expect(trie.matchesPattern('[A-Z]*:')).to.be.true;
+      expect(trie.matchesPattern('[a-z]*:')).to.be.false;
+    });
+
+    it('should treat escaped symbols as letters', () => {
+      trie = new SuffixTrie('what? *really*');
+
+      expect(trie.matchesPattern('t\\?\\*')).to.be.true;
+      expect(trie.matchesPattern('\\*r*y\\*')).to.be.true;
+      expect(trie.matchesPattern('a\\?')).to.be.false;
+    });
+
+    it('should search large tries without trying the same state twice', () => {
+      trie = new SuffixTrie('a'.repeat(60));
+
+      expect(trie.matchesPattern('*a*a*a*a*a*a*a*a*b')).to.be.false;
+    });
+
+    it('should throw an error for malformed character classes', () => {
+      expect(() => trie.matchesPattern('[abc')).to.throw(Error);
+      expect(() => trie.matchesPattern('[]')).to.throw(Error);
+      expect(() => trie.matchesPattern('[z-a]')).to.throw(Error);
+      expect(() => trie.matchesPattern('ab\\')).to.throw(Error);
+    });
+  });
+
+  describe('#toJSON()', () => {
+    it('should describe nested letters with the index where each suffix starts', () => {
+      trie = new SuffixTrie('aba');
+
+      expect(trie.toJSON()).to.deep.equal({
+        root: { a: { index: 2, b: { a: { index: 0 } } }, b: { a: { index: 1 } } },
+        options: { caseSensitive: false, keepWhitespace: false, normalization: null }
+      });
+    });
   });
 });
\ No newline at end of file